@@ -1,12 +1,59 @@
 var HyperLogLog = require('./lib/hyperLogLog');
+var SlidingHyperLogLog = require('./lib/slidingHyperLogLog');
 var CountMinSketch = require('./lib/countMinSketch');
+var SpaceSaving = require('./lib/spaceSaving');
+var CountSketch = require('./lib/countSketch');
+var BloomFilter = require('./lib/bloomFilter');
+var CountingBloomFilter = require('./lib/countingBloomFilter');
+var SketchSeries = require('./lib/sketchSeries');
+var SketchStream = require('./lib/sketchStream');
+var SketchRegistry = require('./lib/sketchRegistry');
+var PersistentSketch = require('./lib/persistentSketch');
+var SketchCollector = require('./lib/sketchCollector');
+var SketchClient = require('./lib/sketchClient');
+var ParallelSketch = require('./lib/parallelSketch');
+var serialization = require('./lib/serialization');
+
+var TYPES = {};
+TYPES[serialization.TYPES.HyperLogLog] = HyperLogLog;
+TYPES[serialization.TYPES.CountMinSketch] = CountMinSketch;
+TYPES[serialization.TYPES.SpaceSaving] = SpaceSaving;
+TYPES[serialization.TYPES.CountSketch] = CountSketch;
+TYPES[serialization.TYPES.SlidingHyperLogLog] = SlidingHyperLogLog;
+TYPES[serialization.TYPES.SketchRegistry] = SketchRegistry;
+TYPES[serialization.TYPES.BloomFilter] = BloomFilter;
+TYPES[serialization.TYPES.CountingBloomFilter] = CountingBloomFilter;
 
 exports.createUniquesCounter = createUniquesCounter;
 exports.createViewsCounter = createViewsCounter;
+exports.createHeavyHittersCounter = createHeavyHittersCounter;
+exports.createMembershipFilter = createMembershipFilter;
+exports.createUniquesStream = createUniquesStream;
+exports.createViewsStream = createViewsStream;
 exports.getUniquesObjSize = getUniquesObjSize;
 exports.getViewsObjSize = getViewsObjSize;
+exports.getMembershipObjSize = getMembershipObjSize;
+exports.getUniquesMemSize = getUniquesMemSize;
+exports.getViewsMemSize = getViewsMemSize;
+exports.deserialize = deserialize;
+exports.persist = persist;
+exports.open = open;
+exports.createServer = createServer;
+exports.createClient = createClient;
 exports.HyperLogLog = HyperLogLog;
+exports.SlidingHyperLogLog = SlidingHyperLogLog;
 exports.CountMinSketch = CountMinSketch;
+exports.SpaceSaving = SpaceSaving;
+exports.CountSketch = CountSketch;
+exports.BloomFilter = BloomFilter;
+exports.CountingBloomFilter = CountingBloomFilter;
+exports.SketchSeries = SketchSeries;
+exports.SketchStream = SketchStream;
+exports.SketchRegistry = SketchRegistry;
+exports.PersistentSketch = PersistentSketch;
+exports.SketchCollector = SketchCollector;
+exports.SketchClient = SketchClient;
+exports.ParallelSketch = ParallelSketch;
 exports.MinHeap = require('./lib/minHeap');
 exports.PRNG = require('./lib/prng');
 
@@ -18,9 +65,10 @@ exports.PRNG = require('./lib/prng');
  * @param {Number} stdError (Optional) a value from (0-1) indicating the
  *        acceptable error rate. This controls the accuracy / memory usage
  *        tradeoff. 0.01 is the default.
+ * @param {Object} options (Optional) Additional settings, see HyperLogLog.
  */
-function createUniquesCounter(stdError) {
-  return new HyperLogLog(stdError || 0.01);
+function createUniquesCounter(stdError, options) {
+  return new HyperLogLog(stdError || 0.01, options);
 }
 
 /**
@@ -38,33 +86,227 @@ function createUniquesCounter(stdError) {
  *                 for a query completely wrong. From (0-1). This, combined
  *                 with errFactor, controls the accuracy / memory usage
  *                 tradeoff. 0.0001 is the default.
+ * @param {Object} options (Optional) Additional settings, see CountMinSketch.
+ */
+function createViewsCounter(topEntryCount, errFactor, failRate, options) {
+  return new CountMinSketch(topEntryCount, errFactor || 0.002, failRate || 0.0001, options);
+}
+
+/**
+ * Creates an object for tracking the most frequent IDs with an error bound on
+ * each count. Unlike createViewsCounter(), memory use depends only on the
+ * number of IDs tracked, and any ID seen more often than 1 / topEntryCount of
+ * all observations is guaranteed to be tracked.
+ *
+ * @param {Number} topEntryCount Number of IDs to track. This is the maximum
+ *                 size of the array returned by getTopK().
+ */
+function createHeavyHittersCounter(topEntryCount) {
+  return new SpaceSaving(topEntryCount);
+}
+
+/**
+ * Creates an object for testing whether an ID was observed before, in a fixed
+ * amount of memory. A common example is dropping duplicate events before they
+ * are counted.
+ *
+ * @param {Number} expectedItems Number of unique IDs the filter is sized for.
+ * @param {Number} falsePositiveRate (Optional) The probability (0-1) that an
+ *                 ID that was never observed is reported as observed, once
+ *                 expectedItems IDs were added. This controls the accuracy /
+ *                 memory usage tradeoff. 0.01 is the default.
+ * @param {Object} options (Optional) Additional settings, see BloomFilter,
+ *                 plus:
+ *                 counting - Create a CountingBloomFilter, which supports
+ *                   remove() at eight times the memory use.
+ */
+function createMembershipFilter(expectedItems, falsePositiveRate, options) {
+  var Type = options && options.counting ? CountingBloomFilter : BloomFilter;
+  return new Type(expectedItems, falsePositiveRate || 0.01, options);
+}
+
+/**
+ * Creates a writable stream that adds every record written to it to a uniques
+ * counter (HyperLogLog), available as the sketch property of the stream.
+ *
+ * @param {Object} options (Optional) Settings for the stream, see
+ *                 SketchStream, plus:
+ *                 stdError - Parameter to createUniquesCounter(). 0.01 is
+ *                   the default.
+ *                 sketch - Existing structure to add to instead of a new
+ *                   uniques counter.
+ *                 Any other settings are passed on to HyperLogLog.
+ */
+function createUniquesStream(options) {
+  options = options || {};
+  return new SketchStream(options.sketch || createUniquesCounter(options.stdError, options),
+    options);
+}
+
+/**
+ * Creates a writable stream that increments a views counter (CountMinSketch)
+ * for every record written to it, available as the sketch property of the
+ * stream.
+ *
+ * @param {Object} options (Optional) Settings for the stream, see
+ *                 SketchStream, plus:
+ *                 topEntryCount, errFactor, failRate - Parameters to
+ *                   createViewsCounter(). topEntryCount defaults to 10.
+ *                 sketch - Existing structure to increment instead of a new
+ *                   views counter.
+ *                 Any other settings are passed on to CountMinSketch.
+ */
+function createViewsStream(options) {
+  options = options || {};
+  return new SketchStream(options.sketch || createViewsCounter(options.topEntryCount || 10,
+    options.errFactor, options.failRate, options), options);
+}
+
+/**
+ * Keeps a sketch or SketchRegistry on disk, writing atomic checkpoints to the
+ * given file and optionally logging every change made in between. Use open()
+ * to restore it after a restart.
+ *
+ * @param {Object} sketch The structure to persist.
+ * @param {String} path Path of the checkpoint file.
+ * @param {Object} options (Optional) Additional settings, see
+ *        PersistentSketch.
+ */
+function persist(sketch, path, options) {
+  return new PersistentSketch(sketch, path, options);
+}
+
+/**
+ * Restores a structure persisted with persist() from its last checkpoint and
+ * log, and continues persisting it.
+ *
+ * @param {String} path Path of the checkpoint file.
+ * @param {Object} options (Optional) Additional settings, see
+ *        PersistentSketch.open.
+ */
+function open(path, options) {
+  return PersistentSketch.open(path, options);
+}
+
+/**
+ * Creates an HTTP server that collects serialized sketches sent by many hosts
+ * and merges them by name. Call listen() on the result to start it.
+ *
+ * @param {Object} options (Optional) Additional settings, see
+ *        SketchCollector.
  */
-function createViewsCounter(topEntryCount, errFactor, failRate) {
-  return new CountMinSketch(topEntryCount, errFactor || 0.002, failRate || 0.0001);
+function createServer(options) {
+  return SketchCollector.createServer(options);
+}
+
+/**
+ * Creates a client for a server made by createServer(), which pushes
+ * sketches to it and queries the merged results.
+ *
+ * @param {String} baseUrl URL of the server.
+ * @param {Object} options (Optional) Additional settings, see SketchClient.
+ */
+function createClient(baseUrl, options) {
+  return new SketchClient(baseUrl, options);
+}
+
+/**
+ * Deserializes a binary buffer produced by the serialize() method of any
+ * structure in this library, or by SketchRegistry snapshot(), detecting the
+ * structure type from the buffer. Registries are restored without a template,
+ * see SketchRegistry.deserialize.
+ * Buffers serialized by older versions of this library do not record their
+ * type and must be passed to HyperLogLog.deserialize or
+ * CountMinSketch.deserialize instead.
+ *
+ * @param {Buffer} buffer Binary buffer holding the serialized structure.
+ * @param {Number} start (Optional) Starting offset of the structure in the
+ *        buffer.
+ * @param {Number} length (Optional) Length of the serialized structure in the
+ *        buffer.
+ */
+function deserialize(buffer, start, length) {
+  start = start || 0;
+  length = length || buffer.length - start;
+
+  var header = serialization.readHeader(buffer, start, length);
+  if (!header)
+    throw new Error('buffer does not contain a self-describing serialized structure');
+
+  var Type = TYPES[header.type];
+  if (!Type)
+    throw new Error('unknown serialized structure type ' + header.type);
+  return Type.deserialize(buffer, start, length);
 }
 
 /**
  * Returns the serialized size of a uniques counter (HyperLogLog) object in
- * bytes given a stdError. NOTE: The memory usage will be higher than this
- * number since we serialize 32-bit integers but JavaScript uses 64-bit
- * numbers.
+ * bytes given a stdError. Counters that have only seen a few unique IDs use a
+ * sparse representation and are smaller than this.
  */
 function getUniquesObjSize(stdError) {
-  var acc = 1.04 / stdError;
-  var k = Math.ceil(Math.log(acc * acc) / Math.LN2);
-  return 12 + Math.pow(2, k) * 4;
+  var m = uniquesRegisterCount(stdError);
+  return serialization.HEADER_SIZE + 3 + Math.ceil(m * 6 / 8) +
+    serialization.FOOTER_SIZE;
 }
 
 /**
  * Returns the serialized size of a views counter (CountMinSketch) object in
  * bytes given an errFactor and failRate. NOTE: This does not include the size
  * of the serialized MinHeap which includes the size of each unique ID (up to a
- * max of topEntryCount) plus 5 bytes overhead per entry. NOTE2: The memory
- * usage will be higher than this number since we serialize 32-bit integers but
- * JavaScript uses 64-bit numbers.
+ * max of topEntryCount) plus 5 bytes overhead per entry, and a few bytes to
+ * store topEntryCount and the number of entries. Time-decayed counters store
+ * eight bytes per counter instead of four.
  */
 function getViewsObjSize(errFactor, failRate) {
-  var depth = Math.max(Math.ceil(Math.log(1.0 / failRate)), 1);
-  var width = Math.ceil(Math.E / errFactor);
-  return 4 + 8 + depth * width * 4 + 4 + depth * 4 + 4;
+  var depth = viewsDepth(failRate);
+  var width = viewsWidth(errFactor);
+  return serialization.HEADER_SIZE + 15 + serialization.varintLength(depth) +
+    depth * width * 4 + 8 + serialization.FOOTER_SIZE;
+}
+
+/**
+ * Returns the serialized size of a membership filter (BloomFilter) object in
+ * bytes given expectedItems and a falsePositiveRate, or of a
+ * CountingBloomFilter if counting is true.
+ */
+function getMembershipObjSize(expectedItems, falsePositiveRate, counting) {
+  var m = BloomFilter.dimensions(expectedItems, falsePositiveRate || 0.01).m;
+  return serialization.HEADER_SIZE + 2 + serialization.varintLength(m) +
+    (counting ? m : m / 8) + serialization.FOOTER_SIZE;
+}
+
+/**
+ * Returns the size in bytes of the register storage held in memory by a
+ * uniques counter (HyperLogLog) object given a stdError. Each register takes
+ * one byte. Counters that have only seen a few unique IDs use a sparse
+ * representation of at most this size.
+ */
+function getUniquesMemSize(stdError) {
+  return uniquesRegisterCount(stdError);
+}
+
+/**
+ * Returns the size in bytes of the counter storage held in memory by a views
+ * counter (CountMinSketch) object given an errFactor and failRate. Each
+ * counter takes four bytes, and each row hash function sixteen. NOTE: Like
+ * getViewsObjSize(), this does not include the top entries.
+ */
+function getViewsMemSize(errFactor, failRate) {
+  var depth = viewsDepth(failRate);
+  return depth * viewsWidth(errFactor) * 4 + depth * 16;
+}
+
+function uniquesRegisterCount(stdError) {
+  var acc = 1.04 / stdError;
+  var k = Math.max(Math.ceil(Math.log(acc * acc) / Math.LN2), 4);
+  return Math.pow(2, k);
+}
+
+function viewsDepth(failRate) {
+  return Math.max(Math.ceil(Math.log(1.0 / failRate)), 1);
+}
+
+function viewsWidth(errFactor) {
+  return Math.pow(2, Math.ceil(Math.log(Math.E / errFactor) / Math.LN2));
 }
@@ -0,0 +1,284 @@
+var hashing = require('./hashing');
+var serialization = require('./serialization');
+
+module.exports = BloomFilter;
+BloomFilter.dimensions = dimensions;
+BloomFilter.indexes = indexes;
+BloomFilter.readDimensions = readDimensions;
+
+/**
+ * A Bloom filter answers "has this member been added before?" in a fixed
+ * amount of memory. It never answers no for a member that was added, and
+ * answers yes for a member that was not added with a small, configurable
+ * false positive rate. A common use is dropping duplicate events before they
+ * reach the counters.
+ *
+ * Each member sets k bits of an m bit array, chosen by double hashing: the
+ * two halves of a 64-bit hash h1 and h2 give the bit indexes h1 + i * h2 mod m
+ * for i from 0 to k - 1.
+ *
+ * See Kirsch and Mitzenmacher "Less Hashing, Same Performance: Building a
+ * Better Bloom Filter" <https://www.eecs.harvard.edu/~michaelm/postscripts/rsa2008.pdf>
+ *
+ * @param {Number} expectedItems Number of members the filter is sized for.
+ *        More can be added, at the cost of a higher false positive rate.
+ * @param {Number} falsePositiveRate A value from (0-1) giving the probability
+ *        of a false positive once expectedItems members were added.
+ * @param {Object} options (Optional) Additional settings:
+ *        hash - Name of a 64-bit hash function from lib/hashing.js to map
+ *          keys with. Defaults to 'murmur3'.
+ * @param {Object} state Internal use.
+ */
+function BloomFilter(expectedItems, falsePositiveRate, options, state) {
+  var hasher = hashing.getHashFunction((options && options.hash) || 'murmur3');
+  if (hasher.bits !== 64)
+    throw new Error('BloomFilter requires a 64-bit hash function');
+
+  var size = state || dimensions(expectedItems, falsePositiveRate);
+  var m = size.m;
+  var k = size.k;
+  // One bit per position, packed eight to a byte
+  var bits = state ? state.bits : new Uint8Array(m / 8);
+  var positions = new Array(k);
+
+  /**
+   * Add a member to the filter.
+   * @param {String|Buffer} key Key to add.
+   * @returns {Boolean} True if the member was probably added before, false if
+   *          it certainly was not.
+   */
+  function add(key) {
+    indexes(hasher.hash(key), m, k, positions);
+    var seen = true;
+    for (var i = 0; i < k; i++) {
+      var byte = positions[i] >>> 3;
+      var mask = 1 << (positions[i] & 7);
+      if (!(bits[byte] & mask)) {
+        seen = false;
+        bits[byte] |= mask;
+      }
+    }
+    return seen;
+  }
+
+  /**
+   * Returns true if a member was probably added, false if it certainly was
+   * not.
+   * @param {String|Buffer} key Key to look up.
+   * @returns {Boolean}
+   */
+  function has(key) {
+    indexes(hasher.hash(key), m, k, positions);
+    for (var i = 0; i < k; i++) {
+      if (!(bits[positions[i] >>> 3] & (1 << (positions[i] & 7))))
+        return false;
+    }
+    return true;
+  }
+
+  /**
+   * Estimate the number of unique members added from the number of bits set.
+   * @returns {Number} Estimated cardinality.
+   */
+  function count() {
+    var set = setBits();
+    if (set === m)
+      return Infinity;
+    return -m / k * Math.log(1 - set / m);
+  }
+
+  /**
+   * Returns the probability that has() answers true for a member that was
+   * not added, given the bits set so far.
+   * @returns {Number} Current false positive rate.
+   */
+  function getFalsePositiveRate() {
+    return Math.pow(setBits() / m, k);
+  }
+
+  /**
+   * Returns the number of bytes of memory used by the bit array.
+   * @returns {Number} Size in bytes.
+   */
+  function getMemorySize() {
+    return bits.byteLength;
+  }
+
+  /**
+   * Merge another BloomFilter of the same size into this one, so it holds the
+   * union of both sets of members.
+   * @param {BloomFilter} bloomFilter The structure to merge in.
+   */
+  function merge(bloomFilter) {
+    checkCompatible(bloomFilter);
+    var other = bloomFilter.bits;
+    for (var i = 0; i < bits.length; i++)
+      bits[i] |= other[i];
+  }
+
+  /**
+   * Intersect this filter with another BloomFilter of the same size, so it
+   * holds the members that were added to both. The false positive rate of the
+   * result can be higher than that of a filter that only had those members
+   * added.
+   * @param {BloomFilter} bloomFilter The structure to intersect with.
+   */
+  function intersect(bloomFilter) {
+    checkCompatible(bloomFilter);
+    var other = bloomFilter.bits;
+    for (var i = 0; i < bits.length; i++)
+      bits[i] &= other[i];
+  }
+
+  /**
+   * @private
+   */
+  function checkCompatible(bloomFilter) {
+    if (bloomFilter.m !== m || bloomFilter.k !== k || !bloomFilter.bits)
+      throw new Error('cannot combine BloomFilter structures of different sizes');
+    if (bloomFilter.hash !== hasher.name)
+      throw new Error('cannot combine BloomFilter structures with different hash functions');
+  }
+
+  /**
+   * @private
+   */
+  function setBits() {
+    var set = 0;
+    for (var i = 0; i < bits.length; i++) {
+      var b = bits[i];
+      while (b) {
+        b &= b - 1;
+        ++set;
+      }
+    }
+    return set;
+  }
+
+  /**
+   * Serializes this data structure to a binary buffer.
+   * @returns {Buffer} Binary buffer holding the serialized form of this
+   *          structure.
+   */
+  function serialize() {
+    var buffer = serialization.allocate(serialization.TYPES.BloomFilter,
+      1 + serialization.varintLength(m) + 1 + bits.length);
+
+    var pos = serialization.HEADER_SIZE;
+    // Hash function id
+    buffer.writeUInt8(hasher.id, pos++, true);
+    // m and k
+    pos += serialization.writeVarint(buffer, m, pos);
+    buffer.writeUInt8(k, pos++, true);
+    // Bits
+    for (var i = 0; i < bits.length; i++)
+      buffer[pos++] = bits[i];
+
+    return serialization.seal(buffer);
+  }
+
+  return {
+    add: add,
+    has: has,
+    count: count,
+    getFalsePositiveRate: getFalsePositiveRate,
+    getMemorySize: getMemorySize,
+    serialize: serialize,
+    merge: merge,
+    intersect: intersect,
+    m: m,
+    k: k,
+    hash: hasher.name,
+    bits: bits
+  };
+}
+
+/**
+ * Deserialize a binary buffer into a reconstituted BloomFilter.
+ * @param {Buffer} buffer Binary buffer holding the serialized structure.
+ * @param {Number} start Starting offset of the structure in the buffer.
+ * @param {Number} length Length of the serialized structure in the buffer.
+ * @returns {BloomFilter} A BloomFilter object.
+ */
+BloomFilter.deserialize = function(buffer, start, length) {
+  start = start || 0;
+  length = length || buffer.length - start;
+  if (start + length > buffer.length)
+    throw new Error('start and buffer cannot go past the end of buffer');
+
+  var header = serialization.readHeader(buffer, start, length);
+  if (!header || header.type !== serialization.TYPES.BloomFilter) {
+    throw new Error('expected a serialized BloomFilter but found ' +
+      (header ? serialization.typeName(header.type) || 'unknown type ' + header.type
+        : 'a headerless buffer'));
+  }
+
+  var pos = header.start;
+  var size = readDimensions(buffer, pos, header.end, 'BloomFilter');
+  pos = size.pos;
+  if (pos + size.m / 8 !== header.end)
+    throw new Error('serialized BloomFilter has an invalid length');
+
+  var bits = new Uint8Array(size.m / 8);
+  for (var i = 0; i < bits.length; i++)
+    bits[i] = buffer[pos++];
+
+  return new BloomFilter(null, null, { hash: size.hash }, { m: size.m, k: size.k, bits: bits });
+};
+
+/**
+ * Returns the optimal size of a Bloom filter for a number of members and a
+ * false positive rate.
+ * @param {Number} expectedItems Number of members the filter is sized for.
+ * @param {Number} falsePositiveRate A value from (0-1).
+ * @returns {Object} Object of the form { m, k } giving the number of
+ *          positions, a multiple of 8, and of hash functions.
+ */
+function dimensions(expectedItems, falsePositiveRate) {
+  if (typeof expectedItems !== 'number' || !(expectedItems >= 1) || expectedItems === Infinity)
+    throw new Error('expectedItems must be a positive number');
+  if (typeof falsePositiveRate !== 'number' || !(falsePositiveRate > 0 && falsePositiveRate < 1))
+    throw new Error('falsePositiveRate must be between 0 and 1');
+
+  var m = Math.ceil(-expectedItems * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2));
+  m = Math.max(Math.ceil(m / 8) * 8, 8);
+  var k = Math.min(Math.max(Math.round(m / expectedItems * Math.LN2), 1), 255);
+  return { m: m, k: k };
+}
+
+/**
+ * Compute the k positions of a member by double hashing. Used by BloomFilter
+ * and CountingBloomFilter.
+ * @param {Array} hash 64-bit hash value as two unsigned 32-bit integers.
+ * @param {Number} m Number of positions.
+ * @param {Number} k Number of positions to compute.
+ * @param {Array} out Array to store the positions in.
+ * @returns {Array} out.
+ */
+function indexes(hash, m, k, out) {
+  var h1 = hash[0] % m;
+  // m is a multiple of 8, so an odd step never maps every position to h1
+  var h2 = ((hash[1] | 1) >>> 0) % m;
+  for (var i = 0; i < k; i++)
+    out[i] = (h1 + i * h2) % m;
+  return out;
+}
+
+/**
+ * Read the hash function id, m and k of a serialized Bloom filter. Used by
+ * BloomFilter and CountingBloomFilter.
+ * @private
+ */
+function readDimensions(buffer, pos, end, name) {
+  if (pos + 1 > end)
+    throw new Error('serialized ' + name + ' has an invalid length');
+  var hash = hashing.getHashFunction(buffer.readUInt8(pos++, true)).name;
+  var m = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(m);
+  if (pos + 1 > end)
+    throw new Error('serialized ' + name + ' has an invalid length');
+  var k = buffer.readUInt8(pos++, true);
+  if (!m || m % 8 || !k)
+    throw new Error('serialized ' + name + ' has invalid dimensions');
+  return { hash: hash, m: m, k: k, pos: pos };
+}
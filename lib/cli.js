@@ -0,0 +1,444 @@
+var fs = require('fs');
+
+var streamcount = require('../index');
+var serialization = require('./serialization');
+
+exports.run = run;
+exports.parseArgs = parseArgs;
+exports.describe = describe;
+
+var USAGE = [
+  'Usage: streamcount <command> [options] [files...]',
+  '',
+  'Commands:',
+  '  uniques [files...]    Estimate the number of unique keys',
+  '  topk [files...]       Estimate the most frequent keys',
+  '  quantiles [files...]  Estimate quantiles (not available in this version)',
+  '  merge <files...>      Merge serialized sketch files',
+  '  inspect <file>        Print the parameters and results of a sketch file',
+  '',
+  'Keys are read one per line from the given files, or from stdin if there are',
+  'none or a file is named -.',
+  '',
+  'Key extraction:',
+  '  -f, --field <n>        Use the nth field of each line, counting from 1',
+  '  -d, --delimiter <str>  Field delimiter. Defaults to runs of whitespace',
+  '  -j, --json <path>      Parse lines as JSON and use the value at a dotted',
+  '                         path such as request.url',
+  '',
+  'Sketch parameters:',
+  '  -e, --error <n>        Error rate. Defaults to 0.01 for uniques and 0.002',
+  '                         for topk',
+  '      --fail-rate <n>    Failure probability for topk. Defaults to 0.0001',
+  '  -k <n>                 Number of top keys for topk. Defaults to 10',
+  '      --hash <name>      Hash function: fnv1a, murmur3 or xxhash64',
+  '',
+  'Output:',
+  '  -F, --format <fmt>     text (the default), json or sketch',
+  '  -o, --output <file>    Write to a file instead of stdout',
+  '  -h, --help             Show this help'
+].join('\n');
+
+// Options that take a value, by their short and long names
+var OPTIONS = {
+  f: 'field', field: 'field',
+  d: 'delimiter', delimiter: 'delimiter',
+  j: 'json', json: 'json',
+  e: 'error', error: 'error',
+  'fail-rate': 'failRate',
+  k: 'k',
+  hash: 'hash',
+  F: 'format', format: 'format',
+  o: 'output', output: 'output'
+};
+
+var FLAGS = {
+  h: 'help', help: 'help'
+};
+
+/**
+ * Run the command line tool.
+ * @param {Array} argv Command line arguments, without the node executable
+ *        and script path.
+ * @param {Object} io Object of the form { stdin, stdout, stderr } holding the
+ *        streams to use.
+ * @param {Function} callback(err, exitCode) Called once the command has
+ *        finished. Errors are reported on stderr and result in exit code 1.
+ */
+function run(argv, io, callback) {
+  var done = false;
+  function finish(err) {
+    if (done)
+      return;
+    done = true;
+    if (err) {
+      io.stderr.write('streamcount: ' + err.message + '\n');
+      return callback(null, 1);
+    }
+    callback(null, 0);
+  }
+
+  var args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    return finish(err);
+  }
+
+  if (args.options.help || !args.command) {
+    io.stdout.write(USAGE + '\n');
+    return callback(null, args.command || args.options.help ? 0 : 1);
+  }
+
+  try {
+    var format = args.options.format || 'text';
+    if (format !== 'text' && format !== 'json' && format !== 'sketch')
+      throw new Error('format must be text, json or sketch');
+
+    switch (args.command) {
+      case 'uniques':
+      case 'topk':
+        return count(args, io, function(err, sketch) {
+          if (err)
+            return finish(err);
+          output(sketch, args.command, args.options, io, finish);
+        });
+      case 'quantiles':
+        throw new Error('quantiles are not available: this version of streamcount ' +
+          'has no quantile sketch');
+      case 'merge':
+        return output(merge(args.files), 'inspect', args.options, io, finish);
+      case 'inspect':
+        if (args.files.length !== 1)
+          throw new Error('inspect takes exactly one file');
+        return output(readSketch(args.files[0]), 'inspect', args.options, io, finish);
+      default:
+        throw new Error('unknown command ' + args.command + ', see streamcount --help');
+    }
+  } catch (err) {
+    finish(err);
+  }
+}
+
+/**
+ * Split command line arguments into the command, options and files.
+ * @param {Array} argv Command line arguments.
+ * @returns {Object} Object of the form { command, options, files }.
+ */
+function parseArgs(argv) {
+  var result = { command: null, options: {}, files: [] };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    var match = /^(--?)([^=]+)(?:=(.*))?$/.exec(arg);
+    if (!match || arg === '-') {
+      if (result.command === null)
+        result.command = arg;
+      else
+        result.files.push(arg);
+      continue;
+    }
+
+    var name = match[2];
+    if (match[1] === '-' && name.length > 1 && OPTIONS[name] === undefined)
+      throw new Error('unknown option ' + arg);
+    if (FLAGS[name]) {
+      result.options[FLAGS[name]] = true;
+    } else if (OPTIONS[name]) {
+      var value = match[3];
+      if (value === undefined) {
+        if (++i >= argv.length)
+          throw new Error('option ' + arg + ' requires a value');
+        value = argv[i];
+      }
+      result.options[OPTIONS[name]] = value;
+    } else {
+      throw new Error('unknown option ' + arg);
+    }
+  }
+  return result;
+}
+
+/**
+ * Read keys from the input files into a new sketch for the uniques or topk
+ * command.
+ * @private
+ */
+function count(args, io, callback) {
+  var options = args.options;
+  var sketch, stream;
+
+  if (args.command === 'uniques') {
+    sketch = streamcount.createUniquesCounter(number(options.error, 0.01, 'error'),
+      { hash: options.hash });
+  } else {
+    var k = number(options.k, 10, 'k');
+    if (k < 1 || k !== Math.floor(k))
+      throw new Error('k must be a positive integer');
+    sketch = streamcount.createViewsCounter(k, number(options.error, 0.002, 'error'),
+      number(options.failRate, 0.0001, 'fail-rate'), { hash: options.hash });
+  }
+
+  var skipped = 0;
+  var extract = keyExtractor(options);
+  stream = new streamcount.SketchStream(sketch, {
+    objectMode: false,
+    key: function(line) {
+      var key = extract(line);
+      if (key === null)
+        ++skipped;
+      return key;
+    }
+  });
+  stream.on('error', callback);
+  stream.on('finish', function() {
+    if (skipped)
+      io.stderr.write('streamcount: skipped ' + skipped + (skipped === 1 ? ' line' : ' lines') +
+        ' without a key\n');
+    callback(null, sketch);
+  });
+
+  var files = args.files.length ? args.files : ['-'];
+  var index = 0;
+  (function next() {
+    if (index >= files.length)
+      return stream.end();
+    var file = files[index++];
+    var input = file === '-' ? io.stdin : fs.createReadStream(file);
+    input.on('error', function(err) { stream.emit('error', err); });
+    input.on('end', function() {
+      // Keep the last line of one file apart from the first of the next
+      stream.write('\n');
+      next();
+    });
+    input.pipe(stream, { end: false });
+  })();
+}
+
+/**
+ * Returns a function mapping a line to its key, or to null if it has none.
+ * @private
+ */
+function keyExtractor(options) {
+  if (options.json !== undefined && options.field !== undefined)
+    throw new Error('use either --json or --field');
+
+  if (options.json !== undefined) {
+    var path = options.json ? options.json.split('.') : [];
+    return function(line) {
+      var value;
+      try {
+        value = JSON.parse(line);
+      } catch (err) {
+        return null;
+      }
+      for (var i = 0; i < path.length && value !== null && value !== undefined; i++)
+        value = typeof value === 'object' ? value[path[i]] : undefined;
+      if (value === null || value === undefined || typeof value === 'object')
+        return null;
+      return String(value);
+    };
+  }
+
+  if (options.field !== undefined) {
+    var field = number(options.field, 1, 'field');
+    if (field < 1 || field !== Math.floor(field))
+      throw new Error('field must be a positive integer');
+    var delimiter = options.delimiter === undefined ? null : unescape(options.delimiter);
+    if (delimiter === '')
+      throw new Error('delimiter cannot be empty');
+    return function(line) {
+      var fields = delimiter === null ? line.trim().split(/\s+/) : line.split(delimiter);
+      var value = fields[field - 1];
+      return value ? value : null;
+    };
+  }
+
+  if (options.delimiter !== undefined)
+    throw new Error('--delimiter requires --field');
+  return function(line) { return line; };
+}
+
+/**
+ * Deserialize and merge the given sketch files.
+ * @private
+ */
+function merge(files) {
+  if (!files.length)
+    throw new Error('merge takes one or more files');
+
+  var sketches = files.map(readSketch);
+  var type = sketches[0].type;
+  for (var i = 1; i < sketches.length; i++) {
+    if (sketches[i].type !== type) {
+      throw new Error('cannot merge ' + sketches[i].type + ' in ' + files[i] +
+        ' with ' + type + ' in ' + files[0]);
+    }
+  }
+
+  if (typeof sketches[0].sketch.merge !== 'function')
+    throw new Error(type + ' files cannot be merged');
+  if (type === 'HyperLogLog') {
+    // Unions of different precisions keep the lowest one
+    return {
+      type: type,
+      sketch: streamcount.HyperLogLog.union(sketches.map(function(s) { return s.sketch; }))
+    };
+  }
+  for (i = 1; i < sketches.length; i++)
+    sketches[0].sketch.merge(sketches[i].sketch);
+  return sketches[0];
+}
+
+/**
+ * Read a serialized sketch file.
+ * @private
+ */
+function readSketch(file) {
+  var buffer = fs.readFileSync(file);
+  var header = serialization.readHeader(buffer, 0, buffer.length);
+  if (!header)
+    throw new Error(file + ' does not contain a self-describing serialized sketch');
+  return {
+    type: serialization.typeName(header.type) || 'unknown type ' + header.type,
+    sketch: streamcount.deserialize(buffer)
+  };
+}
+
+/**
+ * Write a sketch, or what it holds, in the requested format.
+ * @private
+ */
+function output(entry, command, options, io, callback) {
+  var format = options.format || 'text';
+  if (command !== 'inspect')
+    entry = { type: command === 'uniques' ? 'HyperLogLog' : 'CountMinSketch', sketch: entry };
+
+  var data;
+  if (format === 'sketch') {
+    // Registries are serialized by snapshot()
+    data = entry.type === 'SketchRegistry' ? entry.sketch.snapshot() : entry.sketch.serialize();
+  } else {
+    var description = describe(entry.type, entry.sketch);
+    if (format === 'json')
+      data = JSON.stringify(description, null, 2) + '\n';
+    else if (command === 'inspect')
+      data = formatDescription(description);
+    else if (command === 'uniques')
+      data = Math.round(description.count) + '\n';
+    else
+      data = formatTop(description.top);
+  }
+
+  if (options.output)
+    return fs.writeFile(options.output, data, callback);
+  io.stdout.write(data);
+  callback();
+}
+
+/**
+ * Returns a plain object holding the parameters and results of a sketch.
+ * @param {String} type Name of the structure type, as in
+ *        serialization.TYPES.
+ * @param {Object} sketch The structure to describe.
+ * @returns {Object} Description of the sketch, suitable for JSON.
+ */
+function describe(type, sketch) {
+  var description = { type: type };
+  switch (type) {
+    case 'HyperLogLog':
+      var bounds = sketch.countWithBounds();
+      description.p = sketch.p;
+      description.m = sketch.m;
+      description.stdError = sketch.stdError;
+      description.hash = sketch.hash;
+      description.count = bounds.estimate;
+      description.lower = bounds.lower;
+      description.upper = bounds.upper;
+      break;
+    case 'SlidingHyperLogLog':
+      description.p = sketch.p;
+      description.m = sketch.m;
+      description.maxWindow = sketch.maxWindow;
+      description.hash = sketch.hash;
+      description.count = sketch.count();
+      break;
+    case 'CountMinSketch':
+      description.width = sketch.counts[0].length;
+      description.depth = sketch.counts.length;
+      description.epsilon = sketch.epsilon;
+      description.delta = sketch.delta;
+      description.maxEntries = sketch.maxEntries;
+      description.hash = sketch.hash;
+      description.seed = sketch.seed;
+      description.halfLife = sketch.halfLife;
+      description.total = sketch.getTotalCount();
+      description.errorBound = sketch.getErrorBound();
+      description.top = sketch.getTopK().map(function(entry) {
+        return { key: entry[1], count: entry[0] };
+      });
+      break;
+    case 'SpaceSaving':
+      description.maxEntries = sketch.maxEntries;
+      description.total = sketch.getTotalCount();
+      description.top = sketch.getTopK().map(function(entry) {
+        return { key: entry[1], count: entry[0], maxOverestimate: entry[2] };
+      });
+      break;
+    case 'CountSketch':
+      description.width = sketch.counts[0].length;
+      description.depth = sketch.counts.length;
+      description.maxEntries = sketch.maxEntries;
+      description.hash = sketch.hash;
+      description.seed = sketch.seed;
+      description.total = sketch.getTotalCount();
+      description.top = sketch.getTopK().map(function(entry) {
+        return { key: entry[1], count: entry[0] };
+      });
+      break;
+    case 'SketchRegistry':
+      description.names = sketch.names();
+      description.sketches = description.names.length;
+      break;
+    case 'BloomFilter':
+    case 'CountingBloomFilter':
+      description.m = sketch.m;
+      description.k = sketch.k;
+      description.hash = sketch.hash;
+      description.count = sketch.count();
+      description.falsePositiveRate = sketch.getFalsePositiveRate();
+      break;
+  }
+  return description;
+}
+
+function formatDescription(description) {
+  var lines = [];
+  for (var name in description) {
+    if (name !== 'top')
+      lines.push(name + ': ' + description[name]);
+  }
+  var text = lines.join('\n') + '\n';
+  if (description.top)
+    text += 'top:\n' + formatTop(description.top);
+  return text;
+}
+
+function formatTop(top) {
+  var text = '';
+  for (var i = 0; i < top.length; i++)
+    text += top[i].count + '\t' + top[i].key + '\n';
+  return text;
+}
+
+function number(value, defaultValue, name) {
+  if (value === undefined)
+    return defaultValue;
+  var n = Number(value);
+  if (value === '' || isNaN(n))
+    throw new Error(name + ' must be a number');
+  return n;
+}
+
+function unescape(str) {
+  return str.replace(/\\t/g, '\t').replace(/\\n/g, '\n').replace(/\\\\/g, '\\');
+}
@@ -1,11 +1,15 @@
 var MinHeap = require('./minHeap');
 var hashing = require('./hashing');
-var PRNG = require('./prng');
+var memorySize = require('./memorySize');
+var serialization = require('./serialization');
 
 module.exports = CountMinSketch;
 
 var INT_SIZE = 32;
 var MAX_INT = 0xFFFFFFFF;
+// Decayed counts are rescaled once new observations weigh this many powers of
+// two more than observations at the landmark time
+var MAX_DECAY_EXPONENT = 64;
 
 /**
  * Count-Min Sketch is an algorithm for estimating frequency counts for large
@@ -22,17 +26,37 @@ var MAX_INT = 0xFFFFFFFF;
  *        within a factor of epsilon.
  * @param {Number} delta The probability of getting the answer for a query
  *        completely wrong. From (0-1).
- * @param {Number} lgWidth Internal use.
- * @param {Array} counts Internal use.
- * @param {Array} hashFunctions Internal use.
- * @param {Array} heap Internal use.
+ * @param {Object} options (Optional) Additional settings:
+ *        hash - Name of the hash function from lib/hashing.js to map keys
+ *          with. Defaults to 'fnv1a'.
+ *        seed - Unsigned 32-bit integer selecting the row hash functions.
+ *          Structures can only be merged if they use the same seed. Defaults
+ *          to 1.
+ *        halfLife - Enables the time-decayed mode. Observations lose half of
+ *          their weight every halfLife milliseconds, so estimates and the top
+ *          entries favor recent activity. Counts become fractional scores.
+ *        clock - Function returning the current time in milliseconds, used
+ *          by the time-decayed mode. Defaults to Date.now.
+ * @param {Object} state Internal use.
  */
-function CountMinSketch(maxEntries, epsilon, delta, lgWidth, counts, hashFunctions, heap) {
+function CountMinSketch(maxEntries, epsilon, delta, options, state) {
   var i;
-  var mapLen = 0;
-  var map = {};
-
-  if (maxEntries) {
+  var lgWidth, counts, hashFunctions, heap, total;
+  var hasher = hashing.getHashFunction((options && options.hash) || 'fnv1a');
+  // Seed of the row hash functions. Structures deserialized from formats
+  // before version 5 have no seed and keep their stored multipliers
+  var seed = null;
+  // Lookup of key to the priority queue handle for its [count, key] tuple
+  var map = Object.create(null);
+  var heapq;
+  var clock = (options && options.clock) || Date.now;
+  // Half-life of the time-decayed mode in milliseconds, or null. Decayed
+  // counts are stored as forward-decay weights relative to the landmark time,
+  // which moves forward whenever the counts are renormalized
+  var halfLife = null;
+  var landmark = 0;
+
+  if (!state) {
     // Depth of the 2D storage array. Equal to the number of hash functions
     var depth = Math.max(Math.ceil(Math.log(1.0 / delta)), 1);
     // Width of the 2D storage array. Equal to the number of buckets for each
@@ -40,122 +64,452 @@ function CountMinSketch(maxEntries, epsilon, delta, lgWidth, counts, hashFunctio
     var width = Math.ceil(Math.E / epsilon);
 
     // Round width up to a power of 2. This implementation uses the multiply-
-    // shift family of hashing functions, requiring the number of hashing
-    // buckets to be a power of two and the hash function constants to be
-    // positive odd integers
+    // add-shift family of hashing functions, which requires the number of
+    // hashing buckets to be a power of two
     lgWidth = Math.ceil(log2(width));
     width = Math.pow(2, lgWidth);
 
-    // Initialize the columns of the 2D storage array
+    // Initialize the columns of the 2D storage array, filling each row with
+    // zeros
+    if (options && options.halfLife !== undefined) {
+      halfLife = options.halfLife;
+      if (typeof halfLife !== 'number' || !(halfLife > 0) || halfLife === Infinity)
+        throw new Error('halfLife must be a positive number of milliseconds');
+      landmark = clock();
+    }
+
     counts = new Array(depth);
+    for (i = 0; i < depth; i++)
+      counts[i] = halfLife ? new Float64Array(width) : new Uint32Array(width);
 
-    // Initialize the array of random integers that define each hash function
-    hashFunctions = new Array(depth);
+    seed = (options && options.seed !== undefined) ? options.seed : 1;
+    if (typeof seed !== 'number' || seed !== Math.floor(seed) || seed < 0 ||
+        seed > MAX_INT)
+      throw new Error('seed must be an unsigned 32-bit integer');
+    hashFunctions = hashing.seededHashFunctions(seed, depth);
 
     // Initialize the backing store for the priority queue. Later it will store
     // tuples of the form [count, key]
     heap = [];
 
-    // Create a random number generator with a constant seed to get
-    // reproducible results
-    var prng = new PRNG(1);
-    for (i = 0; i < depth; i++) {
-      // Generate a random odd positive integer defining each hash function
-      hashFunctions[i] = randomOddInt(prng);
-
-      // Initialize each row of the 2D storage array, filling it with zeros
-      counts[i] = new Array(width);
-      for (var j = 0; j < width; j++)
-        counts[i][j] = 0;
-    }
+    // Total number of observations recorded in this structure
+    total = 0;
   } else {
-    // Since maxEntries was not specified, assume we are constructing from
-    // deserialized data
-    mapLen = heap.length;
-    for (i = 0; i < heap.length; i++)
-      map[heap[i][1]] = heap[i];
+    // Since state was specified, assume we are constructing from deserialized
+    // data
+    lgWidth = state.lgWidth;
+    counts = state.counts;
+    if (state.seed !== undefined && state.seed !== null) {
+      seed = state.seed;
+      hashFunctions = hashing.seededHashFunctions(seed, counts.length);
+    } else {
+      hashFunctions = state.hashFunctions;
+    }
+    heap = state.heap;
+    total = state.total;
+    halfLife = state.halfLife || null;
+    landmark = state.landmark || 0;
+
+    // Older serialized forms do not store the top-K limit, so unless one is
+    // given the structure keeps as many entries as it was serialized with
+    maxEntries = maxEntries || heap.length;
   }
 
-  var heapq = new MinHeap(heap, sortAsc);
+  resetHeap(heap);
 
   /**
    * Record an observation of the given key.
-   * @param {String} key Key to increment the observation count for.
+   * @param {String|Buffer} key Key to increment the observation count for.
+   * @param {Number|Object} count (Optional) Number of observations to record,
+   *        such as bytes served or pre-aggregated hits. Defaults to 1. Must be
+   *        an integer unless counts decay. In the time-decayed mode this can
+   *        also be an object of the form
+   *        { count, timestamp } to record observations made at a given time
+   *        instead of the current time of the clock.
+   */
+  function increment(key, count) {
+    var timestamp;
+    if (count !== null && typeof count === 'object') {
+      timestamp = count.timestamp;
+      count = count.count;
+    }
+    key = hashing.keyString(key);
+    // Update the priority queue with the updated [count, key] tuple
+    updateHeap(key, update(key, count, timestamp));
+  }
+
+  /**
+   * Record a batch of observations. The counts are updated for every entry
+   * first and the priority queue is updated once per distinct key afterwards.
+   * @param {Array} entries Array of keys to increment by one, or [key, count]
+   *        tuples to increment by count.
    */
-  function increment(key) {
+  function incrementMany(entries) {
+    var touched = Object.create(null);
+    var key, i;
+
+    for (i = 0; i < entries.length; i++) {
+      var entry = entries[i];
+      if (Array.isArray(entry)) {
+        key = hashing.keyString(entry[0]);
+        update(key, entry[1]);
+      } else {
+        key = hashing.keyString(entry);
+        update(key);
+      }
+      touched[key] = true;
+    }
+
+    // Refresh the counts of keys already in the priority queue and restore
+    // the heap property once, rather than once for every key
+    var newKeys = [];
+    for (key in touched) {
+      var handle = map[key];
+      if (handle === undefined)
+        newKeys.push(key);
+      else
+        handle.value[0] = rawEstimate(key);
+    }
+    heapq.heapifyArray();
+
+    for (i = 0; i < newKeys.length; i++)
+      updateHeap(newKeys[i], rawEstimate(newKeys[i]));
+  }
+
+  /**
+   * Add count to the buckets for the given key and return the new estimate.
+   * @private
+   */
+  function update(key, count, timestamp) {
+    if (count === undefined)
+      count = 1;
+    if (typeof count !== 'number' || !(count >= 0))
+      throw new Error('count must be a non-negative number');
+    // Counters without decay are whole numbers, and fractions would make the
+    // counters, the top entries and the total disagree
+    if (!halfLife && (count !== Math.floor(count) || !isFinite(count)))
+      throw new Error('count must be an integer unless counts decay');
+    if (timestamp !== undefined && !halfLife)
+      throw new Error('timestamps require a CountMinSketch with a halfLife');
+
+    if (halfLife) {
+      if (timestamp === undefined)
+        timestamp = clock();
+      if (typeof timestamp !== 'number' || !isFinite(timestamp))
+        throw new Error('timestamp must be a number of milliseconds');
+      // Forward decay. Newer observations weigh exponentially more than older
+      // ones, which is the same as decaying everything recorded before them
+      var exponent = (timestamp - landmark) / halfLife;
+      if (exponent > MAX_DECAY_EXPONENT) {
+        renormalize(timestamp);
+        exponent = 0;
+      }
+      count *= Math.pow(2, exponent);
+    }
+
     // Map the key to an integer value
-    var ix = hashing.fnv1a(key);
-    var est = MAX_INT;
+    var ix = hashKey(key);
+    var est = Infinity;
     var i, j;
 
     // Find the lowest stored value in the corresponding buckets for this key
-    for (i = 0; i < hashFunctions.length; i++) {
-      j = multiplyShift(lgWidth, hashFunctions[i], ix);
+    for (i = 0; i < counts.length; i++) {
+      j = bucket(i, ix);
       est = Math.min(est, counts[i][j]);
     }
 
-    // Conservative update. Only update the corresponding buckets with the
-    // lowest observed value, with the intuition that buckets containing higher
-    // values are due to a collision
-    for (i = 0; i < hashFunctions.length; i++) {
-      j = multiplyShift(lgWidth, hashFunctions[i], ix);
-      if (counts[i][j] === est)
-        counts[i][j] = est + 1;
+    // Conservative update. Raise the corresponding buckets to at most the
+    // lowest observed value plus count, with the intuition that buckets
+    // already containing higher values are due to a collision
+    est = Math.min(est + count, maxCount());
+    for (i = 0; i < counts.length; i++) {
+      j = bucket(i, ix);
+      if (counts[i][j] < est)
+        counts[i][j] = est;
     }
+    total += count;
 
-    // Update the priority queue with the updated [count, key] tuple
-    updateHeap(key, est + 1);
+    return est;
   }
 
   function updateHeap(key, est) {
-    // If we have already hit maxEntries and this count is lower than the
-    // smallest value in the priority queue, do nothing
-    if (heap[0] && heap[0][0] >= est && mapLen >= maxEntries)
-      return;
-
     // Attempt to retrieve the existing tuple for this key
-    var probe = map[key];
-    if (probe === undefined) {
-      // Create a new [count, key] tuple
-      var entry = [est, key];
-
-      if (mapLen < maxEntries) {
-        // Still growing...
-        heapq.push(entry);
-        if (map[key] === undefined)
-          ++mapLen;
-        map[key] = entry;
-      } else {
-        // Push this guy out
-        heapq.push(entry);
-        var oldEntry = heapq.pop();
-        delete map[oldEntry[1]];
-        --mapLen;
-        if (map[key] === undefined)
-          ++mapLen;
-        map[key] = entry;
-      }
-    } else {
-      // Update the existing tuple and re-sort the priority queue
-      probe[0] = est;
-      heapq.heap.sort(sortAsc);
+    var handle = map[key];
+    if (handle !== undefined) {
+      // Update the existing tuple and move it to its new heap position
+      handle.value[0] = est;
+      heapq.update(handle);
+    } else if (heapq.size() < maxEntries) {
+      // Still growing...
+      map[key] = heapq.push([est, key]);
+    } else if (heapq.size() && heapq.peek()[0] < est) {
+      // Push the smallest entry out
+      delete map[heapq.peek()[1]];
+      map[key] = heapq.replaceTop([est, key]);
     }
   }
 
+  /**
+   * Rescale the decayed counts so the given time becomes the landmark.
+   * @private
+   */
+  function renormalize(time) {
+    var factor = Math.pow(2, -(time - landmark) / halfLife);
+    var i, j;
+    for (i = 0; i < counts.length; i++) {
+      var countsRow = counts[i];
+      for (j = 0; j < countsRow.length; j++)
+        countsRow[j] *= factor;
+    }
+    // Scaling every count by the same factor keeps the heap ordered
+    for (i = 0; i < heapq.heap.length; i++)
+      heapq.heap[i][0] *= factor;
+    total *= factor;
+    landmark = time;
+  }
+
+  /**
+   * Returns the weight of an observation at the landmark time at the given
+   * time, or 1 if counts do not decay.
+   * @private
+   */
+  function decayFactor(time) {
+    if (!halfLife)
+      return 1;
+    if (time === undefined)
+      time = clock();
+    return Math.pow(2, -(time - landmark) / halfLife);
+  }
+
+  /**
+   * Returns the largest value a bucket can hold.
+   * @private
+   */
+  function maxCount() {
+    return halfLife ? Infinity : MAX_INT;
+  }
+
+  /**
+   * Replace the contents of the priority queue with the given [count, key]
+   * tuples.
+   * @private
+   */
+  function resetHeap(entries) {
+    map = Object.create(null);
+    heapq = new MinHeap(null, sortAsc);
+    for (var i = 0; i < entries.length; i++)
+      map[entries[i][1]] = heapq.push(entries[i]);
+  }
+
   /**
    * Returns a sorted list of tuples containing the estimated frequency count
-   * and key for the maxEntries top observed members.
+   * and key for the maxEntries top observed members. In the time-decayed
+   * mode the counts are decayed scores at the current time of the clock.
+   * @param {Object} options (Optional) Additional settings:
+   *        withBounds - Return objects of the form { key, estimate, lower,
+   *          upper, guaranteed } instead of tuples. The true count is at most
+   *          upper, and at least lower with probability 1 - delta.
+   *        threshold - Count the guaranteed flag is computed against. An entry
+   *          is guaranteed if its lower bound exceeds it. Defaults to 0.
    * @returns {Array} An array of length maxEntries, containing arrays where
    *          the first value is the estimated frequency count and the second
    *          value is the given key.
    */
-  function getTopK() {
+  function getTopK(options) {
     // Create a copy of the heap backing store
     var vals = heapq.heap.slice(0);
+    if (halfLife) {
+      var factor = decayFactor();
+      for (var i = 0; i < vals.length; i++)
+        vals[i] = [vals[i][0] * factor, vals[i][1]];
+    }
     // Sort in descending order since the priority queue is sorted in ascending
     // order and only maintains partial ordering
     vals.sort(sortDesc);
-    return vals;
+    if (!options || !options.withBounds)
+      return vals;
+
+    var threshold = options.threshold || 0;
+    var errorBound = getErrorBound();
+    return vals.map(function(entry) {
+      var lower = Math.max(entry[0] - errorBound, 0);
+      return {
+        key: entry[1],
+        estimate: entry[0],
+        lower: lower,
+        upper: entry[0],
+        guaranteed: lower > threshold
+      };
+    });
+  }
+
+  /**
+   * Returns the top observed members that may have been seen more than a
+   * fraction phi of all observations, with the same bounds as
+   * getTopK({ withBounds: true }). Members are guaranteed if their count
+   * exceeds phi times the total with probability 1 - delta.
+   * @param {Number} phi Fraction of the total observation count, from (0-1).
+   * @returns {Array} Array of { key, estimate, lower, upper, guaranteed }
+   *          objects, highest estimate first.
+   */
+  function getHeavyHitters(phi) {
+    if (typeof phi !== 'number' || !(phi > 0 && phi < 1))
+      throw new Error('phi must be between 0 and 1');
+
+    var threshold = phi * getTotalCount();
+    return getTopK({ withBounds: true, threshold: threshold }).filter(function(entry) {
+      return entry.upper > threshold;
+    });
+  }
+
+  /**
+   * Merge another CountMinSketch structure of the same size into this one.
+   * The counts are summed and the top entries are rebuilt from the keys of
+   * both structures, re-estimated against the merged counts. Time-decayed
+   * structures must have the same half-life.
+   * @param {CountMinSketch} countMinSketch The structure to merge in.
+   */
+  function merge(countMinSketch) {
+    var i, j;
+
+    checkCompatible(countMinSketch);
+
+    // Bring decayed counts to the later of the two landmarks, then scale the
+    // other counts to it
+    var scale = 1;
+    if (halfLife) {
+      if (countMinSketch.landmark > landmark)
+        renormalize(countMinSketch.landmark);
+      scale = Math.pow(2, (countMinSketch.landmark - landmark) / halfLife);
+    }
+
+    // Sum the counts
+    total += countMinSketch.getTotalCount(landmark);
+    var max = maxCount();
+    for (i = 0; i < counts.length; i++) {
+      var countsRow = counts[i];
+      var otherRow = countMinSketch.counts[i];
+      for (j = 0; j < countsRow.length; j++)
+        countsRow[j] = Math.min(countsRow[j] + otherRow[j] * scale, max);
+    }
+
+    // Collect the union of the keys tracked by both priority queues
+    var keys = Object.create(null);
+    var entries = heapq.heap.concat(countMinSketch.getTopK());
+    for (i = 0; i < entries.length; i++)
+      keys[entries[i][1]] = true;
+
+    // Re-estimate each key against the merged counts and keep the top
+    // maxEntries of them
+    var candidates = [];
+    for (var key in keys)
+      candidates.push([rawEstimate(key), key]);
+    candidates.sort(sortDesc);
+    candidates.length = Math.min(candidates.length, maxEntries);
+
+    // Rebuild the priority queue and key lookup map
+    resetHeap(candidates);
+  }
+
+  /**
+   * Returns the estimated frequency count for the given key, whether or not it
+   * is one of the maxEntries top observed members. The estimate is never lower
+   * than the true count, and exceeds it by no more than getErrorBound() with
+   * probability 1 - delta. In the time-decayed mode this is the decayed
+   * score at the current time of the clock.
+   * @param {String|Buffer} key Key to estimate the observation count for.
+   * @returns {Number} Estimated frequency count.
+   */
+  function estimate(key) {
+    return rawEstimate(hashing.keyString(key)) * decayFactor();
+  }
+
+  /**
+   * Returns the lowest bucket value for the given key, before any decay.
+   * @private
+   */
+  function rawEstimate(key) {
+    var ix = hashKey(key);
+    var est = Infinity;
+    for (var i = 0; i < counts.length; i++)
+      est = Math.min(est, counts[i][bucket(i, ix)]);
+    return est;
+  }
+
+  /**
+   * Returns the bucket of the given row that a hashed key maps to.
+   * @private
+   */
+  function bucket(row, ix) {
+    if (seed === null)
+      return multiplyShift(lgWidth, hashFunctions[row], ix);
+    var a = row * 4;
+    return hashing.multiplyAddShift(lgWidth, hashFunctions[a], hashFunctions[a + 1],
+      hashFunctions[a + 2], hashFunctions[a + 3], ix);
+  }
+
+  /**
+   * Map a key to the 32-bit integer the row hash functions are applied to.
+   * @private
+   */
+  function hashKey(key) {
+    var hash = hasher.hash(key);
+    return hasher.bits === 32 ? hash : (hash[0] ^ hash[1]) >>> 0;
+  }
+
+  /**
+   * Returns the total number of observations recorded in this structure. In
+   * the time-decayed mode this is the sum of the decayed scores.
+   * @param {Number} time (Optional) Time to decay the total to, in
+   *        milliseconds. Defaults to the current time of the clock.
+   * @returns {Number} Total observation count.
+   */
+  function getTotalCount(time) {
+    return total * decayFactor(time);
+  }
+
+  /**
+   * Returns the maximum amount an estimate can exceed the true count by, with
+   * probability 1 - delta. This is epsilon times the total observation count,
+   * where epsilon and delta are derived from the structure dimensions.
+   * @returns {Number} Error bound for estimate() and getTopK() counts.
+   */
+  function getErrorBound() {
+    return Math.E / counts[0].length * getTotalCount();
+  }
+
+  /**
+   * Returns the number of bytes of memory used by this structure. The
+   * counts and hash functions are measured exactly, the top entries
+   * approximately.
+   * @returns {Number} Size in bytes.
+   */
+  function getMemorySize() {
+    return memorySize.typedArrays(counts) + hashFunctions.byteLength +
+      memorySize.tuples(heapq.heap);
+  }
+
+  /**
+   * Throws if the given structure does not have the same dimensions, seed,
+   * hash functions and half-life as this one.
+   * @private
+   */
+  function checkCompatible(countMinSketch) {
+    var other = countMinSketch.counts;
+    if (!other || other.length !== counts.length ||
+        other[0].length !== counts[0].length)
+      throw new Error('cannot merge CountMinSketch structures of different size');
+    if (countMinSketch.seed !== seed)
+      throw new Error('cannot merge CountMinSketch structures with different seeds');
+
+    var same = countMinSketch.hash === hasher.name &&
+      countMinSketch.hashFunctions.length === hashFunctions.length;
+    for (var i = 0; i < hashFunctions.length; i++)
+      same = same && countMinSketch.hashFunctions[i] === hashFunctions[i];
+    if (!same)
+      throw new Error('cannot merge CountMinSketch structures with different hash functions');
+    if ((countMinSketch.halfLife || null) !== halfLife)
+      throw new Error('cannot merge CountMinSketch structures with different half-lives');
   }
 
   /**
@@ -164,78 +518,382 @@ function CountMinSketch(maxEntries, epsilon, delta, lgWidth, counts, hashFunctio
    *          structure.
    */
   function serialize() {
-    var i;
-
-    var heapLen = 0;
-    for (i = 0; i < heapq.heap.length; i++)
-      heapLen += 4 + 1 + Buffer.byteLength(heapq.heap[i][1]);
+    var i, j;
+    var entries = heapq.heap;
 
     var depth = counts.length;
     var width = counts[0].length;
+    // Decayed counts are stored as doubles
+    var countSize = halfLife ? 8 : 4;
+
+    var heapLen = serialization.varintLength(entries.length);
+    var keyLens = new Array(entries.length);
+    for (i = 0; i < entries.length; i++) {
+      keyLens[i] = Buffer.byteLength(entries[i][1]);
+      heapLen += countSize + serialization.varintLength(keyLens[i]) + keyLens[i];
+    }
 
-    var buffer = new Buffer(
-      4 +
-      8 + counts.length * width * 4 +
-      4 + hashFunctions.length * 4 +
-      4 + heapLen);
-
-    // lgWidth
-    var pos = 0;
-    buffer.writeUInt32LE(lgWidth, pos, true);
-    pos += 4;
-    // depth and width
-    buffer.writeUInt32LE(depth, pos, true);
-    pos += 4;
-    buffer.writeUInt32LE(width, pos, true);
+    var buffer = serialization.allocate(serialization.TYPES.CountMinSketch,
+      serialization.varintLength(maxEntries) +
+      1 + 1 + 1 + 4 + 8 + (halfLife ? 8 : 0) +
+      serialization.varintLength(depth) +
+      depth * width * countSize +
+      (seed === null ? depth * 4 : 0) +
+      8 +
+      heapLen);
+
+    var pos = serialization.HEADER_SIZE;
+    // maxEntries
+    pos += serialization.writeVarint(buffer, maxEntries, pos);
+    // lgWidth and hash function
+    buffer.writeUInt8(lgWidth, pos, true);
+    pos++;
+    buffer.writeUInt8(hasher.id, pos, true);
+    pos++;
+    // Row hash functions, 1 if they are derived from the seed or 0 if the
+    // multipliers of an older format are stored after the counts
+    buffer.writeUInt8(seed === null ? 0 : 1, pos, true);
+    pos++;
+    buffer.writeUInt32LE(seed === null ? 0 : seed, pos, true);
     pos += 4;
+    // Half-life, 0 if counts do not decay, followed by the landmark time
+    buffer.writeDoubleLE(halfLife || 0, pos, true);
+    pos += 8;
+    if (halfLife) {
+      buffer.writeDoubleLE(landmark, pos, true);
+      pos += 8;
+    }
+    // depth
+    pos += serialization.writeVarint(buffer, depth, pos);
     // counts
     for (i = 0; i < depth; i++) {
       var countsRow = counts[i];
-      for (var j = 0; j < width; j++)
-        buffer.writeUInt32LE(countsRow[j], pos + j * 4, true);
-      pos += width * 4;
+      for (j = 0; j < width; j++) {
+        if (halfLife)
+          buffer.writeDoubleLE(countsRow[j], pos + j * 8, true);
+        else
+          buffer.writeUInt32LE(countsRow[j], pos + j * 4, true);
+      }
+      pos += width * countSize;
     }
-    // hashFunctions
-    buffer.writeUInt32LE(hashFunctions.length, pos, true);
-    pos += 4;
-    for (i = 0; i < hashFunctions.length; i++)
-      buffer.writeUInt32LE(hashFunctions[i], pos + i * 4, true);
-    pos += hashFunctions.length * 4;
+    // Stored multipliers, one per row
+    if (seed === null) {
+      for (i = 0; i < depth; i++)
+        buffer.writeUInt32LE(hashFunctions[i], pos + i * 4, true);
+      pos += depth * 4;
+    }
+    // total
+    buffer.writeDoubleLE(total, pos, true);
+    pos += 8;
     // heap
-    buffer.writeUInt32LE(heapq.heap.length, pos, true);
-    pos += 4;
-    for (i = 0; i < heapq.heap.length; i++) {
+    pos += serialization.writeVarint(buffer, entries.length, pos);
+    for (i = 0; i < entries.length; i++) {
       // Estimated count
-      buffer.writeUInt32LE(heapq.heap[i][0], pos, true);
-      pos += 4;
+      if (halfLife)
+        buffer.writeDoubleLE(entries[i][0], pos, true);
+      else
+        buffer.writeUInt32LE(entries[i][0], pos, true);
+      pos += countSize;
       // Key
-      var keyLen = Buffer.byteLength(heapq.heap[i][1]);
-      buffer.writeUInt8(keyLen, pos, true);
-      pos++;
-      buffer.write(heapq.heap[i][1], pos, keyLen, 'utf8');
-      pos += keyLen;
+      pos += serialization.writeVarint(buffer, keyLens[i], pos);
+      buffer.write(entries[i][1], pos, keyLens[i], 'utf8');
+      pos += keyLens[i];
     }
 
-    return buffer;
+    return serialization.seal(buffer);
   }
 
-  return { increment: increment, getTopK: getTopK, serialize: serialize };
+  return {
+    increment: increment,
+    incrementMany: incrementMany,
+    estimate: estimate,
+    getTopK: getTopK,
+    getHeavyHitters: getHeavyHitters,
+    getTotalCount: getTotalCount,
+    getErrorBound: getErrorBound,
+    getMemorySize: getMemorySize,
+    serialize: serialize,
+    merge: merge,
+    maxEntries: maxEntries,
+    // Error factor and failure probability of the structure dimensions
+    epsilon: Math.E / counts[0].length,
+    delta: Math.exp(-counts.length),
+    counts: counts,
+    hashFunctions: hashFunctions,
+    hash: hasher.name,
+    seed: seed,
+    halfLife: halfLife,
+    clock: clock,
+    get landmark() { return landmark; }
+  };
 }
 
+/**
+ * Combine two CountMinSketch structures of the same size into a new one,
+ * leaving both inputs untouched.
+ * @param {CountMinSketch} a The first structure to combine.
+ * @param {CountMinSketch} b The second structure to combine.
+ * @returns {CountMinSketch} A new CountMinSketch object.
+ */
+CountMinSketch.combine = function(a, b) {
+  var counts = new Array(a.counts.length);
+  for (var i = 0; i < counts.length; i++)
+    counts[i] = new a.counts[i].constructor(a.counts[i]);
+  var lgWidth = Math.round(log2(counts[0].length));
+  // The merge below re-estimates these entries, which also undoes the decay
+  // getTopK() applies to them
+  var heap = a.getTopK();
+  for (i = 0; i < heap.length; i++)
+    heap[i] = heap[i].slice(0);
+
+  var combined = new CountMinSketch(Math.max(a.maxEntries, b.maxEntries),
+    null, null, { hash: a.hash, clock: a.clock }, {
+      lgWidth: lgWidth,
+      counts: counts,
+      seed: a.seed,
+      hashFunctions: new Uint32Array(a.hashFunctions),
+      heap: heap,
+      total: a.getTotalCount(a.landmark),
+      halfLife: a.halfLife,
+      landmark: a.landmark
+    });
+  combined.merge(b);
+  return combined;
+};
+
+/**
+ * Compare two CountMinSketch structures, such as a current and a baseline
+ * window, and return the keys whose counts changed the most. The candidates
+ * are the top entries of both structures and any keys given in options, each
+ * estimated with point queries on both. Only changes that exceed the error
+ * bounds of both estimates are reported, so noise within the sketch error is
+ * not mistaken for a trend.
+ * @param {CountMinSketch} current The structure holding the current counts.
+ * @param {CountMinSketch} baseline The structure to compare against.
+ * @param {Object} options (Optional) Additional settings:
+ *        limit - Maximum number of keys in each list. Defaults to 10.
+ *        minRatio - Smallest ratio of the counts, or of the baseline to the
+ *          current counts for decreases, a key must be guaranteed to reach to
+ *          be listed as a relative change. Defaults to 1.
+ *        keys - Array of additional keys to compare, such as a watch list.
+ * @returns {Object} Object of the form { increases, decreases,
+ *          relativeIncreases, relativeDecreases }. increases and decreases
+ *          are ordered by the difference of the counts, the relative lists by
+ *          their ratio. Each entry is an object of the form { key, current,
+ *          baseline, change, ratio } where each value is an object of the
+ *          form { estimate, lower, upper }.
+ */
+CountMinSketch.compare = function(current, baseline, options) {
+  var limit = (options && options.limit !== undefined) ? options.limit : 10;
+  var minRatio = (options && options.minRatio !== undefined) ? options.minRatio : 1;
+  if (typeof limit !== 'number' || !(limit >= 0) || limit !== Math.floor(limit))
+    throw new Error('limit must be a non-negative integer');
+  if (typeof minRatio !== 'number' || !(minRatio >= 1))
+    throw new Error('minRatio must be a number of at least 1');
+
+  var i, key;
+  var keys = Object.create(null);
+  var entries = current.getTopK().concat(baseline.getTopK());
+  for (i = 0; i < entries.length; i++)
+    keys[entries[i][1]] = true;
+  var extra = (options && options.keys) || [];
+  for (i = 0; i < extra.length; i++)
+    keys[extra[i]] = true;
+
+  var currentError = current.getErrorBound();
+  var baselineError = baseline.getErrorBound();
+  var increases = [];
+  var decreases = [];
+  for (key in keys) {
+    // Each estimate is at most the true count plus the error bound
+    var cur = estimateBounds(current.estimate(key), currentError);
+    var base = estimateBounds(baseline.estimate(key), baselineError);
+    var entry = {
+      key: key,
+      current: cur,
+      baseline: base,
+      change: {
+        estimate: cur.estimate - base.estimate,
+        lower: cur.lower - base.upper,
+        upper: cur.upper - base.lower
+      },
+      ratio: {
+        estimate: ratio(cur.estimate, base.estimate),
+        lower: ratio(cur.lower, base.upper),
+        upper: ratio(cur.upper, base.lower)
+      }
+    };
+    if (entry.change.lower > 0)
+      increases.push(entry);
+    else if (entry.change.upper < 0)
+      decreases.push(entry);
+  }
+
+  var relativeIncreases = increases.filter(function(entry) {
+    return entry.ratio.lower >= minRatio;
+  });
+  var relativeDecreases = decreases.filter(function(entry) {
+    return entry.ratio.upper <= 1 / minRatio;
+  });
+
+  increases.sort(function(a, b) {
+    return b.change.estimate - a.change.estimate || byKey(a, b);
+  });
+  decreases.sort(function(a, b) {
+    return a.change.estimate - b.change.estimate || byKey(a, b);
+  });
+  relativeIncreases.sort(function(a, b) {
+    return compareRatios(b.ratio.estimate, a.ratio.estimate) ||
+      b.change.estimate - a.change.estimate || byKey(a, b);
+  });
+  relativeDecreases.sort(function(a, b) {
+    return compareRatios(a.ratio.estimate, b.ratio.estimate) ||
+      a.change.estimate - b.change.estimate || byKey(a, b);
+  });
+
+  return {
+    increases: increases.slice(0, limit),
+    decreases: decreases.slice(0, limit),
+    relativeIncreases: relativeIncreases.slice(0, limit),
+    relativeDecreases: relativeDecreases.slice(0, limit)
+  };
+};
+
 /**
  * Deserialize a binary buffer into a reconstituted CountMinSketch structure.
  * @param {Buffer} buffer Binary buffer holding the serialized structure.
  * @param {Number} start Starting offset of the structure in the buffer.
  * @param {Number} length Length of the serialized structure in the buffer.
+ * @param {Object} options (Optional) Additional settings:
+ *        clock - Function returning the current time in milliseconds, used
+ *          by the time-decayed mode. Defaults to Date.now.
  * @returns {CountMinSketch} A CountMinSketch object.
  */
-CountMinSketch.deserialize = function(buffer, start, length) {
+CountMinSketch.deserialize = function(buffer, start, length, options) {
   start = start || 0;
-  length = length || buffer.length;
+  length = length || buffer.length - start;
   if (start + length > buffer.length)
     throw new Error('start and buffer cannot go past the end of buffer');
 
-  var i;
+  var header = serialization.readHeader(buffer, start, length);
+  if (!header)
+    return deserializeV0(buffer, start, length);
+  if (header.type !== serialization.TYPES.CountMinSketch) {
+    throw new Error('expected a serialized CountMinSketch but found ' +
+      (serialization.typeName(header.type) || 'unknown type ' + header.type));
+  }
+
+  var i, j;
+
+  var pos = header.start;
+  // maxEntries
+  var maxEntries = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(maxEntries);
+  // lgWidth and hash function. Versions before 3 always used FNV-1a
+  var lgWidth = buffer.readUInt8(pos, true);
+  pos++;
+  var hash = 'fnv1a';
+  if (header.version >= 3) {
+    hash = hashing.getHashFunction(buffer.readUInt8(pos, true)).name;
+    pos++;
+  }
+  // Row hash functions. Versions before 5 always stored the multipliers
+  var seed = null;
+  if (header.version >= 5) {
+    var seeded = buffer.readUInt8(pos, true) === 1;
+    pos++;
+    if (seeded)
+      seed = buffer.readUInt32LE(pos, true);
+    pos += 4;
+  }
+  // Half-life and landmark time. Versions before 6 never decayed
+  var halfLife = null;
+  var landmark = 0;
+  if (header.version >= 6) {
+    if (pos + 8 > header.end)
+      throw new Error('serialized CountMinSketch has an invalid length');
+    halfLife = buffer.readDoubleLE(pos, true) || null;
+    pos += 8;
+    if (halfLife) {
+      if (pos + 8 > header.end)
+        throw new Error('serialized CountMinSketch has an invalid length');
+      landmark = buffer.readDoubleLE(pos, true);
+      pos += 8;
+    }
+  }
+  var countSize = halfLife ? 8 : 4;
+  // depth
+  var depth = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(depth);
+  var width = Math.pow(2, lgWidth);
+  var multipliersLength = seed === null ? depth * 4 : 0;
+  if (pos + depth * width * countSize + multipliersLength + 8 > header.end)
+    throw new Error('serialized CountMinSketch has an invalid length');
+  // counts
+  var counts = new Array(depth);
+  for (i = 0; i < depth; i++) {
+    if (halfLife) {
+      counts[i] = new Float64Array(width);
+      for (j = 0; j < width; j++)
+        counts[i][j] = buffer.readDoubleLE(pos + j * 8, true);
+    } else {
+      counts[i] = new Uint32Array(width);
+      for (j = 0; j < width; j++)
+        counts[i][j] = buffer.readUInt32LE(pos + j * 4, true);
+    }
+    pos += width * countSize;
+  }
+  // Stored multipliers
+  var hashFunctions = null;
+  if (seed === null) {
+    hashFunctions = new Uint32Array(depth);
+    for (i = 0; i < depth; i++)
+      hashFunctions[i] = buffer.readUInt32LE(pos + i * 4, true);
+    pos += depth * 4;
+  }
+  // total
+  var total = buffer.readDoubleLE(pos, true);
+  pos += 8;
+  // heap
+  var heapLen = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(heapLen);
+  var heap = new Array(heapLen);
+  for (i = 0; i < heapLen; i++) {
+    if (pos + countSize > header.end)
+      throw new Error('serialized CountMinSketch has an invalid length');
+    // Estimated count
+    var est = halfLife ? buffer.readDoubleLE(pos, true) : buffer.readUInt32LE(pos, true);
+    pos += countSize;
+    // Key
+    var keyLen = serialization.readVarint(buffer, pos);
+    pos += serialization.varintLength(keyLen);
+    if (pos + keyLen > header.end)
+      throw new Error('serialized CountMinSketch has an invalid length');
+    heap[i] = [est, buffer.toString('utf8', pos, pos + keyLen)];
+    pos += keyLen;
+  }
+
+  return new CountMinSketch(maxEntries, null, null, {
+    hash: hash,
+    clock: options && options.clock
+  }, {
+    lgWidth: lgWidth,
+    counts: counts,
+    seed: seed,
+    hashFunctions: hashFunctions,
+    heap: heap,
+    total: total,
+    halfLife: halfLife,
+    landmark: landmark
+  });
+};
+
+/**
+ * Deserialize the original headerless layout. Keys are limited to 255 bytes
+ * and the top-K limit is not stored.
+ */
+function deserializeV0(buffer, start, length) {
+  var i, j;
 
   // lgWidth
   var pos = start;
@@ -249,15 +907,15 @@ CountMinSketch.deserialize = function(buffer, start, length) {
   // counts
   var counts = new Array(depth);
   for (i = 0; i < depth; i++) {
-    counts[i] = new Array(width);
-    for (var j = 0; j < width; j++)
+    counts[i] = new Uint32Array(width);
+    for (j = 0; j < width; j++)
       counts[i][j] = buffer.readUInt32LE(pos + j * 4, true);
     pos += width * 4;
   }
   // hashFunctions
   var hashFunctionsLen = buffer.readUInt32LE(pos, true);
   pos += 4;
-  var hashFunctions = new Array(hashFunctionsLen);
+  var hashFunctions = new Uint32Array(hashFunctionsLen);
   for (i = 0; i < hashFunctionsLen; i++)
     hashFunctions[i] = buffer.readUInt32LE(pos + i * 4, true);
   pos += hashFunctionsLen * 4;
@@ -277,9 +935,28 @@ CountMinSketch.deserialize = function(buffer, start, length) {
 
     heap[i] = [est, key];
   }
+  // total. Older serialized structures did not store it, so fall back to the
+  // largest row sum which is the closest lower bound we have
+  var total = 0;
+  if (pos + 8 <= start + length) {
+    total = buffer.readDoubleLE(pos, true);
+  } else {
+    for (i = 0; i < depth; i++) {
+      var rowSum = 0;
+      for (j = 0; j < width; j++)
+        rowSum += counts[i][j];
+      total = Math.max(total, rowSum);
+    }
+  }
 
-  return new CountMinSketch(null, null, null, lgWidth, counts, hashFunctions, heap);
-};
+  return new CountMinSketch(null, null, null, { hash: 'fnv1a' }, {
+    lgWidth: lgWidth,
+    counts: counts,
+    hashFunctions: hashFunctions,
+    heap: heap,
+    total: total
+  });
+}
 
 function sortAsc(a, b) {
   return a[0] - b[0];
@@ -289,15 +966,37 @@ function sortDesc(a, b) {
   return b[0] - a[0];
 }
 
+function estimateBounds(estimate, errorBound) {
+  return {
+    estimate: estimate,
+    lower: Math.max(estimate - errorBound, 0),
+    upper: estimate
+  };
+}
+
+function ratio(a, b) {
+  // Keys that were never seen in the baseline grew without bound, and keys
+  // seen in neither structure did not change
+  if (b > 0)
+    return a / b;
+  return a > 0 ? Infinity : 1;
+}
+
+function compareRatios(a, b) {
+  // Infinite ratios compare equal to each other rather than producing NaN
+  return a === b ? 0 : a - b;
+}
+
+function byKey(a, b) {
+  return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
 function log2(x) {
   return Math.log(x) / Math.LN2;
 }
 
 function multiplyShift(m, a, x) {
+  // Hash family of formats before version 5, kept for the multipliers stored
+  // in them
   return Math.abs((a * x) & MAX_INT) >> (INT_SIZE - m);
 }
-
-function randomOddInt(prng) {
-  var n = Math.floor(prng.random() * (INT_SIZE - 2));
-  return (n << 1) | 1;
-}
@@ -0,0 +1,456 @@
+var MinHeap = require('./minHeap');
+var hashing = require('./hashing');
+var memorySize = require('./memorySize');
+var serialization = require('./serialization');
+
+module.exports = CountSketch;
+
+var MAX_INT = 0x7FFFFFFF;
+var MIN_INT = -0x80000000;
+
+/**
+ * Count Sketch is an algorithm for estimating frequency counts for large
+ * amounts of data where observations can also be removed, such as items in
+ * shopping carts or active sessions. Each row adds or subtracts updates from
+ * a bucket depending on a random sign for the key, and estimates are the
+ * median over the rows, so collisions cancel out instead of accumulating.
+ *
+ * See Charikar et al. "Finding Frequent Items in Data Streams"
+ * <http://www.cs.princeton.edu/courses/archive/spring04/cos598B/bib/CharikarCF.pdf>
+ *
+ * @param {Number} maxEntries Maximum number of members to track frequency
+ *        counts for. Only this many of the members with the highest counts
+ *        will be returned by getTopK().
+ * @param {Number} epsilon Controls the width of each row. The error of an
+ *        estimate is proportional to epsilon and to the square root of the
+ *        sum of all squared counts.
+ * @param {Number} delta The probability of getting the answer for a query
+ *        completely wrong. From (0-1).
+ * @param {Object} options (Optional) Additional settings:
+ *        hash - Name of the hash function from lib/hashing.js to map keys
+ *          with. Defaults to 'murmur3'.
+ *        seed - Unsigned 32-bit integer selecting the row hash functions.
+ *          Structures can only be merged if they use the same seed. Defaults
+ *          to 1.
+ * @param {Object} state Internal use.
+ */
+function CountSketch(maxEntries, epsilon, delta, options, state) {
+  var i;
+  var lgWidth, counts, seed, total;
+  var hasher = hashing.getHashFunction((options && options.hash) || 'murmur3');
+  // Lookup of key to the priority queue handle for its [count, key] tuple
+  var map = Object.create(null);
+  var heapq = new MinHeap(null, sortAsc);
+
+  if (!state) {
+    // Depth of the 2D storage array. An odd number of rows gives every
+    // estimate a single median
+    var depth = Math.max(Math.ceil(Math.log(1.0 / delta)), 1) | 1;
+    // Width of the 2D storage array, rounded up to a power of 2 for the
+    // multiply-add-shift family of hashing functions
+    lgWidth = Math.ceil(log2(Math.E / epsilon));
+    var width = Math.pow(2, lgWidth);
+
+    counts = new Array(depth);
+    for (i = 0; i < depth; i++)
+      counts[i] = new Int32Array(width);
+
+    seed = (options && options.seed !== undefined) ? options.seed : 1;
+    if (typeof seed !== 'number' || seed !== Math.floor(seed) || seed < 0 ||
+        seed > 0xFFFFFFFF)
+      throw new Error('seed must be an unsigned 32-bit integer');
+
+    // Net number of observations recorded in this structure
+    total = 0;
+  } else {
+    // Since state was specified, assume we are constructing from deserialized
+    // data
+    lgWidth = state.lgWidth;
+    counts = state.counts;
+    seed = state.seed;
+    total = state.total;
+    resetHeap(state.heap);
+  }
+
+  // Four random 32-bit words for the bucket function of each row followed by
+  // four for its sign function
+  var hashFunctions = hashing.seededHashFunctions(seed, counts.length * 2);
+
+  /**
+   * Record observations of the given key.
+   * @param {String|Buffer} key Key to update the observation count for.
+   * @param {Number} count (Optional) Number of observations to add. Negative
+   *        values remove observations. Defaults to 1.
+   */
+  function increment(key, count) {
+    update(key, count === undefined ? 1 : count, 1);
+  }
+
+  /**
+   * Remove observations of the given key.
+   * @param {String|Buffer} key Key to update the observation count for.
+   * @param {Number} count (Optional) Number of observations to remove.
+   *        Defaults to 1.
+   */
+  function decrement(key, count) {
+    update(key, count === undefined ? 1 : count, -1);
+  }
+
+  /**
+   * Add count times direction to the buckets for the given key and update
+   * the priority queue.
+   * @private
+   */
+  function update(key, count, direction) {
+    if (typeof count !== 'number' || count !== Math.floor(count) || !isFinite(count))
+      throw new Error('count must be an integer');
+    count *= direction;
+    key = hashing.keyString(key);
+
+    var ix = hashKey(key);
+    for (var i = 0; i < counts.length; i++) {
+      var j = bucket(i, ix);
+      counts[i][j] = clamp(counts[i][j] + sign(i, ix) * count);
+    }
+    total += count;
+
+    updateHeap(key, rowMedian(ix));
+  }
+
+  function updateHeap(key, est) {
+    var handle = map[key];
+    if (handle !== undefined) {
+      if (est > 0) {
+        // Update the existing tuple and move it to its new heap position
+        handle.value[0] = est;
+        heapq.update(handle);
+      } else {
+        // Free the slot for a key that is still present
+        heapq.remove(handle);
+        delete map[key];
+      }
+    } else if (est <= 0) {
+      return;
+    } else if (heapq.size() < maxEntries) {
+      map[key] = heapq.push([est, key]);
+    } else if (heapq.peek()[0] < est) {
+      // Push the smallest entry out
+      delete map[heapq.peek()[1]];
+      map[key] = heapq.replaceTop([est, key]);
+    }
+  }
+
+  /**
+   * Replace the contents of the priority queue with the given [count, key]
+   * tuples.
+   * @private
+   */
+  function resetHeap(entries) {
+    map = Object.create(null);
+    heapq = new MinHeap(null, sortAsc);
+    for (var i = 0; i < entries.length; i++)
+      map[entries[i][1]] = heapq.push(entries[i]);
+  }
+
+  /**
+   * Returns the estimated frequency count for the given key, the median of
+   * the estimates of each row. Unlike a CountMinSketch the estimate can be
+   * lower than the true count.
+   * @param {String|Buffer} key Key to estimate the observation count for.
+   * @returns {Number} Estimated frequency count.
+   */
+  function estimate(key) {
+    return rowMedian(hashKey(hashing.keyString(key)));
+  }
+
+  /**
+   * Returns a sorted list of tuples containing the estimated frequency count
+   * and key for up to maxEntries members with the highest positive counts.
+   * Members whose count drops to zero or below are removed from the list.
+   * @returns {Array} An array of up to maxEntries [count, key] arrays.
+   */
+  function getTopK() {
+    var vals = heapq.heap.slice(0);
+    vals.sort(sortDesc);
+    return vals;
+  }
+
+  /**
+   * Returns the net number of observations recorded in this structure, added
+   * minus removed.
+   * @returns {Number} Net observation count.
+   */
+  function getTotalCount() {
+    return total;
+  }
+
+  /**
+   * Returns the number of bytes of memory used by this structure. The
+   * counts and hash functions are measured exactly, the top entries
+   * approximately.
+   * @returns {Number} Size in bytes.
+   */
+  function getMemorySize() {
+    return memorySize.typedArrays(counts) + hashFunctions.byteLength +
+      memorySize.tuples(heapq.heap);
+  }
+
+  /**
+   * Merge another CountSketch structure of the same size into this one. The
+   * counts are summed and the top entries are rebuilt from the keys of both
+   * structures, re-estimated against the merged counts.
+   * @param {CountSketch} countSketch The structure to merge in.
+   */
+  function merge(countSketch) {
+    var i, j;
+    var other = countSketch.counts;
+
+    if (!other || other.length !== counts.length ||
+        other[0].length !== counts[0].length)
+      throw new Error('cannot merge CountSketch structures of different size');
+    if (countSketch.seed !== seed)
+      throw new Error('cannot merge CountSketch structures with different seeds');
+    if (countSketch.hash !== hasher.name)
+      throw new Error('cannot merge CountSketch structures with different hash functions');
+
+    total += countSketch.getTotalCount();
+    for (i = 0; i < counts.length; i++) {
+      for (j = 0; j < counts[i].length; j++)
+        counts[i][j] = clamp(counts[i][j] + other[i][j]);
+    }
+
+    var keys = Object.create(null);
+    var entries = heapq.heap.concat(countSketch.getTopK());
+    for (i = 0; i < entries.length; i++)
+      keys[entries[i][1]] = true;
+
+    var candidates = [];
+    for (var key in keys) {
+      var est = estimate(key);
+      if (est > 0)
+        candidates.push([est, key]);
+    }
+    candidates.sort(sortDesc);
+    candidates.length = Math.min(candidates.length, maxEntries);
+
+    resetHeap(candidates);
+  }
+
+  /**
+   * Map a key to the 32-bit integer the row hash functions are applied to.
+   * @private
+   */
+  function hashKey(key) {
+    var hash = hasher.hash(key);
+    return hasher.bits === 32 ? hash : (hash[0] ^ hash[1]) >>> 0;
+  }
+
+  /**
+   * Returns the bucket of the given row that a hashed key maps to.
+   * @private
+   */
+  function bucket(row, ix) {
+    var a = row * 8;
+    return hashing.multiplyAddShift(lgWidth, hashFunctions[a], hashFunctions[a + 1],
+      hashFunctions[a + 2], hashFunctions[a + 3], ix);
+  }
+
+  /**
+   * Returns the sign, 1 or -1, a hashed key is counted with in the given row.
+   * @private
+   */
+  function sign(row, ix) {
+    var a = row * 8 + 4;
+    return hashing.multiplyAddShift(1, hashFunctions[a], hashFunctions[a + 1],
+      hashFunctions[a + 2], hashFunctions[a + 3], ix) ? 1 : -1;
+  }
+
+  /**
+   * Returns the median of the row estimates for a hashed key.
+   * @private
+   */
+  function rowMedian(ix) {
+    var ests = new Array(counts.length);
+    for (var i = 0; i < counts.length; i++)
+      ests[i] = sign(i, ix) * counts[i][bucket(i, ix)];
+    ests.sort(numericAsc);
+    return ests[ests.length >>> 1];
+  }
+
+  /**
+   * Serializes this data structure to a binary buffer.
+   * @returns {Buffer} Binary buffer holding the serialized form of this
+   *          structure.
+   */
+  function serialize() {
+    var i, j;
+    var entries = heapq.heap;
+
+    var depth = counts.length;
+    var width = counts[0].length;
+
+    var heapLen = serialization.varintLength(entries.length);
+    var keyLens = new Array(entries.length);
+    for (i = 0; i < entries.length; i++) {
+      keyLens[i] = Buffer.byteLength(entries[i][1]);
+      heapLen += 4 + serialization.varintLength(keyLens[i]) + keyLens[i];
+    }
+
+    var buffer = serialization.allocate(serialization.TYPES.CountSketch,
+      serialization.varintLength(maxEntries) +
+      1 + 1 + 4 + serialization.varintLength(depth) +
+      depth * width * 4 +
+      8 +
+      heapLen);
+
+    var pos = serialization.HEADER_SIZE;
+    // maxEntries
+    pos += serialization.writeVarint(buffer, maxEntries, pos);
+    // lgWidth, hash function and seed
+    buffer.writeUInt8(lgWidth, pos, true);
+    pos++;
+    buffer.writeUInt8(hasher.id, pos, true);
+    pos++;
+    buffer.writeUInt32LE(seed, pos, true);
+    pos += 4;
+    // depth
+    pos += serialization.writeVarint(buffer, depth, pos);
+    // counts
+    for (i = 0; i < depth; i++) {
+      for (j = 0; j < width; j++)
+        buffer.writeInt32LE(counts[i][j], pos + j * 4, true);
+      pos += width * 4;
+    }
+    // total
+    buffer.writeDoubleLE(total, pos, true);
+    pos += 8;
+    // heap
+    pos += serialization.writeVarint(buffer, entries.length, pos);
+    for (i = 0; i < entries.length; i++) {
+      // Estimated count
+      buffer.writeInt32LE(entries[i][0], pos, true);
+      pos += 4;
+      // Key
+      pos += serialization.writeVarint(buffer, keyLens[i], pos);
+      buffer.write(entries[i][1], pos, keyLens[i], 'utf8');
+      pos += keyLens[i];
+    }
+
+    return serialization.seal(buffer);
+  }
+
+  return {
+    increment: increment,
+    decrement: decrement,
+    estimate: estimate,
+    getTopK: getTopK,
+    getTotalCount: getTotalCount,
+    getMemorySize: getMemorySize,
+    serialize: serialize,
+    merge: merge,
+    maxEntries: maxEntries,
+    counts: counts,
+    hash: hasher.name,
+    seed: seed
+  };
+}
+
+/**
+ * Deserialize a binary buffer into a reconstituted CountSketch structure.
+ * @param {Buffer} buffer Binary buffer holding the serialized structure.
+ * @param {Number} start Starting offset of the structure in the buffer.
+ * @param {Number} length Length of the serialized structure in the buffer.
+ * @returns {CountSketch} A CountSketch object.
+ */
+CountSketch.deserialize = function(buffer, start, length) {
+  start = start || 0;
+  length = length || buffer.length - start;
+  if (start + length > buffer.length)
+    throw new Error('start and buffer cannot go past the end of buffer');
+
+  var header = serialization.readHeader(buffer, start, length);
+  if (!header || header.type !== serialization.TYPES.CountSketch) {
+    throw new Error('expected a serialized CountSketch but found ' +
+      (header ? serialization.typeName(header.type) || 'unknown type ' + header.type
+        : 'a headerless buffer'));
+  }
+
+  var i, j;
+
+  var pos = header.start;
+  // maxEntries
+  var maxEntries = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(maxEntries);
+  // lgWidth, hash function and seed
+  var lgWidth = buffer.readUInt8(pos, true);
+  pos++;
+  var hash = hashing.getHashFunction(buffer.readUInt8(pos, true)).name;
+  pos++;
+  var seed = buffer.readUInt32LE(pos, true);
+  pos += 4;
+  // depth
+  var depth = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(depth);
+  var width = Math.pow(2, lgWidth);
+  if (pos + depth * width * 4 + 8 > header.end)
+    throw new Error('serialized CountSketch has an invalid length');
+  // counts
+  var counts = new Array(depth);
+  for (i = 0; i < depth; i++) {
+    counts[i] = new Int32Array(width);
+    for (j = 0; j < width; j++)
+      counts[i][j] = buffer.readInt32LE(pos + j * 4, true);
+    pos += width * 4;
+  }
+  // total
+  var total = buffer.readDoubleLE(pos, true);
+  pos += 8;
+  // heap
+  var heapLen = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(heapLen);
+  var heap = new Array(heapLen);
+  for (i = 0; i < heapLen; i++) {
+    if (pos + 4 > header.end)
+      throw new Error('serialized CountSketch has an invalid length');
+    // Estimated count
+    var est = buffer.readInt32LE(pos, true);
+    pos += 4;
+    // Key
+    var keyLen = serialization.readVarint(buffer, pos);
+    pos += serialization.varintLength(keyLen);
+    if (pos + keyLen > header.end)
+      throw new Error('serialized CountSketch has an invalid length');
+    heap[i] = [est, buffer.toString('utf8', pos, pos + keyLen)];
+    pos += keyLen;
+  }
+  if (pos !== header.end)
+    throw new Error('serialized CountSketch has an invalid length');
+
+  return new CountSketch(maxEntries, null, null, { hash: hash }, {
+    lgWidth: lgWidth,
+    counts: counts,
+    seed: seed,
+    heap: heap,
+    total: total
+  });
+};
+
+function clamp(value) {
+  return Math.max(Math.min(value, MAX_INT), MIN_INT);
+}
+
+function sortAsc(a, b) {
+  return a[0] - b[0];
+}
+
+function sortDesc(a, b) {
+  return b[0] - a[0];
+}
+
+function numericAsc(a, b) {
+  return a - b;
+}
+
+function log2(x) {
+  return Math.log(x) / Math.LN2;
+}
@@ -0,0 +1,238 @@
+var hashing = require('./hashing');
+var serialization = require('./serialization');
+var BloomFilter = require('./bloomFilter');
+
+module.exports = CountingBloomFilter;
+
+var MAX_COUNT = 255;
+
+/**
+ * A Bloom filter that also supports removing members. Each of the m positions
+ * holds an 8-bit counter instead of a bit, so it takes eight times the memory
+ * of a BloomFilter with the same false positive rate. Counters stop at 255;
+ * a saturated counter is never decremented again, so removals can leave
+ * behind false positives but never cause false negatives.
+ *
+ * Members are mapped to positions exactly as in BloomFilter. Only remove
+ * members that were added, or members that were added can be lost.
+ *
+ * @param {Number} expectedItems Number of members the filter is sized for.
+ * @param {Number} falsePositiveRate A value from (0-1) giving the probability
+ *        of a false positive once expectedItems members were added.
+ * @param {Object} options (Optional) Additional settings, see BloomFilter.
+ * @param {Object} state Internal use.
+ */
+function CountingBloomFilter(expectedItems, falsePositiveRate, options, state) {
+  var hasher = hashing.getHashFunction((options && options.hash) || 'murmur3');
+  if (hasher.bits !== 64)
+    throw new Error('CountingBloomFilter requires a 64-bit hash function');
+
+  var size = state || BloomFilter.dimensions(expectedItems, falsePositiveRate);
+  var m = size.m;
+  var k = size.k;
+  var counters = state ? state.counters : new Uint8Array(m);
+  var positions = new Array(k);
+
+  /**
+   * Add a member to the filter.
+   * @param {String|Buffer} key Key to add.
+   * @returns {Boolean} True if the member was probably added before, false if
+   *          it certainly was not.
+   */
+  function add(key) {
+    BloomFilter.indexes(hasher.hash(key), m, k, positions);
+    var seen = true;
+    for (var i = 0; i < k; i++) {
+      var j = positions[i];
+      if (!counters[j])
+        seen = false;
+      if (counters[j] < MAX_COUNT)
+        counters[j]++;
+    }
+    return seen;
+  }
+
+  /**
+   * Remove a member that was added to the filter.
+   * @param {String|Buffer} key Key to remove.
+   * @returns {Boolean} False if the member was certainly not in the filter,
+   *          in which case nothing is changed.
+   */
+  function remove(key) {
+    if (!has(key))
+      return false;
+    // has() left the positions of the key in positions
+    for (var i = 0; i < k; i++) {
+      var j = positions[i];
+      if (counters[j] < MAX_COUNT)
+        counters[j]--;
+    }
+    return true;
+  }
+
+  /**
+   * Returns true if a member was probably added, false if it certainly was
+   * not.
+   * @param {String|Buffer} key Key to look up.
+   * @returns {Boolean}
+   */
+  function has(key) {
+    BloomFilter.indexes(hasher.hash(key), m, k, positions);
+    for (var i = 0; i < k; i++) {
+      if (!counters[positions[i]])
+        return false;
+    }
+    return true;
+  }
+
+  /**
+   * Estimate the number of unique members in the filter from the number of
+   * non-zero counters.
+   * @returns {Number} Estimated cardinality.
+   */
+  function count() {
+    var set = nonZero();
+    if (set === m)
+      return Infinity;
+    return -m / k * Math.log(1 - set / m);
+  }
+
+  /**
+   * Returns the probability that has() answers true for a member that is
+   * not in the filter, given the counters set so far.
+   * @returns {Number} Current false positive rate.
+   */
+  function getFalsePositiveRate() {
+    return Math.pow(nonZero() / m, k);
+  }
+
+  /**
+   * Returns the number of bytes of memory used by the counters.
+   * @returns {Number} Size in bytes.
+   */
+  function getMemorySize() {
+    return counters.byteLength;
+  }
+
+  /**
+   * Merge another CountingBloomFilter of the same size into this one by
+   * adding up the counters, so it holds the members of both.
+   * @param {CountingBloomFilter} countingBloomFilter The structure to merge in.
+   */
+  function merge(countingBloomFilter) {
+    checkCompatible(countingBloomFilter);
+    var other = countingBloomFilter.counters;
+    for (var i = 0; i < m; i++)
+      counters[i] = Math.min(counters[i] + other[i], MAX_COUNT);
+  }
+
+  /**
+   * Intersect this filter with another CountingBloomFilter of the same size by
+   * keeping the smaller of each pair of counters, so it holds the members that
+   * are in both.
+   * @param {CountingBloomFilter} countingBloomFilter The structure to
+   *        intersect with.
+   */
+  function intersect(countingBloomFilter) {
+    checkCompatible(countingBloomFilter);
+    var other = countingBloomFilter.counters;
+    for (var i = 0; i < m; i++) {
+      if (other[i] < counters[i])
+        counters[i] = other[i];
+    }
+  }
+
+  /**
+   * @private
+   */
+  function checkCompatible(countingBloomFilter) {
+    if (countingBloomFilter.m !== m || countingBloomFilter.k !== k || !countingBloomFilter.counters)
+      throw new Error('cannot combine CountingBloomFilter structures of different sizes');
+    if (countingBloomFilter.hash !== hasher.name)
+      throw new Error('cannot combine CountingBloomFilter structures with different hash functions');
+  }
+
+  /**
+   * @private
+   */
+  function nonZero() {
+    var set = 0;
+    for (var i = 0; i < m; i++) {
+      if (counters[i])
+        ++set;
+    }
+    return set;
+  }
+
+  /**
+   * Serializes this data structure to a binary buffer.
+   * @returns {Buffer} Binary buffer holding the serialized form of this
+   *          structure.
+   */
+  function serialize() {
+    var buffer = serialization.allocate(serialization.TYPES.CountingBloomFilter,
+      1 + serialization.varintLength(m) + 1 + m);
+
+    var pos = serialization.HEADER_SIZE;
+    // Hash function id
+    buffer.writeUInt8(hasher.id, pos++, true);
+    // m and k
+    pos += serialization.writeVarint(buffer, m, pos);
+    buffer.writeUInt8(k, pos++, true);
+    // Counters
+    for (var i = 0; i < m; i++)
+      buffer[pos++] = counters[i];
+
+    return serialization.seal(buffer);
+  }
+
+  return {
+    add: add,
+    remove: remove,
+    has: has,
+    count: count,
+    getFalsePositiveRate: getFalsePositiveRate,
+    getMemorySize: getMemorySize,
+    serialize: serialize,
+    merge: merge,
+    intersect: intersect,
+    m: m,
+    k: k,
+    hash: hasher.name,
+    counters: counters
+  };
+}
+
+/**
+ * Deserialize a binary buffer into a reconstituted CountingBloomFilter.
+ * @param {Buffer} buffer Binary buffer holding the serialized structure.
+ * @param {Number} start Starting offset of the structure in the buffer.
+ * @param {Number} length Length of the serialized structure in the buffer.
+ * @returns {CountingBloomFilter} A CountingBloomFilter object.
+ */
+CountingBloomFilter.deserialize = function(buffer, start, length) {
+  start = start || 0;
+  length = length || buffer.length - start;
+  if (start + length > buffer.length)
+    throw new Error('start and buffer cannot go past the end of buffer');
+
+  var header = serialization.readHeader(buffer, start, length);
+  if (!header || header.type !== serialization.TYPES.CountingBloomFilter) {
+    throw new Error('expected a serialized CountingBloomFilter but found ' +
+      (header ? serialization.typeName(header.type) || 'unknown type ' + header.type
+        : 'a headerless buffer'));
+  }
+
+  var pos = header.start;
+  var size = BloomFilter.readDimensions(buffer, pos, header.end, 'CountingBloomFilter');
+  pos = size.pos;
+  if (pos + size.m !== header.end)
+    throw new Error('serialized CountingBloomFilter has an invalid length');
+
+  var counters = new Uint8Array(size.m);
+  for (var i = 0; i < size.m; i++)
+    counters[i] = buffer[pos++];
+
+  return new CountingBloomFilter(null, null, { hash: size.hash },
+    { m: size.m, k: size.k, counters: counters });
+};
@@ -1,23 +1,373 @@
+var PRNG = require('./prng');
 
 exports.fnv1a = fnv1a;
+exports.murmur3 = murmur3;
+exports.xxhash64 = xxhash64;
+exports.getHashFunction = getHashFunction;
+exports.multiplyAddShift = multiplyAddShift;
+exports.seededHashFunctions = seededHashFunctions;
+exports.keyString = keyString;
+
+/**
+ * Hash functions that can be selected by name with the `hash` option of the
+ * sketches. The id is stored in serialized structures, so existing ids must
+ * never change.
+ */
+var HASH_FUNCTIONS = {
+  fnv1a: { id: 0, bits: 32, hash: fnv1a },
+  murmur3: { id: 1, bits: 64, hash: murmur3_64 },
+  xxhash64: { id: 2, bits: 64, hash: xxhash64 }
+};
 
 /**
  * An implementation of the Fowler–Noll–Vo 1a 32-bit hash function.
  *
  * See <http://en.wikipedia.org/wiki/Fowler%E2%80%93Noll%E2%80%93Vo_hash_function#FNV-1a_hash>
  *
- * @param {String} text Input string to calculate the hash for.
+ * @param {String|Buffer} text Input string or bytes to calculate the hash for.
+ *        Strings are hashed one UTF-16 code unit at a time.
  * @returns {Number} 32-bit hash value.
  */
 function fnv1a(text) {
+  var hash = 2166136261;
+  var i;
+
+  if (Buffer.isBuffer(text)) {
+    for (i = 0; i < text.length; i++) {
+      hash ^= text[i];
+      hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+    }
+    return hash >>> 0;
+  }
+
   if (typeof text !== 'string')
     text = text.toString();
 
-  var hash = 2166136261;
-  for (var i = 0; i < text.length; i++) {
+  for (i = 0; i < text.length; i++) {
     hash ^= text.charCodeAt(i);
     hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
   }
 
   return hash >>> 0;
 }
+
+/**
+ * An implementation of the x64 128-bit variant of MurmurHash3.
+ *
+ * See <https://github.com/aappleby/smhasher/blob/master/src/MurmurHash3.cpp>
+ *
+ * @param {String|Buffer} key Input string or bytes to calculate the hash for.
+ *        Strings are hashed as UTF-8.
+ * @param {Number} seed (Optional) 32-bit seed. Defaults to 0.
+ * @returns {Array} 128-bit hash value as four unsigned 32-bit integers, most
+ *          significant first: [h1 high, h1 low, h2 high, h2 low].
+ */
+function murmur3(key, seed) {
+  var data = toBuffer(key);
+  var len = data.length;
+  var nblocks = len >>> 4;
+  var h1 = [0, (seed || 0) >>> 0];
+  var h2 = [0, (seed || 0) >>> 0];
+  var k1, k2, i;
+
+  for (i = 0; i < nblocks; i++) {
+    k1 = read64(data, i * 16);
+    k2 = read64(data, i * 16 + 8);
+
+    h1 = xor64(h1, mixK1(k1));
+    h1 = rotl64(h1, 27);
+    h1 = add64(h1, h2);
+    h1 = add64(mul64(h1, [0, 5]), [0, 0x52dce729]);
+
+    h2 = xor64(h2, mixK2(k2));
+    h2 = rotl64(h2, 31);
+    h2 = add64(h2, h1);
+    h2 = add64(mul64(h2, [0, 5]), [0, 0x38495ab5]);
+  }
+
+  // Tail. The remaining bytes are assembled little-endian into k1 (bytes 0-7)
+  // and k2 (bytes 8-14)
+  var tail = nblocks * 16;
+  var rem = len & 15;
+  if (rem > 8) {
+    k2 = readPartial64(data, tail + 8, rem - 8);
+    h2 = xor64(h2, mixK2(k2));
+  }
+  if (rem > 0) {
+    k1 = readPartial64(data, tail, Math.min(rem, 8));
+    h1 = xor64(h1, mixK1(k1));
+  }
+
+  // Finalization
+  h1 = xor64(h1, [0, len]);
+  h2 = xor64(h2, [0, len]);
+  h1 = add64(h1, h2);
+  h2 = add64(h2, h1);
+  h1 = fmix64(h1);
+  h2 = fmix64(h2);
+  h1 = add64(h1, h2);
+  h2 = add64(h2, h1);
+
+  return [h1[0], h1[1], h2[0], h2[1]];
+}
+
+var MURMUR_C1 = [0x87c37b91, 0x114253d5];
+var MURMUR_C2 = [0x4cf5ad43, 0x2745937f];
+
+function mixK1(k1) {
+  k1 = mul64(k1, MURMUR_C1);
+  k1 = rotl64(k1, 31);
+  return mul64(k1, MURMUR_C2);
+}
+
+function mixK2(k2) {
+  k2 = mul64(k2, MURMUR_C2);
+  k2 = rotl64(k2, 33);
+  return mul64(k2, MURMUR_C1);
+}
+
+function fmix64(k) {
+  k = xor64(k, shr64(k, 33));
+  k = mul64(k, [0xff51afd7, 0xed558ccd]);
+  k = xor64(k, shr64(k, 33));
+  k = mul64(k, [0xc4ceb9fe, 0x1a85ec53]);
+  return xor64(k, shr64(k, 33));
+}
+
+/**
+ * Returns the first 64 bits of the MurmurHash3 x64 128-bit hash.
+ * @private
+ */
+function murmur3_64(key) {
+  var h = murmur3(key);
+  return [h[0], h[1]];
+}
+
+var XXH_P1 = [0x9E3779B1, 0x85EBCA87];
+var XXH_P2 = [0xC2B2AE3D, 0x27D4EB4F];
+var XXH_P3 = [0x165667B1, 0x9E3779F9];
+var XXH_P4 = [0x85EBCA77, 0xC2B2AE63];
+var XXH_P5 = [0x27D4EB2F, 0x165667C5];
+// Two's complement of XXH_P1
+var XXH_NEG_P1 = [0x61C8864E, 0x7A143579];
+
+/**
+ * An implementation of the xxHash64 hash function.
+ *
+ * See <https://github.com/Cyan4973/xxHash/blob/dev/doc/xxhash_spec.md>
+ *
+ * @param {String|Buffer} key Input string or bytes to calculate the hash for.
+ *        Strings are hashed as UTF-8.
+ * @param {Number} seed (Optional) 32-bit seed. Defaults to 0.
+ * @returns {Array} 64-bit hash value as two unsigned 32-bit integers, most
+ *          significant first.
+ */
+function xxhash64(key, seed) {
+  var data = toBuffer(key);
+  var len = data.length;
+  var s = [0, (seed || 0) >>> 0];
+  var pos = 0;
+  var h;
+
+  if (len >= 32) {
+    var v1 = add64(add64(s, XXH_P1), XXH_P2);
+    var v2 = add64(s, XXH_P2);
+    var v3 = s;
+    var v4 = add64(s, XXH_NEG_P1);
+
+    for (; pos + 32 <= len; pos += 32) {
+      v1 = xxRound(v1, read64(data, pos));
+      v2 = xxRound(v2, read64(data, pos + 8));
+      v3 = xxRound(v3, read64(data, pos + 16));
+      v4 = xxRound(v4, read64(data, pos + 24));
+    }
+
+    h = add64(add64(rotl64(v1, 1), rotl64(v2, 7)),
+      add64(rotl64(v3, 12), rotl64(v4, 18)));
+    h = xxMergeRound(h, v1);
+    h = xxMergeRound(h, v2);
+    h = xxMergeRound(h, v3);
+    h = xxMergeRound(h, v4);
+  } else {
+    h = add64(s, XXH_P5);
+  }
+
+  h = add64(h, [0, len]);
+
+  for (; pos + 8 <= len; pos += 8) {
+    h = xor64(h, xxRound([0, 0], read64(data, pos)));
+    h = add64(mul64(rotl64(h, 27), XXH_P1), XXH_P4);
+  }
+  if (pos + 4 <= len) {
+    h = xor64(h, mul64([0, data.readUInt32LE(pos, true)], XXH_P1));
+    h = add64(mul64(rotl64(h, 23), XXH_P2), XXH_P3);
+    pos += 4;
+  }
+  for (; pos < len; pos++) {
+    h = xor64(h, mul64([0, data[pos]], XXH_P5));
+    h = mul64(rotl64(h, 11), XXH_P1);
+  }
+
+  // Avalanche
+  h = xor64(h, shr64(h, 33));
+  h = mul64(h, XXH_P2);
+  h = xor64(h, shr64(h, 29));
+  h = mul64(h, XXH_P3);
+  return xor64(h, shr64(h, 32));
+}
+
+function xxRound(acc, input) {
+  acc = add64(acc, mul64(input, XXH_P2));
+  acc = rotl64(acc, 31);
+  return mul64(acc, XXH_P1);
+}
+
+function xxMergeRound(acc, val) {
+  acc = xor64(acc, xxRound([0, 0], val));
+  return add64(mul64(acc, XXH_P1), XXH_P4);
+}
+
+/**
+ * Look up one of the built-in hash functions.
+ * @param {String|Number} name Name of the hash function ('fnv1a', 'murmur3' or
+ *        'xxhash64') or its serialized id.
+ * @returns {Object} An object of the form { name, id, bits, hash } where hash
+ *          returns a Number for 32-bit functions and an Array of two unsigned
+ *          32-bit integers (most significant first) for 64-bit functions.
+ */
+function getHashFunction(name) {
+  for (var key in HASH_FUNCTIONS) {
+    var entry = HASH_FUNCTIONS[key];
+    if (key === name || entry.id === name)
+      return { name: key, id: entry.id, bits: entry.bits, hash: entry.hash };
+  }
+  throw new Error('unknown hash function ' + name);
+}
+
+/**
+ * Dietzfelbinger's multiply-add-shift hashing, which is pairwise independent:
+ * the top m bits of (a * x + b) mod 2^64 for a 32-bit x. Random 64-bit a and b
+ * select a function from the family.
+ * @param {Number} m Number of output bits, from 1 to 32.
+ * @param {Number} aHi High word of the multiplier a.
+ * @param {Number} aLo Low word of the multiplier a.
+ * @param {Number} bHi High word of the increment b.
+ * @param {Number} bLo Low word of the increment b.
+ * @param {Number} x Unsigned 32-bit integer to hash.
+ * @returns {Number} Hash value from 0 to 2^m - 1.
+ */
+function multiplyAddShift(m, aHi, aLo, bHi, bLo, x) {
+  // Compute the 64-bit product aLo * x from 16-bit limbs to stay exact
+  var xLo = x & 0xFFFF, xHi = x >>> 16;
+  var aLoLo = aLo & 0xFFFF, aLoHi = aLo >>> 16;
+  var ll = aLoLo * xLo;
+  var lh = aLoLo * xHi;
+  var hl = aLoHi * xLo;
+  var mid = (ll >>> 16) + (lh & 0xFFFF) + (hl & 0xFFFF);
+  var productHi = aLoHi * xHi + (lh >>> 16) + (hl >>> 16) + (mid >>> 16);
+  var productLo = (((mid & 0xFFFF) << 16) | (ll & 0xFFFF)) >>> 0;
+
+  var carry = productLo + bLo > 0xFFFFFFFF ? 1 : 0;
+  var hi = (Math.imul(aHi, x) + productHi + bHi + carry) >>> 0;
+  return hi >>> (32 - m);
+}
+
+/**
+ * Draw the random words of multiply-add-shift hash functions from a seeded
+ * PRNG, so structures created with the same seed hash keys the same way.
+ * @param {Number} seed Unsigned 32-bit seed.
+ * @param {Number} count Number of hash functions.
+ * @returns {Uint32Array} Four words per hash function: the high and low words
+ *          of the multiplier a and of the increment b, in the order
+ *          multiplyAddShift() takes them.
+ */
+function seededHashFunctions(seed, count) {
+  var prng = new PRNG(seed);
+  var words = new Uint32Array(count * 4);
+  for (var i = 0; i < words.length; i++)
+    words[i] = prng.uint32();
+  return words;
+}
+
+/**
+ * Returns the string the top-K structures track a key under. Buffers are
+ * decoded as UTF-8, so a Buffer and the string it holds are the same key,
+ * hash to the same counters and can be serialized.
+ * @param {String|Buffer} key Key to convert.
+ * @returns {String} The key as a string.
+ */
+function keyString(key) {
+  return Buffer.isBuffer(key) ? key.toString('utf8') : key;
+}
+
+function toBuffer(key) {
+  if (Buffer.isBuffer(key))
+    return key;
+  return Buffer.from(typeof key === 'string' ? key : key.toString(), 'utf8');
+}
+
+// 64-bit integer helpers. Values are represented as [high, low] pairs of
+// unsigned 32-bit integers and all arithmetic wraps at 2^64.
+
+function read64(buffer, pos) {
+  return [buffer.readUInt32LE(pos + 4, true), buffer.readUInt32LE(pos, true)];
+}
+
+function readPartial64(buffer, pos, count) {
+  var hi = 0, lo = 0;
+  for (var i = count - 1; i >= 4; i--)
+    hi = (hi * 256) + buffer[pos + i];
+  for (i = Math.min(count, 4) - 1; i >= 0; i--)
+    lo = (lo * 256) + buffer[pos + i];
+  return [hi, lo];
+}
+
+function add64(a, b) {
+  var lo = a[1] + b[1];
+  var carry = lo >= 0x100000000 ? 1 : 0;
+  return [(a[0] + b[0] + carry) >>> 0, lo >>> 0];
+}
+
+function mul64(a, b) {
+  // Multiply using 16-bit limbs so that no partial product exceeds 2^53
+  var a0 = a[1] & 0xFFFF, a1 = a[1] >>> 16, a2 = a[0] & 0xFFFF, a3 = a[0] >>> 16;
+  var b0 = b[1] & 0xFFFF, b1 = b[1] >>> 16, b2 = b[0] & 0xFFFF, b3 = b[0] >>> 16;
+
+  var c0 = a0 * b0;
+  var c1 = Math.floor(c0 / 0x10000) + a1 * b0 + a0 * b1;
+  var c2 = Math.floor(c1 / 0x10000) + a2 * b0 + a1 * b1 + a0 * b2;
+  var c3 = Math.floor(c2 / 0x10000) + a3 * b0 + a2 * b1 + a1 * b2 + a0 * b3;
+
+  return [
+    (((c3 & 0xFFFF) << 16) | (c2 & 0xFFFF)) >>> 0,
+    (((c1 & 0xFFFF) << 16) | (c0 & 0xFFFF)) >>> 0
+  ];
+}
+
+function xor64(a, b) {
+  return [(a[0] ^ b[0]) >>> 0, (a[1] ^ b[1]) >>> 0];
+}
+
+function rotl64(a, r) {
+  var hi = a[0], lo = a[1];
+  if (r >= 32) {
+    var t = hi;
+    hi = lo;
+    lo = t;
+    r -= 32;
+  }
+  if (r === 0)
+    return [hi, lo];
+  return [
+    ((hi << r) | (lo >>> (32 - r))) >>> 0,
+    ((lo << r) | (hi >>> (32 - r))) >>> 0
+  ];
+}
+
+function shr64(a, r) {
+  if (r >= 32)
+    return [0, a[0] >>> (r - 32)];
+  if (r === 0)
+    return [a[0], a[1]];
+  return [a[0] >>> r, ((a[1] >>> r) | (a[0] << (32 - r))) >>> 0];
+}
@@ -1,68 +1,116 @@
 var hashing = require('./hashing');
+var memorySize = require('./memorySize');
+var serialization = require('./serialization');
+var bias = require('./hyperLogLogBias');
 
 module.exports = HyperLogLog;
+HyperLogLog.log2 = log2;
+HyperLogLog.rank = rank;
 
 var POW_2_32 = 0xFFFFFFFF + 1;
 
+// Register index precision of the sparse representation. Each sparse entry
+// stores a 25-bit index and the rank of the remaining 39 hash bits
+var SPARSE_PRECISION = 25;
+var SPARSE_RANK_BITS = 64 - SPARSE_PRECISION;
+
+// Cardinalities below which linear counting is more accurate than the bias
+// corrected estimate, for precisions 4 to 18. From the HyperLogLog++ paper
+var LINEAR_COUNTING_THRESHOLDS = [10, 20, 40, 80, 220, 400, 900, 1800, 3100,
+  6500, 11500, 20000, 50000, 120000, 350000];
+
 /**
  * HyperLogLog is an algorithm for estimating the cardinality of a set. It is
  * useful for real-time web analytics, such as counting the number of unique
  * visitors.
  *
+ * With a 64-bit hash this implements the HyperLogLog++ improvements: small
+ * sets are kept in a sparse representation that converts to the dense
+ * register array once it would be larger, and raw estimates in the mid range
+ * are corrected using empirical bias tables.
+ *
  * See <http://highscalability.com/blog/2012/4/5/big-data-counting-how-to-count-a-billion-distinct-objects-us.html>
+ * and <http://research.google.com/pubs/pub40671.html>
  *
  * @param {Number} stdError A value from (0-1) indicating the acceptable error
  *        rate. This controls the accuracy / memory usage tradeoff. 0.065 is a
  *        reasonable starting point.
- * @param {Array} M Internal use.
- * @param {Number} k_comp Internal use.
- * @param {Number} alpha_m Internal use.
+ * @param {Object} options (Optional) Additional settings:
+ *        hash - Name of the hash function from lib/hashing.js to map keys
+ *          with. 'murmur3' (the default) and 'xxhash64' are 64-bit hashes,
+ *          'fnv1a' is the 32-bit hash used by older versions of this library.
+ *        sparse - Set to false to always use the dense representation. The
+ *          sparse representation requires a 64-bit hash.
+ * @param {Object} state Internal use.
  */
-function HyperLogLog(stdError, M, k_comp, alpha_m) {
-  var m;
+function HyperLogLog(stdError, options, state) {
+  var m, k;
+  var hasher = hashing.getHashFunction((options && options.hash) || 'murmur3');
+  // Dense register array, null while the sparse representation is in use
+  var M = null;
+  // Sorted sparse entries, and entries added since the last sort
+  var sparseList = null;
+  var pending = null;
 
-  if (!M) {
+  if (!state) {
     // Compute the number of bits to use for register indexing
-    // From the original paper, stdError = 1.04/sqrt(m).
+    // From the original paper, stdError = 1.04/sqrt(m). At least 16 registers
+    // are used, the smallest size the bias correction is defined for
     var acc = 1.04 / stdError;
-    var k = Math.ceil(log2(acc * acc));
+    k = Math.max(Math.ceil(log2(acc * acc)), 4);
+  } else if (state.M) {
+    k = Math.round(log2(state.M.length));
+  } else {
+    k = state.p;
+  }
 
-    // 32 minus register indexing bits leaves the number of bits used to count
-    // consecutive zeros in
-    k_comp = 32 - k;
-    // Compute the size of the register array as 2^register_indexing_bits
-    m = Math.pow(2, k);
+  var k_comp, alpha_m, maxSparse, maxPending;
+  setPrecision(k);
 
-    // Determine the value of the scale factor alpha_m by using hardcoded
-    // values from the paper for m in [16...64], otherwise a formula
-    alpha_m = (m == 16) ? 0.673
-      : m == 32 ? 0.697
-      : m == 64 ? 0.709
-      : 0.7213 / (1 + 1.079 / m);
-
-    // Initialize the register array to all zeros
-    this.M = new Array(m);
-    for (var i = 0; i < m; ++i)
-      this.M[i] = 0;
+  if (state && state.M) {
+    M = state.M;
+  } else if (state && state.sparse) {
+    sparseList = state.sparse;
+    pending = [];
+  } else if (hasher.bits === 64 && k <= SPARSE_PRECISION &&
+      !(options && options.sparse === false)) {
+    sparseList = new Uint32Array(0);
+    pending = [];
   } else {
-    // Since M was not specified, assume we are constructing from deserialized
-    // data
-    m = M.length;
-    this.M = M;
+    // Initialize the register array to all zeros. Register values never
+    // exceed 6 bits, so one byte per register is enough
+    M = new Uint8Array(m);
   }
 
   /**
    * Add a member to the set.
-   * @param {String} key Key to add to the set.
+   * @param {String|Buffer} key Key to add to the set.
    */
   function add(key) {
     // Map the key to an integer value
-    var hash = hashing.fnv1a(key);
-    // Use the k left-most bits as a register index `j`
-    var j = hash >>> k_comp;
-    // Compare the rank (position of the right-most 1-bit in the hash) with the
-    // existing register value, keeping the larger of the two
-    this.M[j] = Math.max(this.M[j], rank(hash, k_comp));
+    var hash = hasher.hash(key);
+
+    if (sparseList) {
+      pending.push(encodeSparse(hash));
+      if (pending.length >= maxPending)
+        flushPending();
+      return;
+    }
+
+    var j, r;
+    if (hasher.bits === 32) {
+      // Use the k left-most bits as a register index `j`
+      j = hash >>> k_comp;
+      // Rank is the position of the right-most 1-bit in the hash
+      r = rank(hash, k_comp);
+    } else {
+      // Same as above, for a 64-bit hash held in [high, low] words
+      j = hash[0] >>> (32 - k);
+      r = hash[1] !== 0 ? rank(hash[1], 32) : 32 + rank(hash[0], k_comp - 32);
+    }
+    // Compare the rank with the existing register value, keeping the larger
+    // of the two
+    M[j] = Math.max(M[j], r);
   }
 
   /**
@@ -70,61 +118,315 @@ function HyperLogLog(stdError, M, k_comp, alpha_m) {
    * @returns {Number} Estimated cardinality of the set.
    */
   function count() {
+    var i;
+
+    if (sparseList) {
+      // Linear counting over the 2^25 sparse registers
+      flushPending();
+      var mSparse = Math.pow(2, SPARSE_PRECISION);
+      return mSparse * Math.log(mSparse / (mSparse - sparseList.length));
+    }
+
     // Initial estimate based on the harmonic mean of all register values
     // multiplied by scale factor alpha_m
     // E = alpha_m * m^2 * sum(2^-M[j])^-1
-    var i, c = 0.0;
-    for (i = 0; i < m; ++i)
-      c += 1 / Math.pow(2, this.M[i]);
+    var c = 0.0;
+    var V = 0;
+    for (i = 0; i < m; ++i) {
+      c += 1 / Math.pow(2, M[i]);
+      if (M[i] === 0)
+        ++V;
+    }
     var E = alpha_m * m * m / c;
 
+    if (hasher.bits === 64 && k >= bias.MIN_PRECISION && k <= bias.MAX_PRECISION) {
+      // HyperLogLog++. Correct the raw estimate for bias in the mid range, and
+      // prefer linear counting (E = m * log(m / empty_register_count)) below
+      // the empirically determined threshold
+      var corrected = E <= 5 * m ? E - estimateBias(E, k) : E;
+      var H = V > 0 ? m * Math.log(m / V) : corrected;
+      return H <= LINEAR_COUNTING_THRESHOLDS[k - bias.MIN_PRECISION] ? H : corrected;
+    }
+
     // Make corrections
     if (E <= 5 / 2 * m) {
       // Small range correction. E = m * log(m / empty_register_count)
-      var V = 0;
-      for (i = 0; i < m; ++i) {
-        if (this.M[i] === 0)
-          ++V;
-      }
       if (V > 0)
         E = m * Math.log(m / V);
-    } else if (E > 1 / 30 * POW_2_32) {
-      // Large range correction, uses the alternative formula below
+    } else if (hasher.bits === 32 && E > 1 / 30 * POW_2_32) {
+      // Large range correction for 32-bit hashes, which start colliding as
+      // the cardinality approaches 2^32. Uses the alternative formula below
       E = -POW_2_32 * Math.log(1 - E / POW_2_32);
     }
 
     return E;
   }
 
+  /**
+   * Count the number of unique members in the set, with a confidence interval
+   * around the estimate.
+   * @param {Number} confidence (Optional) Probability from (0-1) that the true
+   *        cardinality lies within the bounds. Defaults to 0.95.
+   * @returns {Object} An object of the form { estimate, lower, upper }.
+   */
+  function countWithBounds(confidence) {
+    if (confidence === undefined)
+      confidence = 0.95;
+    if (!(confidence > 0 && confidence < 1))
+      throw new Error('confidence must be between 0 and 1');
+
+    var estimate = count();
+    var sigma;
+    if (sparseList) {
+      // Standard deviation of linear counting over the sparse registers, from
+      // Whang et al. "A linear-time probabilistic counting algorithm"
+      var mSparse = Math.pow(2, SPARSE_PRECISION);
+      var t = estimate / mSparse;
+      sigma = Math.sqrt(mSparse * (Math.exp(t) - t - 1));
+    } else {
+      sigma = estimate * relativeError();
+    }
+
+    // Two-sided interval of the normal distribution
+    var margin = normalQuantile((1 + confidence) / 2) * sigma;
+    return {
+      estimate: estimate,
+      lower: Math.max(estimate - margin, 0),
+      upper: estimate + margin
+    };
+  }
+
+  /**
+   * Returns the relative standard error of the dense representation,
+   * 1.04 / sqrt(m).
+   * @private
+   */
+  function relativeError() {
+    return 1.04 / Math.sqrt(m);
+  }
+
+  /**
+   * Returns the number of bytes of memory used by the registers, or by the
+   * sparse entries and the entries not yet merged into them.
+   * @returns {Number} Size in bytes.
+   */
+  function getMemorySize() {
+    if (sparseList)
+      return sparseList.byteLength + pending.length * memorySize.NUMBER_SIZE;
+    return M.byteLength;
+  }
+
   /**
    * Serializes this data structure to a binary buffer.
    * @returns {Buffer} Binary buffer holding the serialized form of this
    *          structure.
    */
   function serialize() {
-    var buffer = new Buffer(12 + this.M.length * 4);
-    buffer.writeUInt32LE(k_comp, 0, true);
-    buffer.writeDoubleLE(alpha_m, 4, true);
-    for (var i = 0; i < this.M.length; i++)
-      buffer.writeUInt32LE(this.M[i], 12 + i * 4, true);
-    return buffer;
+    var i;
+    var dataLength;
+
+    if (sparseList) {
+      // Sparse entries are sorted, so store the differences between them
+      flushPending();
+      dataLength = serialization.varintLength(sparseList.length);
+      for (i = 0; i < sparseList.length; i++)
+        dataLength += serialization.varintLength(sparseList[i] - (i ? sparseList[i - 1] : 0));
+    } else {
+      dataLength = packedLength(m);
+    }
+
+    var buffer = serialization.allocate(serialization.TYPES.HyperLogLog,
+      3 + dataLength);
+    var pos = serialization.HEADER_SIZE;
+    // Number of register indexing bits
+    buffer.writeUInt8(k, pos, true);
+    pos++;
+    // Hash function
+    buffer.writeUInt8(hasher.id, pos, true);
+    pos++;
+    // Representation, 0 for dense and 1 for sparse
+    buffer.writeUInt8(sparseList ? 1 : 0, pos, true);
+    pos++;
+
+    if (sparseList) {
+      pos += serialization.writeVarint(buffer, sparseList.length, pos);
+      for (i = 0; i < sparseList.length; i++)
+        pos += serialization.writeVarint(buffer, sparseList[i] - (i ? sparseList[i - 1] : 0), pos);
+    } else {
+      // Registers
+      packRegisters(M, buffer, pos);
+    }
+    return serialization.seal(buffer);
   }
 
   /**
-   * Merge another HyperLogLog structure of the same size into this one.
+   * Merge another HyperLogLog structure into this one. If the two structures
+   * were created with a different precision, the result has the lower of the
+   * two precisions and this structure is folded down to it first.
    * @param {HyperLogLog} hyperLogLog The structure to merge in.
    */
   function merge(hyperLogLog) {
-    if (hyperLogLog.M.length != this.M.length)
-      throw new Error('cannot merge HyperLogLog structures of different size');
+    if (hyperLogLog.hash !== hasher.name)
+      throw new Error('cannot merge HyperLogLog structures with different hash functions');
+
+    var i;
+    var otherP = hyperLogLog.p;
+    var otherSparse = hyperLogLog.sparse;
+
+    if (otherP < k)
+      fold(otherP);
+
+    if (otherSparse && sparseList) {
+      flushPending();
+      sparseList = mergeSparse(sparseList, otherSparse);
+      if (sparseList.length > maxSparse)
+        toDense();
+      return;
+    }
+
+    if (sparseList)
+      toDense();
+
+    if (otherSparse) {
+      for (i = 0; i < otherSparse.length; i++)
+        setFromSparse(M, otherSparse[i], k);
+    } else {
+      var otherM = hyperLogLog.M;
+      if (otherP > k)
+        otherM = foldRegisters(otherM, otherP, k, hasher.bits);
+      for (i = 0; i < otherM.length; i++) {
+        if (otherM[i] > M[i])
+          M[i] = otherM[i];
+      }
+    }
+  }
+
+  /**
+   * Compute the parameters that depend on the number of register indexing
+   * bits.
+   * @private
+   */
+  function setPrecision(p) {
+    k = p;
+    // Compute the size of the register array as 2^register_indexing_bits
+    m = Math.pow(2, k);
+    // The hash bits left after register indexing are used to count
+    // consecutive zeros in
+    k_comp = hasher.bits - k;
+    alpha_m = alpha(m);
+
+    // The sparse representation switches to dense once it holds more entries
+    // than fit in the memory of the dense register array
+    maxSparse = m / 4;
+    maxPending = Math.max(Math.ceil(maxSparse / 8), 4);
+  }
 
-    for (var i = 0; i < hyperLogLog.M.length; i++) {
-      if (hyperLogLog.M[i] > this.M[i])
-        this.M[i] = hyperLogLog.M[i];
+  /**
+   * Reduce this structure to a lower precision.
+   * @private
+   */
+  function fold(p) {
+    var from = k;
+    setPrecision(p);
+    if (sparseList) {
+      // Sparse entries do not depend on the precision, but there is now less
+      // room for them
+      flushPending();
+      if (sparseList.length > maxSparse)
+        toDense();
+    } else {
+      M = foldRegisters(M, from, p, hasher.bits);
     }
   }
 
-  return { add: add, count: count, serialize: serialize, merge: merge, M: this.M };
+  /**
+   * Sort pending sparse entries into the sparse list, switching to the dense
+   * representation if the list grows too large.
+   * @private
+   */
+  function flushPending() {
+    if (!pending.length)
+      return;
+    pending.sort(numericAsc);
+    sparseList = mergeSparse(sparseList, pending);
+    pending = [];
+    if (sparseList.length > maxSparse)
+      toDense();
+  }
+
+  /**
+   * Convert from the sparse to the dense representation.
+   * @private
+   */
+  function toDense() {
+    M = materialize();
+    sparseList = null;
+    pending = null;
+  }
+
+  /**
+   * Returns the dense register array for the current sparse entries.
+   * @private
+   */
+  function materialize() {
+    var dense = new Uint8Array(m);
+    for (var i = 0; i < sparseList.length; i++)
+      setFromSparse(dense, sparseList[i], k);
+    for (i = 0; i < pending.length; i++)
+      setFromSparse(dense, pending[i], k);
+    return dense;
+  }
+
+  var self = {
+    add: add,
+    count: count,
+    countWithBounds: countWithBounds,
+    getMemorySize: getMemorySize,
+    serialize: serialize,
+    merge: merge,
+    hash: hasher.name
+  };
+
+  // Number of register indexing bits. Merging with a lower precision
+  // structure reduces it
+  Object.defineProperty(self, 'p', {
+    enumerable: true,
+    get: function() { return k; }
+  });
+
+  // Number of registers, 2^p
+  Object.defineProperty(self, 'm', {
+    enumerable: true,
+    get: function() { return m; }
+  });
+
+  // Relative standard error of the estimate for this number of registers.
+  // This may be lower than the stdError the structure was created with,
+  // since the register count is rounded up to a power of 2
+  Object.defineProperty(self, 'stdError', {
+    enumerable: true,
+    get: relativeError
+  });
+
+  // The dense registers. While the sparse representation is in use this is a
+  // copy built from the sparse entries
+  Object.defineProperty(self, 'M', {
+    enumerable: true,
+    get: function() { return sparseList ? materialize() : M; }
+  });
+
+  // Sorted sparse entries, or null if the dense representation is in use
+  Object.defineProperty(self, 'sparse', {
+    enumerable: true,
+    get: function() {
+      if (!sparseList)
+        return null;
+      flushPending();
+      return sparseList;
+    }
+  });
+
+  return self;
 }
 
 /**
@@ -136,27 +438,269 @@ function HyperLogLog(stdError, M, k_comp, alpha_m) {
  */
 HyperLogLog.deserialize = function(buffer, start, length) {
   start = start || 0;
-  length = length || buffer.length;
+  length = length || buffer.length - start;
   if (start + length > buffer.length)
     throw new Error('start and buffer cannot go past the end of buffer');
+
+  var header = serialization.readHeader(buffer, start, length);
+  if (!header)
+    return deserializeV0(buffer, start, length);
+  if (header.type !== serialization.TYPES.HyperLogLog) {
+    throw new Error('expected a serialized HyperLogLog but found ' +
+      (serialization.typeName(header.type) || 'unknown type ' + header.type));
+  }
+
+  var i;
+  var pos = header.start;
+  var k = buffer.readUInt8(pos, true);
+  pos++;
+  var m = Math.pow(2, k);
+  // Versions before 3 always used FNV-1a
+  var hash = 'fnv1a';
+  if (header.version >= 3) {
+    hash = hashing.getHashFunction(buffer.readUInt8(pos, true)).name;
+    pos++;
+  }
+  // Versions before 4 are always dense
+  if (header.version >= 4 && buffer.readUInt8(pos++, true) === 1) {
+    var len = serialization.readVarint(buffer, pos);
+    pos += serialization.varintLength(len);
+    var sparse = new Uint32Array(len);
+    var prev = 0;
+    for (i = 0; i < len; i++) {
+      var delta = serialization.readVarint(buffer, pos);
+      pos += serialization.varintLength(delta);
+      sparse[i] = prev = prev + delta;
+    }
+    if (pos !== header.end)
+      throw new Error('serialized HyperLogLog has an invalid length');
+    return new HyperLogLog(null, { hash: hash }, { p: k, sparse: sparse });
+  }
+
+  // Version 1 stored each register as a UInt32LE
+  var registersLength = header.version === 1 ? m * 4 : packedLength(m);
+  if (pos + registersLength !== header.end)
+    throw new Error('serialized HyperLogLog has an invalid length');
+
+  var M;
+  if (header.version === 1) {
+    M = new Uint8Array(m);
+    for (i = 0; i < m; i++)
+      M[i] = buffer.readUInt32LE(pos + i * 4, true);
+  } else {
+    M = unpackRegisters(buffer, pos, m);
+  }
+
+  return new HyperLogLog(null, { hash: hash }, { M: M });
+};
+
+/**
+ * Returns the union of several HyperLogLog structures as a new structure,
+ * leaving the inputs unchanged. The result has the lowest precision of the
+ * inputs.
+ * @param {Array} sketches HyperLogLog structures or binary buffers holding
+ *        serialized HyperLogLog structures, all using the same hash function.
+ * @returns {HyperLogLog} A new HyperLogLog object.
+ */
+HyperLogLog.union = function(sketches) {
+  if (!sketches || !sketches.length)
+    throw new Error('union requires at least one HyperLogLog structure');
+
+  var list = sketches.map(function(sketch) {
+    return Buffer.isBuffer(sketch) ? HyperLogLog.deserialize(sketch) : sketch;
+  });
+  var p = Math.min.apply(null, list.map(function(sketch) { return sketch.p; }));
+
+  var result = new HyperLogLog(null, { hash: list[0].hash }, { p: p });
+  list.forEach(function(sketch) { result.merge(sketch); });
+  return result;
+};
+
+/**
+ * Deserialize the original headerless layout: k_comp (UInt32LE), alpha_m
+ * (DoubleLE) and one UInt32LE per register, hashed with FNV-1a.
+ */
+function deserializeV0(buffer, start, length) {
   if (length * 0.25 !== Math.floor(length * 0.25))
     throw new Error('length must be a multiple of 4');
 
-  var k_comp = buffer.readUInt32LE(start + 0, true);
-  var alpha_m = buffer.readDoubleLE(start + 4, true);
+  // k_comp (start + 0) and alpha_m (start + 4) are derived from the register
+  // count
   var m = (length - 12) * 0.25;
 
-  var M = new Array(m);
+  var M = new Uint8Array(m);
   for (var i = 0; i < m; i++)
     M[i] = buffer.readUInt32LE(start + 12 + i * 4, true);
 
-  return new HyperLogLog(null, M, k_comp, alpha_m);
-};
+  return new HyperLogLog(null, { hash: 'fnv1a' }, { M: M });
+}
+
+function alpha(m) {
+  // Determine the value of the scale factor alpha_m by using hardcoded values
+  // from the paper for m in [16...64], otherwise a formula
+  return (m == 16) ? 0.673
+    : m == 32 ? 0.697
+    : m == 64 ? 0.709
+    : 0.7213 / (1 + 1.079 / m);
+}
 
+function encodeSparse(hash) {
+  // The top 25 bits of the hash are the sparse register index. The rank is
+  // counted over the remaining 39 bits, as in the dense representation
+  var highRankBits = SPARSE_RANK_BITS - 32;
+  var idx = hash[0] >>> highRankBits;
+  var r = hash[1] !== 0 ? rank(hash[1], 32) :
+    32 + rank(hash[0] & (Math.pow(2, highRankBits) - 1), highRankBits);
+  return idx * 64 + r;
+}
+
+function setFromSparse(M, encoded, p) {
+  // Map a sparse entry to the dense register index and rank for precision p.
+  // If none of the 39 rank bits were set, counting continues into the index
+  // bits the dense representation does not use
+  var idx = encoded >>> 6;
+  var r = encoded & 0x3F;
+  var extraBits = SPARSE_PRECISION - p;
+  if (r > SPARSE_RANK_BITS)
+    r = SPARSE_RANK_BITS + rank(idx & (Math.pow(2, extraBits) - 1), extraBits);
+  var j = idx >>> extraBits;
+  if (r > M[j])
+    M[j] = r;
+}
+
+function foldRegisters(M, from, to, hashBits) {
+  // Reduce dense registers from precision `from` to `to`. Each group of
+  // 2^(from - to) registers shares a new index, and the dropped index bits
+  // become the most significant rank bits: a register that saw no 1-bit in
+  // its rank bits continues counting into them
+  var dropped = from - to;
+  var rankBits = hashBits - from;
+  var mask = Math.pow(2, dropped) - 1;
+  var folded = new Uint8Array(Math.pow(2, to));
+  for (var i = 0; i < M.length; i++) {
+    var r = M[i];
+    if (r > rankBits)
+      r = rankBits + rank(i & mask, dropped);
+    var j = i >>> dropped;
+    if (r > folded[j])
+      folded[j] = r;
+  }
+  return folded;
+}
+
+function mergeSparse(a, b) {
+  // Merge two sorted lists of sparse entries, keeping the highest rank for
+  // each index. Entries sort by index and then rank
+  var out = new Uint32Array(a.length + b.length);
+  var len = 0, i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    var next = (j >= b.length || (i < a.length && a[i] <= b[j])) ? a[i++] : b[j++];
+    if (len && (out[len - 1] >>> 6) === (next >>> 6))
+      out[len - 1] = Math.max(out[len - 1], next);
+    else
+      out[len++] = next;
+  }
+  return len === out.length ? out : new Uint32Array(out.subarray(0, len));
+}
+
+function estimateBias(E, p) {
+  // Average the bias of the 6 nearest raw estimates in the empirical tables
+  var raw = bias.RAW_ESTIMATES[p - bias.MIN_PRECISION];
+  var biases = bias.BIASES[p - bias.MIN_PRECISION];
+
+  var hi = 0;
+  while (hi < raw.length && raw[hi] < E)
+    ++hi;
+  var lo = hi - 1;
+
+  var sum = 0;
+  for (var n = 0; n < 6; n++) {
+    if (lo < 0 || (hi < raw.length && raw[hi] - E < E - raw[lo]))
+      sum += biases[hi++];
+    else
+      sum += biases[lo--];
+  }
+  return sum / 6;
+}
+
+function numericAsc(a, b) {
+  return a - b;
+}
+
+function packedLength(m) {
+  // Registers are packed into 6 bits each
+  return Math.ceil(m * 6 / 8);
+}
+
+function packRegisters(M, buffer, pos) {
+  buffer.fill(0, pos, pos + packedLength(M.length));
+  for (var i = 0; i < M.length; i++) {
+    var bit = i * 6;
+    var b = pos + (bit >>> 3);
+    var shift = bit & 7;
+    buffer[b] |= (M[i] << shift) & 0xFF;
+    if (shift > 2)
+      buffer[b + 1] |= M[i] >>> (8 - shift);
+  }
+}
+
+function unpackRegisters(buffer, pos, m) {
+  var M = new Uint8Array(m);
+  for (var i = 0; i < m; i++) {
+    var bit = i * 6;
+    var b = pos + (bit >>> 3);
+    var shift = bit & 7;
+    var value = buffer[b] >>> shift;
+    if (shift > 2)
+      value |= buffer[b + 1] << (8 - shift);
+    M[i] = value & 0x3F;
+  }
+  return M;
+}
+
+function normalQuantile(p) {
+  // Inverse of the standard normal cumulative distribution function, using
+  // the rational approximation by Peter Acklam (relative error below 1.2e-9)
+  var a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  var b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  var c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  var d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+  var q, r;
+
+  if (p < 0.02425) {
+    q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - 0.02425) {
+    q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  q = p - 0.5;
+  r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Returns the base 2 logarithm of x. Used by HyperLogLog and
+ * SlidingHyperLogLog.
+ * @private
+ */
 function log2(x) {
   return Math.log(x) / Math.LN2;
 }
 
+/**
+ * Returns the rank of a hash, counting trailing zero bits. Used by HyperLogLog
+ * and SlidingHyperLogLog.
+ * @private
+ */
 function rank(hash, max) {
   // Returns the position of the right-most 1-bit of the binary string of hash,
   // considering up to `max` bits
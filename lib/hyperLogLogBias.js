@@ -0,0 +1,42 @@
+// Generated by tools/generateBiasTables.js. Do not edit.
+
+exports.MIN_PRECISION = 4;
+exports.MAX_PRECISION = 18;
+
+// Mean raw estimates, indexed by [precision - MIN_PRECISION]
+exports.RAW_ESTIMATES = [
+  [11.2, 11.7, 12.2, 12.7, 12.7, 13.3, 13.8, 14.4, 15, 15.6, 16.2, 16.8, 16.8, 17.4, 18.1, 18.8, 19.5, 20.2, 20.9, 21.6, 21.6, 22.4, 23.1, 23.9, 24.7, 25.5, 26.3, 27.1, 27.9, 27.9, 28.8, 29.6, 30.5, 31.4, 32.3, 33.2, 34.1, 34.1, 35, 35.9, 36.8, 37.7, 38.7, 39.6, 40.5, 40.5, 41.5, 42.4, 43.4, 44.4, 45.3, 46.3, 47.3, 48.2, 48.2, 49.2, 50.2, 51.2, 52.1, 53.1, 54.1, 55.1, 55.1, 56.1, 57.1, 58.1, 59, 60, 61, 62, 62, 63, 64, 65, 66, 67, 68, 69, 70, 70, 71, 72, 73, 74, 75, 76, 77, 77, 78, 79, 80, 81, 82, 83, 84, 84, 85, 86, 87, 88],
+  [23.3, 24.2, 24.8, 25.8, 26.9, 27.9, 28.5, 29.6, 30.8, 32, 32.6, 33.9, 35.1, 36.4, 37.1, 38.4, 39.8, 41.2, 41.9, 43.4, 44.8, 46.3, 47.1, 48.6, 50.2, 51.7, 53.3, 54.2, 55.8, 57.4, 59.1, 60, 61.7, 63.4, 65.1, 66, 67.8, 69.5, 71.3, 72.2, 74.1, 75.9, 77.7, 78.7, 80.5, 82.4, 84.3, 85.2, 87.1, 89, 90.9, 92.8, 93.8, 95.7, 97.7, 99.6, 100.6, 102.5, 104.5, 106.4, 107.4, 109.4, 111.3, 113.3, 114.2, 116.2, 118.2, 120.2, 121.2, 123.1, 125.1, 127.1, 128.1, 130.1, 132, 134, 136, 137, 139, 141, 143, 144, 146, 148, 150.1, 151.1, 153, 155.1, 157, 158, 160, 162, 164, 165.1, 167.1, 169.1, 171.1, 172.1, 174.1, 176.1],
+  [47.3, 48.8, 50.8, 52.4, 54.5, 56.2, 58.4, 60.2, 62.5, 64.3, 66.7, 68.6, 71.2, 73.1, 75.8, 77.8, 80.5, 82.6, 85.5, 87.6, 90.5, 92.8, 95.8, 98.1, 101.2, 104.3, 106.7, 109.9, 112.3, 115.6, 118.1, 121.4, 124, 127.4, 130, 133.4, 136.1, 139.6, 142.3, 145.9, 148.6, 152.2, 155, 158.6, 161.4, 165.1, 167.9, 171.7, 174.5, 178.3, 182.1, 185, 188.8, 191.7, 195.5, 198.4, 202.3, 205.2, 209.1, 212, 215.9, 218.8, 222.7, 225.7, 229.6, 232.5, 236.5, 239.4, 243.4, 246.3, 250.3, 253.2, 257.2, 260.2, 264.2, 268.1, 271.1, 275.1, 278.1, 282.1, 285.1, 289.1, 292, 296.1, 299.1, 303, 306, 310, 313, 317, 320, 323.9, 326.9, 330.9, 333.9, 337.9, 340.9, 344.8, 347.8, 351.8],
+  [94.9, 98.4, 102, 105.7, 109.4, 113.2, 117.2, 121.2, 125.3, 129.5, 133.8, 138.2, 143.3, 147.8, 152.5, 157.2, 162, 166.9, 171.8, 176.9, 182, 187.2, 192.4, 197.7, 203.2, 208.6, 214.2, 219.8, 225.5, 231.2, 237, 242.9, 248.8, 254.8, 260.9, 266.9, 273.1, 280.1, 286.3, 292.6, 298.9, 305.2, 311.6, 318, 324.5, 331, 337.5, 344, 350.6, 357.2, 363.9, 370.5, 377.2, 383.9, 390.7, 397.4, 404.2, 411, 417.7, 424.6, 431.4, 438.3, 446.1, 452.9, 459.7, 466.6, 473.5, 480.3, 487.2, 494.1, 501, 507.9, 514.9, 521.9, 528.8, 535.7, 542.7, 549.7, 556.7, 563.7, 570.6, 577.6, 584.6, 591.5, 598.5, 605.5, 612.5, 620.5, 627.4, 634.4, 641.3, 648.3, 655.2, 662.2, 669.1, 676.2, 683.2, 690.2, 697.2, 704.2],
+  [190.7, 197.7, 204.8, 212.2, 219.7, 227.4, 235.8, 243.9, 252.1, 260.5, 269.1, 277.8, 286.8, 295.9, 305.1, 314.6, 324.2, 333.9, 344.6, 354.7, 365, 375.3, 385.9, 396.5, 407.4, 418.4, 429.5, 440.7, 452.1, 463.5, 475.1, 487.6, 499.5, 511.4, 523.5, 535.6, 547.9, 560.2, 572.7, 585.2, 597.8, 610.5, 623.3, 636.9, 649.7, 662.7, 675.7, 688.7, 701.8, 714.9, 728.2, 741.5, 754.7, 768.1, 781.5, 795.1, 809.6, 823.2, 836.7, 850.4, 864, 877.6, 891.3, 905, 918.8, 932.5, 946.3, 960.2, 975, 988.7, 1002.6, 1016.5, 1030.3, 1044.1, 1058, 1071.9, 1085.8, 1099.7, 1113.8, 1127.7, 1141.5, 1156.2, 1170.2, 1184.2, 1198.2, 1212, 1226, 1240, 1253.9, 1267.9, 1281.8, 1295.7, 1309.7, 1324.6, 1338.5, 1352.5, 1366.5, 1380.4, 1394.4, 1408.4],
+  [382.2, 396.1, 410.5, 425.7, 440.8, 456.2, 471.9, 488, 504.5, 521.9, 539, 556.6, 574.4, 592.5, 611.1, 630.6, 649.8, 669.3, 689.1, 709.2, 729.6, 751.1, 772.1, 793.5, 815.1, 837, 859.2, 881.7, 905.1, 928.1, 951.3, 974.6, 998.2, 1021.8, 1046.8, 1071, 1095.5, 1120, 1144.7, 1169.7, 1195.6, 1221.1, 1246.4, 1272, 1297.8, 1323.5, 1350.5, 1376.4, 1402.7, 1429.1, 1455.5, 1482.2, 1509.1, 1536.6, 1563.4, 1590.3, 1617.4, 1644.3, 1671.3, 1699.3, 1726.5, 1753.6, 1781, 1808.3, 1835.8, 1864.1, 1891.5, 1919, 1946.3, 1973.7, 2001.4, 2029.9, 2057.5, 2085.3, 2113.1, 2140.7, 2168.4, 2196.5, 2225.3, 2253.4, 2281, 2308.8, 2336.8, 2364.8, 2393.8, 2421.8, 2449.8, 2477.6, 2505.2, 2533.1, 2562.3, 2590.1, 2617.9, 2645.8, 2673.8, 2701.8, 2730.8, 2758.7, 2786.7, 2814.4],
+  [765.1, 793.6, 822.2, 851.6, 882.3, 913.1, 944.7, 977.5, 1010.5, 1044.1, 1078.9, 1113.9, 1149.6, 1186, 1223.7, 1261.4, 1299.7, 1339.4, 1379.2, 1419.5, 1461.1, 1502.6, 1544.7, 1588.2, 1631.5, 1675.3, 1720.4, 1765.1, 1810.3, 1856.8, 1903.3, 1949.9, 1998.2, 2046, 2094, 2143.2, 2192.3, 2241.6, 2291, 2342, 2392.1, 2442.6, 2494.2, 2545.6, 2597.4, 2650, 2701.8, 2754.1, 2808.1, 2860.6, 2913.1, 2967.1, 3020.6, 3074.1, 3128.6, 3182.2, 3236.2, 3291.4, 3345.6, 3399.6, 3455.4, 3509.6, 3564.6, 3619.3, 3675.1, 3729.6, 3785.2, 3841.3, 3895.7, 3951.3, 4007.5, 4063, 4118.2, 4174.6, 4230.1, 4285.3, 4341.3, 4396.7, 4451.9, 4508.6, 4564.7, 4619.9, 4676.2, 4732.6, 4787.8, 4844.8, 4900.5, 4956, 5011.3, 5067.9, 5124.1, 5179.6, 5236.4, 5292.7, 5348.5, 5406.2, 5462, 5517.9, 5574.3, 5630.6],
+  [1531.5, 1587.4, 1645.4, 1704.8, 1764.9, 1827.1, 1890.1, 1955.2, 2021.7, 2089, 2158.3, 2229.1, 2300.4, 2373.8, 2448.6, 2524.2, 2601.6, 2680.3, 2759.6, 2840.9, 2922.8, 3006.6, 3091.6, 3177, 3264.1, 3352.7, 3441, 3531.6, 3622.8, 3714.4, 3807.6, 3901.2, 3996.5, 4092.5, 4188.4, 4286.2, 4384.6, 4483.4, 4583.3, 4683.9, 4784.2, 4886.3, 4988.6, 5090.6, 5194.3, 5297.5, 5402.5, 5508.3, 5613.9, 5720.1, 5826.6, 5932.7, 6040, 6148.5, 6255.4, 6364.4, 6472.7, 6581.7, 6690.5, 6799.4, 6908.6, 7019.1, 7128.3, 7238.8, 7349.5, 7459.4, 7570.6, 7681.9, 7792.7, 7904.7, 8015.4, 8127.8, 8239.9, 8350, 8461.3, 8572.4, 8682.7, 8794.2, 8907, 9017.6, 9130.7, 9242.5, 9355, 9467.1, 9579.4, 9691.3, 9805, 9916.5, 10028.7, 10141.8, 10253.7, 10367.1, 10479.3, 10590.7, 10703.3, 10814.4, 10927.4, 11039.9, 11152.9, 11267.2],
+  [3063.2, 3176.2, 3291.4, 3409.5, 3530.6, 3655, 3781.5, 3910.8, 4043.9, 4179.1, 4317.2, 4458, 4602.2, 4748.5, 4897.6, 5050.2, 5205.4, 5362.8, 5522.2, 5685.7, 5850.3, 6017.9, 6187.2, 6359.4, 6533.7, 6709.9, 6888.9, 7069.2, 7250.9, 7435.8, 7623.3, 7811.5, 8000.5, 8193.2, 8385.6, 8580.7, 8776.7, 8975.5, 9175.8, 9376.5, 9578.8, 9783.8, 9989.3, 10194.5, 10401.5, 10609.8, 10819.2, 11027.5, 11238.9, 11450.7, 11664.1, 11876.4, 12091.5, 12307.1, 12522.7, 12739.2, 12954.6, 13173, 13391.6, 13611, 13828.2, 14047.7, 14268.6, 14487.5, 14708.7, 14928.9, 15149.3, 15370.7, 15591.4, 15813.9, 16035.2, 16256.1, 16478.4, 16699.8, 16923.5, 17148.1, 17373.6, 17598.6, 17823, 18049, 18275, 18499.1, 18722.6, 18947.1, 19172.4, 19397.5, 19623, 19849.4, 20072.8, 20296.8, 20521.1, 20746.7, 20973.1, 21198.4, 21425, 21650.7, 21875.8, 22103.5, 22330.9, 22556.2],
+  [6127.8, 6352.8, 6583.7, 6820.3, 7062.5, 7310, 7564.3, 7823.3, 8089.2, 8359.9, 8635.3, 8918.7, 9205.6, 9498.3, 9795.7, 10099.4, 10408.3, 10722.4, 11041.7, 11366.3, 11695.2, 12028.7, 12367.9, 12710.5, 13059.4, 13410.8, 13767, 14128.5, 14492.1, 14861, 15234, 15609.7, 15990.1, 16370.9, 16756.1, 17146.7, 17541.3, 17934.4, 18335.4, 18736.7, 19144.1, 19550.7, 19960.4, 20371.8, 20787.8, 21202, 21621.4, 22040.9, 22462.9, 22885.8, 23311.3, 23736.4, 24165, 24591.8, 25024.3, 25455.8, 25889.6, 26322.3, 26758.7, 27197.2, 27634.6, 28075.3, 28516.6, 28957.1, 29396.3, 29839.5, 30280.7, 30720.5, 31165.2, 31607.3, 32054.5, 32498.2, 32946.8, 33388.1, 33833.3, 34280.4, 34725.9, 35179.2, 35626.4, 36076.3, 36526.7, 36972.9, 37422.4, 37871.9, 38322.7, 38767.6, 39219.3, 39665.7, 40116.6, 40569.8, 41018.1, 41468.6, 41915.7, 42364.2, 42812.1, 43264.4, 43714.4, 44169.9, 44621.6, 45073.4],
+  [12255.7, 12705.9, 13167.4, 13640.5, 14125.3, 14621.4, 15129.1, 15647.4, 16177.5, 16718.1, 17272.4, 17836.6, 18412.1, 18996.8, 19593.1, 20199.4, 20817.3, 21444.6, 22084.1, 22730.8, 23391.8, 24058.1, 24734.4, 25421, 26114.7, 26815.5, 27527, 28249.7, 28977.4, 29717, 30461.1, 31212.7, 31972.7, 32734.5, 33505.3, 34282.3, 35068.9, 35860, 36654.4, 37457.9, 38267.6, 39075.6, 39896.8, 40719.3, 41544.9, 42381.3, 43222.2, 44064.9, 44910.6, 45757.4, 46601.7, 47459.5, 48318.8, 49176.3, 50035.4, 50896.8, 51768.3, 52639, 53507, 54379.9, 55254.8, 56128, 57008.7, 57894.2, 58772.4, 59651, 60525.1, 61413.4, 62293.8, 63179.8, 64073.6, 64964.1, 65854.9, 66750.1, 67647.4, 68540, 69440.1, 70337.9, 71234.7, 72133.3, 73034.7, 73922.9, 74821.3, 75720.9, 76620.6, 77507.9, 78402.6, 79290, 80182.9, 81090.8, 81983, 82881.4, 83786.3, 84687.6, 85592.6, 86491.4, 87388.7, 88284, 89180.4, 90080.1],
+  [24513.4, 25413.8, 26336.9, 27285, 28253.5, 29245.4, 30261.2, 31299.2, 32358.6, 33439.7, 34544.8, 35675.3, 36827.8, 37998.2, 39193.3, 40409.7, 41645, 42902, 44176, 45473, 46792.1, 48125.6, 49479, 50844.4, 52233.1, 53648.6, 55077.9, 56519.5, 57973.8, 59449.9, 60938.6, 62439.5, 63957.4, 65493.9, 67037, 68600.3, 70169.2, 71750.4, 73348.9, 74969.4, 76587.1, 78213.6, 79853.8, 81506.4, 83166.1, 84827.6, 86497.5, 88186.4, 89872.1, 91570.4, 93277, 94987.9, 96708.1, 98426.4, 100151.1, 101877.9, 103606.1, 105352.3, 107095.2, 108836.9, 110604.9, 112369.4, 114121.6, 115883.3, 117643.9, 119395.7, 121174.2, 122947.7, 124709.4, 126492, 128268.8, 130039.7, 131826, 133605.9, 135388.6, 137179.8, 138971.7, 140753.5, 142544, 144338.7, 146138.8, 147939.7, 149731.5, 151526.6, 153329.4, 155125.4, 156911.4, 158685.8, 160481.2, 162282.3, 164089.2, 165906.2, 167699.6, 169501.4, 171297.9, 173106, 174906.1, 176704.2, 178488.6, 180283.2],
+  [49023.6, 50824.1, 52673, 54566.5, 56505.7, 58491.6, 60520.5, 62595.3, 64718.8, 66885.7, 69101.6, 71354.5, 73659.8, 75998.8, 78378.3, 80808.7, 83271.9, 85775.1, 88328.8, 90918.2, 93540.9, 96208.1, 98921.2, 101681.9, 104472.9, 107290.6, 110143.8, 113031.6, 115953.3, 118897.3, 121887.9, 124896.7, 127946.1, 131015.1, 134114.7, 137221.5, 140366.9, 143534, 146732.7, 149951.1, 153187.4, 156455.7, 159721.4, 162999.5, 166311.6, 169623, 172951.8, 176315.9, 179690.8, 183093.5, 186481.9, 189888.9, 193321.6, 196779.3, 200213.9, 203673, 207168.2, 210646.5, 214138.5, 217636.7, 221124.8, 224635.5, 228141.8, 231678.8, 235175.5, 238703, 242249.1, 245818.9, 249374.7, 252889.8, 256417.7, 259986.3, 263550.2, 267099.3, 270659.5, 274274.7, 277823.9, 281405.5, 285002.8, 288577.1, 292151.6, 295762.1, 299355.6, 302984.1, 306568.9, 310165.6, 313770.5, 317367.1, 320923.9, 324563.8, 328157.5, 331733.5, 335340.5, 338927.8, 342545.1, 346120.9, 349758.4, 353361.3, 356978.7, 360583.3],
+  [98051.5, 101653.8, 105346.5, 109133.6, 113016.8, 116984.6, 121046.3, 125197.9, 129437.4, 133769.1, 138186.5, 142700.8, 147298.3, 151995.4, 156760.4, 161631, 166567.5, 171586.3, 176694.8, 181888.5, 187155.9, 192496.7, 197928.4, 203425.8, 208956.7, 214591.9, 220290.8, 226077.9, 231908, 237790.7, 243761.9, 249805.6, 255890.9, 262016.6, 268188.7, 274410.2, 280653.9, 287006.7, 293381.5, 299805.9, 306241.2, 312753.7, 319295.7, 325863.5, 332485.3, 339124.5, 345836, 352558.3, 359288.9, 366035.5, 372859.9, 379690.1, 386551, 393392, 400294.6, 407214.5, 414139.7, 421070.2, 428019.5, 434950.6, 441985.7, 449011.9, 456039.4, 463111.7, 470206.9, 477305.7, 484408.6, 491514.7, 498616.5, 505674.1, 512754.9, 519892.1, 527029.7, 534198.8, 541343.9, 548509.7, 555647.3, 562776.3, 570017.2, 577186.7, 584307.1, 591485.5, 598673.1, 605817.3, 612959.9, 620126.1, 627332.1, 634536.2, 641670.2, 648946.5, 656126.4, 663338.1, 670481.8, 677633.7, 684833.8, 691997.7, 699165.5, 706333.9, 713549.3, 720695.2],
+  [196110.3, 203317, 210706.6, 218281.1, 226035, 233980.6, 242103.7, 250404.8, 258876.7, 267540.4, 276390.7, 285416.3, 294597.3, 303987.7, 313533.3, 323234, 333117.8, 343173.2, 353381.8, 363779.7, 374301.9, 384975.3, 395804.1, 406776.8, 417903.1, 429164.1, 440562, 452081.1, 463742.5, 475539.8, 487459.7, 499511.7, 511642.9, 523891.9, 536275.9, 548756.8, 561348.4, 574088.2, 586879.5, 599699.9, 612653.2, 625635.3, 638717.4, 651879.1, 665129.3, 678424.5, 691756, 705188.4, 718715.4, 732252.3, 745802.1, 759427.9, 773136.8, 786939.9, 800681.7, 814522.1, 828415.9, 842313.1, 856303.9, 870252.3, 884216, 898325.5, 912359.7, 926496.4, 940630.1, 954796.1, 968921.8, 983122.8, 997186.1, 1011311.7, 1025499.9, 1039738.6, 1053957.2, 1068173.2, 1082420.5, 1096733.4, 1111043.2, 1125341.4, 1139705.3, 1154007.4, 1168384.2, 1182688.2, 1197013.1, 1211469.3, 1225782.1, 1240113.7, 1254452.3, 1268817.2, 1283130, 1297474.7, 1311939.3, 1326307.2, 1340675.5, 1355176.4, 1369570.6, 1383964.2, 1398305.9, 1412699.2, 1427329, 1441726.3]
+];
+
+// Mean bias (raw estimate - true cardinality) at each raw estimate above
+exports.BIASES = [
+  [10.2, 9.7, 9.2, 8.7, 8.7, 8.3, 7.8, 7.4, 7, 6.6, 6.2, 5.8, 5.8, 5.4, 5.1, 4.8, 4.5, 4.2, 3.9, 3.6, 3.6, 3.4, 3.1, 2.9, 2.7, 2.5, 2.3, 2.1, 1.9, 1.9, 1.8, 1.6, 1.5, 1.4, 1.3, 1.2, 1.1, 1.1, 1, 0.9, 0.8, 0.7, 0.7, 0.6, 0.5, 0.5, 0.5, 0.4, 0.4, 0.4, 0.3, 0.3, 0.3, 0.2, 0.2, 0.2, 0.2, 0.2, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  [21.3, 20.2, 19.8, 18.8, 17.9, 16.9, 16.5, 15.6, 14.8, 14, 13.6, 12.9, 12.1, 11.4, 11.1, 10.4, 9.8, 9.2, 8.9, 8.4, 7.8, 7.3, 7.1, 6.6, 6.2, 5.7, 5.3, 5.2, 4.8, 4.4, 4.1, 4, 3.7, 3.4, 3.1, 3, 2.8, 2.5, 2.3, 2.2, 2.1, 1.9, 1.7, 1.7, 1.5, 1.4, 1.3, 1.2, 1.1, 1, 0.9, 0.8, 0.8, 0.7, 0.7, 0.6, 0.6, 0.5, 0.5, 0.4, 0.4, 0.4, 0.3, 0.3, 0.2, 0.2, 0.2, 0.2, 0.2, 0.1, 0.1, 0.1, 0.1, 0.1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.1, 0.1, 0, 0.1, 0, 0, 0, 0, 0, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1],
+  [43.3, 41.8, 39.8, 38.4, 36.5, 35.2, 33.4, 32.2, 30.5, 29.3, 27.7, 26.6, 25.2, 24.1, 22.8, 21.8, 20.5, 19.6, 18.5, 17.6, 16.5, 15.8, 14.8, 14.1, 13.2, 12.3, 11.7, 10.9, 10.3, 9.6, 9.1, 8.4, 8, 7.4, 7, 6.4, 6.1, 5.6, 5.3, 4.9, 4.6, 4.2, 4, 3.6, 3.4, 3.1, 2.9, 2.7, 2.5, 2.3, 2.1, 2, 1.8, 1.7, 1.5, 1.4, 1.3, 1.2, 1.1, 1, 0.9, 0.8, 0.7, 0.7, 0.6, 0.5, 0.5, 0.4, 0.4, 0.3, 0.3, 0.2, 0.2, 0.2, 0.2, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0, 0.1, 0.1, 0, 0, 0, 0, 0, 0, -0.1, -0.1, -0.1, -0.1, -0.1, -0.1, -0.2, -0.2, -0.2],
+  [87.9, 84.4, 81, 77.7, 74.4, 71.2, 68.2, 65.2, 62.3, 59.5, 56.8, 54.2, 51.3, 48.8, 46.5, 44.2, 42, 39.9, 37.8, 35.9, 34, 32.2, 30.4, 28.7, 27.2, 25.6, 24.2, 22.8, 21.5, 20.2, 19, 17.9, 16.8, 15.8, 14.9, 13.9, 13.1, 12.1, 11.3, 10.6, 9.9, 9.2, 8.6, 8, 7.5, 7, 6.5, 6, 5.6, 5.2, 4.9, 4.5, 4.2, 3.9, 3.7, 3.4, 3.2, 3, 2.7, 2.6, 2.4, 2.3, 2.1, 1.9, 1.7, 1.6, 1.5, 1.3, 1.2, 1.1, 1, 0.9, 0.9, 0.9, 0.8, 0.7, 0.7, 0.7, 0.7, 0.7, 0.6, 0.6, 0.6, 0.5, 0.5, 0.5, 0.5, 0.5, 0.4, 0.4, 0.3, 0.3, 0.2, 0.2, 0.1, 0.2, 0.2, 0.2, 0.2, 0.2],
+  [176.7, 169.7, 162.8, 156.2, 149.7, 143.4, 136.8, 130.9, 125.1, 119.5, 114.1, 108.8, 103.8, 98.9, 94.1, 89.6, 85.2, 80.9, 76.6, 72.7, 69, 65.3, 61.9, 58.5, 55.4, 52.4, 49.5, 46.7, 44.1, 41.5, 39.1, 36.6, 34.5, 32.4, 30.5, 28.6, 26.9, 25.2, 23.7, 22.2, 20.8, 19.5, 18.3, 16.9, 15.7, 14.7, 13.7, 12.7, 11.8, 10.9, 10.2, 9.5, 8.7, 8.1, 7.5, 7.1, 6.6, 6.2, 5.7, 5.4, 5, 4.6, 4.3, 4, 3.8, 3.5, 3.3, 3.2, 3, 2.7, 2.6, 2.5, 2.3, 2.1, 2, 1.9, 1.8, 1.7, 1.8, 1.7, 1.5, 1.2, 1.2, 1.2, 1.2, 1, 1, 1, 0.9, 0.9, 0.8, 0.7, 0.7, 0.6, 0.5, 0.5, 0.5, 0.4, 0.4, 0.4],
+  [354.2, 340.1, 326.5, 312.7, 299.8, 287.2, 274.9, 263, 251.5, 239.9, 229, 218.6, 208.4, 198.5, 189.1, 179.6, 170.8, 162.3, 154.1, 146.2, 138.6, 131.1, 124.1, 117.5, 111.1, 105, 99.2, 93.7, 88.1, 83.1, 78.3, 73.6, 69.2, 64.8, 60.8, 57, 53.5, 50, 46.7, 43.7, 40.6, 38.1, 35.4, 33, 30.8, 28.5, 26.5, 24.4, 22.7, 21.1, 19.5, 18.2, 17.1, 15.6, 14.4, 13.3, 12.4, 11.3, 10.3, 9.3, 8.5, 7.6, 7, 6.3, 5.8, 5.1, 4.5, 4, 3.3, 2.7, 2.4, 1.9, 1.5, 1.3, 1.1, 0.7, 0.4, 0.5, 0.3, 0.4, 0, -0.2, -0.2, -0.2, -0.2, -0.2, -0.2, -0.4, -0.8, -0.9, -0.7, -0.9, -1.1, -1.2, -1.2, -1.2, -1.2, -1.3, -1.3, -1.6],
+  [709.1, 680.6, 653.2, 626.6, 600.3, 575.1, 550.7, 526.5, 503.5, 481.1, 458.9, 437.9, 417.6, 398, 378.7, 360.4, 342.7, 325.4, 309.2, 293.5, 278.1, 263.6, 249.7, 236.2, 223.5, 211.3, 199.4, 188.1, 177.3, 166.8, 157.3, 147.9, 139.2, 131, 123, 115.2, 108.3, 101.6, 95, 89, 83.1, 77.6, 72.2, 67.6, 63.4, 59, 54.8, 51.1, 48.1, 44.6, 41.1, 38.1, 35.6, 33.1, 30.6, 28.2, 26.2, 24.4, 22.6, 20.6, 19.4, 17.6, 16.6, 15.3, 14.1, 12.6, 12.2, 11.3, 9.7, 9.3, 8.5, 8, 7.2, 6.6, 6.1, 5.3, 4.3, 3.7, 2.9, 2.6, 2.7, 1.9, 1.2, 1.6, 0.8, 0.8, 0.5, 0, -0.7, -1.1, -0.9, -1.4, -1.6, -1.3, -1.5, -0.8, -1, -1.1, -1.7, -1.4],
+  [1418.5, 1362.4, 1307.4, 1253.8, 1201.9, 1151.1, 1102.1, 1054.2, 1007.7, 963, 919.3, 877.1, 836.4, 796.8, 758.6, 722.2, 686.6, 652.3, 619.6, 587.9, 557.8, 528.6, 500.6, 474, 448.1, 423.7, 400, 377.6, 355.8, 335.4, 315.6, 297.2, 279.5, 262.5, 246.4, 231.2, 216.6, 203.4, 190.3, 177.9, 166.2, 155.3, 144.6, 134.6, 125.3, 116.5, 108.5, 101.3, 94.9, 88.1, 81.6, 75.7, 70, 65.5, 60.4, 56.4, 52.7, 48.7, 44.5, 41.4, 37.6, 35.1, 32.3, 29.8, 27.5, 25.4, 23.6, 21.9, 20.7, 19.7, 18.4, 17.8, 16.9, 15, 13.3, 11.4, 9.7, 8.2, 8, 6.6, 6.7, 6.5, 6, 5.1, 5.4, 4.3, 5, 4.5, 3.7, 3.8, 3.7, 4.1, 3.3, 2.7, 2.3, 1.4, 1.4, 0.9, 1.9, 3.2],
+  [2838.2, 2725.2, 2615.4, 2508.5, 2404.6, 2303, 2204.5, 2108.8, 2015.9, 1926.1, 1839.2, 1755, 1673.2, 1594.5, 1518.6, 1446.2, 1375.4, 1307.8, 1242.2, 1179.7, 1119.3, 1061.9, 1006.2, 952.4, 901.7, 852.9, 805.9, 761.2, 717.9, 677.8, 639.3, 602.5, 566.5, 533.2, 500.6, 470.7, 441.7, 414.5, 389.8, 365.5, 342.8, 321.8, 302.3, 282.5, 263.5, 246.8, 231.2, 214.5, 199.9, 186.7, 175.1, 161.4, 151.5, 142.1, 132.7, 123.2, 113.6, 107, 99.6, 94, 86.2, 80.7, 75.6, 69.5, 65.7, 60.9, 55.3, 51.7, 47.4, 43.9, 40.2, 36.1, 33.4, 28.8, 27.5, 27.1, 26.6, 26.6, 26, 27, 27, 26.1, 24.6, 23.1, 23.4, 23.5, 24, 24.4, 22.8, 21.8, 21.1, 20.7, 22.1, 22.4, 23, 23.7, 23.8, 26.5, 27.9, 28.2],
+  [5676.8, 5451.8, 5231.7, 5018.3, 4809.5, 4607, 4410.3, 4219.3, 4034.2, 3853.9, 3679.3, 3511.7, 3348.6, 3190.3, 3037.7, 2890.4, 2748.3, 2612.4, 2480.7, 2355.3, 2233.2, 2116.7, 2004.9, 1897.5, 1795.4, 1695.8, 1602, 1512.5, 1426.1, 1344, 1267, 1191.7, 1122.1, 1051.9, 986.1, 926.7, 870.3, 813.4, 763.4, 714.7, 671.1, 626.7, 586.4, 546.8, 512.8, 476, 445.4, 413.9, 385.9, 357.8, 332.3, 307.4, 285, 261.8, 243.3, 224.8, 207.6, 190.3, 175.7, 163.2, 150.6, 140.3, 131.6, 121.1, 110.3, 102.5, 92.7, 82.5, 76.2, 68.3, 64.5, 58.2, 55.8, 47.1, 41.3, 37.4, 32.9, 35.2, 32.4, 31.3, 31.7, 26.9, 26.4, 24.9, 24.7, 19.6, 20.3, 16.7, 16.6, 19.8, 17.1, 16.6, 13.7, 11.2, 9.1, 10.4, 10.4, 14.9, 16.6, 17.4],
+  [11354.7, 10903.9, 10464.4, 10036.5, 9619.3, 9214.4, 8821.1, 8438.4, 8067.5, 7707.1, 7360.4, 7023.6, 6697.1, 6380.8, 6076.1, 5781.4, 5498.3, 5224.6, 4963.1, 4708.8, 4467.8, 4233.1, 4008.4, 3794, 3586.7, 3386.5, 3197, 3018.7, 2845.4, 2683, 2526.1, 2376.7, 2235.7, 2096.5, 1966.3, 1842.3, 1727.9, 1617, 1510.4, 1412.9, 1321.6, 1228.6, 1148.8, 1070.3, 994.9, 929.3, 869.2, 810.9, 755.6, 701.4, 644.7, 601.5, 559.8, 516.3, 473.4, 433.8, 404.3, 374, 341, 312.9, 286.8, 259, 237.7, 222.2, 199.4, 177, 150.1, 137.4, 116.8, 101.8, 93.6, 83.1, 72.9, 67.1, 63.4, 55, 54.1, 50.9, 46.7, 43.3, 43.7, 30.9, 28.3, 26.9, 25.6, 11.9, 5.6, -9, -17.1, -10.2, -19, -21.6, -17.7, -17.4, -13.4, -16.6, -20.3, -26, -30.6, -31.9],
+  [22711.4, 21809.8, 20929.9, 20076, 19242.5, 18432.4, 17645.2, 16881.2, 16138.6, 15417.7, 14719.8, 14048.3, 13398.8, 12767.2, 12159.3, 11573.7, 11007, 10462, 9933, 9428, 8945.1, 8476.6, 8027, 7590.4, 7177.1, 6790.6, 6417.9, 6056.5, 5708.8, 5382.9, 5069.6, 4767.5, 4483.4, 4217.9, 3959, 3719.3, 3486.2, 3265.4, 3061.9, 2879.4, 2695.1, 2519.6, 2357.8, 2207.4, 2065.1, 1924.6, 1792.5, 1678.4, 1562.1, 1458.4, 1363, 1271.9, 1189.1, 1105.4, 1028.1, 952.9, 878.1, 822.3, 763.2, 702.9, 667.9, 630.4, 580.6, 540.3, 497.9, 447.7, 424.2, 395.7, 354.4, 335, 309.8, 278.7, 262, 239.9, 220.6, 209.8, 199.7, 178.5, 167, 159.7, 157.8, 155.7, 145.5, 138.6, 139.4, 132.4, 116.4, 88.8, 82.2, 80.3, 85.2, 100.2, 91.6, 90.4, 84.9, 91, 89.1, 84.2, 66.6, 59.2],
+  [45419.6, 43615.1, 41860, 40148.5, 38483.7, 36864.6, 35289.5, 33759.3, 32278.8, 30840.7, 29452.6, 28100.5, 26801.8, 25535.8, 24311.3, 23136.7, 21995.9, 20894.1, 19843.8, 18828.2, 17846.9, 16909.1, 16018.2, 15173.9, 14360.9, 13574.6, 12822.8, 12106.6, 11423.3, 10763.3, 10148.9, 9553.7, 8998.1, 8463.1, 7957.7, 7460.5, 7000.9, 6564, 6157.7, 5772.1, 5403.4, 5067.7, 4728.4, 4402.5, 4109.6, 3817, 3540.8, 3300.9, 3070.8, 2869.5, 2653.9, 2455.9, 2284.6, 2137.3, 1967.9, 1822, 1713.2, 1586.5, 1474.5, 1367.7, 1251.8, 1157.5, 1059.8, 991.8, 884.5, 807, 749.1, 713.9, 665.7, 575.8, 499.7, 463.3, 423.2, 367.3, 323.5, 334.7, 278.9, 256.5, 248.8, 219.1, 188.6, 195.1, 183.6, 208.1, 187.9, 180.6, 180.5, 173.1, 124.9, 160.8, 149.5, 121.5, 123.5, 106.8, 119.1, 90.9, 123.4, 122.3, 134.7, 135.3],
+  [90842.5, 87235.8, 83719.5, 80297.6, 76971.8, 73730.6, 70583.3, 67525.9, 64556.4, 61679.1, 58887.5, 56192.8, 53582.3, 51070.4, 48626.4, 46288, 44015.5, 41825.3, 39724.8, 37709.5, 35767.9, 33899.7, 32122.4, 30410.8, 28732.7, 27158.9, 25648.8, 24226.9, 22848, 21521.7, 20283.9, 19118.6, 17994.9, 16911.6, 15874.7, 14887.2, 13921.9, 13066.7, 12232.5, 11447.9, 10674.2, 9977.7, 9310.7, 8669.5, 8082.3, 7512.5, 7015, 6528.3, 6049.9, 5587.5, 5202.9, 4824.1, 4476, 4108, 3801.6, 3512.5, 3228.7, 2950.2, 2690.5, 2412.6, 2238.7, 2055.9, 1875.4, 1738.7, 1624.9, 1514.7, 1408.6, 1305.7, 1198.5, 1047.1, 918.9, 847.1, 775.7, 735.8, 671.9, 628.7, 557.3, 477.3, 509.2, 469.7, 381.1, 350.5, 329.1, 264.3, 197.9, 155.1, 152.1, 148.2, 73.2, 140.5, 111.4, 114.1, 48.8, -8.3, -17.2, -62.3, -103.5, -144.1, -137.7, -200.8],
+  [181692.3, 174481, 167452.6, 160609.1, 153945, 147472.6, 141178.7, 135061.8, 129115.7, 123361.4, 117793.7, 112401.3, 107164.3, 102136.7, 97264.3, 92547, 88012.8, 83650.2, 79441.8, 75421.7, 71525.9, 67781.3, 64192.1, 60746.8, 57455.1, 54298.1, 51278, 48379.1, 45622.5, 43001.8, 40503.7, 38138.7, 35851.9, 33682.9, 31648.9, 29711.8, 27885.4, 26207.2, 24580.5, 22982.9, 21518.2, 20082.3, 18746.4, 17491.1, 16323.3, 15200.5, 14114, 13128.4, 12237.4, 11356.3, 10488.1, 9695.9, 8986.8, 8371.9, 7695.7, 7118.1, 6594.9, 6074.1, 5646.9, 5177.3, 4723, 4414.5, 4030.7, 3749.4, 3465.1, 3213.1, 2920.8, 2703.8, 2350.1, 2057.7, 1827.9, 1648.6, 1449.2, 1247.2, 1076.5, 971.4, 863.2, 743.4, 689.3, 573.4, 532.2, 419.2, 326.1, 364.3, 259.1, 172.7, 93.3, 40.2, -65, -138.3, -91.7, -141.8, -191.5, -107.6, -131.4, -155.8, -232.1, -256.8, -45, -65.7]
+];
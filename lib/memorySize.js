@@ -0,0 +1,43 @@
+/**
+ * Helpers for the getMemorySize() method of each structure. Typed arrays are
+ * measured exactly. The size of plain JavaScript values depends on the engine,
+ * so they are counted with typical V8 costs on 64-bit platforms.
+ */
+
+// A small array holding a count and a key, the handle MinHeap keeps for it and
+// the slot in the key lookup map
+var TUPLE_SIZE = 96;
+// A number stored in a plain array
+var NUMBER_SIZE = 8;
+// An empty plain array
+var ARRAY_SIZE = 32;
+
+exports.NUMBER_SIZE = NUMBER_SIZE;
+exports.ARRAY_SIZE = ARRAY_SIZE;
+exports.typedArrays = typedArrays;
+exports.tuples = tuples;
+
+/**
+ * Returns the total byte length of an array of typed arrays.
+ * @param {Array} arrays Array of typed arrays.
+ * @returns {Number} Size in bytes.
+ */
+function typedArrays(arrays) {
+  var size = 0;
+  for (var i = 0; i < arrays.length; i++)
+    size += arrays[i].byteLength;
+  return size;
+}
+
+/**
+ * Returns the approximate size of priority queue entries of the form
+ * [count, key, ...], with keys stored as two bytes per character.
+ * @param {Array} entries Array of tuples with the key as the second value.
+ * @returns {Number} Size in bytes.
+ */
+function tuples(entries) {
+  var size = 0;
+  for (var i = 0; i < entries.length; i++)
+    size += TUPLE_SIZE + entries[i][1].length * 2;
+  return size;
+}
@@ -1,7 +1,9 @@
 module.exports = MinHeap;
 
 /**
- * Min heap implementation (aka priority queue).
+ * Min heap implementation (aka priority queue). The heap is indexed: every
+ * item placed in the heap gets a handle that can later be used to update or
+ * remove that item in O(log n).
  * @param {Array} array Optional backing store for the heap.
  * @param {Function} comparator(a, b) Optional compare function for heap sorting.
  */
@@ -12,6 +14,15 @@ function MinHeap(array, comparator) {
    */
   this.heap = array || [];
 
+  /**
+   * Handles for the items in the heap, kept in the same order as the heap
+   * storage. Each handle has the form { value: item, index: position }.
+   * @private
+   */
+  this.handles = new Array(this.heap.length);
+  for (var i = 0; i < this.heap.length; i++)
+    this.handles[i] = { value: this.heap[i], index: i };
+
   /**
    * Default comparator used if an override is not provided.
    * @private
@@ -38,9 +49,7 @@ function MinHeap(array, comparator) {
       smallest = rIdx;
 
     if (i != smallest) {
-      var temp = this.heap[smallest];
-      this.heap[smallest] = this.heap[i];
-      this.heap[i] = temp;
+      this.swap(i, smallest);
       this.heapify(smallest);
     }
   };
@@ -53,13 +62,61 @@ function MinHeap(array, comparator) {
   this.siftUp = function(i) {
     var p = parent(i);
     if (p >= 0 && this.compare(this.heap[p], this.heap[i]) > 0) {
-      var temp = this.heap[p];
-      this.heap[p] = this.heap[i];
-      this.heap[i] = temp;
+      this.swap(p, i);
       this.siftUp(p);
     }
   };
 
+  /**
+   * Swap the items (and handles) at indexes i and j.
+   * @private
+   */
+  this.swap = function(i, j) {
+    var temp = this.heap[i];
+    this.heap[i] = this.heap[j];
+    this.heap[j] = temp;
+
+    temp = this.handles[i];
+    this.handles[i] = this.handles[j];
+    this.handles[j] = temp;
+    this.handles[i].index = i;
+    this.handles[j].index = j;
+  };
+
+  /**
+   * Remove the item at index i, moving the bottom item into its place.
+   * @private
+   */
+  this.removeAt = function(i) {
+    var value = this.heap[i];
+    this.handles[i].index = -1;
+
+    var last = this.heap.length - 1;
+    if (i !== last) {
+      this.heap[i] = this.heap[last];
+      this.handles[i] = this.handles[last];
+      this.handles[i].index = i;
+    }
+    this.heap.pop();
+    this.handles.pop();
+
+    if (i !== last)
+      this.restore(i);
+    return value;
+  };
+
+  /**
+   * Move the item at index i up or down until the heap constraint holds.
+   * @private
+   */
+  this.restore = function(i) {
+    var p = parent(i);
+    if (p >= 0 && this.compare(this.heap[p], this.heap[i]) > 0)
+      this.siftUp(i);
+    else
+      this.heapify(i);
+  };
+
   /**
    * Heapify the contents of an array.
    * This function is called when an array is provided.
@@ -81,10 +138,14 @@ function MinHeap(array, comparator) {
 /**
  * Place an item in the heap.  
  * @param item
+ * @returns a handle for the item, of the form { value: item, index: position }.
  */
 MinHeap.prototype.push = function(item) {
+  var handle = { value: item, index: this.heap.length };
   this.heap.push(item);
-  this.siftUp(this.heap.length - 1);
+  this.handles.push(handle);
+  this.siftUp(handle.index);
+  return handle;
 };
 
 /**
@@ -93,16 +154,9 @@ MinHeap.prototype.push = function(item) {
  * @returns the minimum value contained within the heap.
  */
 MinHeap.prototype.pop = function() {
-  var value;
-  if (this.heap.length > 1) {
-    value = this.heap[0];
-    // Put the bottom element at the top and let it drift down.
-    this.heap[0] = this.heap.pop();
-    this.heapify(0);
-  } else {
-    value = this.heap.pop();
-  }
-  return value;
+  if (!this.heap.length)
+    return undefined;
+  return this.removeAt(0);
 };
 
 /**
@@ -110,10 +164,57 @@ MinHeap.prototype.pop = function() {
  * not remove the value from the heap.
  * @returns the minimum value within the heap.
  */
-MinHeap.prototype.getMin = function() {
+MinHeap.prototype.peek = function() {
   return this.heap[0];
 };
 
+/**
+ * Alias for peek().
+ * @returns the minimum value within the heap.
+ */
+MinHeap.prototype.getMin = MinHeap.prototype.peek;
+
+/**
+ * Replace the minimum valued item with a new item. This is equivalent to a
+ * pop() followed by a push(), but only moves through the heap once. Call
+ * peek() first to retrieve the item being replaced.
+ * @param item
+ * @returns a handle for the new item.
+ */
+MinHeap.prototype.replaceTop = function(item) {
+  if (!this.heap.length)
+    return this.push(item);
+
+  this.handles[0].index = -1;
+  var handle = { value: item, index: 0 };
+  this.heap[0] = item;
+  this.handles[0] = handle;
+  this.heapify(0);
+  return handle;
+};
+
+/**
+ * Restore the heap ordering after the value of an item was changed in place,
+ * in either direction.
+ * @param handle Handle returned when the item was added.
+ */
+MinHeap.prototype.update = function(handle) {
+  if (this.handles[handle.index] !== handle)
+    throw new Error('handle is not in the heap');
+  this.restore(handle.index);
+};
+
+/**
+ * Remove an item from the heap.
+ * @param handle Handle returned when the item was added.
+ * @returns the removed value.
+ */
+MinHeap.prototype.remove = function(handle) {
+  if (this.handles[handle.index] !== handle)
+    throw new Error('handle is not in the heap');
+  return this.removeAt(handle.index);
+};
+
 /**
  * Return the current number of elements within the heap.
  * @returns size of the heap.
@@ -0,0 +1,352 @@
+var EventEmitter = require('events').EventEmitter;
+var os = require('os');
+var path = require('path');
+var util = require('util');
+
+var HyperLogLog = require('./hyperLogLog');
+var CountMinSketch = require('./countMinSketch');
+var serialization = require('./serialization');
+
+module.exports = ParallelSketch;
+ParallelSketch.createShard = createShard;
+ParallelSketch.shardTotal = shardTotal;
+
+/**
+ * Spreads the hashing work of a HyperLogLog or CountMinSketch across a pool of
+ * worker threads. Keys are collected into batches on the calling thread and
+ * each batch is sent to the next worker in turn, which records it in its own
+ * shard of the sketch. Since merging is lossless for both structures, the
+ * merged shards estimate the same as a single sketch would.
+ *
+ * The registers of HyperLogLog shards and the counters of CountMinSketch
+ * shards live in SharedArrayBuffers, so snapshot() merges them on the calling
+ * thread without copying them out of the workers. collect() instead waits for
+ * every batch sent so far and merges the serialized shards, including the top
+ * entries each CountMinSketch shard tracks.
+ *
+ * Like a Writable stream, add() and increment() return false once too many
+ * batches are waiting for the workers. Stop adding until the 'drain' event to
+ * keep memory use bounded.
+ *
+ * Events:
+ *   'drain' - Emitted when the workers catch up after add() or increment()
+ *     returned false.
+ *   'error' (err) - Emitted when a worker fails.
+ *
+ * @param {Object} template A new HyperLogLog or CountMinSketch giving the
+ *        settings of every shard. Time-decayed CountMinSketches and sparse
+ *        HyperLogLog data are not supported; shards always use the dense
+ *        representation.
+ * @param {Object} options (Optional) Additional settings:
+ *        threads - Number of worker threads. Defaults to the number of CPUs
+ *          less one, and at least one.
+ *        batchSize - Number of keys sent to a worker at a time. Defaults to
+ *          1000.
+ *        highWaterMark - Number of batches that may wait for the workers
+ *          before add() and increment() return false. Defaults to 4 per
+ *          thread.
+ */
+function ParallelSketch(template, options) {
+  if (!(this instanceof ParallelSketch))
+    return new ParallelSketch(template, options);
+
+  var Worker;
+  try {
+    Worker = require('worker_threads').Worker;
+  } catch (err) {
+    throw new Error('ParallelSketch requires worker_threads, available from Node 12, ' +
+      'or from Node 10.5 with the --experimental-worker flag');
+  }
+
+  EventEmitter.call(this);
+  options = options || {};
+  var threads = options.threads || Math.max(os.cpus().length - 1, 1);
+  var batchSize = options.batchSize || 1000;
+  if (typeof threads !== 'number' || threads < 1 || threads !== Math.floor(threads))
+    throw new Error('threads must be a positive integer');
+  if (typeof batchSize !== 'number' || batchSize < 1)
+    throw new Error('batchSize must be a positive number');
+
+  /**
+   * @private
+   */
+  this._params = shardParams(template);
+  this._batchSize = batchSize;
+  this._highWaterMark = options.highWaterMark || threads * 4;
+  this._keys = [];
+  this._counts = [];
+  this._next = 0;
+  this._pendingBatches = 0;
+  this._needDrain = false;
+  this._requests = Object.create(null);
+  this._requestId = 0;
+  this._closed = false;
+  this._workers = [];
+  this._shared = [];
+
+  var self = this;
+  for (var i = 0; i < threads; i++) {
+    var shared = new SharedArrayBuffer(this._params.byteLength);
+    var worker = new Worker(path.join(__dirname, 'parallelWorker.js'), {
+      workerData: { params: this._params, shared: shared }
+    });
+    worker.on('message', function(message) { self._onMessage(message); });
+    worker.on('error', function(err) { self._fail(err); });
+    this._workers.push(worker);
+    this._shared.push(shared);
+  }
+}
+util.inherits(ParallelSketch, EventEmitter);
+
+/**
+ * Add a member to the set, for HyperLogLog templates.
+ * @param {String|Buffer} key Key to add to the set.
+ * @returns {Boolean} False if the caller should wait for 'drain'.
+ */
+ParallelSketch.prototype.add = function(key) {
+  if (this._params.type !== 'HyperLogLog')
+    throw new Error('add() requires a HyperLogLog template, use increment()');
+  return this._push(key, 1);
+};
+
+/**
+ * Record observations of a key, for CountMinSketch templates.
+ * @param {String} key Key to increment the observation count for.
+ * @param {Number} count (Optional) Non-negative integer number of
+ *        observations to record. Defaults to 1.
+ * @returns {Boolean} False if the caller should wait for 'drain'.
+ */
+ParallelSketch.prototype.increment = function(key, count) {
+  if (this._params.type !== 'CountMinSketch')
+    throw new Error('increment() requires a CountMinSketch template, use add()');
+  if (count === undefined)
+    count = 1;
+  // Checked here, since a count the shard rejects would stop every worker
+  if (typeof count !== 'number' || !(count >= 0))
+    throw new Error('count must be a non-negative number');
+  if (count !== Math.floor(count) || !isFinite(count))
+    throw new Error('count must be an integer unless counts decay');
+  // Top-K structures report keys back, so they are kept as strings
+  if (Buffer.isBuffer(key))
+    key = key.toString('utf8');
+  return this._push(key, count);
+};
+
+/**
+ * Send the keys collected so far to a worker, without waiting for a full
+ * batch.
+ */
+ParallelSketch.prototype.flush = function() {
+  if (!this._keys.length)
+    return;
+  if (this._closed)
+    throw new Error('parallel sketch is closed');
+
+  var message = { op: this._params.type === 'HyperLogLog' ? 'add' : 'increment', keys: this._keys };
+  if (message.op === 'increment')
+    message.counts = this._counts;
+  this._keys = [];
+  this._counts = [];
+
+  this._workers[this._next].postMessage(message);
+  this._next = (this._next + 1) % this._workers.length;
+  this._pendingBatches++;
+};
+
+/**
+ * Returns a new sketch merging the shared registers or counters of every
+ * shard, without waiting for the workers. Batches still queued or being
+ * recorded are left out, as are the top entries of CountMinSketch shards, so
+ * the result of a CountMinSketch supports estimate() and getTotalCount() but
+ * has no top entries. Use collect() for those.
+ * @returns {Object} A new HyperLogLog or CountMinSketch.
+ */
+ParallelSketch.prototype.snapshot = function() {
+  var result = createShard(this._params, this._shared[0].slice(0));
+  for (var i = 1; i < this._shared.length; i++)
+    result.merge(createShard(this._params, this._shared[i]));
+  return result;
+};
+
+/**
+ * Send the collected keys, wait for the workers to record every batch sent so
+ * far, and merge their serialized shards.
+ * @param {Function} callback Called with an error and a new HyperLogLog or
+ *        CountMinSketch holding everything recorded.
+ */
+ParallelSketch.prototype.collect = function(callback) {
+  if (this._closed)
+    return process.nextTick(function() { callback(new Error('parallel sketch is closed')); });
+  this.flush();
+
+  var id = ++this._requestId;
+  this._requests[id] = { buffers: [], remaining: this._workers.length, callback: callback };
+  for (var i = 0; i < this._workers.length; i++)
+    this._workers[i].postMessage({ op: 'serialize', id: id, index: i });
+};
+
+/**
+ * Collect the final result and stop the workers.
+ * @param {Function} callback (Optional) Called with an error and the final
+ *        merged sketch.
+ */
+ParallelSketch.prototype.close = function(callback) {
+  var self = this;
+  callback = callback || function(err) { if (err) self.emit('error', err); };
+  this.collect(function(err, sketch) {
+    self._terminate(function() { callback(err, sketch); });
+  });
+};
+
+/**
+ * @private
+ */
+ParallelSketch.prototype._push = function(key, count) {
+  if (typeof key !== 'string' && !Buffer.isBuffer(key))
+    throw new Error('keys must be strings or Buffers');
+  this._keys.push(key);
+  this._counts.push(count);
+  if (this._keys.length >= this._batchSize)
+    this.flush();
+  if (this._pendingBatches >= this._highWaterMark) {
+    this._needDrain = true;
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @private
+ */
+ParallelSketch.prototype._onMessage = function(message) {
+  if (message.op === 'done') {
+    this._pendingBatches--;
+    if (this._needDrain && this._pendingBatches < this._highWaterMark) {
+      this._needDrain = false;
+      this.emit('drain');
+    }
+  } else if (message.op === 'serialized') {
+    var request = this._requests[message.id];
+    if (!request)
+      return;
+    var data = message.buffer;
+    request.buffers[message.index] = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    if (--request.remaining)
+      return;
+
+    delete this._requests[message.id];
+    var result;
+    try {
+      // Required here since the package index requires this module
+      var deserialize = require('../index').deserialize;
+      result = deserialize(request.buffers[0]);
+      for (var i = 1; i < request.buffers.length; i++)
+        result.merge(deserialize(request.buffers[i]));
+    } catch (err) {
+      return request.callback(err);
+    }
+    request.callback(null, result);
+  }
+};
+
+/**
+ * @private
+ */
+ParallelSketch.prototype._fail = function(err) {
+  var requests = this._requests;
+  this._requests = Object.create(null);
+  this._terminate(function() {});
+  for (var id in requests)
+    requests[id].callback(err);
+  this.emit('error', err);
+};
+
+/**
+ * @private
+ */
+ParallelSketch.prototype._terminate = function(callback) {
+  if (this._closed)
+    return process.nextTick(callback);
+  this._closed = true;
+
+  var remaining = this._workers.length;
+  this._workers.forEach(function(worker) {
+    worker.once('exit', function() {
+      if (--remaining === 0)
+        callback();
+    });
+    worker.terminate();
+  });
+};
+
+/**
+ * Returns the settings a shard is created with from a template sketch.
+ * @private
+ */
+function shardParams(template) {
+  var type;
+  if (template && typeof template.serialize === 'function') {
+    var buffer = template.serialize();
+    var header = serialization.readHeader(buffer, 0, buffer.length);
+    type = header && serialization.typeName(header.type);
+  }
+
+  if (type === 'HyperLogLog') {
+    return { type: type, hash: template.hash, m: template.m, byteLength: template.m };
+  } else if (type === 'CountMinSketch') {
+    if (template.halfLife)
+      throw new Error('time-decayed CountMinSketch templates are not supported');
+    if (template.seed === null)
+      throw new Error('CountMinSketch templates must use seeded hash functions');
+    var depth = template.counts.length;
+    var width = template.counts[0].length;
+    // The counters are followed by the total of the shard, aligned for a
+    // Float64Array
+    var totalOffset = Math.ceil(depth * width * Uint32Array.BYTES_PER_ELEMENT /
+      Float64Array.BYTES_PER_ELEMENT) * Float64Array.BYTES_PER_ELEMENT;
+    return {
+      type: type,
+      hash: template.hash,
+      seed: template.seed,
+      maxEntries: template.maxEntries,
+      depth: depth,
+      width: width,
+      totalOffset: totalOffset,
+      byteLength: totalOffset + Float64Array.BYTES_PER_ELEMENT
+    };
+  }
+  throw new Error('template must be a HyperLogLog or CountMinSketch');
+}
+
+/**
+ * Create a shard whose registers or counters are stored in the given buffer,
+ * without copying them. Used by the workers and to merge the shards.
+ * @private
+ */
+function createShard(params, shared) {
+  if (params.type === 'HyperLogLog')
+    return new HyperLogLog(null, { hash: params.hash }, { M: new Uint8Array(shared) });
+
+  var counts = new Array(params.depth);
+  for (var i = 0; i < params.depth; i++)
+    counts[i] = new Uint32Array(shared, i * params.width * Uint32Array.BYTES_PER_ELEMENT, params.width);
+
+  return new CountMinSketch(params.maxEntries, null, null, { hash: params.hash }, {
+    lgWidth: Math.round(Math.log(params.width) / Math.LN2),
+    counts: counts,
+    seed: params.seed,
+    heap: [],
+    total: shardTotal(params, shared)[0]
+  });
+}
+
+/**
+ * Returns a view of the total of a CountMinSketch shard in the given buffer.
+ * The counters cannot be summed instead, since conservative update leaves out
+ * observations of colliding keys. The worker of the shard stores its total
+ * after every batch.
+ * @private
+ */
+function shardTotal(params, shared) {
+  return new Float64Array(shared, params.totalOffset, 1);
+}
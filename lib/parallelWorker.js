@@ -0,0 +1,37 @@
+/**
+ * Worker thread of a ParallelSketch. Records the batches it receives in its
+ * shard, whose registers or counters are shared with the parent thread.
+ */
+
+var workerThreads = require('worker_threads');
+
+var ParallelSketch = require('./parallelSketch');
+
+var parentPort = workerThreads.parentPort;
+var params = workerThreads.workerData.params;
+var shard = ParallelSketch.createShard(params, workerThreads.workerData.shared);
+var total = params.type === 'CountMinSketch' ?
+  ParallelSketch.shardTotal(params, workerThreads.workerData.shared) : null;
+
+parentPort.on('message', function(message) {
+  var keys, i;
+  if (message.op === 'add') {
+    keys = message.keys;
+    for (i = 0; i < keys.length; i++)
+      shard.add(toKey(keys[i]));
+    parentPort.postMessage({ op: 'done' });
+  } else if (message.op === 'increment') {
+    keys = message.keys;
+    for (i = 0; i < keys.length; i++)
+      shard.increment(toKey(keys[i]), message.counts[i]);
+    total[0] = shard.getTotalCount();
+    parentPort.postMessage({ op: 'done' });
+  } else if (message.op === 'serialize') {
+    parentPort.postMessage({ op: 'serialized', id: message.id, index: message.index, buffer: shard.serialize() });
+  }
+});
+
+// Buffers arrive as plain Uint8Arrays
+function toKey(key) {
+  return typeof key === 'string' ? key : Buffer.from(key.buffer, key.byteOffset, key.byteLength);
+}
@@ -0,0 +1,540 @@
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var serialization = require('./serialization');
+
+module.exports = PersistentSketch;
+PersistentSketch.open = open;
+
+var LOG_MAGIC = 'SCNL';
+var LOG_VERSION = 1;
+// Magic, version and the checksum of the checkpoint the log follows
+var LOG_HEADER_SIZE = 9;
+// Length prefix and checksum around every record
+var RECORD_OVERHEAD = 8;
+// Flush the log early once this many bytes are buffered
+var MAX_BUFFERED = 64 * 1024;
+
+var OPS = {
+  add: 1,
+  increment: 2
+};
+
+var FLAG_BUFFER_KEY = 1;
+var FLAG_TIMESTAMP = 2;
+
+/**
+ * Keeps a sketch, or a SketchRegistry of named sketches, on disk. Checkpoints
+ * of the whole structure are written periodically to a file, atomically by
+ * writing a temporary file and renaming it over the previous checkpoint, so a
+ * crash never leaves a partially written checkpoint behind.
+ *
+ * With the log option, every add() and increment() made through this object
+ * is also appended to a log file next to the checkpoint. open() replays the
+ * log on top of the last checkpoint, so a crash loses at most the records of
+ * the last flushInterval. The log is started over after every checkpoint.
+ *
+ * Files used, next to each other:
+ *   path          The last checkpoint, a serialized structure that
+ *                 streamcount.deserialize() and the command line tool can
+ *                 read
+ *   path.log      Records logged since that checkpoint
+ *   path.tmp      Checkpoint being written
+ *   path.log.tmp  New log being started after a checkpoint
+ *
+ * Events:
+ *   'checkpoint' (buffer) - Emitted after each checkpoint is written.
+ *   'error' (err) - Emitted when a periodic checkpoint or flush fails.
+ *
+ * @param {Object} sketch The structure to persist, either a sketch with a
+ *        serialize() method or a SketchRegistry.
+ * @param {String} file Path of the checkpoint file. An existing checkpoint is
+ *        overwritten, use open() to continue from it instead.
+ * @param {Object} options (Optional) Additional settings:
+ *        checkpointInterval - Milliseconds between checkpoints, or 0 to only
+ *          write them when checkpoint() is called. Defaults to one minute.
+ *        log - True to log every add() and increment() between checkpoints.
+ *          Defaults to false.
+ *        flushInterval - Milliseconds between writes of the buffered log
+ *          records to disk. Defaults to one second.
+ */
+function PersistentSketch(sketch, file, options) {
+  if (!(this instanceof PersistentSketch))
+    return new PersistentSketch(sketch, file, options);
+  if (!sketch || (typeof sketch.serialize !== 'function' && !isRegistry(sketch)))
+    throw new Error('sketch must have a serialize() method or be a SketchRegistry');
+  if (typeof file !== 'string' || !file)
+    throw new Error('file must be a path');
+
+  EventEmitter.call(this);
+  options = options || {};
+  var checkpointInterval = options.checkpointInterval === undefined ?
+    60 * 1000 : options.checkpointInterval;
+  var flushInterval = options.flushInterval === undefined ?
+    1000 : options.flushInterval;
+  if (typeof checkpointInterval !== 'number' || !(checkpointInterval >= 0))
+    throw new Error('checkpointInterval must be a non-negative number of milliseconds');
+  if (typeof flushInterval !== 'number' || !(flushInterval >= 0))
+    throw new Error('flushInterval must be a non-negative number of milliseconds');
+
+  /**
+   * The persisted structure. Changes made to it directly are saved by the
+   * next checkpoint but not logged.
+   */
+  this.sketch = sketch;
+
+  /**
+   * Path of the checkpoint file.
+   */
+  this.path = file;
+
+  /**
+   * Results of replaying the log when the structure was opened, of the form
+   * { records, discardedBytes }, or null.
+   */
+  this.recovery = null;
+
+  /**
+   * @private
+   */
+  this._group = isRegistry(sketch);
+  this._logging = !!options.log;
+  this._logFd = null;
+  this._pending = [];
+  this._pendingBytes = 0;
+  this._closed = false;
+  this._timers = [];
+
+  this.checkpoint();
+
+  var self = this;
+  if (checkpointInterval)
+    this._every(checkpointInterval, function() { self.checkpoint(); });
+  if (this._logging && flushInterval)
+    this._every(flushInterval, function() { self.flush(); });
+}
+util.inherits(PersistentSketch, EventEmitter);
+
+/**
+ * Add a member to the sketch, and log it. For a SketchRegistry the arguments
+ * are (name, key, timestamp).
+ * @param {String|Buffer} key Key to add.
+ * @param {Number} timestamp (Optional) Time the member was seen, for
+ *        SlidingHyperLogLog.
+ */
+PersistentSketch.prototype.add = function(key, timestamp) {
+  var name = null;
+  if (this._group) {
+    name = key;
+    key = timestamp;
+    timestamp = arguments[2];
+  }
+
+  // Members are logged with the time they were seen, so replaying the log
+  // adds them at that time rather than when it is replayed
+  var target = this._group ? this.sketch.peek(name) : this.sketch;
+  if (timestamp === undefined && typeof target.clock === 'function')
+    timestamp = target.clock();
+
+  if (this._group)
+    this.sketch.add(name, key, timestamp);
+  else
+    this.sketch.add(key, timestamp);
+  this._log(OPS.add, name, key, 1, timestamp);
+};
+
+/**
+ * Record observations of a key in the sketch, and log them. For a
+ * SketchRegistry the arguments are (name, key, count).
+ * @param {String} key Key to increment the observation count for.
+ * @param {Number|Object} count (Optional) Number of observations, or an
+ *        object of the form { count, timestamp } for time-decayed sketches.
+ */
+PersistentSketch.prototype.increment = function(key, count) {
+  var name = null;
+  if (this._group) {
+    name = key;
+    key = count;
+    count = arguments[2];
+  }
+
+  var timestamp;
+  if (count !== null && typeof count === 'object') {
+    timestamp = count.timestamp;
+    count = count.count;
+  }
+  if (count === undefined)
+    count = 1;
+  var target = this._group ? this.sketch.peek(name) : this.sketch;
+  if (timestamp === undefined && target.halfLife)
+    timestamp = target.clock();
+
+  var arg = timestamp === undefined ? count : { count: count, timestamp: timestamp };
+  if (this._group)
+    this.sketch.increment(name, key, arg);
+  else
+    this.sketch.increment(key, arg);
+  this._log(OPS.increment, name, key, count, timestamp);
+};
+
+/**
+ * Atomically write a checkpoint of the structure and start a new log.
+ * Called every checkpointInterval milliseconds.
+ * @returns {Buffer} The serialized structure written to the checkpoint.
+ */
+PersistentSketch.prototype.checkpoint = function() {
+  if (this._closed)
+    throw new Error('persistent sketch is closed');
+
+  var buffer = this._group ? this.sketch.snapshot() : this.sketch.serialize();
+  writeAtomic(this.path, buffer);
+
+  // Everything pending is part of the checkpoint now
+  this._pending = [];
+  this._pendingBytes = 0;
+  if (this._logging) {
+    this._closeLog();
+    writeAtomic(this.path + '.log', logHeader(checksumOf(buffer)));
+    this._logFd = fs.openSync(this.path + '.log', 'a');
+  }
+
+  this.emit('checkpoint', buffer);
+  return buffer;
+};
+
+/**
+ * Write the buffered log records to disk. Called every flushInterval
+ * milliseconds.
+ */
+PersistentSketch.prototype.flush = function() {
+  if (this._logFd === null || !this._pending.length)
+    return;
+
+  var data = Buffer.concat(this._pending, this._pendingBytes);
+  this._pending = [];
+  this._pendingBytes = 0;
+  var written = 0;
+  while (written < data.length)
+    written += fs.writeSync(this._logFd, data, written, data.length - written);
+  fs.fsyncSync(this._logFd);
+};
+
+/**
+ * Write a final checkpoint and stop the timers. The structure can still be
+ * used, but is no longer persisted.
+ */
+PersistentSketch.prototype.close = function() {
+  if (this._closed)
+    return;
+  this.checkpoint();
+  this._closed = true;
+  this._closeLog();
+  for (var i = 0; i < this._timers.length; i++)
+    clearInterval(this._timers[i]);
+  this._timers = [];
+};
+
+/**
+ * @private
+ */
+PersistentSketch.prototype._every = function(interval, fn) {
+  var self = this;
+  var timer = setInterval(function() {
+    try {
+      fn();
+    } catch (err) {
+      self.emit('error', err);
+    }
+  }, interval);
+  // Persistence alone should not keep the process running
+  if (timer.unref)
+    timer.unref();
+  this._timers.push(timer);
+};
+
+/**
+ * @private
+ */
+PersistentSketch.prototype._log = function(op, name, key, count, timestamp) {
+  if (!this._logging || this._closed)
+    return;
+  var record = encodeRecord(op, name, key, count, timestamp);
+  this._pending.push(record);
+  this._pendingBytes += record.length;
+  if (this._pendingBytes >= MAX_BUFFERED)
+    this.flush();
+};
+
+/**
+ * @private
+ */
+PersistentSketch.prototype._closeLog = function() {
+  if (this._logFd !== null) {
+    this.flush();
+    fs.closeSync(this._logFd);
+    this._logFd = null;
+  }
+};
+
+/**
+ * Restore a structure persisted by a PersistentSketch: read the last
+ * checkpoint, replay the records logged since, and continue persisting to
+ * the same files. A log that ends in a truncated or corrupted record, as
+ * left by a crash in the middle of a write, is replayed up to that record.
+ *
+ * @param {String} file Path of the checkpoint file.
+ * @param {Object} options (Optional) Settings for the PersistentSketch, and:
+ *        sketch - Structure to start with if no checkpoint exists yet. For a
+ *          checkpoint of a SketchRegistry this is required, and is the
+ *          registry the checkpoint is restored into.
+ *        deserialize - Function turning the checkpoint into a sketch.
+ *          Defaults to streamcount.deserialize.
+ * @returns {PersistentSketch} The restored structure, with a recovery
+ *          property describing the replayed log.
+ */
+function open(file, options) {
+  options = options || {};
+  var buffer;
+  try {
+    buffer = fs.readFileSync(file);
+  } catch (err) {
+    if (err.code !== 'ENOENT' || !options.sketch)
+      throw err;
+    return new PersistentSketch(options.sketch, file, options);
+  }
+
+  var header;
+  try {
+    header = serialization.readHeader(buffer, 0, buffer.length);
+    if (!header)
+      throw new Error('buffer does not contain a self-describing serialized structure');
+  } catch (err) {
+    err.message = 'checkpoint ' + file + ' is unreadable: ' + err.message;
+    throw err;
+  }
+
+  var sketch;
+  if (header.type === serialization.TYPES.SketchRegistry) {
+    if (!isRegistry(options.sketch))
+      throw new Error('checkpoint ' + file + ' holds a SketchRegistry, pass one as the sketch option');
+    sketch = options.sketch;
+    sketch.restore(buffer);
+  } else {
+    // Required here since the package index requires this module
+    sketch = (options.deserialize || require('../index').deserialize)(buffer);
+  }
+
+  var log = readLog(file + '.log', checksumOf(buffer));
+  var group = isRegistry(sketch);
+  for (var i = 0; i < log.records.length; i++)
+    replay(sketch, group, log.records[i]);
+
+  var persistent = new PersistentSketch(sketch, file, options);
+  persistent.recovery = { records: log.records.length, discardedBytes: log.discardedBytes };
+  return persistent;
+}
+
+/**
+ * Read the records of a log file that follow the checkpoint with the given
+ * checksum. Reading stops at the first truncated or corrupted record.
+ * @param {String} file Path of the log file.
+ * @param {Number} checksum (Optional) CRC-32 of the checkpoint. Logs that
+ *        follow another checkpoint are ignored. Defaults to reading any log.
+ * @returns {Object} Object of the form { records, discardedBytes } where
+ *          records holds { op, name, key, count, timestamp } objects.
+ */
+function readLog(file, checksum) {
+  var result = { records: [], discardedBytes: 0 };
+  var buffer;
+  try {
+    buffer = fs.readFileSync(file);
+  } catch (err) {
+    if (err.code === 'ENOENT')
+      return result;
+    throw err;
+  }
+
+  if (buffer.length < LOG_HEADER_SIZE ||
+      buffer.toString('ascii', 0, 4) !== LOG_MAGIC ||
+      buffer.readUInt8(4, true) !== LOG_VERSION ||
+      (checksum !== undefined && buffer.readUInt32LE(5, true) !== checksum)) {
+    // Left from an older checkpoint, or never completely written
+    result.discardedBytes = buffer.length;
+    return result;
+  }
+
+  var pos = LOG_HEADER_SIZE;
+  while (pos < buffer.length) {
+    var record = null;
+    if (pos + RECORD_OVERHEAD <= buffer.length) {
+      var length = buffer.readUInt32LE(pos, true);
+      var end = pos + 4 + length;
+      if (end + 4 <= buffer.length &&
+          buffer.readUInt32LE(end, true) === serialization.crc32(buffer, pos + 4, end)) {
+        try {
+          record = decodeRecord(buffer, pos + 4, end);
+        } catch (err) {
+          // Treated like a corrupted record
+        }
+      }
+    }
+    if (!record)
+      break;
+    result.records.push(record);
+    pos = end + 4;
+  }
+  result.discardedBytes = buffer.length - pos;
+  return result;
+}
+
+/**
+ * Apply a logged record to a sketch or registry.
+ * @private
+ */
+function replay(sketch, group, record) {
+  var key = record.key;
+  if (record.op === OPS.add) {
+    if (group)
+      sketch.add(record.name, key, record.timestamp);
+    else
+      sketch.add(key, record.timestamp);
+  } else {
+    var arg = record.timestamp === undefined ? record.count :
+      { count: record.count, timestamp: record.timestamp };
+    if (group)
+      sketch.increment(record.name, key, arg);
+    else
+      sketch.increment(key, arg);
+  }
+}
+
+/**
+ * Encode a log record as a length prefix, the payload and its checksum. The
+ * payload holds the op, flags, name, key, count and timestamp.
+ * @private
+ */
+function encodeRecord(op, name, key, count, timestamp) {
+  var keyBuffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key), 'utf8');
+  var nameBuffer = Buffer.from(name === null ? '' : String(name), 'utf8');
+  var flags = (Buffer.isBuffer(key) ? FLAG_BUFFER_KEY : 0) |
+    (timestamp !== undefined ? FLAG_TIMESTAMP : 0);
+
+  var length = 2 +
+    serialization.varintLength(nameBuffer.length) + nameBuffer.length +
+    serialization.varintLength(keyBuffer.length) + keyBuffer.length +
+    (op === OPS.increment ? 8 : 0) +
+    (timestamp !== undefined ? 8 : 0);
+
+  var buffer = Buffer.alloc(length + RECORD_OVERHEAD);
+  buffer.writeUInt32LE(length, 0, true);
+  var pos = 4;
+  buffer.writeUInt8(op, pos++, true);
+  buffer.writeUInt8(flags, pos++, true);
+  pos += serialization.writeVarint(buffer, nameBuffer.length, pos);
+  nameBuffer.copy(buffer, pos);
+  pos += nameBuffer.length;
+  pos += serialization.writeVarint(buffer, keyBuffer.length, pos);
+  keyBuffer.copy(buffer, pos);
+  pos += keyBuffer.length;
+  if (op === OPS.increment) {
+    buffer.writeDoubleLE(count, pos, true);
+    pos += 8;
+  }
+  if (timestamp !== undefined) {
+    buffer.writeDoubleLE(timestamp, pos, true);
+    pos += 8;
+  }
+  buffer.writeUInt32LE(serialization.crc32(buffer, 4, pos), pos, true);
+  return buffer;
+}
+
+/**
+ * @private
+ */
+function decodeRecord(buffer, pos, end) {
+  var op = buffer.readUInt8(pos++, true);
+  var flags = buffer.readUInt8(pos++, true);
+  if (op !== OPS.add && op !== OPS.increment)
+    throw new Error('unknown log record op ' + op);
+
+  var nameLen = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(nameLen);
+  var name = buffer.toString('utf8', pos, pos + nameLen);
+  pos += nameLen;
+  var keyLen = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(keyLen);
+  var key = (flags & FLAG_BUFFER_KEY) ? buffer.slice(pos, pos + keyLen) :
+    buffer.toString('utf8', pos, pos + keyLen);
+  pos += keyLen;
+
+  var record = { op: op, name: name, key: key, count: 1, timestamp: undefined };
+  if (op === OPS.increment) {
+    record.count = buffer.readDoubleLE(pos, true);
+    pos += 8;
+  }
+  if (flags & FLAG_TIMESTAMP) {
+    record.timestamp = buffer.readDoubleLE(pos, true);
+    pos += 8;
+  }
+  if (pos !== end)
+    throw new Error('log record has an invalid length');
+  return record;
+}
+
+function logHeader(checksum) {
+  var buffer = Buffer.alloc(LOG_HEADER_SIZE);
+  buffer.write(LOG_MAGIC, 0, 4, 'ascii');
+  buffer.writeUInt8(LOG_VERSION, 4, true);
+  buffer.writeUInt32LE(checksum, 5, true);
+  return buffer;
+}
+
+/**
+ * Returns the CRC-32 stored at the end of a serialized structure.
+ */
+function checksumOf(buffer) {
+  return buffer.readUInt32LE(buffer.length - serialization.FOOTER_SIZE, true);
+}
+
+/**
+ * Replace a file with the given contents, so that it holds either the old or
+ * the new contents even if the process crashes.
+ */
+function writeAtomic(file, data) {
+  var tmp = file + '.tmp';
+  var fd = fs.openSync(tmp, 'w');
+  try {
+    var written = 0;
+    while (written < data.length)
+      written += fs.writeSync(fd, data, written, data.length - written);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  syncDirectory(path.dirname(file));
+}
+
+/**
+ * Make a rename durable. Not every platform can open directories, in which
+ * case this is skipped.
+ */
+function syncDirectory(dir) {
+  var fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (err) {
+    // Ignored, see above
+  } finally {
+    if (fd !== undefined)
+      fs.closeSync(fd);
+  }
+}
+
+function isRegistry(sketch) {
+  return !!sketch && typeof sketch.snapshot === 'function' &&
+    typeof sketch.restore === 'function';
+}
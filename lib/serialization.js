@@ -0,0 +1,187 @@
+exports.MAGIC = 'SCNT';
+exports.VERSION = 6;
+exports.HEADER_SIZE = 6;
+exports.FOOTER_SIZE = 4;
+exports.TYPES = {
+  HyperLogLog: 1,
+  CountMinSketch: 2,
+  SpaceSaving: 3,
+  CountSketch: 4,
+  SlidingHyperLogLog: 5,
+  SketchRegistry: 6,
+  BloomFilter: 7,
+  CountingBloomFilter: 8
+};
+
+exports.allocate = allocate;
+exports.seal = seal;
+exports.readHeader = readHeader;
+exports.typeName = typeName;
+exports.crc32 = crc32;
+exports.varintLength = varintLength;
+exports.writeVarint = writeVarint;
+exports.readVarint = readVarint;
+
+/**
+ * Every serialized structure is wrapped in the same envelope:
+ *
+ *   magic    4 bytes  'SCNT'
+ *   version  UInt8    format version, currently 6
+ *   type     UInt8    one of TYPES
+ *   payload  ...      type specific parameters and data
+ *   crc      UInt32LE CRC-32 of every preceding byte
+ *
+ * Buffers without the magic bytes are treated as version 0, the original
+ * headerless layout, and are left to each structure to parse.
+ *
+ * Version history:
+ *   1  Initial envelope
+ *   2  HyperLogLog registers packed into 6 bits each
+ *   3  Hash function id recorded
+ *   4  Sparse HyperLogLog representation
+ *   5  Seeded CountMinSketch row hash functions
+ *   6  Time-decayed CountMinSketch
+ */
+
+var MAGIC_BUFFER = Buffer.from(exports.MAGIC, 'ascii');
+var CRC_TABLE = makeCrcTable();
+
+/**
+ * Allocate a buffer for a serialized structure and write the envelope header.
+ * @param {Number} type Type tag from TYPES.
+ * @param {Number} payloadLength Size of the payload in bytes.
+ * @returns {Buffer} Buffer with the payload starting at HEADER_SIZE.
+ */
+function allocate(type, payloadLength) {
+  var buffer = Buffer.alloc(exports.HEADER_SIZE + payloadLength + exports.FOOTER_SIZE);
+  MAGIC_BUFFER.copy(buffer, 0);
+  buffer.writeUInt8(exports.VERSION, 4, true);
+  buffer.writeUInt8(type, 5, true);
+  return buffer;
+}
+
+/**
+ * Write the checksum footer of a buffer returned by allocate(), once the
+ * payload has been written.
+ * @param {Buffer} buffer Buffer returned by allocate().
+ * @returns {Buffer} The same buffer.
+ */
+function seal(buffer) {
+  var end = buffer.length - exports.FOOTER_SIZE;
+  buffer.writeUInt32LE(crc32(buffer, 0, end), end, true);
+  return buffer;
+}
+
+/**
+ * Parse and validate the envelope of a serialized structure.
+ * @param {Buffer} buffer Binary buffer holding the serialized structure.
+ * @param {Number} start Starting offset of the structure in the buffer.
+ * @param {Number} length Length of the serialized structure in the buffer.
+ * @returns {Object} null for version 0 (headerless) buffers, otherwise an
+ *          object of the form { version, type, start, end } where start and
+ *          end are the offsets of the payload.
+ */
+function readHeader(buffer, start, length) {
+  if (length < exports.HEADER_SIZE ||
+      buffer.toString('ascii', start, start + 4) !== exports.MAGIC)
+    return null;
+
+  if (length < exports.HEADER_SIZE + exports.FOOTER_SIZE)
+    throw new Error('serialized structure is truncated');
+
+  var version = buffer.readUInt8(start + 4, true);
+  if (version < 1 || version > exports.VERSION)
+    throw new Error('unsupported serialization format version ' + version);
+
+  var end = start + length - exports.FOOTER_SIZE;
+  if (buffer.readUInt32LE(end, true) !== crc32(buffer, start, end))
+    throw new Error('serialized structure failed checksum validation');
+
+  return {
+    version: version,
+    type: buffer.readUInt8(start + 5, true),
+    start: start + exports.HEADER_SIZE,
+    end: end
+  };
+}
+
+/**
+ * Returns the name of the structure for a type tag, or undefined.
+ */
+function typeName(type) {
+  for (var name in exports.TYPES) {
+    if (exports.TYPES[name] === type)
+      return name;
+  }
+}
+
+/**
+ * Computes the CRC-32 (IEEE 802.3) checksum of a range of a buffer.
+ * @param {Buffer} buffer Input data.
+ * @param {Number} start Offset of the first byte to include.
+ * @param {Number} end Offset after the last byte to include.
+ * @returns {Number} Unsigned 32-bit checksum.
+ */
+function crc32(buffer, start, end) {
+  var crc = 0xFFFFFFFF;
+  for (var i = start; i < end; i++)
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Returns the number of bytes needed to store a non-negative integer as an
+ * unsigned LEB128 varint.
+ */
+function varintLength(value) {
+  var bytes = 1;
+  while (value >= 0x80) {
+    value = Math.floor(value / 0x80);
+    ++bytes;
+  }
+  return bytes;
+}
+
+/**
+ * Write a non-negative integer as an unsigned LEB128 varint. Arithmetic is
+ * used instead of bitwise operators so values above 2^32 are supported.
+ * @returns {Number} Number of bytes written.
+ */
+function writeVarint(buffer, value, pos) {
+  var bytes = 0;
+  while (value >= 0x80) {
+    buffer[pos + bytes++] = (value % 0x80) | 0x80;
+    value = Math.floor(value / 0x80);
+  }
+  buffer[pos + bytes++] = value;
+  return bytes;
+}
+
+/**
+ * Read an unsigned LEB128 varint. Use varintLength() on the result to find
+ * the number of bytes consumed.
+ */
+function readVarint(buffer, pos) {
+  var value = 0;
+  var scale = 1;
+  var b;
+  do {
+    if (pos >= buffer.length)
+      throw new Error('serialized structure is truncated');
+    b = buffer[pos++];
+    value += (b & 0x7F) * scale;
+    scale *= 0x80;
+  } while (b & 0x80);
+  return value;
+}
+
+function makeCrcTable() {
+  var table = new Array(256);
+  for (var n = 0; n < 256; n++) {
+    var c = n;
+    for (var k = 0; k < 8; k++)
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+}
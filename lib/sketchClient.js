@@ -0,0 +1,239 @@
+var http = require('http');
+var os = require('os');
+var url = require('url');
+
+module.exports = SketchClient;
+
+/**
+ * Client for a SketchCollector server. Every method takes a Node style
+ * callback, called with an error for failed requests and responses other
+ * than 2xx.
+ *
+ * @param {String} baseUrl URL of the server, such as 'http://collector:8125'.
+ * @param {Object} options (Optional) Additional settings:
+ *        source - Id this host sends its sketches under. Defaults to the host
+ *          name and process id.
+ *        timeout - Milliseconds to wait for a response. Defaults to 30
+ *          seconds.
+ *        agent - http.Agent to send requests with.
+ *        deserialize - Function turning a serialized sketch into a structure.
+ *          Defaults to streamcount.deserialize.
+ */
+function SketchClient(baseUrl, options) {
+  var base = url.parse(baseUrl);
+  if (base.protocol !== 'http:' || !base.hostname)
+    throw new Error('baseUrl must be an http:// URL');
+  var basePath = (base.pathname || '/').replace(/\/+$/, '');
+
+  var source = (options && options.source) || os.hostname() + ':' + process.pid;
+  var timeout = (options && options.timeout) || 30 * 1000;
+  var agent = (options && options.agent) || undefined;
+  var deserialize = (options && options.deserialize) || function(buffer) {
+    // Required here since the package index requires this module
+    return require('../index').deserialize(buffer);
+  };
+
+  /**
+   * Send the complete current state of a sketch, replacing what this source
+   * sent before.
+   * @param {String} name Name of the sketch on the server.
+   * @param {Object|Buffer} sketch The sketch, or its serialized form.
+   * @param {Function} callback Called with an error, if any.
+   */
+  function push(name, sketch, callback) {
+    var body = Buffer.isBuffer(sketch) ? sketch : sketch.serialize();
+    request('PUT', sketchPath(name) + '?source=' + encodeURIComponent(source), body,
+      function(err) { callback(err); });
+  }
+
+  /**
+   * Send observations to merge into the sketch on the server, for sketches
+   * holding only what was observed since the last time.
+   * @param {String} name Name of the sketch on the server.
+   * @param {Object|Buffer} sketch The sketch, or its serialized form.
+   * @param {Function} callback Called with an error, if any.
+   */
+  function merge(name, sketch, callback) {
+    var body = Buffer.isBuffer(sketch) ? sketch : sketch.serialize();
+    request('POST', sketchPath(name), body, function(err) { callback(err); });
+  }
+
+  /**
+   * Fetch the merged sketch of a name.
+   * @param {String} name Name of the sketch on the server.
+   * @param {Function} callback Called with an error and the deserialized
+   *        sketch.
+   */
+  function fetch(name, callback) {
+    request('GET', sketchPath(name), null, function(err, body) {
+      if (err)
+        return callback(err);
+      var sketch;
+      try {
+        sketch = deserialize(body);
+      } catch (err) {
+        return callback(err);
+      }
+      callback(null, sketch);
+    });
+  }
+
+  /**
+   * Fetch the estimated number of unique members of a name.
+   * @param {String} name Name of the sketch on the server.
+   * @param {Function} callback Called with an error and the count.
+   */
+  function count(name, callback) {
+    requestJSON('GET', sketchPath(name) + '/count', function(err, result) {
+      callback(err, result && result.count);
+    });
+  }
+
+  /**
+   * Fetch the top observed members of a name.
+   * @param {String} name Name of the sketch on the server.
+   * @param {Number} k (Optional) Maximum number of members to return.
+   * @param {Function} callback Called with an error and an array of
+   *        [count, key] tuples.
+   */
+  function top(name, k, callback) {
+    if (typeof k === 'function') {
+      callback = k;
+      k = undefined;
+    }
+    var query = k === undefined ? '' : '?k=' + k;
+    requestJSON('GET', sketchPath(name) + '/top' + query, function(err, result) {
+      callback(err, result && result.top);
+    });
+  }
+
+  /**
+   * Fetch the names stored on the server.
+   * @param {Function} callback Called with an error and an array of
+   *        { name, type, sources } objects.
+   */
+  function list(callback) {
+    requestJSON('GET', basePath + '/sketches', function(err, result) {
+      callback(err, result && result.sketches);
+    });
+  }
+
+  /**
+   * Push a sketch periodically, and once more when stopped.
+   * @param {String} name Name of the sketch on the server.
+   * @param {Object} sketch The sketch to push.
+   * @param {Number} interval Milliseconds between pushes.
+   * @param {Function} onError (Optional) Called with the error of each failed
+   *        push.
+   * @returns {Object} Object with a stop(callback) method that stops pushing
+   *          and pushes the final state of the sketch.
+   */
+  function pushEvery(name, sketch, interval, onError) {
+    if (typeof interval !== 'number' || !(interval > 0))
+      throw new Error('interval must be a positive number of milliseconds');
+    onError = onError || function() {};
+
+    var timer = setInterval(function() {
+      push(name, sketch, function(err) {
+        if (err)
+          onError(err);
+      });
+    }, interval);
+    // Pushing alone should not keep the process running
+    if (timer.unref)
+      timer.unref();
+
+    return {
+      stop: function(callback) {
+        if (timer) {
+          clearInterval(timer);
+          timer = null;
+          push(name, sketch, callback || function(err) {
+            if (err)
+              onError(err);
+          });
+        } else if (callback) {
+          process.nextTick(callback);
+        }
+      }
+    };
+  }
+
+  function sketchPath(name) {
+    return basePath + '/sketches/' + encodeURIComponent(name);
+  }
+
+  function requestJSON(method, path, callback) {
+    request(method, path, null, function(err, body) {
+      if (err)
+        return callback(err);
+      var value;
+      try {
+        value = JSON.parse(body.toString('utf8'));
+      } catch (err) {
+        return callback(err);
+      }
+      callback(null, value);
+    });
+  }
+
+  function request(method, path, body, callback) {
+    var done = false;
+    function finish(err, result) {
+      if (!done) {
+        done = true;
+        callback(err, result);
+      }
+    }
+
+    var headers = {};
+    if (body) {
+      headers['Content-Type'] = 'application/octet-stream';
+      headers['Content-Length'] = body.length;
+    }
+    var req = http.request({
+      method: method,
+      hostname: base.hostname,
+      port: base.port,
+      path: path,
+      headers: headers,
+      agent: agent
+    }, function(res) {
+      var chunks = [];
+      res.on('data', function(chunk) { chunks.push(chunk); });
+      res.on('error', finish);
+      res.on('end', function() {
+        var data = Buffer.concat(chunks);
+        if (res.statusCode >= 200 && res.statusCode < 300)
+          return finish(null, data);
+
+        var message = res.statusCode + ' ' + http.STATUS_CODES[res.statusCode];
+        try {
+          message = JSON.parse(data.toString('utf8')).error || message;
+        } catch (err) {
+          // Not a collector error response
+        }
+        var err = new Error(message);
+        err.statusCode = res.statusCode;
+        finish(err);
+      });
+    });
+    req.setTimeout(timeout, function() {
+      req.abort();
+      finish(new Error('request timed out after ' + timeout + 'ms'));
+    });
+    req.on('error', finish);
+    req.end(body || undefined);
+  }
+
+  return {
+    push: push,
+    merge: merge,
+    fetch: fetch,
+    count: count,
+    top: top,
+    list: list,
+    pushEvery: pushEvery,
+    source: source
+  };
+}
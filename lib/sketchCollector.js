@@ -0,0 +1,351 @@
+var http = require('http');
+var url = require('url');
+
+var serialization = require('./serialization');
+
+module.exports = SketchCollector;
+SketchCollector.createServer = createServer;
+
+/**
+ * Collects serialized sketches sent by many hosts, such as a HyperLogLog of
+ * the visitors of each web server, and merges them into one sketch per name.
+ *
+ * Hosts either send their complete sketch under a source id every time
+ * (put), which replaces the previous sketch from that source, or send only
+ * what they observed since the last time (post), which is merged into the
+ * stored sketch. The sketch of a name is the merge of everything posted and
+ * the latest sketch of every source.
+ *
+ * The handle() method serves the collector over HTTP:
+ *   GET    /sketches                List of { name, type, sources } objects
+ *   PUT    /sketches/:name?source=  Replace the sketch of a source
+ *   POST   /sketches/:name          Merge a sketch into the stored one
+ *   GET    /sketches/:name          The merged sketch, serialized
+ *   GET    /sketches/:name/count    { name, type, count } for sketches with a
+ *                                   count() method, such as HyperLogLog
+ *   GET    /sketches/:name/top?k=   { name, type, top } for sketches with a
+ *                                   getTopK() method, such as CountMinSketch
+ *   DELETE /sketches/:name          Forget a name
+ * Sketches are sent and returned as binary serialized structures. Errors are
+ * returned as { error } objects.
+ *
+ * @param {Object} options (Optional) Additional settings:
+ *        maxBodySize - Largest serialized sketch accepted in bytes. Defaults
+ *          to 16MB.
+ *        deserialize - Function turning a serialized sketch into a structure.
+ *          Defaults to streamcount.deserialize.
+ */
+function SketchCollector(options) {
+  var maxBodySize = (options && options.maxBodySize) || 16 * 1024 * 1024;
+  var deserialize = (options && options.deserialize) || function(buffer) {
+    // Required here since the package index requires this module
+    return require('../index').deserialize(buffer);
+  };
+
+  // Lookup of name to entries of the form { type, posted, sources, merged }
+  // where posted is the sketch everything posted was merged into, sources
+  // maps source ids to their latest sketch and merged caches the result
+  var entries = Object.create(null);
+
+  /**
+   * Replace the sketch of a source.
+   * @param {String} name Name of the sketch.
+   * @param {String} source Id of the sending host.
+   * @param {Buffer} buffer Binary buffer holding the serialized sketch.
+   */
+  function put(name, source, buffer) {
+    var sketch = parse(buffer);
+    var entry = prepare(name, sketch);
+    entry.sources[source || ''] = sketch.value;
+    entry.merged = null;
+  }
+
+  /**
+   * Merge a sketch into the stored sketch of a name.
+   * @param {String} name Name of the sketch.
+   * @param {Buffer} buffer Binary buffer holding the serialized sketch.
+   */
+  function post(name, buffer) {
+    var sketch = parse(buffer);
+    var entry = prepare(name, sketch);
+    if (entry.posted)
+      entry.posted.merge(sketch.value);
+    else
+      entry.posted = sketch.value;
+    entry.merged = null;
+  }
+
+  /**
+   * Returns the merged sketch of a name, or undefined. The result is shared
+   * with later calls and should not be modified.
+   * @param {String} name Name of the sketch.
+   * @returns {Object} The merged sketch.
+   */
+  function get(name) {
+    var entry = entries[name];
+    if (entry === undefined)
+      return undefined;
+    if (!entry.merged)
+      entry.merged = mergeParts(parts(entry));
+    return entry.merged;
+  }
+
+  /**
+   * Returns the names of every stored sketch.
+   * @returns {Array} Array of names.
+   */
+  function names() {
+    return Object.keys(entries);
+  }
+
+  /**
+   * Forget the sketches of a name.
+   * @param {String} name Name of the sketch.
+   * @returns {Boolean} True if the name existed.
+   */
+  function remove(name) {
+    if (entries[name] === undefined)
+      return false;
+    delete entries[name];
+    return true;
+  }
+
+  /**
+   * Deserialize a sent buffer.
+   * @private
+   */
+  function parse(buffer) {
+    var header, value;
+    try {
+      header = serialization.readHeader(buffer, 0, buffer.length);
+      if (!header)
+        throw new Error('body does not contain a self-describing serialized sketch');
+      value = deserialize(buffer);
+    } catch (err) {
+      throw httpError(400, err.message);
+    }
+    var type = serialization.typeName(header.type);
+    if (typeof value.merge !== 'function')
+      throw httpError(400, type + ' structures cannot be merged');
+    return { type: type, value: value };
+  }
+
+  /**
+   * Returns the entry of a name, creating it if needed, after checking that
+   * the sketch can be merged with it.
+   * @private
+   */
+  function prepare(name, sketch) {
+    var entry = entries[name];
+    if (entry === undefined) {
+      entry = entries[name] = {
+        type: sketch.type,
+        posted: null,
+        sources: Object.create(null),
+        merged: null
+      };
+      return entry;
+    }
+
+    if (entry.type !== sketch.type)
+      throw httpError(409, 'cannot merge ' + sketch.type + ' into ' + entry.type + ' ' + name);
+    try {
+      // Merge into a copy, since merges can fail after changing the target
+      mergeParts([parts(entry)[0], sketch.value]);
+    } catch (err) {
+      throw httpError(409, err.message);
+    }
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  function parts(entry) {
+    var result = entry.posted ? [entry.posted] : [];
+    for (var source in entry.sources)
+      result.push(entry.sources[source]);
+    return result;
+  }
+
+  /**
+   * Returns a new sketch holding the merge of several sketches.
+   * @private
+   */
+  function mergeParts(sketches) {
+    var result = deserialize(sketches[0].serialize());
+    for (var i = 1; i < sketches.length; i++)
+      result.merge(sketches[i]);
+    return result;
+  }
+
+  /**
+   * Serve the collector over HTTP. Can be passed to http.createServer() or
+   * mounted in an existing server.
+   * @param {http.IncomingMessage} req The request.
+   * @param {http.ServerResponse} res The response.
+   */
+  function handle(req, res) {
+    var parsed = url.parse(req.url, true);
+    var segments = parsed.pathname.split('/').slice(1);
+    var name, action;
+
+    try {
+      if (segments[0] !== 'sketches' || segments.length > 3)
+        throw httpError(404, 'not found');
+      if (segments.length > 1) {
+        try {
+          name = decodeURIComponent(segments[1]);
+        } catch (err) {
+          throw httpError(400, 'invalid sketch name');
+        }
+        if (!name)
+          throw httpError(404, 'not found');
+        action = segments[2];
+      }
+
+      if (name === undefined) {
+        allow(req, ['GET']);
+        return sendJSON(res, 200, { sketches: names().map(function(name) {
+          return { name: name, type: entries[name].type, sources: Object.keys(entries[name].sources) };
+        }) });
+      }
+
+      if (action === undefined && (req.method === 'PUT' || req.method === 'POST')) {
+        return readBody(req, maxBodySize, function(err, body) {
+          try {
+            if (err)
+              throw err;
+            if (req.method === 'PUT')
+              put(name, parsed.query.source, body);
+            else
+              post(name, body);
+          } catch (err) {
+            return sendError(res, err);
+          }
+          res.statusCode = 204;
+          res.end();
+        });
+      }
+
+      if (action === undefined && req.method === 'DELETE') {
+        if (!remove(name))
+          throw httpError(404, 'no sketch named ' + name);
+        res.statusCode = 204;
+        return res.end();
+      }
+
+      allow(req, action === undefined ? ['GET', 'PUT', 'POST', 'DELETE'] : ['GET']);
+      var sketch = get(name);
+      if (sketch === undefined)
+        throw httpError(404, 'no sketch named ' + name);
+      var type = entries[name].type;
+
+      if (action === undefined) {
+        var buffer = sketch.serialize();
+        res.writeHead(200, {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': buffer.length
+        });
+        return res.end(buffer);
+      } else if (action === 'count') {
+        if (typeof sketch.count !== 'function')
+          throw httpError(400, type + ' structures do not support count');
+        return sendJSON(res, 200, { name: name, type: type, count: sketch.count() });
+      } else if (action === 'top') {
+        if (typeof sketch.getTopK !== 'function')
+          throw httpError(400, type + ' structures do not support top');
+        var top = sketch.getTopK();
+        if (parsed.query.k !== undefined) {
+          var k = parseInt(parsed.query.k, 10);
+          if (!(k >= 0))
+            throw httpError(400, 'k must be a non-negative integer');
+          top = top.slice(0, k);
+        }
+        return sendJSON(res, 200, { name: name, type: type, top: top });
+      }
+      throw httpError(404, 'not found');
+    } catch (err) {
+      // Drain the body of rejected uploads so the connection can be reused
+      req.resume();
+      sendError(res, err);
+    }
+  }
+
+  return {
+    put: put,
+    post: post,
+    get: get,
+    names: names,
+    remove: remove,
+    handle: handle
+  };
+}
+
+/**
+ * Creates an http.Server serving a SketchCollector. The collector is
+ * available as the collector property of the server.
+ * @param {Object} options (Optional) Settings for the SketchCollector.
+ * @returns {http.Server} The server, not yet listening.
+ */
+function createServer(options) {
+  var collector = new SketchCollector(options);
+  var server = http.createServer(collector.handle);
+  server.collector = collector;
+  return server;
+}
+
+function httpError(statusCode, message) {
+  var err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function allow(req, methods) {
+  if (methods.indexOf(req.method) === -1) {
+    var err = httpError(405, 'method ' + req.method + ' not allowed');
+    err.allow = methods.join(', ');
+    throw err;
+  }
+}
+
+function readBody(req, limit, callback) {
+  var chunks = [];
+  var length = 0;
+  var done = false;
+  function finish(err, body) {
+    if (!done) {
+      done = true;
+      callback(err, body);
+    }
+  }
+  req.on('data', function(chunk) {
+    length += chunk.length;
+    if (length > limit) {
+      chunks = [];
+      // Keep reading so the response can be sent, but discard the data
+      return finish(httpError(413, 'sketch is larger than ' + limit + ' bytes'));
+    }
+    if (!done)
+      chunks.push(chunk);
+  });
+  req.on('end', function() { finish(null, Buffer.concat(chunks, length)); });
+  req.on('error', finish);
+}
+
+function sendJSON(res, statusCode, value) {
+  var body = Buffer.from(JSON.stringify(value), 'utf8');
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': body.length
+  });
+  res.end(body);
+}
+
+function sendError(res, err) {
+  if (res.headersSent)
+    return res.destroy();
+  if (err.allow)
+    res.setHeader('Allow', err.allow);
+  sendJSON(res, err.statusCode || 500, { error: err.message });
+}
@@ -0,0 +1,474 @@
+var serialization = require('./serialization');
+
+module.exports = SketchRegistry;
+
+/**
+ * A registry of named sketches, such as a HyperLogLog of the visitors of
+ * every customer, created on first use from a template. The registry keeps
+ * the memory used by its sketches within a budget: when it is exceeded, the
+ * least recently used sketches are spilled to their serialized form, which
+ * is restored transparently on the next access, and evicted once spilling
+ * does not help.
+ *
+ * Memory is measured with the getMemorySize() method of each structure.
+ * Sketches returned by get() are measured again on every call into the
+ * registry while they stay live, so changes made through them are accounted
+ * for. add() and increment() avoid that cost.
+ *
+ * @param {Function|Object} template Function returning a new sketch for a
+ *        name, or a sketch whose serialized form new sketches are copied
+ *        from.
+ * @param {Object} options (Optional) Additional settings:
+ *        memoryBudget - Number of bytes that live sketches and spilled
+ *          buffers may use in total. Defaults to no limit.
+ *        spill - False to evict sketches instead of spilling them. Defaults
+ *          to true.
+ *        onEvict - Function called with the name and serialized form of each
+ *          evicted sketch, for example to store it elsewhere.
+ *        deserialize - Function turning a serialized sketch back into a
+ *          structure. Defaults to streamcount.deserialize.
+ *        sizeOf - Function returning the memory size of a sketch in bytes.
+ *          Defaults to calling its getMemorySize() method.
+ */
+function SketchRegistry(template, options) {
+  var create;
+  if (typeof template === 'function') {
+    create = template;
+  } else if (template && typeof template.serialize === 'function') {
+    var blank = template.serialize();
+    create = function() { return deserialize(blank); };
+  } else {
+    throw new Error('template must be a function or a serializable sketch');
+  }
+
+  var memoryBudget = (options && options.memoryBudget !== undefined) ?
+    options.memoryBudget : Infinity;
+  if (typeof memoryBudget !== 'number' || !(memoryBudget >= 0))
+    throw new Error('memoryBudget must be a non-negative number of bytes');
+  var spill = !(options && options.spill === false);
+  var onEvict = (options && options.onEvict) || null;
+  var deserialize = (options && options.deserialize) || function(buffer) {
+    // Required here since the package index requires this module
+    return require('../index').deserialize(buffer);
+  };
+  var sizeOf = (options && options.sizeOf) || function(sketch) {
+    return sketch.getMemorySize();
+  };
+
+  // Lookup of name to entries of the form { name, sketch, buffer, size,
+  // exposed, prev, next }. Live entries hold a sketch and spilled ones a buffer, and
+  // each kind is kept in its own list from least to most recently used
+  var entries = Object.create(null);
+  var live = { head: null, tail: null, count: 0 };
+  var spilled = { head: null, tail: null, count: 0 };
+  // Live entries handed out by get(), which may change at any time
+  var exposed = [];
+  var liveBytes = 0;
+  var spilledBytes = 0;
+
+  /**
+   * Returns the sketch with the given name, creating it from the template or
+   * restoring it from its spilled form if needed. Changes made to the sketch
+   * after it is spilled are lost, so it should not be kept around.
+   * @param {String} name Name of the sketch.
+   * @returns {Object} The sketch.
+   */
+  function get(name) {
+    var entry = touch(name);
+    if (!entry.exposed) {
+      entry.exposed = true;
+      exposed.push(entry);
+    }
+    return entry.sketch;
+  }
+
+  /**
+   * Returns the sketch with the given name like get(), without measuring it
+   * again on later calls. For reading settings such as the clock of a sketch;
+   * changes made through it are not accounted for.
+   * @param {String} name Name of the sketch.
+   * @returns {Object} The sketch.
+   */
+  function peek(name) {
+    return touch(name).sketch;
+  }
+
+  /**
+   * Returns true if a sketch with the given name is live or spilled.
+   * @param {String} name Name of the sketch.
+   * @returns {Boolean}
+   */
+  function has(name) {
+    return entries[name] !== undefined;
+  }
+
+  /**
+   * Add a member to the sketch with the given name.
+   * @param {String} name Name of the sketch.
+   * @param {String|Buffer} key Key to add.
+   * @param {Number} timestamp (Optional) Time the member was seen, for
+   *        SlidingHyperLogLog.
+   */
+  function add(name, key, timestamp) {
+    var entry = touch(name);
+    entry.sketch.add(key, timestamp);
+    measure(entry);
+    enforceBudget(entry);
+  }
+
+  /**
+   * Record observations of a key in the sketch with the given name.
+   * @param {String} name Name of the sketch.
+   * @param {String} key Key to increment the observation count for.
+   * @param {Number} count (Optional) Number of observations to record.
+   */
+  function increment(name, key, count) {
+    var entry = touch(name);
+    entry.sketch.increment(key, count);
+    measure(entry);
+    enforceBudget(entry);
+  }
+
+  /**
+   * Remove the sketch with the given name.
+   * @param {String} name Name of the sketch.
+   * @returns {Boolean} True if the sketch existed.
+   */
+  function remove(name) {
+    var entry = entries[name];
+    if (entry === undefined)
+      return false;
+    measureExposed();
+    drop(entry);
+    return true;
+  }
+
+  /**
+   * Returns the names of every live or spilled sketch.
+   * @returns {Array} Array of names.
+   */
+  function names() {
+    return Object.keys(entries);
+  }
+
+  /**
+   * Returns the memory used by the registry.
+   * @returns {Object} Object of the form { live, spilled, total, liveSketches,
+   *          spilledSketches } holding byte and sketch counts.
+   */
+  function memoryUsage() {
+    measureExposed();
+    return {
+      live: liveBytes,
+      spilled: spilledBytes,
+      total: liveBytes + spilledBytes,
+      liveSketches: live.count,
+      spilledSketches: spilled.count
+    };
+  }
+
+  /**
+   * Serializes every sketch in the registry, live or spilled, to a binary
+   * buffer.
+   * @returns {Buffer} Binary buffer holding the serialized registry.
+   */
+  function snapshot() {
+    var names = [];
+    var buffers = [];
+    var i, entry;
+
+    // Least recently used first, so restoring keeps the order
+    for (entry = spilled.head; entry; entry = entry.next) {
+      names.push(entry.name);
+      buffers.push(entry.buffer);
+    }
+    for (entry = live.head; entry; entry = entry.next) {
+      names.push(entry.name);
+      buffers.push(entry.sketch.serialize());
+    }
+
+    var length = serialization.varintLength(names.length);
+    var nameLens = new Array(names.length);
+    for (i = 0; i < names.length; i++) {
+      nameLens[i] = Buffer.byteLength(names[i]);
+      length += serialization.varintLength(nameLens[i]) + nameLens[i] +
+        serialization.varintLength(buffers[i].length) + buffers[i].length;
+    }
+
+    var buffer = serialization.allocate(serialization.TYPES.SketchRegistry, length);
+    var pos = serialization.HEADER_SIZE;
+    pos += serialization.writeVarint(buffer, names.length, pos);
+    for (i = 0; i < names.length; i++) {
+      pos += serialization.writeVarint(buffer, nameLens[i], pos);
+      buffer.write(names[i], pos, nameLens[i], 'utf8');
+      pos += nameLens[i];
+      pos += serialization.writeVarint(buffer, buffers[i].length, pos);
+      buffers[i].copy(buffer, pos);
+      pos += buffers[i].length;
+    }
+
+    return serialization.seal(buffer);
+  }
+
+  /**
+   * Replace the contents of the registry with a buffer produced by
+   * snapshot(). The sketches are restored in their spilled form and
+   * deserialized on first access, evicting the least recently used ones if
+   * they do not fit in the memory budget.
+   * @param {Buffer} buffer Binary buffer holding the serialized registry.
+   */
+  function restore(buffer) {
+    var header = serialization.readHeader(buffer, 0, buffer.length);
+    if (!header || header.type !== serialization.TYPES.SketchRegistry)
+      throw new Error('buffer does not contain a serialized SketchRegistry');
+
+    // Parse everything before touching the current contents
+    var restored = [];
+    var pos = header.start;
+    var count = serialization.readVarint(buffer, pos);
+    pos += serialization.varintLength(count);
+    for (var i = 0; i < count; i++) {
+      var nameLen = serialization.readVarint(buffer, pos);
+      pos += serialization.varintLength(nameLen);
+      if (pos + nameLen > header.end)
+        throw new Error('serialized SketchRegistry has an invalid length');
+      var name = buffer.toString('utf8', pos, pos + nameLen);
+      pos += nameLen;
+      var length = serialization.readVarint(buffer, pos);
+      pos += serialization.varintLength(length);
+      if (pos + length > header.end)
+        throw new Error('serialized SketchRegistry has an invalid length');
+      // Copy so the sketches do not keep the whole snapshot alive
+      var sketchBuffer = Buffer.alloc(length);
+      buffer.copy(sketchBuffer, 0, pos, pos + length);
+      pos += length;
+      restored.push({ name: name, buffer: sketchBuffer });
+    }
+    if (pos !== header.end)
+      throw new Error('serialized SketchRegistry has an invalid length');
+
+    clear();
+    for (i = 0; i < restored.length; i++) {
+      var entry = newEntry(restored[i].name, null, restored[i].buffer);
+      entries[entry.name] = entry;
+      append(spilled, entry);
+      spilledBytes += entry.size;
+    }
+    enforceBudget(null);
+  }
+
+  /**
+   * Remove every sketch from the registry.
+   */
+  function clear() {
+    entries = Object.create(null);
+    live = { head: null, tail: null, count: 0 };
+    spilled = { head: null, tail: null, count: 0 };
+    exposed = [];
+    liveBytes = 0;
+    spilledBytes = 0;
+  }
+
+  /**
+   * Returns the live entry for a name, creating or restoring it, and marks it
+   * as the most recently used.
+   * @private
+   */
+  function touch(name) {
+    measureExposed();
+
+    var entry = entries[name];
+    if (entry === undefined) {
+      entry = newEntry(name, create(name), null);
+      entries[name] = entry;
+      append(live, entry);
+    } else if (entry.sketch === null) {
+      // Restore before touching the lists, so a buffer that fails to
+      // deserialize stays spilled
+      var sketch = deserialize(entry.buffer);
+      unlink(spilled, entry);
+      spilledBytes -= entry.size;
+      entry.sketch = sketch;
+      entry.buffer = null;
+      entry.size = 0;
+      append(live, entry);
+    } else {
+      unlink(live, entry);
+      append(live, entry);
+    }
+
+    measure(entry);
+    enforceBudget(entry);
+    return entry;
+  }
+
+  /**
+   * Update the recorded size of a live entry.
+   * @private
+   */
+  function measure(entry) {
+    var size = sizeOf(entry.sketch);
+    liveBytes += size - entry.size;
+    entry.size = size;
+  }
+
+  /**
+   * Measure the entries handed out by get(), forgetting the ones that were
+   * spilled or removed since.
+   * @private
+   */
+  function measureExposed() {
+    var stillExposed = [];
+    for (var i = 0; i < exposed.length; i++) {
+      var entry = exposed[i];
+      if (entry.sketch !== null && entries[entry.name] === entry) {
+        measure(entry);
+        stillExposed.push(entry);
+      } else {
+        entry.exposed = false;
+      }
+    }
+    exposed = stillExposed;
+  }
+
+  /**
+   * Spill or evict the least recently used entries until the memory budget is
+   * met, leaving the given entry in place.
+   * @private
+   */
+  function enforceBudget(keep) {
+    while (liveBytes + spilledBytes > memoryBudget) {
+      var entry = live.head;
+      if (entry && entry === keep)
+        entry = entry.next;
+      if (entry) {
+        var buffer = entry.sketch.serialize();
+        if (spill && buffer.length < entry.size) {
+          unlink(live, entry);
+          liveBytes -= entry.size;
+          entry.sketch = null;
+          entry.buffer = buffer;
+          entry.size = buffer.length;
+          append(spilled, entry);
+          spilledBytes += entry.size;
+        } else {
+          evict(entry, buffer);
+        }
+      } else if (spilled.head) {
+        evict(spilled.head, spilled.head.buffer);
+      } else {
+        // A single sketch larger than the budget is kept
+        break;
+      }
+    }
+  }
+
+  /**
+   * Remove an entry and hand its serialized form to onEvict.
+   * @private
+   */
+  function evict(entry, buffer) {
+    drop(entry);
+    if (onEvict)
+      onEvict(entry.name, buffer);
+  }
+
+  /**
+   * @private
+   */
+  function drop(entry) {
+    delete entries[entry.name];
+    if (entry.sketch !== null) {
+      unlink(live, entry);
+      liveBytes -= entry.size;
+    } else {
+      unlink(spilled, entry);
+      spilledBytes -= entry.size;
+    }
+  }
+
+  return {
+    get: get,
+    peek: peek,
+    has: has,
+    add: add,
+    increment: increment,
+    remove: remove,
+    names: names,
+    memoryUsage: memoryUsage,
+    snapshot: snapshot,
+    restore: restore,
+    clear: clear,
+    memoryBudget: memoryBudget
+  };
+}
+
+/**
+ * Deserialize a binary buffer produced by snapshot() into a new registry. The
+ * sketches are restored in their spilled form, as by restore().
+ * @param {Buffer} buffer Binary buffer holding the serialized registry.
+ * @param {Number} start Starting offset of the registry in the buffer.
+ * @param {Number} length Length of the serialized registry in the buffer.
+ * @param {Object} options (Optional) Settings of the new registry, see
+ *        SketchRegistry, plus:
+ *        template - Template of the sketches created for new names. Without
+ *          one, only the restored names can be used.
+ * @returns {SketchRegistry} A SketchRegistry object.
+ */
+SketchRegistry.deserialize = function(buffer, start, length, options) {
+  start = start || 0;
+  length = length || buffer.length - start;
+  if (start + length > buffer.length)
+    throw new Error('start and buffer cannot go past the end of buffer');
+
+  var header = serialization.readHeader(buffer, start, length);
+  if (!header || header.type !== serialization.TYPES.SketchRegistry) {
+    throw new Error('expected a serialized SketchRegistry but found ' +
+      (header ? serialization.typeName(header.type) || 'unknown type ' + header.type
+        : 'a headerless buffer'));
+  }
+
+  var template = (options && options.template) || function(name) {
+    throw new Error('no sketch named ' + name + ' in the deserialized SketchRegistry, ' +
+      'pass a template to create new ones');
+  };
+  var registry = new SketchRegistry(template, options);
+  registry.restore(buffer.slice(start, start + length));
+  return registry;
+};
+
+function newEntry(name, sketch, buffer) {
+  return {
+    name: name,
+    sketch: sketch,
+    buffer: buffer,
+    size: buffer ? buffer.length : 0,
+    exposed: false,
+    prev: null,
+    next: null
+  };
+}
+
+function append(list, entry) {
+  entry.prev = list.tail;
+  entry.next = null;
+  if (list.tail)
+    list.tail.next = entry;
+  else
+    list.head = entry;
+  list.tail = entry;
+  list.count++;
+}
+
+function unlink(list, entry) {
+  if (entry.prev)
+    entry.prev.next = entry.next;
+  else
+    list.head = entry.next;
+  if (entry.next)
+    entry.next.prev = entry.prev;
+  else
+    list.tail = entry.prev;
+  entry.prev = entry.next = null;
+  list.count--;
+}
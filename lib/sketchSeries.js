@@ -0,0 +1,261 @@
+module.exports = SketchSeries;
+
+/**
+ * A sketch series stores one sketch per time bucket, such as a HyperLogLog of
+ * the visitors of every minute, and answers queries over any time range by
+ * merging the buckets within it. Buckets are kept at up to several levels of
+ * granularity: once a bucket is older than the retention period of its level
+ * it is merged into the bucket of the next coarser level that contains it, so
+ * recent data keeps a fine resolution while old data takes little memory.
+ *
+ * Any structure with a merge() method can be stored, as long as every sketch
+ * returned by the factory can be merged with the others.
+ *
+ * @param {Function} factory Function returning a new, empty sketch.
+ * @param {Object} options Settings for the buckets, either:
+ *        granularity - Length of each bucket in milliseconds.
+ *        retention - (Optional) Age in milliseconds after which buckets are
+ *          dropped. Defaults to keeping every bucket.
+ *        or:
+ *        levels - Array of { granularity, retention } objects ordered from
+ *          the finest granularity to the coarsest. The granularity of each
+ *          level must be a multiple of the one before it, and every level but
+ *          the last needs a retention period after which its buckets are
+ *          rolled up into the next level.
+ *        and:
+ *        clock - Function returning the current time in milliseconds.
+ *          Defaults to Date.now.
+ */
+function SketchSeries(factory, options) {
+  if (typeof factory !== 'function')
+    throw new Error('factory must be a function returning a new sketch');
+
+  var clock = (options && options.clock) || Date.now;
+  var levels = normalizeLevels(options);
+  var i;
+
+  // Buckets of each level by start time, and the start times of each level in
+  // ascending order
+  var store = new Array(levels.length);
+  var starts = new Array(levels.length);
+  for (i = 0; i < levels.length; i++) {
+    store[i] = Object.create(null);
+    starts[i] = [];
+  }
+
+  /**
+   * Add a member to the bucket of the given time, for series of HyperLogLog
+   * or other set structures.
+   * @param {String|Buffer} key Key to add.
+   * @param {Number} timestamp (Optional) Time the member was seen in
+   *        milliseconds. Defaults to the current time of the clock.
+   */
+  function add(key, timestamp) {
+    var sketch = bucketFor(timestamp);
+    if (sketch)
+      sketch.add(key);
+  }
+
+  /**
+   * Record observations in the bucket of the given time, for series of
+   * CountMinSketch or other frequency structures.
+   * @param {String} key Key to increment the observation count for.
+   * @param {Number} count (Optional) Number of observations to record.
+   *        Defaults to 1.
+   * @param {Number} timestamp (Optional) Time of the observations in
+   *        milliseconds. Defaults to the current time of the clock.
+   */
+  function increment(key, count, timestamp) {
+    var sketch = bucketFor(timestamp);
+    if (sketch)
+      sketch.increment(key, count);
+  }
+
+  /**
+   * Returns the sketch of the finest bucket still holding the given time, or
+   * null if it is older than every retention period.
+   * @private
+   */
+  function bucketFor(timestamp) {
+    var now = clock();
+    if (timestamp === undefined)
+      timestamp = now;
+    if (typeof timestamp !== 'number' || !isFinite(timestamp))
+      throw new Error('timestamp must be a number of milliseconds');
+
+    rollup(now);
+    for (var i = 0; i < levels.length; i++) {
+      var level = levels[i];
+      var start = bucketStart(timestamp, level.granularity);
+      if (start + level.granularity > now - level.retention)
+        return getBucket(i, start);
+    }
+    return null;
+  }
+
+  /**
+   * Returns the bucket of the given level and start time, creating it if
+   * needed.
+   * @private
+   */
+  function getBucket(i, start) {
+    var sketch = store[i][start];
+    if (sketch === undefined) {
+      sketch = store[i][start] = factory();
+      // Buckets are mostly created in time order, so search from the end
+      var list = starts[i];
+      var j = list.length;
+      while (j > 0 && list[j - 1] > start)
+        --j;
+      list.splice(j, 0, start);
+    }
+    return sketch;
+  }
+
+  /**
+   * Merge buckets that are older than the retention period of their level
+   * into the next coarser level, and drop the ones older than the retention
+   * period of the last level. This happens automatically when observations
+   * are recorded or queried.
+   * @param {Number} now (Optional) Current time in milliseconds. Defaults to
+   *        the current time of the clock.
+   */
+  function rollup(now) {
+    if (now === undefined)
+      now = clock();
+
+    for (var i = 0; i < levels.length; i++) {
+      var level = levels[i];
+      var cutoff = now - level.retention;
+      var list = starts[i];
+      while (list.length && list[0] + level.granularity <= cutoff) {
+        var start = list.shift();
+        var sketch = store[i][start];
+        delete store[i][start];
+        if (i + 1 < levels.length)
+          getBucket(i + 1, bucketStart(start, levels[i + 1].granularity)).merge(sketch);
+      }
+    }
+  }
+
+  /**
+   * Returns a new sketch holding every bucket that overlaps the given time
+   * range. The range is widened to the boundaries of the buckets it
+   * partially covers.
+   * @param {Number} from Start of the range in milliseconds, inclusive.
+   * @param {Number} to (Optional) End of the range in milliseconds, exclusive.
+   *        Defaults to including every bucket from the start of the range on.
+   * @returns {Object} A new sketch created by the factory.
+   */
+  function range(from, to) {
+    if (to === undefined)
+      to = Infinity;
+    if (typeof from !== 'number' || typeof to !== 'number' || !(from <= to))
+      throw new Error('range must be given as numbers of milliseconds with from <= to');
+
+    rollup();
+    var result = factory();
+    for (var i = 0; i < levels.length; i++) {
+      var granularity = levels[i].granularity;
+      var list = starts[i];
+      for (var j = 0; j < list.length && list[j] < to; j++) {
+        if (list[j] + granularity > from)
+          result.merge(store[i][list[j]]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Count the number of unique members within a time range, for series of
+   * HyperLogLog structures.
+   * @param {Number} from Start of the range in milliseconds, inclusive.
+   * @param {Number} to (Optional) End of the range in milliseconds, exclusive.
+   * @returns {Number} Estimated cardinality of the members in the range.
+   */
+  function count(from, to) {
+    return range(from, to).count();
+  }
+
+  /**
+   * Returns the estimated frequency count of a key within a time range, for
+   * series of CountMinSketch or other frequency structures.
+   * @param {String} key Key to estimate the observation count for.
+   * @param {Number} from Start of the range in milliseconds, inclusive.
+   * @param {Number} to (Optional) End of the range in milliseconds, exclusive.
+   * @returns {Number} Estimated frequency count.
+   */
+  function estimate(key, from, to) {
+    return range(from, to).estimate(key);
+  }
+
+  /**
+   * Returns the top observed members within a time range, for series of
+   * CountMinSketch or other frequency structures.
+   * @param {Number} from Start of the range in milliseconds, inclusive.
+   * @param {Number} to (Optional) End of the range in milliseconds, exclusive.
+   * @returns {Array} The getTopK() result of the merged buckets.
+   */
+  function getTopK(from, to) {
+    return range(from, to).getTopK();
+  }
+
+  /**
+   * Returns the stored buckets ordered by start time, finest level first for
+   * equal start times.
+   * @returns {Array} Array of { start, end, level, sketch } objects.
+   */
+  function buckets() {
+    rollup();
+    var result = [];
+    for (var i = 0; i < levels.length; i++) {
+      var granularity = levels[i].granularity;
+      for (var j = 0; j < starts[i].length; j++) {
+        var start = starts[i][j];
+        result.push({ start: start, end: start + granularity, level: i, sketch: store[i][start] });
+      }
+    }
+    return result.sort(function(a, b) { return a.start - b.start || a.level - b.level; });
+  }
+
+  return {
+    add: add,
+    increment: increment,
+    rollup: rollup,
+    range: range,
+    count: count,
+    estimate: estimate,
+    getTopK: getTopK,
+    buckets: buckets,
+    levels: levels
+  };
+}
+
+function normalizeLevels(options) {
+  var levels = options && options.levels;
+  if (!levels)
+    levels = [{ granularity: options && options.granularity, retention: options && options.retention }];
+  if (!Array.isArray(levels) || !levels.length)
+    throw new Error('levels must be a non-empty array');
+
+  var normalized = new Array(levels.length);
+  for (var i = 0; i < levels.length; i++) {
+    var granularity = levels[i].granularity;
+    var retention = levels[i].retention === undefined ? Infinity : levels[i].retention;
+    if (typeof granularity !== 'number' || !(granularity > 0) ||
+        granularity !== Math.floor(granularity))
+      throw new Error('granularity must be a positive integer number of milliseconds');
+    if (typeof retention !== 'number' || !(retention >= 0))
+      throw new Error('retention must be a non-negative number of milliseconds');
+    if (i > 0 && granularity % normalized[i - 1].granularity !== 0)
+      throw new Error('granularity of each level must be a multiple of the one before it');
+    if (i < levels.length - 1 && retention === Infinity)
+      throw new Error('every level but the last needs a retention period');
+    normalized[i] = { granularity: granularity, retention: retention };
+  }
+  return normalized;
+}
+
+function bucketStart(time, granularity) {
+  return Math.floor(time / granularity) * granularity;
+}
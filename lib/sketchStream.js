@@ -0,0 +1,281 @@
+var StringDecoder = require('string_decoder').StringDecoder;
+var Transform = require('stream').Transform;
+var util = require('util');
+
+module.exports = SketchStream;
+
+/**
+ * A stream that records everything written to it in a sketch, such as a
+ * HyperLogLog or CountMinSketch. Each record is added to sketches with an
+ * add() method, and incremented in the others. Backpressure is handled by the
+ * stream machinery, so a SketchStream can be the destination of pipe() or
+ * stream.pipeline().
+ *
+ * In object mode (the default) every chunk is one record: a string, a Buffer,
+ * or any object the key option extracts a key from. Otherwise the written
+ * data is split into newline separated keys, such as the lines of a log file.
+ *
+ * The readable side of the stream stays empty unless passThrough is set, in
+ * which case everything written is pushed on unchanged so the stream can sit
+ * in the middle of a pipeline. Its output must then be consumed, or the
+ * stream stops accepting writes once its buffer is full.
+ *
+ * Events:
+ *   'snapshot' (buffer, sketch) - Emitted every snapshotInterval
+ *     milliseconds, every snapshotEvery records, and once more when the
+ *     stream finishes if either is set, with the serialized sketch.
+ *
+ * @param {Object} sketch The structure to record into.
+ * @param {Object} options (Optional) Additional settings:
+ *        key - Function mapping each record to the key to record, or to null
+ *          to skip the record. Defaults to using records as keys.
+ *        count - Function mapping each record to the number of observations
+ *          to increment by, for sketches without an add() method. Defaults
+ *          to 1.
+ *        objectMode - False to split written data into newline separated
+ *          keys instead of treating every chunk as a record. Defaults to
+ *          true.
+ *        passThrough - True to push every record on to the readable side.
+ *          Defaults to false.
+ *        snapshotInterval - Milliseconds between 'snapshot' events.
+ *        snapshotEvery - Number of records between 'snapshot' events.
+ *        highWaterMark - Passed on to the stream.
+ */
+function SketchStream(sketch, options) {
+  if (!(this instanceof SketchStream))
+    return new SketchStream(sketch, options);
+  if (!sketch || (typeof sketch.add !== 'function' && typeof sketch.increment !== 'function'))
+    throw new Error('sketch must have an add() or increment() method');
+
+  options = options || {};
+  var objectMode = options.objectMode !== false;
+  var streamOptions = {
+    writableObjectMode: objectMode,
+    readableObjectMode: objectMode
+  };
+  if (options.highWaterMark !== undefined)
+    streamOptions.highWaterMark = options.highWaterMark;
+  Transform.call(this, streamOptions);
+
+  /**
+   * The structure records are written to.
+   */
+  this.sketch = sketch;
+
+  /**
+   * Number of records written so far, including skipped ones.
+   */
+  this.records = 0;
+
+  /**
+   * @private
+   */
+  this._objectMode = objectMode;
+  this._keyFn = options.key || null;
+  this._countFn = options.count || null;
+  this._passThrough = !!options.passThrough;
+  this._snapshotEvery = options.snapshotEvery || 0;
+  this._snapshotting = !!(options.snapshotInterval || options.snapshotEvery);
+  // Incomplete last line of the data written in line mode
+  this._partial = '';
+  this._decoder = new StringDecoder('utf8');
+  this._timer = null;
+
+  // Without pass through the readable side never holds data. Keep it flowing
+  // so it ends along with the writable side, as stream.pipeline() expects
+  if (!this._passThrough)
+    this.resume();
+
+  if (options.snapshotInterval) {
+    var self = this;
+    this._timer = setInterval(function() { self.snapshot(); }, options.snapshotInterval);
+    // Snapshots alone should not keep the process running
+    if (this._timer.unref)
+      this._timer.unref();
+    this.once('finish', function() { self._stopTimer(); });
+    this.once('close', function() { self._stopTimer(); });
+    this.once('error', function() { self._stopTimer(); });
+  }
+}
+util.inherits(SketchStream, Transform);
+
+/**
+ * Emit a 'snapshot' event with the current serialized sketch and return the
+ * serialized buffer.
+ * @returns {Buffer} Binary buffer holding the serialized sketch.
+ */
+SketchStream.prototype.snapshot = function() {
+  var buffer = this.sketch.serialize();
+  this.emit('snapshot', buffer, this.sketch);
+  return buffer;
+};
+
+/**
+ * Write every record of an iterable or async iterable, such as an array, a
+ * generator or a Readable stream in object mode, waiting for the stream to
+ * drain whenever it applies backpressure, and end the stream.
+ * @param {Object} source The iterable or async iterable to read records from.
+ * @returns {Promise} Promise resolved with the sketch once the stream has
+ *          finished, or rejected with the first error, or when the stream is
+ *          destroyed before it finished, after closing the source.
+ */
+SketchStream.prototype.consume = function(source) {
+  var self = this;
+  var iterator;
+  if (source && typeof Symbol !== 'undefined' && Symbol.asyncIterator &&
+      typeof source[Symbol.asyncIterator] === 'function')
+    iterator = source[Symbol.asyncIterator]();
+  else if (source && typeof Symbol !== 'undefined' && typeof source[Symbol.iterator] === 'function')
+    iterator = source[Symbol.iterator]();
+  else
+    return Promise.reject(new Error('source must be an iterable or async iterable'));
+
+  return new Promise(function(resolve, reject) {
+    var failed = false;
+    function fail(err) {
+      if (failed)
+        return;
+      failed = true;
+      self.removeListener('finish', done);
+      self.removeListener('close', closed);
+      self.removeListener('drain', next);
+      // Let generators run their finally blocks and Readables close
+      if (typeof iterator.return === 'function') {
+        try {
+          Promise.resolve(iterator.return()).catch(function() {});
+        } catch (err) {
+          // The source failed to close, but the first error is reported
+        }
+      }
+      reject(err);
+    }
+    function done() {
+      self.removeListener('close', closed);
+      if (!failed)
+        resolve(self.sketch);
+    }
+    function closed() {
+      fail(new Error('stream was destroyed before the source was consumed'));
+    }
+    // Errors are emitted on a later tick by newer versions of Node, after the
+    // stream was destroyed, and a destroyed stream never drains. Whichever of
+    // 'drain', 'error' and 'close' comes first decides how to go on
+    self.once('error', fail);
+    self.once('finish', done);
+    self.once('close', closed);
+
+    function next() {
+      var result;
+      try {
+        result = iterator.next();
+      } catch (err) {
+        return fail(err);
+      }
+      Promise.resolve(result).then(step, fail);
+    }
+    function step(result) {
+      // A destroyed stream is settled by its 'error' or 'close' event
+      if (failed || self.destroyed)
+        return;
+      if (result.done)
+        return self.end();
+      var more = self.write(result.value);
+      if (failed || self.destroyed)
+        return;
+      if (more)
+        next();
+      else
+        self.once('drain', next);
+    }
+    if (self.destroyed)
+      closed();
+    else
+      next();
+  });
+};
+
+/**
+ * @private
+ */
+SketchStream.prototype._transform = function(chunk, encoding, callback) {
+  try {
+    if (this._objectMode) {
+      this._record(chunk);
+    } else {
+      var lines = (this._partial + this._decoder.write(chunk)).split('\n');
+      this._partial = lines.pop();
+      for (var i = 0; i < lines.length; i++)
+        this._recordLine(lines[i]);
+    }
+  } catch (err) {
+    return callback(err);
+  }
+  if (this._passThrough)
+    this.push(chunk);
+  callback();
+};
+
+/**
+ * @private
+ */
+SketchStream.prototype._flush = function(callback) {
+  try {
+    if (!this._objectMode) {
+      this._recordLine(this._partial + this._decoder.end());
+      this._partial = '';
+    }
+    this._stopTimer();
+    if (this._snapshotting)
+      this.snapshot();
+  } catch (err) {
+    return callback(err);
+  }
+  callback();
+};
+
+/**
+ * Record one line of the data written in line mode, ignoring blank lines and
+ * Windows line endings.
+ * @private
+ */
+SketchStream.prototype._recordLine = function(line) {
+  if (line.charAt(line.length - 1) === '\r')
+    line = line.slice(0, -1);
+  if (line)
+    this._record(line);
+};
+
+/**
+ * @private
+ */
+SketchStream.prototype._record = function(record) {
+  var key = this._keyFn ? this._keyFn(record) : record;
+  this.records++;
+
+  if (key !== null && key !== undefined) {
+    if (typeof key !== 'string' && !Buffer.isBuffer(key))
+      throw new Error('records must be strings or Buffers unless a key function is given');
+
+    if (typeof this.sketch.add === 'function') {
+      this.sketch.add(key);
+    } else {
+      // Top-K structures report keys back, so they are kept as strings
+      if (Buffer.isBuffer(key))
+        key = key.toString('utf8');
+      this.sketch.increment(key, this._countFn ? this._countFn(record) : 1);
+    }
+  }
+
+  if (this._snapshotEvery && this.records % this._snapshotEvery === 0)
+    this.snapshot();
+};
+
+/**
+ * @private
+ */
+SketchStream.prototype._stopTimer = function() {
+  if (this._timer) {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+};
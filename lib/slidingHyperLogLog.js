@@ -0,0 +1,349 @@
+var HyperLogLog = require('./hyperLogLog');
+var hashing = require('./hashing');
+var memorySize = require('./memorySize');
+var serialization = require('./serialization');
+
+module.exports = SlidingHyperLogLog;
+
+var log2 = HyperLogLog.log2;
+var rank = HyperLogLog.rank;
+
+/**
+ * Sliding HyperLogLog estimates the cardinality of the members added within
+ * any time window up to a configured maximum, such as the unique visitors in
+ * the last 15 minutes. Instead of a single rank, every register keeps the
+ * times its rank was last raised, as a list of possible future maxima: an
+ * entry is dropped once a newer entry has a rank at least as high, or once it
+ * is older than the maximum window.
+ *
+ * See Chabchoub and Hébrail "Sliding HyperLogLog: Estimating cardinality in a
+ * data stream over a sliding window" <https://hal.archives-ouvertes.fr/hal-00465313>
+ *
+ * @param {Number} stdError A value from (0-1) indicating the acceptable error
+ *        rate, as for HyperLogLog.
+ * @param {Object} options (Optional) Additional settings:
+ *        maxWindow - Longest window in milliseconds that can be counted.
+ *          Defaults to one hour.
+ *        hash - Name of the hash function from lib/hashing.js to map keys
+ *          with. Defaults to 'murmur3'.
+ *        clock - Function returning the current time in milliseconds.
+ *          Defaults to Date.now.
+ * @param {Object} state Internal use.
+ */
+function SlidingHyperLogLog(stdError, options, state) {
+  var k;
+  var hasher = hashing.getHashFunction((options && options.hash) || 'murmur3');
+  var maxWindow = (options && options.maxWindow) || 60 * 60 * 1000;
+  var clock = (options && options.clock) || Date.now;
+
+  if (typeof maxWindow !== 'number' || !(maxWindow > 0))
+    throw new Error('maxWindow must be a positive number of milliseconds');
+
+  if (!state) {
+    // Compute the number of bits to use for register indexing, as for
+    // HyperLogLog
+    var acc = 1.04 / stdError;
+    k = Math.max(Math.ceil(log2(acc * acc)), 4);
+  } else {
+    k = state.p;
+  }
+
+  var m = Math.pow(2, k);
+  var k_comp = hasher.bits - k;
+
+  // Possible future maxima of each register, as a flat list of timestamp and
+  // rank pairs sorted by ascending timestamp and therefore descending rank.
+  // Registers that were never raised are null
+  var registers = state ? state.registers : new Array(m);
+  // Number of registers that were raised, and of entries in their lists
+  var lists = 0;
+  var entries = 0;
+  for (var j = 0; j < m; j++) {
+    if (registers[j]) {
+      ++lists;
+      entries += registers[j].length / 2;
+    }
+  }
+
+  /**
+   * Add a member to the set.
+   * @param {String|Buffer} key Key to add to the set.
+   * @param {Number} timestamp (Optional) Time the member was seen in
+   *        milliseconds. Defaults to the current time of the clock. Must not
+   *        be negative, and fractions of a millisecond are dropped.
+   */
+  function add(key, timestamp) {
+    if (timestamp === undefined)
+      timestamp = clock();
+    if (typeof timestamp !== 'number' || !(timestamp >= 0) || timestamp === Infinity)
+      throw new Error('timestamp must be a non-negative number of milliseconds');
+    // Timestamps are serialized as whole milliseconds, so clocks such as
+    // performance.now are rounded down to match
+    timestamp = Math.floor(timestamp);
+
+    var hash = hasher.hash(key);
+    var j, r;
+    if (hasher.bits === 32) {
+      j = hash >>> k_comp;
+      r = rank(hash, k_comp);
+    } else {
+      j = hash[0] >>> (32 - k);
+      r = hash[1] !== 0 ? rank(hash[1], 32) : 32 + rank(hash[0], k_comp - 32);
+    }
+
+    insert(j, timestamp, r, clock() - maxWindow);
+  }
+
+  /**
+   * Record that register j reached rank r at time t, dropping entries the new
+   * one makes irrelevant and entries older than cutoff.
+   * @private
+   */
+  function insert(j, t, r, cutoff) {
+    if (t < cutoff)
+      return;
+
+    var list = registers[j];
+    if (!list) {
+      list = [];
+      ++lists;
+    }
+    var out = [];
+    var inserted = false;
+    for (var i = 0; i < list.length; i += 2) {
+      var lt = list[i], lr = list[i + 1];
+      if (lt < cutoff)
+        continue;
+      if (lt >= t && lr >= r) {
+        // A newer entry at least as high already covers this one
+        return;
+      }
+      if (lt <= t && lr <= r)
+        continue;
+      if (!inserted && lt > t) {
+        out.push(t, r);
+        inserted = true;
+      }
+      out.push(lt, lr);
+    }
+    if (!inserted)
+      out.push(t, r);
+    entries += (out.length - list.length) / 2;
+    registers[j] = out;
+  }
+
+  /**
+   * Returns the register values for the members added since cutoff.
+   * @private
+   */
+  function registersSince(cutoff) {
+    var M = new Uint8Array(m);
+    for (var j = 0; j < m; j++) {
+      var list = registers[j];
+      if (!list)
+        continue;
+      // Ranks decrease with time, so the first entry in the window is the
+      // highest
+      for (var i = 0; i < list.length; i += 2) {
+        if (list[i] >= cutoff) {
+          M[j] = list[i + 1];
+          break;
+        }
+      }
+    }
+    return M;
+  }
+
+  /**
+   * Count the number of unique members added within a time window.
+   * @param {Number} windowMs (Optional) Length of the window ending at the
+   *        current time of the clock, in milliseconds. Defaults to maxWindow.
+   * @returns {Number} Estimated cardinality of the members in the window.
+   */
+  function count(windowMs) {
+    return toHyperLogLog(windowMs).count();
+  }
+
+  /**
+   * Returns a HyperLogLog structure holding the members added within a time
+   * window, which can be serialized or merged with other HyperLogLogs.
+   * @param {Number} windowMs (Optional) Length of the window ending at the
+   *        current time of the clock, in milliseconds. Defaults to maxWindow.
+   * @returns {HyperLogLog} A new HyperLogLog object.
+   */
+  function toHyperLogLog(windowMs) {
+    if (windowMs === undefined)
+      windowMs = maxWindow;
+    if (typeof windowMs !== 'number' || !(windowMs >= 0))
+      throw new Error('window must be a non-negative number of milliseconds');
+    if (windowMs > maxWindow)
+      throw new Error('window cannot be longer than the maximum window of ' + maxWindow + ' ms');
+
+    return new HyperLogLog(null, { hash: hasher.name },
+      { M: registersSince(clock() - windowMs) });
+  }
+
+  /**
+   * Merge another SlidingHyperLogLog structure of the same size into this
+   * one. Entries older than the maximum window of this structure are
+   * dropped.
+   * @param {SlidingHyperLogLog} slidingHyperLogLog The structure to merge in.
+   */
+  function merge(slidingHyperLogLog) {
+    if (slidingHyperLogLog.p !== k)
+      throw new Error('cannot merge SlidingHyperLogLog structures of different size');
+    if (slidingHyperLogLog.hash !== hasher.name)
+      throw new Error('cannot merge SlidingHyperLogLog structures with different hash functions');
+
+    var cutoff = clock() - maxWindow;
+    var other = slidingHyperLogLog.registers;
+    for (var j = 0; j < m; j++) {
+      var list = other[j];
+      if (!list)
+        continue;
+      for (var i = 0; i < list.length; i += 2)
+        insert(j, list[i], list[i + 1], cutoff);
+    }
+  }
+
+  /**
+   * Returns the approximate number of bytes of memory used by the register
+   * lists, including entries that expired but were not yet dropped.
+   * @returns {Number} Size in bytes.
+   */
+  function getMemorySize() {
+    return m * memorySize.NUMBER_SIZE + lists * memorySize.ARRAY_SIZE +
+      entries * 2 * memorySize.NUMBER_SIZE;
+  }
+
+  /**
+   * Serializes this data structure to a binary buffer. Entries older than the
+   * maximum window are left out.
+   * @returns {Buffer} Binary buffer holding the serialized form of this
+   *          structure.
+   */
+  function serialize() {
+    var i, j, list;
+    var cutoff = clock() - maxWindow;
+
+    // Timestamps of each register are stored as differences from the
+    // previous entry
+    var lists = new Array(m);
+    var dataLength = 0;
+    for (j = 0; j < m; j++) {
+      list = registers[j] || [];
+      var live = [];
+      for (i = 0; i < list.length; i += 2) {
+        if (list[i] >= cutoff)
+          live.push(list[i], list[i + 1]);
+      }
+      lists[j] = live;
+      dataLength += serialization.varintLength(live.length / 2);
+      for (i = 0; i < live.length; i += 2)
+        dataLength += serialization.varintLength(live[i] - (i ? live[i - 2] : 0)) + 1;
+    }
+
+    var buffer = serialization.allocate(serialization.TYPES.SlidingHyperLogLog,
+      1 + 1 + 8 + dataLength);
+    var pos = serialization.HEADER_SIZE;
+    // Number of register indexing bits and hash function
+    buffer.writeUInt8(k, pos, true);
+    pos++;
+    buffer.writeUInt8(hasher.id, pos, true);
+    pos++;
+    // maxWindow
+    buffer.writeDoubleLE(maxWindow, pos, true);
+    pos += 8;
+    // Registers
+    for (j = 0; j < m; j++) {
+      list = lists[j];
+      pos += serialization.writeVarint(buffer, list.length / 2, pos);
+      for (i = 0; i < list.length; i += 2) {
+        pos += serialization.writeVarint(buffer, list[i] - (i ? list[i - 2] : 0), pos);
+        buffer.writeUInt8(list[i + 1], pos, true);
+        pos++;
+      }
+    }
+
+    return serialization.seal(buffer);
+  }
+
+  return {
+    add: add,
+    count: count,
+    toHyperLogLog: toHyperLogLog,
+    getMemorySize: getMemorySize,
+    serialize: serialize,
+    merge: merge,
+    p: k,
+    m: m,
+    maxWindow: maxWindow,
+    hash: hasher.name,
+    clock: clock,
+    registers: registers
+  };
+}
+
+/**
+ * Deserialize a binary buffer into a reconstituted SlidingHyperLogLog
+ * structure.
+ * @param {Buffer} buffer Binary buffer holding the serialized structure.
+ * @param {Number} start Starting offset of the structure in the buffer.
+ * @param {Number} length Length of the serialized structure in the buffer.
+ * @param {Object} options (Optional) Additional settings:
+ *        clock - Function returning the current time in milliseconds.
+ *          Defaults to Date.now.
+ * @returns {SlidingHyperLogLog} A SlidingHyperLogLog object.
+ */
+SlidingHyperLogLog.deserialize = function(buffer, start, length, options) {
+  start = start || 0;
+  length = length || buffer.length - start;
+  if (start + length > buffer.length)
+    throw new Error('start and buffer cannot go past the end of buffer');
+
+  var header = serialization.readHeader(buffer, start, length);
+  if (!header || header.type !== serialization.TYPES.SlidingHyperLogLog) {
+    throw new Error('expected a serialized SlidingHyperLogLog but found ' +
+      (header ? serialization.typeName(header.type) || 'unknown type ' + header.type
+        : 'a headerless buffer'));
+  }
+
+  var pos = header.start;
+  if (pos + 10 > header.end)
+    throw new Error('serialized SlidingHyperLogLog has an invalid length');
+  var k = buffer.readUInt8(pos, true);
+  pos++;
+  var hash = hashing.getHashFunction(buffer.readUInt8(pos, true)).name;
+  pos++;
+  var maxWindow = buffer.readDoubleLE(pos, true);
+  pos += 8;
+
+  var m = Math.pow(2, k);
+  var registers = new Array(m);
+  for (var j = 0; j < m; j++) {
+    var len = serialization.readVarint(buffer, pos);
+    pos += serialization.varintLength(len);
+    if (!len)
+      continue;
+    var list = new Array(len * 2);
+    var t = 0;
+    for (var i = 0; i < len; i++) {
+      var delta = serialization.readVarint(buffer, pos);
+      pos += serialization.varintLength(delta);
+      if (pos >= header.end)
+        throw new Error('serialized SlidingHyperLogLog has an invalid length');
+      list[i * 2] = t = t + delta;
+      list[i * 2 + 1] = buffer.readUInt8(pos, true);
+      pos++;
+    }
+    registers[j] = list;
+  }
+  if (pos !== header.end)
+    throw new Error('serialized SlidingHyperLogLog has an invalid length');
+
+  return new SlidingHyperLogLog(null, {
+    hash: hash,
+    maxWindow: maxWindow,
+    clock: options && options.clock
+  }, { p: k, registers: registers });
+};
@@ -0,0 +1,338 @@
+var hashing = require('./hashing');
+var MinHeap = require('./minHeap');
+var memorySize = require('./memorySize');
+var serialization = require('./serialization');
+
+module.exports = SpaceSaving;
+
+/**
+ * Space-Saving is an algorithm for finding the most frequent members of a
+ * stream. It monitors a fixed number of keys with exact counters. A key that
+ * is not monitored replaces the one with the lowest count and inherits its
+ * count, which becomes the maximum amount the new key is overestimated by.
+ * Unlike a CountMinSketch, every count comes with its own error bound, and
+ * any key seen more than total / maxEntries times is guaranteed to be
+ * monitored.
+ *
+ * See Metwally et al. "Efficient Computation of Frequent and Top-k Elements in
+ * Data Streams" <http://www.cs.ucsb.edu/research/tech_reports/reports/2005-23.pdf>
+ *
+ * @param {Number} maxEntries Number of keys to monitor. This is the maximum
+ *        number of entries returned by getTopK().
+ * @param {Object} state Internal use.
+ */
+function SpaceSaving(maxEntries, state) {
+  if (typeof maxEntries !== 'number' || maxEntries < 1 ||
+      maxEntries !== Math.floor(maxEntries))
+    throw new Error('maxEntries must be a positive integer');
+
+  // Lookup of key to the priority queue handle for its [count, key, error]
+  // tuple
+  var map = Object.create(null);
+  var heapq = new MinHeap(null, sortAsc);
+  // Total number of observations recorded in this structure
+  var total = state ? state.total : 0;
+
+  if (state)
+    resetHeap(state.entries);
+
+  /**
+   * Record an observation of the given key.
+   * @param {String|Buffer} key Key to increment the observation count for.
+   * @param {Number} count (Optional) Number of observations to record.
+   *        Defaults to 1.
+   */
+  function increment(key, count) {
+    if (count === undefined)
+      count = 1;
+    if (typeof count !== 'number' || !(count >= 0))
+      throw new Error('count must be a non-negative number');
+
+    key = hashing.keyString(key);
+    total += count;
+
+    var handle = map[key];
+    if (handle !== undefined) {
+      handle.value[0] += count;
+      heapq.update(handle);
+    } else if (heapq.size() < maxEntries) {
+      map[key] = heapq.push([count, key, 0]);
+    } else {
+      // Take over the counter of the least frequent monitored key. Its count
+      // is the most this key could have been seen before now
+      var min = heapq.peek();
+      delete map[min[1]];
+      map[key] = heapq.replaceTop([min[0] + count, key, min[0]]);
+    }
+  }
+
+  /**
+   * Returns the estimated frequency count for the given key. For monitored
+   * keys this is never lower than the true count. Keys that are not monitored
+   * were seen at most this many times.
+   * @param {String|Buffer} key Key to estimate the observation count for.
+   * @returns {Number} Estimated frequency count.
+   */
+  function estimate(key) {
+    var handle = map[hashing.keyString(key)];
+    if (handle !== undefined)
+      return handle.value[0];
+    return minCount();
+  }
+
+  /**
+   * Returns a sorted list of tuples containing the estimated frequency count,
+   * key and maximum overestimate of the count for the monitored keys. The
+   * true count of each key lies between count - maxOverestimate and count.
+   * @param {Object} options (Optional) Additional settings:
+   *        withBounds - Return objects of the form { key, estimate, lower,
+   *          upper, guaranteed } instead of tuples, like CountMinSketch.
+   *        threshold - Count the guaranteed flag is computed against. An entry
+   *          is guaranteed if its lower bound exceeds it. Defaults to 0.
+   * @returns {Array} An array of up to maxEntries [count, key,
+   *          maxOverestimate] arrays, highest count first and then by key.
+   */
+  function getTopK(options) {
+    var vals = new Array(heapq.heap.length);
+    for (var i = 0; i < vals.length; i++)
+      vals[i] = heapq.heap[i].slice(0);
+    vals.sort(sortDesc);
+    if (!options || !options.withBounds)
+      return vals;
+
+    var threshold = options.threshold || 0;
+    return vals.map(function(entry) {
+      var lower = entry[0] - entry[2];
+      return {
+        key: entry[1],
+        estimate: entry[0],
+        lower: lower,
+        upper: entry[0],
+        guaranteed: lower > threshold
+      };
+    });
+  }
+
+  /**
+   * Returns the monitored keys that may have been seen more than a fraction
+   * phi of all observations. Every key seen that often is included as long as
+   * phi is at least 1 / maxEntries, and keys whose lower bound exceeds the
+   * threshold are flagged as guaranteed.
+   * @param {Number} phi Fraction of the total observation count, from (0-1).
+   * @returns {Array} Array of { key, estimate, lower, upper, guaranteed }
+   *          objects, highest estimate first.
+   */
+  function getHeavyHitters(phi) {
+    if (typeof phi !== 'number' || !(phi > 0 && phi < 1))
+      throw new Error('phi must be between 0 and 1');
+
+    var threshold = phi * total;
+    return getTopK({ withBounds: true, threshold: threshold }).filter(function(entry) {
+      return entry.upper > threshold;
+    });
+  }
+
+  /**
+   * Returns the total number of observations recorded in this structure.
+   * @returns {Number} Total observation count.
+   */
+  function getTotalCount() {
+    return total;
+  }
+
+  /**
+   * Merge another SpaceSaving structure into this one. Keys monitored by only
+   * one of the structures are assumed to have been seen up to the lowest
+   * count of the other, and the maxEntries keys with the highest combined
+   * counts are kept.
+   * @param {SpaceSaving} spaceSaving The structure to merge in.
+   */
+  function merge(spaceSaving) {
+    var i, key;
+    var combined = Object.create(null);
+    var ours = heapq.heap;
+    var theirs = spaceSaving.getTopK();
+    var ourMin = minCount();
+    var theirMin = spaceSaving.isFull() ? theirs[theirs.length - 1][0] : 0;
+
+    for (i = 0; i < ours.length; i++)
+      combined[ours[i][1]] = [ours[i][0] + theirMin, ours[i][1], ours[i][2] + theirMin];
+    for (i = 0; i < theirs.length; i++) {
+      key = theirs[i][1];
+      if (combined[key]) {
+        // Monitored by both, so replace the assumed count with the real one
+        combined[key][0] += theirs[i][0] - theirMin;
+        combined[key][2] += theirs[i][2] - theirMin;
+      } else {
+        combined[key] = [theirs[i][0] + ourMin, key, theirs[i][2] + ourMin];
+      }
+    }
+
+    var entries = [];
+    for (key in combined)
+      entries.push(combined[key]);
+    entries.sort(sortDesc);
+    entries.length = Math.min(entries.length, maxEntries);
+
+    total += spaceSaving.getTotalCount();
+    resetHeap(entries);
+  }
+
+  /**
+   * Returns the number of bytes of memory used by this structure. Each
+   * monitored key is counted with a typical engine overhead.
+   * @returns {Number} Size in bytes.
+   */
+  function getMemorySize() {
+    return memorySize.tuples(heapq.heap);
+  }
+
+  /**
+   * Returns true if maxEntries keys are monitored, after which new keys
+   * replace the least frequent one.
+   * @returns {Boolean}
+   */
+  function isFull() {
+    return heapq.size() >= maxEntries;
+  }
+
+  /**
+   * Returns the lowest monitored count if every counter is in use, otherwise
+   * 0.
+   * @private
+   */
+  function minCount() {
+    return isFull() ? heapq.peek()[0] : 0;
+  }
+
+  /**
+   * Replace the contents of the priority queue with the given [count, key,
+   * error] tuples.
+   * @private
+   */
+  function resetHeap(entries) {
+    map = Object.create(null);
+    heapq = new MinHeap(null, sortAsc);
+    for (var i = 0; i < entries.length; i++)
+      map[entries[i][1]] = heapq.push(entries[i]);
+  }
+
+  /**
+   * Serializes this data structure to a binary buffer.
+   * @returns {Buffer} Binary buffer holding the serialized form of this
+   *          structure.
+   */
+  function serialize() {
+    var i;
+    var entries = heapq.heap;
+
+    var entriesLen = serialization.varintLength(entries.length);
+    var keyLens = new Array(entries.length);
+    for (i = 0; i < entries.length; i++) {
+      keyLens[i] = Buffer.byteLength(entries[i][1]);
+      entriesLen += 16 + serialization.varintLength(keyLens[i]) + keyLens[i];
+    }
+
+    var buffer = serialization.allocate(serialization.TYPES.SpaceSaving,
+      serialization.varintLength(maxEntries) + 8 + entriesLen);
+
+    var pos = serialization.HEADER_SIZE;
+    // maxEntries
+    pos += serialization.writeVarint(buffer, maxEntries, pos);
+    // total
+    buffer.writeDoubleLE(total, pos, true);
+    pos += 8;
+    // entries
+    pos += serialization.writeVarint(buffer, entries.length, pos);
+    for (i = 0; i < entries.length; i++) {
+      // Count and maximum overestimate
+      buffer.writeDoubleLE(entries[i][0], pos, true);
+      pos += 8;
+      buffer.writeDoubleLE(entries[i][2], pos, true);
+      pos += 8;
+      // Key
+      pos += serialization.writeVarint(buffer, keyLens[i], pos);
+      buffer.write(entries[i][1], pos, keyLens[i], 'utf8');
+      pos += keyLens[i];
+    }
+
+    return serialization.seal(buffer);
+  }
+
+  return {
+    increment: increment,
+    estimate: estimate,
+    getTopK: getTopK,
+    getHeavyHitters: getHeavyHitters,
+    getTotalCount: getTotalCount,
+    getMemorySize: getMemorySize,
+    isFull: isFull,
+    serialize: serialize,
+    merge: merge,
+    maxEntries: maxEntries
+  };
+}
+
+/**
+ * Deserialize a binary buffer into a reconstituted SpaceSaving structure.
+ * @param {Buffer} buffer Binary buffer holding the serialized structure.
+ * @param {Number} start Starting offset of the structure in the buffer.
+ * @param {Number} length Length of the serialized structure in the buffer.
+ * @returns {SpaceSaving} A SpaceSaving object.
+ */
+SpaceSaving.deserialize = function(buffer, start, length) {
+  start = start || 0;
+  length = length || buffer.length - start;
+  if (start + length > buffer.length)
+    throw new Error('start and buffer cannot go past the end of buffer');
+
+  var header = serialization.readHeader(buffer, start, length);
+  if (!header || header.type !== serialization.TYPES.SpaceSaving) {
+    throw new Error('expected a serialized SpaceSaving but found ' +
+      (header ? serialization.typeName(header.type) || 'unknown type ' + header.type
+        : 'a headerless buffer'));
+  }
+
+  var pos = header.start;
+  // maxEntries
+  var maxEntries = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(maxEntries);
+  // total
+  if (pos + 8 > header.end)
+    throw new Error('serialized SpaceSaving has an invalid length');
+  var total = buffer.readDoubleLE(pos, true);
+  pos += 8;
+  // entries
+  var len = serialization.readVarint(buffer, pos);
+  pos += serialization.varintLength(len);
+  var entries = new Array(len);
+  for (var i = 0; i < len; i++) {
+    if (pos + 16 > header.end)
+      throw new Error('serialized SpaceSaving has an invalid length');
+    // Count and maximum overestimate
+    var count = buffer.readDoubleLE(pos, true);
+    pos += 8;
+    var error = buffer.readDoubleLE(pos, true);
+    pos += 8;
+    // Key
+    var keyLen = serialization.readVarint(buffer, pos);
+    pos += serialization.varintLength(keyLen);
+    if (pos + keyLen > header.end)
+      throw new Error('serialized SpaceSaving has an invalid length');
+    entries[i] = [count, buffer.toString('utf8', pos, pos + keyLen), error];
+    pos += keyLen;
+  }
+  if (pos !== header.end)
+    throw new Error('serialized SpaceSaving has an invalid length');
+
+  return new SpaceSaving(maxEntries, { total: total, entries: entries });
+};
+
+function sortAsc(a, b) {
+  return a[0] - b[0];
+}
+
+function sortDesc(a, b) {
+  // Break ties by key so the order does not depend on the heap layout
+  return b[0] - a[0] || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+}
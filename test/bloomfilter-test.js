@@ -0,0 +1,210 @@
+var vows = require('vows');
+var assert = require('assert');
+
+var streamcount = require('../index');
+var BloomFilter = require('../lib/bloomFilter');
+var CountingBloomFilter = require('../lib/countingBloomFilter');
+var HyperLogLog = require('../lib/hyperLogLog');
+
+vows.describe('BloomFilter').addBatch({
+  'sizing': {
+    'follows the optimal formulas': function() {
+      // m = -n ln(p) / ln(2)^2 = 9585.06, k = m / n ln(2) = 6.64
+      assert.deepEqual(BloomFilter.dimensions(1000, 0.01), { m: 9592, k: 7 });
+      assert.deepEqual(BloomFilter.dimensions(1, 0.5), { m: 8, k: 6 });
+    },
+    'rejects invalid settings': function() {
+      assert.throws(function() { new BloomFilter(0, 0.01); }, /expectedItems/);
+      assert.throws(function() { new BloomFilter(100, 1); }, /falsePositiveRate/);
+      assert.throws(function() { new BloomFilter(100); }, /falsePositiveRate/);
+    },
+    'requires a 64-bit hash function': function() {
+      assert.throws(function() { new BloomFilter(100, 0.01, { hash: 'fnv1a' }); }, /64-bit/);
+      assert.equal(new BloomFilter(100, 0.01, { hash: 'xxhash64' }).hash, 'xxhash64');
+    },
+  },
+  'membership': {
+    topic: function() {
+      var bf = new BloomFilter(10000, 0.01);
+      for (var i = 0; i < 10000; i++)
+        bf.add('/user' + i);
+      return bf;
+    },
+
+    'has no false negatives': function(bf) {
+      for (var i = 0; i < 10000; i++)
+        assert.isTrue(bf.has('/user' + i));
+    },
+    'keeps false positives near the target rate': function(bf) {
+      var falsePositives = 0;
+      for (var i = 0; i < 10000; i++) {
+        if (bf.has('/visitor' + i))
+          falsePositives++;
+      }
+      assert.isTrue(falsePositives > 50 && falsePositives < 150, falsePositives + ' false positives');
+      assert.inDelta(bf.getFalsePositiveRate(), 0.01, 0.002);
+    },
+    'estimates the number of members': function(bf) {
+      assert.inDelta(bf.count(), 10000, 200);
+    },
+    'reports members added before': function(bf) {
+      assert.isTrue(bf.add('/user1'));
+      assert.isFalse(bf.add(Buffer.from('new member')));
+      assert.isTrue(bf.has(Buffer.from('new member')));
+    },
+    'reports its memory size': function(bf) {
+      assert.equal(bf.getMemorySize(), bf.m / 8);
+    },
+  },
+  'merging': {
+    topic: function() {
+      var a = new BloomFilter(1000, 0.01);
+      var b = new BloomFilter(1000, 0.01);
+      for (var i = 0; i < 500; i++) {
+        a.add('a' + i);
+        b.add('b' + i);
+        a.add('both' + i);
+        b.add('both' + i);
+      }
+      return { a: a, b: b };
+    },
+
+    'intersects': function(topic) {
+      var result = BloomFilter.deserialize(topic.a.serialize());
+      result.intersect(topic.b);
+      for (var i = 0; i < 500; i++)
+        assert.isTrue(result.has('both' + i));
+      // Bits set by different members of each filter survive too, so the
+      // intersection is overestimated
+      var count = result.count();
+      assert.isTrue(count > 450 && count < topic.a.count(), 'count ' + count);
+    },
+    'unions': function(topic) {
+      var result = BloomFilter.deserialize(topic.a.serialize());
+      result.merge(topic.b);
+      for (var i = 0; i < 500; i++) {
+        assert.isTrue(result.has('a' + i));
+        assert.isTrue(result.has('b' + i));
+      }
+      assert.inDelta(result.count(), 1500, 100);
+    },
+    'refuses incompatible filters': function(topic) {
+      assert.throws(function() { topic.a.merge(new BloomFilter(2000, 0.01)); }, /different sizes/);
+      assert.throws(function() {
+        topic.a.intersect(new BloomFilter(1000, 0.01, { hash: 'xxhash64' }));
+      }, /different hash/);
+      assert.throws(function() {
+        topic.a.merge(new CountingBloomFilter(1000, 0.01));
+      }, /different sizes/);
+    },
+  },
+}).addBatch({
+  'serialization': {
+    topic: function() {
+      var bf = new BloomFilter(100, 0.05, { hash: 'xxhash64' });
+      bf.add('/');
+      bf.add('/about');
+      return bf;
+    },
+
+    'round trips': function(bf) {
+      var bf2 = BloomFilter.deserialize(bf.serialize());
+      assert.equal(bf2.m, bf.m);
+      assert.equal(bf2.k, bf.k);
+      assert.equal(bf2.hash, 'xxhash64');
+      assert.isTrue(bf2.has('/about'));
+      assert.isFalse(bf2.has('/contact'));
+      assert.deepEqual(bf2.serialize(), bf.serialize());
+    },
+    'is detected by streamcount.deserialize': function(bf) {
+      assert.isTrue(streamcount.deserialize(bf.serialize()).has('/'));
+    },
+    'refuses another structure': function(bf) {
+      var packed = new HyperLogLog(0.1).serialize();
+      assert.throws(function() { BloomFilter.deserialize(packed); }, /found HyperLogLog/);
+      packed = new CountingBloomFilter(100, 0.05).serialize();
+      assert.throws(function() { BloomFilter.deserialize(packed); }, /found CountingBloomFilter/);
+    },
+    'detects corruption': function(bf) {
+      var packed = bf.serialize();
+      packed[packed.length - 6] ^= 1;
+      assert.throws(function() { BloomFilter.deserialize(packed); }, /checksum/);
+    },
+  },
+}).addBatch({
+  'counting': {
+    topic: function() {
+      var cbf = new CountingBloomFilter(1000, 0.01);
+      for (var i = 0; i < 1000; i++)
+        cbf.add('/session' + i);
+      return cbf;
+    },
+
+    'removes members': function(cbf) {
+      assert.isTrue(cbf.has('/session1'));
+      assert.isTrue(cbf.remove('/session1'));
+      assert.isFalse(cbf.has('/session1'));
+      for (var i = 2; i < 1000; i++)
+        assert.isTrue(cbf.has('/session' + i));
+      assert.inDelta(cbf.count(), 999, 30);
+      cbf.add('/session1');
+    },
+    'ignores removing absent members': function(cbf) {
+      var before = cbf.serialize();
+      assert.isFalse(cbf.remove('/never-added'));
+      assert.deepEqual(cbf.serialize(), before);
+    },
+    'keeps saturated counters': function() {
+      var cbf = new CountingBloomFilter(10, 0.1);
+      for (var i = 0; i < 300; i++)
+        cbf.add('hot');
+      cbf.remove('hot');
+      assert.isTrue(cbf.has('hot'));
+      assert.equal(Math.max.apply(null, cbf.counters), 255);
+    },
+    'merges by adding counters': function(cbf) {
+      var other = new CountingBloomFilter(1000, 0.01);
+      other.add('/session1');
+      other.add('/extra');
+      var result = CountingBloomFilter.deserialize(cbf.serialize());
+      result.merge(other);
+      assert.isTrue(result.has('/extra'));
+      // Added to both, so removing it once leaves it in the filter
+      result.remove('/session1');
+      assert.isTrue(result.has('/session1'));
+    },
+    'intersects by keeping the smaller counters': function(cbf) {
+      var other = new CountingBloomFilter(1000, 0.01);
+      other.add('/session5');
+      other.add('/extra');
+      var result = CountingBloomFilter.deserialize(cbf.serialize());
+      result.intersect(other);
+      assert.isTrue(result.has('/session5'));
+      assert.isFalse(result.has('/extra'));
+      assert.isFalse(result.has('/session6'));
+    },
+    'round trips': function(cbf) {
+      var cbf2 = streamcount.deserialize(cbf.serialize());
+      assert.deepEqual(cbf2.counters, cbf.counters);
+      assert.equal(cbf2.getMemorySize(), cbf.m);
+      assert.isTrue(cbf2.remove('/session7'));
+    },
+  },
+}).addBatch({
+  'factories': {
+    'create membership filters': function() {
+      var bf = streamcount.createMembershipFilter(1000);
+      assert.deepEqual({ m: bf.m, k: bf.k }, BloomFilter.dimensions(1000, 0.01));
+      assert.isUndefined(bf.remove);
+      var cbf = streamcount.createMembershipFilter(1000, 0.001, { counting: true, hash: 'xxhash64' });
+      assert.isFunction(cbf.remove);
+      assert.equal(cbf.hash, 'xxhash64');
+    },
+    'compute serialized sizes': function() {
+      assert.equal(streamcount.getMembershipObjSize(1000),
+        new BloomFilter(1000, 0.01).serialize().length);
+      assert.equal(streamcount.getMembershipObjSize(50000, 0.001, true),
+        new CountingBloomFilter(50000, 0.001).serialize().length);
+    },
+  },
+}).export(module);
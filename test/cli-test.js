@@ -0,0 +1,247 @@
+var vows = require('vows');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+
+var cli = require('../lib/cli');
+var streamcount = require('../index');
+
+var LOG = [
+  '10.0.0.1 - - [01/Jan/2024] "GET /home HTTP/1.1" 200',
+  '10.0.0.2 - - [01/Jan/2024] "GET /home HTTP/1.1" 200',
+  '10.0.0.1 - - [01/Jan/2024] "GET /about HTTP/1.1" 200',
+  '10.0.0.3 - - [01/Jan/2024] "GET /home HTTP/1.1" 304',
+  ''
+].join('\n');
+
+var JSON_LOG = [
+  '{"request":{"url":"/home"},"user":1}',
+  '{"request":{"url":"/cart"},"user":2}',
+  'not json',
+  '{"request":{},"user":3}',
+  '{"request":{"url":"/home"},"user":1}'
+].join('\n');
+
+var tmpFiles = [];
+
+function tmpFile(name) {
+  var file = path.join(os.tmpdir(), 'streamcount-cli-test-' + process.pid + '-' + name);
+  tmpFiles.push(file);
+  return file;
+}
+
+process.on('exit', function() {
+  tmpFiles.forEach(function(file) {
+    if (fs.existsSync(file))
+      fs.unlinkSync(file);
+  });
+});
+
+function collector() {
+  var out = new stream.Writable({
+    write: function(chunk, encoding, cb) {
+      out.chunks.push(Buffer.from(chunk));
+      cb();
+    }
+  });
+  out.chunks = [];
+  out.text = function() { return Buffer.concat(out.chunks).toString('utf8'); };
+  return out;
+}
+
+// Run the tool with the given arguments and stdin, and call back with
+// { code, stdout, stderr }
+function run(argv, input) {
+  return function() {
+    var callback = this.callback;
+    var stdin = new stream.PassThrough();
+    var io = { stdin: stdin, stdout: collector(), stderr: collector() };
+    cli.run(argv, io, function(err, code) {
+      callback(err, { code: code, stdout: io.stdout.text(), stderr: io.stderr.text() });
+    });
+    stdin.end(input || '');
+  };
+}
+
+var logFile = tmpFile('access.log');
+fs.writeFileSync(logFile, LOG);
+
+vows.describe('Command line').addBatch({
+  'topk of a field from stdin': {
+    topic: run(['topk', '--field', '6', '-k', '2'], LOG),
+
+    'prints counts and keys': function(result) {
+      assert.equal(result.code, 0);
+      assert.equal(result.stdout, '3\t/home\n1\t/about\n');
+    },
+  },
+  'uniques of a field from a file': {
+    topic: run(['uniques', '-f', '1', logFile]),
+
+    'prints the count': function(result) {
+      assert.equal(result.code, 0);
+      assert.equal(result.stdout, '3\n');
+    },
+  },
+  'uniques with a delimiter': {
+    topic: run(['uniques', '-f', '2', '-d', '"'], LOG),
+
+    'splits on the delimiter': function(result) {
+      assert.equal(result.stdout, '2\n');
+    },
+  },
+  'topk of a JSON path': {
+    topic: run(['topk', '--json', 'request.url', '--format', 'json'], JSON_LOG),
+
+    'prints a JSON description': function(result) {
+      var json = JSON.parse(result.stdout);
+      assert.equal(json.type, 'CountMinSketch');
+      assert.equal(json.total, 3);
+      assert.deepEqual(json.top, [{ key: '/home', count: 2 }, { key: '/cart', count: 1 }]);
+    },
+    'reports lines without a key': function(result) {
+      assert.equal(result.stderr, 'streamcount: skipped 2 lines without a key\n');
+    },
+  },
+  'uniques with error parameters': {
+    topic: run(['uniques', '--error=0.05', '--hash', 'fnv1a', '-F', 'json'], 'a\nb\nc\n'),
+
+    'uses them': function(result) {
+      var json = JSON.parse(result.stdout);
+      assert.equal(json.p, 9);
+      assert.equal(json.hash, 'fnv1a');
+      assert.ok(json.lower <= 3 && 3 <= json.upper);
+    },
+  },
+  'quantiles': {
+    topic: run(['quantiles'], '1\n2\n'),
+
+    'are not available': function(result) {
+      assert.equal(result.code, 1);
+      assert.ok(/not available/.test(result.stderr));
+    },
+  },
+  'usage errors': {
+    topic: run(['topk', '--bogus']),
+
+    'are reported': function(result) {
+      assert.equal(result.code, 1);
+      assert.equal(result.stderr, 'streamcount: unknown option --bogus\n');
+    },
+  },
+  'help': {
+    topic: run(['--help']),
+
+    'lists the commands': function(result) {
+      assert.equal(result.code, 0);
+      assert.ok(/Usage: streamcount/.test(result.stdout));
+      assert.ok(/inspect/.test(result.stdout));
+    },
+  },
+}).addBatch({
+  'writing sketch files': {
+    topic: function() {
+      var callback = this.callback;
+      var a = tmpFile('a.hll');
+      var b = tmpFile('b.hll');
+      var io = { stdin: new stream.PassThrough(), stdout: collector(), stderr: collector() };
+      cli.run(['uniques', '-F', 'sketch', '-o', a, '-'], io, function() {
+        io.stdin = new stream.PassThrough();
+        cli.run(['uniques', '-F', 'sketch', '-o', b], io, function(err, code) {
+          callback(err, { a: a, b: b, code: code });
+        });
+        io.stdin.end('z\ny\nx\n');
+      });
+      io.stdin.end('x\ny\n');
+    },
+
+    'can be inspected': function(files) {
+      assert.equal(files.code, 0);
+      var hll = streamcount.deserialize(fs.readFileSync(files.a));
+      assert.ok(Math.abs(hll.count() - 2) < 0.01);
+    },
+    'and merged': {
+      topic: function(files) {
+        run(['merge', files.a, files.b, '-F', 'json']).call(this);
+      },
+
+      'into their union': function(result) {
+        var json = JSON.parse(result.stdout);
+        assert.equal(json.type, 'HyperLogLog');
+        assert.ok(Math.abs(json.count - 3) < 0.01);
+      },
+    },
+  },
+  'inspecting a views counter': {
+    topic: function() {
+      var file = tmpFile('views.cms');
+      var cms = streamcount.createViewsCounter(2, 0.01, 0.01);
+      cms.increment('/home', 5);
+      cms.increment('/about', 2);
+      fs.writeFileSync(file, cms.serialize());
+      run(['inspect', file]).call(this);
+    },
+
+    'prints parameters and top entries': function(result) {
+      assert.equal(result.code, 0);
+      assert.ok(/^type: CountMinSketch$/m.test(result.stdout));
+      assert.ok(/^width: 512$/m.test(result.stdout));
+      assert.ok(/^total: 7$/m.test(result.stdout));
+      assert.ok(/top:\n5\t\/home\n2\t\/about\n$/.test(result.stdout));
+    },
+  },
+  'inspecting a registry checkpoint': {
+    topic: function() {
+      var file = tmpFile('registry.ckpt');
+      var registry = new streamcount.SketchRegistry(function() {
+        return streamcount.createUniquesCounter();
+      });
+      registry.add('home', 'user1');
+      registry.add('about', 'user2');
+      fs.writeFileSync(file, registry.snapshot());
+      run(['inspect', file]).call(this);
+    },
+
+    'lists the sketches': function(result) {
+      assert.equal(result.code, 0);
+      assert.ok(/^type: SketchRegistry$/m.test(result.stdout));
+      assert.ok(/^names: home,about$/m.test(result.stdout), result.stdout);
+      assert.ok(/^sketches: 2$/m.test(result.stdout));
+    },
+    'but not merging it': {
+      topic: function() {
+        var file = tmpFile('registry.ckpt');
+        run(['merge', file, file]).call(this);
+      },
+
+      'fails': function(result) {
+        assert.equal(result.code, 1);
+        assert.ok(/SketchRegistry files cannot be merged/.test(result.stderr), result.stderr);
+      },
+    },
+  },
+  'merging different types': {
+    topic: function() {
+      var a = tmpFile('mixed-a');
+      var b = tmpFile('mixed-b');
+      fs.writeFileSync(a, streamcount.createUniquesCounter().serialize());
+      fs.writeFileSync(b, streamcount.createHeavyHittersCounter(3).serialize());
+      run(['merge', a, b]).call(this);
+    },
+
+    'fails': function(result) {
+      assert.equal(result.code, 1);
+      assert.ok(/cannot merge SpaceSaving/.test(result.stderr), result.stderr);
+    },
+  },
+  'reading a missing file': {
+    topic: run(['uniques', tmpFile('missing')]),
+
+    'fails': function(result) {
+      assert.equal(result.code, 1);
+      assert.ok(/ENOENT/.test(result.stderr));
+    },
+  },
+}).export(module);
@@ -2,6 +2,9 @@ var vows = require('vows');
 var assert = require('assert');
 
 var CountMinSketch = require('../lib/countMinSketch');
+var HyperLogLog = require('../lib/hyperLogLog');
+
+var HOUR = 60 * 60 * 1000;
 
 vows.describe('CountMinSketch').addBatch({
   '20 videos, 0.0005 epsilon, 0.0001 delta': {
@@ -55,11 +58,14 @@ vows.describe('CountMinSketch').addBatch({
       for (i = 0; i < top.length; i++)
         assert.equal(top[i][0], 1000);
     },
+    'tracks the total count': function(cms) {
+      assert.equal(cms.getTotalCount(), 1000001);
+    },
     'can serialize and deserialize': function(cms) {
       var top = cms.getTopK();
 
       var packed = cms.serialize();
-      assert.equal(packed.length, 328320);
+      assert.equal(packed.length, 328296);
 
       var cms2 = CountMinSketch.deserialize(packed);
       var top2 = cms2.getTopK();
@@ -69,10 +75,529 @@ vows.describe('CountMinSketch').addBatch({
         assert.equal(top[i][0], top2[i][0]);
         assert.equal(top[i][1], top2[i][1]);
       }
+      assert.equal(cms2.getTotalCount(), cms.getTotalCount());
+    },
+    'keeps the top entry limit after deserializing': function(cms) {
+      var cms2 = CountMinSketch.deserialize(cms.serialize());
+      assert.equal(cms2.maxEntries, 20);
+    },
+  },
+  'serialization': {
+    topic: new CountMinSketch(5, 0.1, 0.1),
+
+    'supports keys longer than 255 bytes': function(cms) {
+      var longKey = new Array(1001).join('x');
+      cms.increment(longKey, 2);
+      cms.increment('/');
+
+      var cms2 = CountMinSketch.deserialize(cms.serialize());
+      assert.deepEqual(cms2.getTopK(), [[2, longKey], [1, '/']]);
+      assert.equal(cms2.maxEntries, 5);
+    },
+    'can deserialize the legacy format': function(cms) {
+      var counts = [[0, 0, 3, 0], [0, 3, 0, 0]];
+      var packed = Buffer.alloc(12 + 32 + 4 + 8 + 4 + 5 + 5);
+      var pos = 0;
+      packed.writeUInt32LE(2, pos); pos += 4;
+      packed.writeUInt32LE(2, pos); pos += 4;
+      packed.writeUInt32LE(4, pos); pos += 4;
+      for (var i = 0; i < 2; i++) {
+        for (var j = 0; j < 4; j++) {
+          packed.writeUInt32LE(counts[i][j], pos);
+          pos += 4;
+        }
+      }
+      packed.writeUInt32LE(2, pos); pos += 4;
+      packed.writeUInt32LE(7, pos); pos += 4;
+      packed.writeUInt32LE(11, pos); pos += 4;
+      packed.writeUInt32LE(1, pos); pos += 4;
+      packed.writeUInt32LE(3, pos); pos += 4;
+      packed.writeUInt8(4, pos); pos++;
+      packed.write('/foo', pos); pos += 4;
+
+      var cms2 = CountMinSketch.deserialize(packed.slice(0, pos));
+      assert.deepEqual(cms2.getTopK(), [[3, '/foo']]);
+      assert.equal(cms2.maxEntries, 1);
+      assert.equal(cms2.getTotalCount(), 3);
+      assert.equal(cms2.seed, null);
+
+      // The stored multipliers survive a round trip through the current format
+      var cms3 = CountMinSketch.deserialize(cms2.serialize());
+      assert.equal(cms3.seed, null);
+      assert.deepEqual(cms3.hashFunctions, cms2.hashFunctions);
+      assert.equal(cms3.estimate('/foo'), cms2.estimate('/foo'));
+    },
+    'preserves the hash function': function(cms) {
+      var cms2 = new CountMinSketch(5, 0.1, 0.1, { hash: 'xxhash64' });
+      cms2.increment('/', 3);
+      var cms3 = CountMinSketch.deserialize(cms2.serialize());
+      assert.equal(cms3.hash, 'xxhash64');
+      assert.equal(cms3.estimate('/'), 3);
+      assert.throws(function() { cms3.merge(cms); }, /different hash/);
+    },
+    'refuses to deserialize another structure': function(cms) {
+      var packed = new HyperLogLog(0.1).serialize();
+      assert.throws(function() { CountMinSketch.deserialize(packed); }, /found HyperLogLog/);
+    },
+  },
+}).addBatch({
+  'point queries': {
+    topic: function() {
+      var cms = new CountMinSketch(2, 0.001, 0.001);
+      var i;
+      for (i = 0; i < 50; i++) cms.increment('/');
+      for (i = 0; i < 30; i++) cms.increment('/about');
+      for (i = 0; i < 10; i++) cms.increment('/product42');
+      for (i = 0; i < 10000; i++) cms.increment('/search?q=' + i);
+      return cms;
+    },
+
+    'estimate keys outside of the top entries': function(cms) {
+      var top = cms.getTopK();
+      assert.equal(top.length, 2);
+      assert.notEqual(top[0][1], '/product42');
+      assert.notEqual(top[1][1], '/product42');
+
+      var est = cms.estimate('/product42');
+      assert.ok(est >= 10);
+      assert.ok(est <= 10 + cms.getErrorBound());
+    },
+    'estimate unseen keys': function(cms) {
+      assert.ok(cms.estimate('/never-seen') <= cms.getErrorBound());
+    },
+    'has an error bound of epsilon * N': function(cms) {
+      assert.equal(cms.getTotalCount(), 10090);
+      assert.equal(cms.getErrorBound(), Math.E / 4096 * 10090);
+    },
+    'keeps the total count after merging': function(cms) {
+      var combined = CountMinSketch.combine(cms, cms);
+      assert.equal(combined.getTotalCount(), 20180);
+      assert.ok(combined.estimate('/product42') >= 20);
+    },
+  },
+}).addBatch({
+  'weighted increments': {
+    topic: new CountMinSketch(3, 0.001, 0.001),
+
+    'can increment by a count': function(cms) {
+      cms.increment('/video.mp4', 1500);
+      cms.increment('/video.mp4', 500);
+      cms.increment('/index.html');
+
+      assert.deepEqual(cms.getTopK(), [[2000, '/video.mp4'], [1, '/index.html']]);
+      assert.equal(cms.getTotalCount(), 2001);
+    },
+    'can increment a batch': function(cms) {
+      cms.incrementMany([
+        ['/logo.png', 300],
+        '/index.html',
+        ['/style.css', 200],
+        ['/logo.png', 100],
+        ['/video.mp4', 5],
+        '/index.html'
+      ]);
+
+      assert.deepEqual(cms.getTopK(), [[2005, '/video.mp4'], [400, '/logo.png'], [200, '/style.css']]);
+      assert.equal(cms.estimate('/index.html'), 3);
+      assert.equal(cms.getTotalCount(), 2608);
+    },
+    'rejects negative counts': function(cms) {
+      assert.throws(function() { cms.increment('/', -1); }, /non-negative/);
+    },
+    'rejects fractional counts': function(cms) {
+      assert.throws(function() { cms.increment('/', 2.5); }, /integer/);
+      assert.throws(function() { cms.incrementMany([['/', 0.5]]); }, /integer/);
+      assert.throws(function() { cms.increment('/', Infinity); }, /integer/);
+      assert.equal(cms.estimate('/'), 0);
+      assert.equal(cms.getTotalCount(), 2608);
+    },
+    'can increment a batch of keys named like Object properties': function() {
+      var cms = new CountMinSketch(3, 0.001, 0.001);
+      cms.incrementMany(['hasOwnProperty', ['constructor', 3], 'hasOwnProperty', 'toString']);
+
+      assert.deepEqual(cms.getTopK(), [[3, 'constructor'], [2, 'hasOwnProperty'], [1, 'toString']]);
+      assert.equal(cms.getTotalCount(), 6);
+    },
+  },
+}).addBatch({
+  'merging': {
+    topic: function() {
+      var a = new CountMinSketch(3, 0.001, 0.001);
+      var b = new CountMinSketch(3, 0.001, 0.001);
+      var i;
+      for (i = 0; i < 5; i++) a.increment('/');
+      for (i = 0; i < 4; i++) a.increment('/about');
+      for (i = 0; i < 3; i++) a.increment('/contact');
+      for (i = 0; i < 7; i++) b.increment('/product1');
+      for (i = 0; i < 2; i++) b.increment('/contact');
+      for (i = 0; i < 1; i++) b.increment('/');
+      return { a: a, b: b };
+    },
+
+    'combine leaves the inputs untouched': function(topic) {
+      var combined = CountMinSketch.combine(topic.a, topic.b);
+      assert.deepEqual(combined.getTopK(), [[7, '/product1'], [6, '/'], [5, '/contact']]);
+      assert.deepEqual(topic.a.getTopK(), [[5, '/'], [4, '/about'], [3, '/contact']]);
+      assert.deepEqual(topic.b.getTopK(), [[7, '/product1'], [2, '/contact'], [1, '/']]);
+    },
+    'merge sums counts and rebuilds the top entries': function(topic) {
+      topic.a.merge(topic.b);
+      assert.deepEqual(topic.a.getTopK(), [[7, '/product1'], [6, '/'], [5, '/contact']]);
+
+      for (var i = 0; i < 4; i++)
+        topic.a.increment('/about');
+      assert.deepEqual(topic.a.getTopK(), [[8, '/about'], [7, '/product1'], [6, '/']]);
+    },
+    'merge refuses structures of different size': function(topic) {
+      var other = new CountMinSketch(3, 0.01, 0.001);
+      assert.throws(function() { topic.a.merge(other); }, /different size/);
+    },
+  },
+}).addBatch({
+  'keys named like Object properties': {
+    topic: function() {
+      var cms = new CountMinSketch(3, 0.001, 0.001);
+      cms.increment('a');
+      cms.increment('constructor');
+      cms.increment('__proto__', 2);
+      cms.increment('hasOwnProperty', 3);
+      cms.increment('constructor', 3);
+      return cms;
+    },
+
+    'are tracked as top entries': function(cms) {
+      assert.deepEqual(cms.getTopK(), [[4, 'constructor'], [3, 'hasOwnProperty'], [2, '__proto__']]);
+      assert.equal(cms.estimate('__proto__'), 2);
+    },
+    'survive merging': function(cms) {
+      var combined = CountMinSketch.combine(cms, cms);
+      assert.deepEqual(combined.getTopK(), [[8, 'constructor'], [6, 'hasOwnProperty'], [4, '__proto__']]);
+    },
+  },
+}).addBatch({
+  'Buffer keys': {
+    topic: function() {
+      var cms = new CountMinSketch(3, 0.001, 0.001);
+      cms.increment(Buffer.from('/café'));
+      cms.increment('/café', 2);
+      cms.incrementMany([Buffer.from('/menu'), [Buffer.from('/café'), 3]]);
+      return cms;
+    },
+
+    'are tracked as the UTF-8 string they hold': function(cms) {
+      assert.deepEqual(cms.getTopK(), [[6, '/café'], [1, '/menu']]);
+      assert.equal(cms.estimate('/café'), 6);
+      assert.equal(cms.estimate(Buffer.from('/café')), 6);
+    },
+    'serialize': function(cms) {
+      var cms2 = CountMinSketch.deserialize(cms.serialize());
+      assert.deepEqual(cms2.getTopK(), cms.getTopK());
+      assert.equal(cms2.estimate(Buffer.from('/menu')), 1);
+    },
+  },
+}).addBatch({
+  'bounds': {
+    topic: function() {
+      var cms = new CountMinSketch(5, 0.01, 0.01);
+      cms.increment('/', 500);
+      cms.increment('/about', 300);
+      cms.increment('/contact', 200);
+      cms.increment('/careers', 20);
+      for (var i = 0; i < 2000; i++)
+        cms.increment('/product' + i);
+      return cms;
+    },
+
+    'describe the structure dimensions': function(cms) {
+      assert.equal(cms.epsilon, Math.E / 512);
+      assert.equal(cms.delta, Math.exp(-5));
+      assert.equal(cms.getErrorBound(), cms.epsilon * 3020);
+    },
+    'are not returned by default': function(cms) {
+      assert.deepEqual(cms.getTopK().slice(0, 2), [[500, '/'], [300, '/about']]);
+    },
+    'surround each entry': function(cms) {
+      var top = cms.getTopK({ withBounds: true });
+      assert.equal(top.length, 5);
+      assert.deepEqual(top[0], {
+        key: '/',
+        estimate: 500,
+        lower: 500 - cms.getErrorBound(),
+        upper: 500,
+        guaranteed: true
+      });
+      for (var i = 0; i < top.length; i++) {
+        assert.ok(top[i].lower >= 0);
+        assert.ok(top[i].lower <= top[i].estimate);
+        assert.equal(top[i].upper, top[i].estimate);
+      }
+    },
+    'flag entries guaranteed to exceed a threshold': function(cms) {
+      var top = cms.getTopK({ withBounds: true, threshold: 250 });
+      assert.deepEqual(top.map(function(entry) { return entry.guaranteed; }),
+        [true, true, false, false, false]);
+    },
+    'find heavy hitters': function(cms) {
+      var hitters = cms.getHeavyHitters(0.05);
+      assert.deepEqual(hitters.map(function(entry) { return entry.key; }),
+        ['/', '/about', '/contact']);
+      assert.ok(hitters.every(function(entry) { return entry.guaranteed; }));
+    },
+    'require phi between 0 and 1': function(cms) {
+      assert.throws(function() { cms.getHeavyHitters(0); }, /phi/);
+      assert.throws(function() { cms.getHeavyHitters(1.5); }, /phi/);
+    },
+  },
+}).addBatch({
+  'seeds': {
+    topic: function() {
+      var sketches = {
+        a: new CountMinSketch(3, 0.01, 0.01, { seed: 42 }),
+        b: new CountMinSketch(3, 0.01, 0.01, { seed: 42 }),
+        c: new CountMinSketch(3, 0.01, 0.01, { seed: 7 })
+      };
+      for (var i = 0; i < 1000; i++) {
+        sketches.a.increment('/page' + i);
+        sketches.b.increment('/page' + i);
+        sketches.c.increment('/page' + i);
+      }
+      return sketches;
+    },
+
+    'default to 1': function(sketches) {
+      assert.equal(new CountMinSketch(3, 0.01, 0.01).seed, 1);
+    },
+    'select the row hash functions': function(sketches) {
+      assert.deepEqual(sketches.a.counts, sketches.b.counts);
+      assert.notDeepEqual(sketches.a.counts, sketches.c.counts);
+    },
+    'use full 32-bit multipliers': function(sketches) {
+      var large = 0;
+      for (var i = 0; i < sketches.a.hashFunctions.length; i++) {
+        if (sketches.a.hashFunctions[i] > 0xFFFF)
+          ++large;
+      }
+      assert.ok(large >= sketches.a.hashFunctions.length - 1);
+    },
+    'rarely overestimate distinct keys': function(sketches) {
+      // 1000 keys in 5 rows of 4096 buckets. With pairwise independent rows a
+      // key collides in every row with probability below 0.001
+      var cms = new CountMinSketch(3, 0.001, 0.01, { seed: 42 });
+      var i, over = 0;
+      for (i = 0; i < 1000; i++)
+        cms.increment('/page' + i);
+      for (i = 0; i < 1000; i++) {
+        if (cms.estimate('/page' + i) > 1)
+          ++over;
+      }
+      assert.ok(over < 5, over + ' overestimated keys');
+    },
+    'are preserved by serialization': function(sketches) {
+      var cms = CountMinSketch.deserialize(sketches.c.serialize());
+      assert.equal(cms.seed, 7);
+      assert.deepEqual(cms.hashFunctions, sketches.c.hashFunctions);
+      assert.equal(cms.estimate('/page5'), sketches.c.estimate('/page5'));
+    },
+    'must match to merge': function(sketches) {
+      assert.throws(function() { sketches.a.merge(sketches.c); }, /different seeds/);
+      var combined = CountMinSketch.combine(sketches.a, sketches.b);
+      assert.equal(combined.seed, 42);
+      assert.equal(combined.getTotalCount(), 2000);
+    },
+    'must be unsigned 32-bit integers': function(sketches) {
+      assert.throws(function() { new CountMinSketch(3, 0.01, 0.01, { seed: -1 }); }, /seed/);
+      assert.throws(function() { new CountMinSketch(3, 0.01, 0.01, { seed: 1.5 }); }, /seed/);
+      assert.throws(function() { new CountMinSketch(3, 0.01, 0.01, { seed: '1' }); }, /seed/);
+      assert.equal(new CountMinSketch(3, 0.01, 0.01, { seed: 0xFFFFFFFF }).seed, 0xFFFFFFFF);
+    },
+  },
+}).addBatch({
+  'time decay': {
+    topic: function() {
+      // An old story read 100 times two hours ago and a new one read 30 times
+      // just now, with a half-life of one hour
+      var clock = fakeClock();
+      var cms = new CountMinSketch(2, 0.01, 0.01, { halfLife: HOUR, clock: clock });
+      cms.increment('/old-story', 100);
+      clock.now = 2 * HOUR;
+      cms.increment('/new-story', 30);
+      return { cms: cms, clock: clock };
+    },
+
+    'decays estimates': function(topic) {
+      assert.ok(Math.abs(topic.cms.estimate('/old-story') - 25) < 1e-9);
+      assert.ok(Math.abs(topic.cms.estimate('/new-story') - 30) < 1e-9);
+      assert.ok(Math.abs(topic.cms.getTotalCount() - 55) < 1e-9);
+      assert.equal(topic.cms.halfLife, HOUR);
+    },
+    'ranks recent activity first': function(topic) {
+      var top = topic.cms.getTopK();
+      assert.equal(top[0][1], '/new-story');
+      assert.equal(top[1][1], '/old-story');
+      assert.ok(Math.abs(top[1][0] - 25) < 1e-9);
+    },
+    'keeps decaying as the clock moves': function(topic) {
+      topic.clock.now = 3 * HOUR;
+      assert.ok(Math.abs(topic.cms.estimate('/new-story') - 15) < 1e-9);
+      assert.ok(Math.abs(topic.cms.getTopK()[0][0] - 15) < 1e-9);
+      topic.clock.now = 2 * HOUR;
+    },
+    'accepts fractional counts': function() {
+      var cms = new CountMinSketch(2, 0.01, 0.01, { halfLife: HOUR, clock: fakeClock() });
+      cms.increment('/story', 2.5);
+      assert.ok(Math.abs(cms.estimate('/story') - 2.5) < 1e-9);
+      assert.ok(Math.abs(cms.getTotalCount() - 2.5) < 1e-9);
+    },
+    'accepts timestamps': function(topic) {
+      var clock = fakeClock();
+      var cms = new CountMinSketch(2, 0.01, 0.01, { halfLife: HOUR, clock: clock });
+      clock.now = 2 * HOUR;
+      cms.increment('/late', { count: 8, timestamp: HOUR });
+      cms.increment('/late', { timestamp: 2 * HOUR });
+      assert.ok(Math.abs(cms.estimate('/late') - 5) < 1e-9);
+      assert.throws(function() {
+        new CountMinSketch(2, 0.01, 0.01).increment('/', { timestamp: 0 });
+      }, /halfLife/);
+      assert.throws(function() { cms.increment('/', { timestamp: 'now' }); }, /timestamp/);
+    },
+    'renormalizes to avoid overflow': function(topic) {
+      var clock = fakeClock();
+      var cms = new CountMinSketch(2, 0.01, 0.01, { halfLife: 1000, clock: clock });
+      cms.increment('/a', 4);
+      for (var i = 1; i <= 200; i++) {
+        clock.now = i * 1000;
+        cms.increment('/b');
+      }
+      assert.ok(cms.landmark > 0);
+      assert.ok(Math.abs(cms.estimate('/b') - 2) < 1e-9);
+      assert.ok(cms.estimate('/a') < 1e-50);
+      assert.ok(Math.abs(cms.getTotalCount() - 2) < 1e-9);
+      for (i = 0; i < cms.counts[0].length; i++)
+        assert.ok(isFinite(cms.counts[0][i]));
+    },
+    'round trips through serialization': function(topic) {
+      var cms = CountMinSketch.deserialize(topic.cms.serialize(), 0, 0, { clock: topic.clock });
+      assert.equal(cms.halfLife, HOUR);
+      assert.equal(cms.landmark, topic.cms.landmark);
+      assert.deepEqual(cms.getTopK(), topic.cms.getTopK());
+      assert.equal(cms.estimate('/old-story'), topic.cms.estimate('/old-story'));
+    },
+    'merges structures with different landmarks': function(topic) {
+      var clock = topic.clock;
+      var options = { halfLife: HOUR, clock: clock };
+      clock.now = 0;
+      var a = new CountMinSketch(2, 0.01, 0.01, options);
+      a.increment('/a', 40);
+      clock.now = HOUR;
+      var b = new CountMinSketch(2, 0.01, 0.01, options);
+      b.increment('/b', 10);
+      clock.now = 2 * HOUR;
+      var combined = CountMinSketch.combine(b, a);
+      a.merge(b);
+      assert.ok(Math.abs(a.estimate('/a') - 10) < 1e-9);
+      assert.ok(Math.abs(a.estimate('/b') - 5) < 1e-9);
+      assert.ok(Math.abs(a.getTotalCount() - 15) < 1e-9);
+      assert.deepEqual(combined.getTopK(), a.getTopK());
+    },
+    'refuses different half-lives': function(topic) {
+      assert.throws(function() {
+        topic.cms.merge(new CountMinSketch(2, 0.01, 0.01, { halfLife: 2 * HOUR }));
+      }, /different half-lives/);
+      assert.throws(function() {
+        topic.cms.merge(new CountMinSketch(2, 0.01, 0.01));
+      }, /different half-lives/);
+      assert.throws(function() {
+        new CountMinSketch(2, 0.01, 0.01, { halfLife: 0 });
+      }, /halfLife/);
+    },
+  },
+}).addBatch({
+  'comparison': {
+    topic: function() {
+      var yesterday = new CountMinSketch(5, 0.001, 0.01);
+      var today = new CountMinSketch(5, 0.001, 0.01);
+      var i;
+      // Background traffic of 2000 pages, the same on both days
+      for (i = 0; i < 2000; i++) {
+        yesterday.increment('/page' + i, 1 + (i % 4));
+        today.increment('/page' + i, 1 + (i % 4));
+      }
+      yesterday.increment('/home', 1000);
+      today.increment('/home', 1000);
+      yesterday.increment('/viral', 40);
+      today.increment('/viral', 400);
+      yesterday.increment('/sale', 600);
+      today.increment('/sale', 100);
+      yesterday.increment('/blog', 200);
+      today.increment('/blog', 500);
+      today.increment('/launch', 150);
+      // Within the error of the sketches
+      yesterday.increment('/contact', 12);
+      today.increment('/contact', 15);
+      return CountMinSketch.compare(today, yesterday, { keys: ['/contact'] });
+    },
+
+    'lists absolute increases': function(result) {
+      assert.deepEqual(result.increases.map(function(e) { return e.key; }),
+        ['/viral', '/blog', '/launch']);
+      var viral = result.increases[0];
+      assert.ok(viral.current.estimate >= 400 && viral.baseline.estimate >= 40);
+      assert.ok(viral.change.lower <= 360 && 360 <= viral.change.upper, JSON.stringify(viral.change));
+    },
+    'lists absolute decreases': function(result) {
+      assert.deepEqual(result.decreases.map(function(e) { return e.key; }), ['/sale']);
+      assert.ok(result.decreases[0].change.estimate < -450);
+    },
+    'lists relative changes': function(result) {
+      assert.deepEqual(result.relativeIncreases.map(function(e) { return e.key; }),
+        ['/launch', '/viral', '/blog']);
+      assert.equal(result.relativeIncreases[0].ratio.estimate, Infinity);
+      assert.ok(result.relativeIncreases[1].ratio.lower <= 10);
+      assert.ok(result.relativeIncreases[1].ratio.upper >= 10);
+      assert.deepEqual(result.relativeDecreases.map(function(e) { return e.key; }), ['/sale']);
+    },
+    'ignores changes within the error bounds': function(result) {
+      var lists = [result.increases, result.decreases,
+        result.relativeIncreases, result.relativeDecreases];
+      lists.forEach(function(list) {
+        list.forEach(function(entry) {
+          assert.notEqual(entry.key, '/contact');
+          assert.notEqual(entry.key, '/home');
+        });
+      });
+    },
+    'filters by ratio and limit': function() {
+      var yesterday = new CountMinSketch(5, 0.001, 0.01);
+      var today = new CountMinSketch(5, 0.001, 0.01);
+      yesterday.increment('/viral', 40);
+      today.increment('/viral', 400);
+      yesterday.increment('/blog', 200);
+      today.increment('/blog', 500);
+      yesterday.increment('/sale', 600);
+      today.increment('/sale', 100);
+      var result = CountMinSketch.compare(today, yesterday, { minRatio: 5, limit: 1 });
+      assert.deepEqual(result.relativeIncreases.map(function(e) { return e.key; }), ['/viral']);
+      assert.deepEqual(result.relativeDecreases.map(function(e) { return e.key; }), ['/sale']);
+      assert.equal(result.increases.length, 1);
+      assert.equal(result.increases[0].key, '/viral');
+      result = CountMinSketch.compare(today, yesterday, { minRatio: 10 });
+      assert.deepEqual(result.relativeIncreases, []);
+      assert.deepEqual(result.relativeDecreases, []);
+    },
+    'validates options': function() {
+      var cms = new CountMinSketch(5, 0.01, 0.01);
+      assert.throws(function() { CountMinSketch.compare(cms, cms, { limit: -1 }); }, /limit/);
+      assert.throws(function() { CountMinSketch.compare(cms, cms, { minRatio: 0.5 }); }, /minRatio/);
     },
   },
 }).export(module);
 
+function fakeClock() {
+  var clock = function() { return clock.now; };
+  clock.now = 0;
+  return clock;
+}
+
 function pad(number, length) {
   var str = '' + number;
   while (str.length < length)
@@ -0,0 +1,155 @@
+var vows = require('vows');
+var assert = require('assert');
+
+var streamcount = require('../index');
+var CountSketch = require('../lib/countSketch');
+var SpaceSaving = require('../lib/spaceSaving');
+
+vows.describe('CountSketch').addBatch({
+  'shopping carts': {
+    topic: function() {
+      var cs = new CountSketch(3, 0.01, 0.01);
+      var i;
+      // 1000 products added to a cart once, then removed again
+      for (i = 0; i < 1000; i++)
+        cs.increment('/product' + i);
+      for (i = 0; i < 1000; i++)
+        cs.decrement('/product' + i);
+      // Products still in carts
+      cs.increment('/widget', 40);
+      cs.increment('/gadget', 25);
+      cs.increment('/doohickey', 10);
+      cs.increment('/gizmo', 5);
+      return cs;
+    },
+
+    'has an odd number of rows': function(cs) {
+      assert.equal(cs.counts.length, 5);
+      assert.equal(cs.counts[0].length, 512);
+    },
+    'estimates net counts': function(cs) {
+      assert.equal(cs.estimate('/widget'), 40);
+      assert.equal(cs.estimate('/gizmo'), 5);
+      assert.equal(cs.estimate('/product7'), 0);
+      assert.equal(cs.getTotalCount(), 80);
+    },
+    'tracks the top entries': function(cs) {
+      assert.deepEqual(cs.getTopK(), [[40, '/widget'], [25, '/gadget'], [10, '/doohickey']]);
+    },
+    'reorders entries whose counts decrease': function(cs) {
+      cs.decrement('/widget', 20);
+      assert.deepEqual(cs.getTopK(), [[25, '/gadget'], [20, '/widget'], [10, '/doohickey']]);
+    },
+    'drops entries that reach zero': function(cs) {
+      cs.decrement('/gadget', 25);
+      assert.deepEqual(cs.getTopK(), [[20, '/widget'], [10, '/doohickey']]);
+      cs.increment('/gizmo');
+      assert.deepEqual(cs.getTopK(), [[20, '/widget'], [10, '/doohickey'], [6, '/gizmo']]);
+    },
+    'accepts negative increments': function(cs) {
+      cs.increment('/doohickey', -4);
+      assert.equal(cs.estimate('/doohickey'), 6);
+    },
+    'requires integer counts': function(cs) {
+      assert.throws(function() { cs.increment('/widget', 0.5); }, /integer/);
+      assert.throws(function() { cs.decrement('/widget', '1'); }, /integer/);
+      assert.throws(function() { cs.increment('/widget', Infinity); }, /integer/);
+      assert.throws(function() { cs.decrement('/widget', Infinity); }, /integer/);
+      assert.throws(function() { cs.increment('/widget', NaN); }, /integer/);
+      assert.equal(cs.getTotalCount(), 32);
+    },
+  },
+  'collisions': {
+    topic: function() {
+      // Far more keys than buckets. Collisions add noise in both directions
+      // instead of only inflating counts
+      var cs = new CountSketch(5, 0.05, 0.01);
+      for (var i = 0; i < 5000; i++)
+        cs.increment('/page' + i, 1 + (i % 3));
+      cs.increment('/home', 500);
+      return cs;
+    },
+
+    'keep estimates of heavy keys close': function(cs) {
+      assert.ok(Math.abs(cs.estimate('/home') - 500) < 50, cs.estimate('/home'));
+      assert.equal(cs.getTopK()[0][1], '/home');
+    },
+    'can underestimate': function(cs) {
+      var under = 0;
+      for (var i = 0; i < 200; i++) {
+        if (cs.estimate('/page' + i) < 1 + (i % 3))
+          ++under;
+      }
+      assert.ok(under > 0);
+    },
+  },
+}).addBatch({
+  'merging': {
+    topic: function() {
+      var a = new CountSketch(3, 0.01, 0.01);
+      var b = new CountSketch(3, 0.01, 0.01);
+      a.increment('/widget', 10);
+      a.increment('/gadget', 8);
+      a.increment('/gizmo', 3);
+      b.increment('/gadget', 4);
+      b.decrement('/widget', 10);
+      b.increment('/doohickey', 6);
+      return { a: a, b: b };
+    },
+
+    'sums counts and rebuilds the top entries': function(topic) {
+      topic.a.merge(topic.b);
+      assert.deepEqual(topic.a.getTopK(), [[12, '/gadget'], [6, '/doohickey'], [3, '/gizmo']]);
+      assert.equal(topic.a.estimate('/widget'), 0);
+      assert.equal(topic.a.getTotalCount(), 21);
+    },
+    'refuses incompatible structures': function(topic) {
+      assert.throws(function() {
+        topic.a.merge(new CountSketch(3, 0.1, 0.01));
+      }, /different size/);
+      assert.throws(function() {
+        topic.a.merge(new CountSketch(3, 0.01, 0.01, { seed: 2 }));
+      }, /different seeds/);
+      assert.throws(function() {
+        topic.a.merge(new CountSketch(3, 0.01, 0.01, { hash: 'xxhash64' }));
+      }, /different hash/);
+    },
+  },
+}).addBatch({
+  'serialization': {
+    topic: function() {
+      var cs = new CountSketch(4, 0.1, 0.1, { seed: 99 });
+      cs.increment('/', 3);
+      cs.increment('/about', 2);
+      cs.decrement('/contact', 5);
+      return cs;
+    },
+
+    'round trips': function(cs) {
+      var cs2 = CountSketch.deserialize(cs.serialize());
+      assert.deepEqual(cs2.getTopK(), cs.getTopK());
+      assert.equal(cs2.estimate('/contact'), -5);
+      assert.equal(cs2.getTotalCount(), 0);
+      assert.equal(cs2.seed, 99);
+      assert.equal(cs2.maxEntries, 4);
+      cs2.merge(cs);
+      assert.equal(cs2.estimate('/'), 6);
+    },
+    'is detected by streamcount.deserialize': function(cs) {
+      var cs2 = streamcount.deserialize(cs.serialize());
+      assert.equal(cs2.estimate('/about'), 2);
+    },
+    'refuses another structure': function(cs) {
+      var packed = new SpaceSaving(3).serialize();
+      assert.throws(function() { CountSketch.deserialize(packed); }, /found SpaceSaving/);
+    },
+    'keeps Buffer keys as strings': function() {
+      var cs = new CountSketch(4, 0.1, 0.1);
+      cs.increment(Buffer.from('/café'), 3);
+      cs.decrement('/café');
+      var cs2 = CountSketch.deserialize(cs.serialize());
+      assert.deepEqual(cs2.getTopK(), [[2, '/café']]);
+      assert.equal(cs2.estimate(Buffer.from('/café')), 2);
+    },
+  },
+}).export(module);
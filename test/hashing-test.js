@@ -0,0 +1,74 @@
+var vows = require('vows');
+var assert = require('assert');
+
+var hashing = require('../lib/hashing');
+
+vows.describe('Hashing').addBatch({
+  'fnv1a': {
+    'hashes strings': function() {
+      assert.equal(hashing.fnv1a(''), 0x811c9dc5);
+      assert.equal(hashing.fnv1a('a'), 0xe40c292c);
+      assert.equal(hashing.fnv1a('foobar'), 0xbf9cf968);
+    },
+    'hashes ASCII buffers the same as strings': function() {
+      assert.equal(hashing.fnv1a(Buffer.from('foobar')), hashing.fnv1a('foobar'));
+    },
+  },
+  'murmur3': {
+    'matches the reference implementation': function() {
+      assert.equal(hex(hashing.murmur3('')), '00000000000000000000000000000000');
+      assert.equal(hex(hashing.murmur3('hello')), 'cbd8a7b341bd9b025b1e906a48ae1d19');
+      assert.equal(hex(hashing.murmur3('The quick brown fox jumps over the lazy dog')),
+        'e34bbc7bbc071b6c7a433ca9c49a9347');
+    },
+    'hashes strings as UTF-8': function() {
+      assert.deepEqual(hashing.murmur3('héllo'), hashing.murmur3(Buffer.from('héllo', 'utf8')));
+    },
+    'uses the seed': function() {
+      assert.notDeepEqual(hashing.murmur3('hello', 1), hashing.murmur3('hello'));
+    },
+  },
+  'xxhash64': {
+    'matches the reference implementation': function() {
+      assert.equal(hex(hashing.xxhash64('')), 'ef46db3751d8e999');
+      assert.equal(hex(hashing.xxhash64('abc')), '44bc2cf5ad770999');
+      assert.equal(hex(hashing.xxhash64('Nobody inspects the spammish repetition')),
+        'fbcea83c8a378bf1');
+    },
+    'hashes strings as UTF-8': function() {
+      assert.deepEqual(hashing.xxhash64('héllo'), hashing.xxhash64(Buffer.from('héllo', 'utf8')));
+    },
+  },
+  'getHashFunction': {
+    'looks up by name and id': function() {
+      var murmur = hashing.getHashFunction('murmur3');
+      assert.equal(murmur.bits, 64);
+      assert.equal(hashing.getHashFunction(murmur.id).name, 'murmur3');
+    },
+    'rejects unknown hash functions': function() {
+      assert.throws(function() { hashing.getHashFunction('md5'); }, /unknown hash/);
+    },
+  },
+  'seededHashFunctions': {
+    'draws four words per function from the seed': function() {
+      var words = hashing.seededHashFunctions(7, 3);
+      assert.equal(words.length, 12);
+      assert.deepEqual(hashing.seededHashFunctions(7, 3), words);
+      // More functions from the same seed extend the same sequence
+      assert.deepEqual(hashing.seededHashFunctions(7, 6).subarray(0, 12), words);
+      assert.notDeepEqual(hashing.seededHashFunctions(8, 3), words);
+    },
+    'select multiply-add-shift functions': function() {
+      var words = hashing.seededHashFunctions(1, 1);
+      var bucket = hashing.multiplyAddShift(10, words[0], words[1], words[2], words[3], 12345);
+      assert.isTrue(bucket >= 0 && bucket < 1024 && bucket === Math.floor(bucket));
+    },
+  },
+}).export(module);
+
+function hex(words) {
+  var str = '';
+  for (var i = 0; i < words.length; i++)
+    str += ('00000000' + words[i].toString(16)).slice(-8);
+  return str;
+}
@@ -2,6 +2,7 @@ var vows = require('vows');
 var assert = require('assert');
 
 var HyperLogLog = require('../lib/hyperLogLog');
+var CountMinSketch = require('../lib/countMinSketch');
 
 vows.describe('HyperLogLog').addBatch({
   '1% error rate': {
@@ -97,7 +98,7 @@ vows.describe('HyperLogLog').addBatch({
     },
     'can serialize and deserialize': function(hll) {
       var packed = hll.serialize();
-      assert.equal(packed.length, 65548);
+      assert.equal(packed.length, 12301);
 
       var hll2 = HyperLogLog.deserialize(packed);
       assert.equal(hll.M.length, hll2.M.length);
@@ -106,6 +107,276 @@ vows.describe('HyperLogLog').addBatch({
 
       assert.equal(hll.count(), hll2.count());
     },
+    'can deserialize the version 1 format': function(hll) {
+      var serialization = require('../lib/serialization');
+      var packed = serialization.allocate(serialization.TYPES.HyperLogLog, 1 + hll.M.length * 4);
+      packed[4] = 1;
+      packed.writeUInt8(14, serialization.HEADER_SIZE);
+      for (var i = 0; i < hll.M.length; i++)
+        packed.writeUInt32LE(hll.M[i], serialization.HEADER_SIZE + 1 + i * 4);
+      serialization.seal(packed);
+
+      var hll2 = HyperLogLog.deserialize(packed);
+      assert.equal(hll.count(), hll2.count());
+    },
+    'can deserialize the legacy format': function(hll) {
+      var packed = Buffer.alloc(12 + hll.M.length * 4);
+      packed.writeUInt32LE(32 - 14, 0);
+      packed.writeDoubleLE(0.7213 / (1 + 1.079 / 16384), 4);
+      for (var i = 0; i < hll.M.length; i++)
+        packed.writeUInt32LE(hll.M[i], 12 + i * 4);
+
+      var hll2 = HyperLogLog.deserialize(packed);
+      assert.equal(hll.count(), hll2.count());
+    },
+    'refuses to deserialize a corrupted buffer': function(hll) {
+      var packed = hll.serialize();
+      packed[100] ^= 1;
+      assert.throws(function() { HyperLogLog.deserialize(packed); }, /checksum/);
+    },
+    'refuses to deserialize another structure': function(hll) {
+      var packed = new CountMinSketch(10, 0.1, 0.1).serialize();
+      assert.throws(function() { HyperLogLog.deserialize(packed); }, /found CountMinSketch/);
+    },
+  },
+}).addBatch({
+  'sparse representation': {
+    topic: function() {
+      var sparse = new HyperLogLog(0.01);
+      var dense = new HyperLogLog(0.01, { sparse: false });
+      for (var i = 0; i < 1000; i++) {
+        sparse.add('4d6e5acebcd1b3fac' + pad(i, 7));
+        dense.add('4d6e5acebcd1b3fac' + pad(i, 7));
+      }
+      return { sparse: sparse, dense: dense };
+    },
+
+    'is used for small sets': function(topic) {
+      assert.equal(topic.sparse.sparse.length, 1000);
+      assert.equal(topic.dense.sparse, null);
+    },
+    'counts small sets accurately': function(topic) {
+      assert.ok(Math.abs(1000 - topic.sparse.count()) <= 1);
+    },
+    'has the same registers as the dense representation': function(topic) {
+      assert.deepEqual(topic.sparse.M, topic.dense.M);
+    },
+    'serializes compactly': function(topic) {
+      var packed = topic.sparse.serialize();
+      assert.ok(packed.length < 4096);
+
+      var hll = HyperLogLog.deserialize(packed);
+      assert.equal(hll.sparse.length, 1000);
+      assert.equal(hll.count(), topic.sparse.count());
+    },
+    'merges with other sparse structures': function(topic) {
+      var hll = new HyperLogLog(0.01);
+      for (var i = 500; i < 1500; i++)
+        hll.add('4d6e5acebcd1b3fac' + pad(i, 7));
+      hll.merge(topic.sparse);
+      assert.equal(hll.sparse.length, 1500);
+    },
+    'merges with dense structures': function(topic) {
+      var hll = new HyperLogLog(0.01);
+      hll.add('4d6e5acebcd1b3fac0000000');
+      hll.merge(topic.dense);
+      assert.equal(hll.sparse, null);
+      assert.deepEqual(hll.M, topic.dense.M);
+
+      var dense = new HyperLogLog(0.01, { sparse: false });
+      dense.merge(topic.sparse);
+      assert.deepEqual(dense.M, topic.dense.M);
+    },
+    'converts to dense when it grows': function(topic) {
+      for (var i = 1000; i < 10000; i++)
+        topic.sparse.add('4d6e5acebcd1b3fac' + pad(i, 7));
+      assert.equal(topic.sparse.sparse, null);
+      assert.ok(Math.abs(10000 - topic.sparse.count()) <= 10000 * 0.01);
+    },
+  },
+  'bias correction': {
+    topic: function() {
+      // Average the error at a cardinality in the mid range (2.5m for m=64)
+      // where the raw estimate is biased and linear counting is inaccurate
+      var total = 0;
+      var runs = 200;
+      for (var run = 0; run < runs; run++) {
+        var hll = new HyperLogLog(0.13, { sparse: false });
+        for (var i = 0; i < 160; i++)
+          hll.add(run + ':' + i);
+        total += hll.count();
+      }
+      return total / runs;
+    },
+
+    'removes the mid range bias': function(mean) {
+      assert.ok(Math.abs(mean - 160) < 160 * 0.02, 'mean estimate ' + mean);
+    },
+  },
+}).addBatch({
+  'hash functions': {
+    topic: function() {
+      var hlls = {
+        murmur3: new HyperLogLog(0.01),
+        xxhash64: new HyperLogLog(0.01, { hash: 'xxhash64' }),
+        fnv1a: new HyperLogLog(0.01, { hash: 'fnv1a' })
+      };
+      for (var name in hlls) {
+        for (var i = 0; i < 100000; i++)
+          hlls[name].add('4d6e5acebcd1b3fac' + pad(i, 7));
+      }
+      return hlls;
+    },
+
+    'default to murmur3': function(hlls) {
+      assert.equal(hlls.murmur3.hash, 'murmur3');
+    },
+    'all count within 1%': function(hlls) {
+      for (var name in hlls)
+        assert.ok(Math.abs(100000 - hlls[name].count()) <= 100000 * 0.01, name);
+    },
+    'accept Buffer keys': function(hlls) {
+      var hll = new HyperLogLog(0.01);
+      hll.add(Buffer.from('4d6e5acebcd1b3fac0000001', 'utf8'));
+      hll.add('4d6e5acebcd1b3fac0000001');
+      hll.add(Buffer.from([0x9f, 0x2a, 0x00, 0xff]));
+      assert.ok(Math.abs(2 - hll.count()) < 0.01);
+    },
+    'are preserved by serialization': function(hlls) {
+      var hll = HyperLogLog.deserialize(hlls.xxhash64.serialize());
+      assert.equal(hll.hash, 'xxhash64');
+      assert.equal(hll.count(), hlls.xxhash64.count());
+    },
+    'must match to merge': function(hlls) {
+      assert.throws(function() { hlls.murmur3.merge(hlls.xxhash64); }, /different hash/);
+    },
+  },
+}).addBatch({
+  'different precisions': {
+    topic: function() {
+      // p = 14 and p = 10
+      var hlls = {
+        fine: new HyperLogLog(0.009, { sparse: false }),
+        coarse: new HyperLogLog(0.04, { sparse: false }),
+        sparseFine: new HyperLogLog(0.009),
+        half: new HyperLogLog(0.009)
+      };
+      for (var i = 0; i < 20000; i++) {
+        var key = 'user' + i;
+        hlls.fine.add(key);
+        hlls.coarse.add(key);
+        if (i < 1000)
+          hlls.sparseFine.add(key);
+        if (i >= 10000)
+          hlls.half.add(key);
+      }
+      return hlls;
+    },
+
+    'have the expected precision': function(hlls) {
+      assert.equal(hlls.fine.p, 14);
+      assert.equal(hlls.coarse.p, 10);
+    },
+    'fold a finer structure to the registers of a coarser one': function(hlls) {
+      var hll = new HyperLogLog(0.04, { sparse: false });
+      hll.merge(hlls.fine);
+      assert.equal(hll.p, 10);
+      assert.deepEqual(hll.M, hlls.coarse.M);
+    },
+    'fold this structure when merging a coarser one': function(hlls) {
+      var hll = HyperLogLog.deserialize(hlls.fine.serialize());
+      hll.merge(hlls.coarse);
+      assert.equal(hll.p, 10);
+      assert.deepEqual(hll.M, hlls.coarse.M);
+    },
+    'fold sparse structures': function(hlls) {
+      var hll = new HyperLogLog(0.04, { sparse: false });
+      hll.merge(hlls.sparseFine);
+      var expected = new HyperLogLog(0.04, { sparse: false });
+      for (var i = 0; i < 1000; i++)
+        expected.add('user' + i);
+      assert.deepEqual(hll.M, expected.M);
+    },
+    'fold 32-bit hashes': function(hlls) {
+      var fine = new HyperLogLog(0.009, { hash: 'fnv1a' });
+      var coarse = new HyperLogLog(0.04, { hash: 'fnv1a' });
+      for (var i = 0; i < 5000; i++) {
+        fine.add('user' + i);
+        coarse.add('user' + i);
+      }
+      fine.merge(coarse);
+      assert.deepEqual(fine.M, coarse.M);
+    },
+    'union without changing the inputs': function(hlls) {
+      var fineCount = hlls.fine.count();
+      var union = HyperLogLog.union([hlls.fine, hlls.half.serialize(), hlls.coarse]);
+      assert.equal(union.p, 10);
+      assert.equal(union.count(), hlls.coarse.count());
+      assert.equal(hlls.fine.p, 14);
+      assert.equal(hlls.fine.count(), fineCount);
+      assert.equal(hlls.half.p, 14);
+    },
+    'union a single structure into a copy': function(hlls) {
+      var union = HyperLogLog.union([hlls.half]);
+      assert.notEqual(union, hlls.half);
+      assert.equal(union.count(), hlls.half.count());
+    },
+    'union requires input': function(hlls) {
+      assert.throws(function() { HyperLogLog.union([]); }, /at least one/);
+    },
+  },
+}).addBatch({
+  'bounds': {
+    topic: function() {
+      var hlls = {
+        sparse: new HyperLogLog(0.01),
+        dense: new HyperLogLog(0.01, { sparse: false })
+      };
+      for (var i = 0; i < 50000; i++) {
+        hlls.dense.add('visitor' + i);
+        if (i < 100)
+          hlls.sparse.add('visitor' + i);
+      }
+      return hlls;
+    },
+
+    'report the precision': function(hlls) {
+      assert.equal(hlls.dense.p, 14);
+      assert.equal(hlls.dense.m, 16384);
+      assert.equal(hlls.dense.stdError, 1.04 / 128);
+    },
+    'report the precision after deserializing': function(hlls) {
+      var hll = HyperLogLog.deserialize(hlls.sparse.serialize());
+      assert.equal(hll.m, 16384);
+      assert.equal(hll.stdError, hlls.sparse.stdError);
+    },
+    'surround the estimate': function(hlls) {
+      var bounds = hlls.dense.countWithBounds();
+      assert.equal(bounds.estimate, hlls.dense.count());
+      assert.ok(bounds.lower < bounds.estimate && bounds.estimate < bounds.upper);
+      bounds = hlls.dense.countWithBounds(0.999);
+      assert.ok(bounds.lower <= 50000 && 50000 <= bounds.upper);
+    },
+    'default to 95% confidence': function(hlls) {
+      var bounds = hlls.dense.countWithBounds();
+      var width = 1.959964 * bounds.estimate * hlls.dense.stdError;
+      assert.ok(Math.abs(bounds.upper - bounds.estimate - width) < 0.01);
+      assert.ok(Math.abs(bounds.estimate - bounds.lower - width) < 0.01);
+    },
+    'widen with the confidence': function(hlls) {
+      var narrow = hlls.dense.countWithBounds(0.5);
+      var wide = hlls.dense.countWithBounds(0.999);
+      assert.ok(wide.lower < narrow.lower && narrow.upper < wide.upper);
+    },
+    'are tight while sparse': function(hlls) {
+      var bounds = hlls.sparse.countWithBounds(0.99);
+      assert.ok(bounds.lower <= 100 && 100 <= bounds.upper);
+      assert.ok(bounds.upper - bounds.lower < 1);
+    },
+    'require a confidence between 0 and 1': function(hlls) {
+      assert.throws(function() { hlls.dense.countWithBounds(1); }, /between 0 and 1/);
+      assert.throws(function() { hlls.dense.countWithBounds(0); }, /between 0 and 1/);
+    },
   },
 }).export(module);
 
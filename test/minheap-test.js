@@ -0,0 +1,99 @@
+var vows = require('vows');
+var assert = require('assert');
+
+var MinHeap = require('../lib/minHeap');
+
+vows.describe('MinHeap').addBatch({
+  'default comparator': {
+    topic: new MinHeap(),
+
+    'is initialized empty': function(heap) {
+      assert.equal(heap.size(), 0);
+      assert.equal(heap.peek(), undefined);
+      assert.equal(heap.pop(), undefined);
+    },
+    'pops values in ascending order': function(heap) {
+      var values = [5, 3, 8, 1, 9, 2, 7, 4, 6, 0];
+      for (var i = 0; i < values.length; i++)
+        heap.push(values[i]);
+
+      assert.equal(heap.size(), 10);
+      assert.equal(heap.peek(), 0);
+      assert.equal(heap.getMin(), 0);
+
+      var popped = [];
+      while (heap.size())
+        popped.push(heap.pop());
+      assert.deepEqual(popped, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    },
+  },
+  'initial array': {
+    topic: new MinHeap([4, 2, 6, 1, 3]),
+
+    'is heapified': function(heap) {
+      assert.equal(heap.size(), 5);
+      assert.equal(heap.peek(), 1);
+    },
+  },
+  'custom comparator': {
+    topic: function() {
+      return new MinHeap(null, function(a, b) { return a[0] - b[0]; });
+    },
+
+    'replaceTop swaps out the minimum': function(heap) {
+      heap.push([3, 'c']);
+      heap.push([1, 'a']);
+      heap.push([2, 'b']);
+
+      var handle = heap.replaceTop([4, 'd']);
+      assert.deepEqual(handle.value, [4, 'd']);
+      assert.equal(heap.size(), 3);
+      assert.deepEqual(heap.pop(), [2, 'b']);
+      assert.deepEqual(heap.pop(), [3, 'c']);
+      assert.deepEqual(heap.pop(), [4, 'd']);
+    },
+    'replaceTop on an empty heap pushes': function(heap) {
+      heap.replaceTop([1, 'a']);
+      assert.equal(heap.size(), 1);
+      assert.deepEqual(heap.pop(), [1, 'a']);
+    },
+  },
+  'handles': {
+    topic: function() {
+      var heap = new MinHeap(null, function(a, b) { return a[0] - b[0]; });
+      var handles = {};
+      for (var i = 0; i < 20; i++)
+        handles[i] = heap.push([i, i]);
+      return { heap: heap, handles: handles };
+    },
+
+    'can increase a key': function(topic) {
+      var handle = topic.handles[0];
+      handle.value[0] = 100;
+      topic.heap.update(handle);
+      assert.deepEqual(topic.heap.peek(), [1, 1]);
+    },
+    'can decrease a key': function(topic) {
+      var handle = topic.handles[15];
+      handle.value[0] = -1;
+      topic.heap.update(handle);
+      assert.deepEqual(topic.heap.peek(), [-1, 15]);
+    },
+    'can remove by handle': function(topic) {
+      var removed = topic.heap.remove(topic.handles[15]);
+      assert.deepEqual(removed, [-1, 15]);
+      assert.equal(topic.heap.size(), 19);
+      assert.equal(topic.handles[15].index, -1);
+      assert.throws(function() { topic.heap.remove(topic.handles[15]); }, /not in the heap/);
+
+      topic.heap.remove(topic.handles[10]);
+      assert.equal(topic.heap.size(), 18);
+    },
+    'keeps ordering after updates and removals': function(topic) {
+      var popped = [];
+      while (topic.heap.size())
+        popped.push(topic.heap.pop()[1]);
+      assert.deepEqual(popped, [1, 2, 3, 4, 5, 6, 7, 8, 9, 11, 12, 13, 14, 16, 17, 18, 19, 0]);
+    },
+  },
+}).export(module);
@@ -0,0 +1,217 @@
+var vows = require('vows');
+var assert = require('assert');
+var childProcess = require('child_process');
+
+var streamcount = require('../index');
+var ParallelSketch = require('../lib/parallelSketch');
+
+var hasWorkers = true;
+try {
+  require('worker_threads');
+} catch (err) {
+  hasWorkers = false;
+}
+
+// Sketches to close once the tests using them are done, since the workers
+// keep the process running
+var unclosed = [];
+
+function fillUniques(sketch, count) {
+  for (var i = 0; i < count; i++)
+    sketch.add('user' + i);
+}
+
+var suite = vows.describe('ParallelSketch');
+
+if (!hasWorkers) {
+  // Node 10 only provides worker_threads behind a flag, so run this suite
+  // again in a process that has them
+  suite.addBatch({
+    'the suite with worker threads': {
+      topic: function() {
+        var callback = this.callback;
+        var vowsBin = require.resolve('vows/bin/vows');
+        childProcess.execFile(process.execPath, ['--experimental-worker', vowsBin, __filename, '--spec'],
+          function(err, stdout, stderr) {
+            callback(null, { err: err, output: stdout + stderr });
+          });
+      },
+
+      'passes': function(result) {
+        assert.ok(!result.err, result.output);
+        assert.ok(/OK/.test(result.output), result.output);
+      },
+    },
+    'without worker threads': {
+      'cannot be created': function() {
+        assert.throws(function() {
+          new ParallelSketch(streamcount.createUniquesCounter());
+        }, /worker_threads/);
+      },
+    },
+  });
+} else {
+  suite.addBatch({
+    'a parallel uniques counter': {
+      topic: function() {
+        var callback = this.callback;
+        var parallel = new ParallelSketch(streamcount.createUniquesCounter(0.01),
+          { threads: 3, batchSize: 100 });
+        unclosed.push(parallel);
+        fillUniques(parallel, 10000);
+        fillUniques(parallel, 10000);
+        parallel.collect(function(err, sketch) {
+          callback(err, { parallel: parallel, sketch: sketch });
+        });
+      },
+
+      'estimates like a single sketch': function(topic) {
+        var single = streamcount.createUniquesCounter(0.01, { sparse: false });
+        fillUniques(single, 10000);
+        assert.equal(topic.sketch.count(), single.count());
+      },
+      'can be read from shared memory': function(topic) {
+        // Every batch was recorded before collect() returned
+        assert.equal(topic.parallel.snapshot().count(), topic.sketch.count());
+      },
+      'rejects increment()': function(topic) {
+        assert.throws(function() { topic.parallel.increment('a'); }, /CountMinSketch/);
+      },
+      'rejects other keys': function(topic) {
+        assert.throws(function() { topic.parallel.add(42); }, /strings or Buffers/);
+      },
+    },
+    'a parallel views counter': {
+      topic: function() {
+        var callback = this.callback;
+        var parallel = new ParallelSketch(streamcount.createViewsCounter(3, 0.01, 0.01),
+          { threads: 2, batchSize: 7 });
+        unclosed.push(parallel);
+        for (var i = 0; i < 1000; i++)
+          parallel.increment('/page' + (i % 10), i % 10);
+        parallel.increment(Buffer.from('/page9'));
+        parallel.collect(function(err, sketch) {
+          callback(err, { parallel: parallel, sketch: sketch });
+        });
+      },
+
+      'merges the top entries of every shard': function(topic) {
+        assert.deepEqual(topic.sketch.getTopK(), [[901, '/page9'], [800, '/page8'], [700, '/page7']]);
+        assert.equal(topic.sketch.getTotalCount(), 4501);
+      },
+      'can be read from shared memory': function(topic) {
+        var snapshot = topic.parallel.snapshot();
+        assert.equal(snapshot.estimate('/page9'), 901);
+        assert.equal(snapshot.getTotalCount(), 4501);
+      },
+      'rejects add()': function(topic) {
+        assert.throws(function() { topic.parallel.add('a'); }, /HyperLogLog/);
+      },
+      'rejects invalid counts before they reach the workers': function(topic) {
+        assert.throws(function() { topic.parallel.increment('/page1', -1); }, /non-negative/);
+        assert.throws(function() { topic.parallel.increment('/page1', '2'); }, /non-negative/);
+        assert.throws(function() { topic.parallel.increment('/page1', 2.5); }, /integer/);
+        assert.equal(topic.parallel._keys.length, 0);
+      },
+    },
+    'a parallel views counter with colliding keys': {
+      topic: function() {
+        var callback = this.callback;
+        // Far more keys than counters in a row
+        var parallel = new ParallelSketch(streamcount.createViewsCounter(3, 0.5, 0.1),
+          { threads: 2, batchSize: 16 });
+        unclosed.push(parallel);
+        for (var i = 0; i < 200; i++)
+          parallel.increment('/page' + i);
+        parallel.collect(function(err, sketch) {
+          callback(err, { parallel: parallel, sketch: sketch });
+        });
+      },
+
+      'counts every observation in the total': function(topic) {
+        assert.ok(topic.sketch.counts[0].length < 200);
+        assert.equal(topic.sketch.getTotalCount(), 200);
+        var snapshot = topic.parallel.snapshot();
+        assert.equal(snapshot.getTotalCount(), 200);
+        assert.equal(snapshot.getErrorBound(), topic.sketch.getErrorBound());
+      },
+    },
+  }).addBatch({
+    'backpressure': {
+      topic: function() {
+        var callback = this.callback;
+        var parallel = new ParallelSketch(streamcount.createUniquesCounter(0.01),
+          { threads: 1, batchSize: 10, highWaterMark: 2 });
+        var i = 0;
+        var drained = 0;
+        function write() {
+          while (i < 1000) {
+            if (!parallel.add('user' + i++))
+              return parallel.once('drain', function() { drained++; write(); });
+          }
+          parallel.close(function(err, sketch) {
+            callback(err, { sketch: sketch, drained: drained });
+          });
+        }
+        write();
+      },
+
+      'is applied by the workers': function(topic) {
+        assert.ok(topic.drained > 0);
+        assert.ok(Math.abs(topic.sketch.count() - 1000) < 1000 * 0.04);
+      },
+    },
+    'a closed parallel sketch': {
+      topic: function() {
+        var callback = this.callback;
+        var parallel = new ParallelSketch(streamcount.createUniquesCounter(), { threads: 1 });
+        parallel.add('a');
+        parallel.close(function(err, sketch) {
+          if (err)
+            return callback(err);
+          parallel.collect(function(err) {
+            callback(null, { sketch: sketch, err: err });
+          });
+        });
+      },
+
+      'returns the final sketch': function(topic) {
+        assert.ok(Math.abs(topic.sketch.count() - 1) < 0.01);
+      },
+      'cannot be used': function(topic) {
+        assert.ok(/closed/.test(topic.err.message));
+      },
+    },
+    'templates': {
+      'must be a HyperLogLog or CountMinSketch': function() {
+        assert.throws(function() {
+          new ParallelSketch(streamcount.createHeavyHittersCounter(10));
+        }, /HyperLogLog or CountMinSketch/);
+      },
+      'must not be time-decayed': function() {
+        assert.throws(function() {
+          new ParallelSketch(streamcount.createViewsCounter(10, 0.01, 0.01, { halfLife: 1000 }));
+        }, /time-decayed/);
+      },
+    },
+  }).addBatch({
+    'closing the remaining sketches': {
+      topic: function() {
+        var callback = this.callback;
+        var remaining = unclosed.length;
+        unclosed.forEach(function(parallel) {
+          parallel.close(function(err) {
+            if (err || --remaining === 0)
+              callback(err, remaining);
+          });
+        });
+      },
+
+      'stops their workers': function(remaining) {
+        assert.equal(remaining, 0);
+      },
+    },
+  });
+}
+
+suite.export(module);
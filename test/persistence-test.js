@@ -0,0 +1,320 @@
+var vows = require('vows');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var streamcount = require('../index');
+var HyperLogLog = require('../lib/hyperLogLog');
+var SketchRegistry = require('../lib/sketchRegistry');
+
+var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamcount-persistence-test-'));
+var fileCount = 0;
+
+process.on('exit', function() {
+  fs.readdirSync(tmpDir).forEach(function(file) {
+    fs.unlinkSync(path.join(tmpDir, file));
+  });
+  fs.rmdirSync(tmpDir);
+});
+
+function tmpFile() {
+  return path.join(tmpDir, 'sketch' + (++fileCount));
+}
+
+// Persist without timers so tests decide when checkpoints happen
+function persist(sketch, options) {
+  options = options || {};
+  options.checkpointInterval = 0;
+  options.flushInterval = 0;
+  return streamcount.persist(sketch, tmpFile(), options);
+}
+
+// Copy the files of a persisted structure as they are on disk, as if the
+// process had crashed, and close the original
+function crash(persistent) {
+  var file = tmpFile();
+  fs.writeFileSync(file, fs.readFileSync(persistent.path));
+  if (fs.existsSync(persistent.path + '.log'))
+    fs.writeFileSync(file + '.log', fs.readFileSync(persistent.path + '.log'));
+  persistent.close();
+  return file;
+}
+
+function open(file, options) {
+  options = options || {};
+  options.checkpointInterval = 0;
+  options.flushInterval = 0;
+  return streamcount.open(file, options);
+}
+
+function viewsWithLog() {
+  var views = persist(streamcount.createViewsCounter(5), { log: true });
+  views.increment('/a', 3);
+  views.increment('/b');
+  views.checkpoint();
+  views.increment('/a');
+  views.increment('/c', 2);
+  views.flush();
+  // Buffered but never flushed, so lost in the crash
+  views.increment('/b', 10);
+  return views;
+}
+
+vows.describe('Persistence').addBatch({
+  'a checkpoint': {
+    topic: function() {
+      var uniques = persist(streamcount.createUniquesCounter());
+      for (var i = 0; i < 100; i++)
+        uniques.add('user' + i);
+      uniques.checkpoint();
+      uniques.add('late');
+      return { file: crash(uniques) };
+    },
+
+    'is a serialized structure': function(topic) {
+      var hll = streamcount.deserialize(fs.readFileSync(topic.file));
+      assert.ok(Math.abs(hll.count() - 100) < 1);
+    },
+    'is restored by open()': function(topic) {
+      var uniques = open(topic.file);
+      assert.ok(Math.abs(uniques.sketch.count() - 100) < 1);
+      assert.deepEqual(uniques.recovery, { records: 0, discardedBytes: 0 });
+      uniques.close();
+    },
+    'leaves no temporary file': function(topic) {
+      assert.ok(!fs.existsSync(topic.file + '.tmp'));
+    },
+  },
+  'a log': {
+    topic: function() {
+      return crash(viewsWithLog());
+    },
+
+    'is replayed on top of the checkpoint': function(file) {
+      var views = open(file);
+      assert.deepEqual(views.sketch.getTopK(), [[4, '/a'], [2, '/c'], [1, '/b']]);
+      assert.deepEqual(views.recovery, { records: 2, discardedBytes: 0 });
+      views.close();
+    },
+    'is started over by the next checkpoint': function(file) {
+      var views = open(file, { log: true });
+      views.close();
+      views = open(file, { log: true });
+      assert.equal(views.recovery.records, 0);
+      assert.deepEqual(views.sketch.getTopK(), [[4, '/a'], [2, '/c'], [1, '/b']]);
+      views.close();
+    },
+  },
+  'a log with a truncated record': {
+    topic: function() {
+      var file = crash(viewsWithLog());
+      var log = fs.readFileSync(file + '.log');
+      fs.writeFileSync(file + '.log', log.slice(0, log.length - 3));
+      return open(file);
+    },
+
+    'is replayed up to that record': function(views) {
+      assert.deepEqual(views.sketch.getTopK(), [[4, '/a'], [1, '/b']]);
+      assert.equal(views.recovery.records, 1);
+      assert.ok(views.recovery.discardedBytes > 0);
+      views.close();
+    },
+  },
+  'a log with a corrupted record': {
+    topic: function() {
+      var file = crash(viewsWithLog());
+      var log = fs.readFileSync(file + '.log');
+      // Within the key of the first record
+      log[9 + 7] ^= 0xff;
+      fs.writeFileSync(file + '.log', log);
+      return open(file);
+    },
+
+    'is not replayed from that record on': function(views) {
+      assert.deepEqual(views.sketch.getTopK(), [[3, '/a'], [1, '/b']]);
+      assert.equal(views.recovery.records, 0);
+      views.close();
+    },
+  },
+  'a log of an older checkpoint': {
+    topic: function() {
+      var views = viewsWithLog();
+      var file = crash(views);
+      // As if the process crashed after writing a checkpoint but before
+      // starting the new log
+      fs.writeFileSync(file, views.sketch.serialize());
+      return { file: file, expected: views.sketch.getTopK() };
+    },
+
+    'is ignored': function(topic) {
+      var views = open(topic.file);
+      assert.deepEqual(views.sketch.getTopK(), topic.expected);
+      assert.equal(views.recovery.records, 0);
+      assert.ok(views.recovery.discardedBytes > 0);
+      views.close();
+    },
+  },
+  'a truncated checkpoint': {
+    topic: function() {
+      var file = crash(persist(streamcount.createViewsCounter(5)));
+      var buffer = fs.readFileSync(file);
+      fs.writeFileSync(file, buffer.slice(0, buffer.length - 10));
+      return file;
+    },
+
+    'cannot be opened': function(file) {
+      assert.throws(function() { open(file); }, /is unreadable: .*checksum/);
+    },
+  },
+  'a corrupted checkpoint': {
+    topic: function() {
+      var file = crash(persist(streamcount.createViewsCounter(5)));
+      var buffer = fs.readFileSync(file);
+      buffer[20] ^= 0xff;
+      fs.writeFileSync(file, buffer);
+      return file;
+    },
+
+    'cannot be opened': function(file) {
+      assert.throws(function() { open(file); }, /is unreadable: .*checksum/);
+    },
+  },
+  'a headerless checkpoint': {
+    topic: function() {
+      var file = tmpFile();
+      fs.writeFileSync(file, Buffer.from('SC'));
+      return file;
+    },
+
+    'cannot be opened': function(file) {
+      assert.throws(function() { open(file); }, /is unreadable/);
+    },
+  },
+  'a missing checkpoint': {
+    'starts from the sketch option': function() {
+      var file = tmpFile();
+      var uniques = open(file, { sketch: streamcount.createUniquesCounter() });
+      assert.ok(fs.existsSync(file));
+      assert.strictEqual(uniques.recovery, null);
+      uniques.close();
+    },
+    'cannot be opened without one': function() {
+      assert.throws(function() { open(tmpFile()); }, /ENOENT/);
+    },
+  },
+}).addBatch({
+  'a registry': {
+    topic: function() {
+      var template = function() { return new HyperLogLog(0.05); };
+      var visitors = persist(new SketchRegistry(template), { log: true });
+      visitors.add('site1', 'alice');
+      visitors.add('site1', 'bob');
+      visitors.checkpoint();
+      visitors.add('site2', Buffer.from('carol'));
+      visitors.flush();
+      return { file: crash(visitors), template: template };
+    },
+
+    'is restored into the registry option': function(topic) {
+      var visitors = open(topic.file, { sketch: new SketchRegistry(topic.template) });
+      assert.deepEqual(visitors.sketch.names().sort(), ['site1', 'site2']);
+      assert.ok(Math.abs(visitors.sketch.get('site1').count() - 2) < 0.1);
+      assert.ok(Math.abs(visitors.sketch.get('site2').count() - 1) < 0.1);
+      assert.equal(visitors.recovery.records, 1);
+      visitors.close();
+    },
+    'requires the registry option': function(topic) {
+      assert.throws(function() { open(topic.file); }, /SketchRegistry/);
+    },
+  },
+  'time-sensitive sketches': {
+    topic: function() {
+      var clock = function() { return clock.now; };
+      clock.now = 0;
+      var HOUR = 60 * 60 * 1000;
+      var views = persist(streamcount.createViewsCounter(5, 0.01, 0.01, { halfLife: HOUR, clock: clock }),
+        { log: true });
+      views.increment('/a', 8);
+      clock.now = HOUR;
+      views.increment('/b', 4);
+      views.flush();
+      var file = crash(views);
+      clock.now = 2 * HOUR;
+      return {
+        views: open(file, { deserialize: function(buffer) {
+          return streamcount.CountMinSketch.deserialize(buffer, 0, buffer.length, { clock: clock });
+        } }),
+        expected: views.sketch.getTopK()
+      };
+    },
+
+    'are replayed at the logged times': function(topic) {
+      assert.deepEqual(topic.views.sketch.getTopK(), topic.expected);
+      assert.deepEqual(topic.expected, [[2, '/a'], [2, '/b']]);
+      topic.views.close();
+    },
+  },
+  'a registry of time-sensitive sketches': {
+    topic: function() {
+      var clock = function() { return clock.now; };
+      clock.now = 0;
+      var HOUR = 60 * 60 * 1000;
+      function registry() {
+        return new SketchRegistry(function() {
+          return streamcount.createViewsCounter(5, 0.01, 0.01, { halfLife: HOUR, clock: clock });
+        }, {
+          deserialize: function(buffer) {
+            return streamcount.CountMinSketch.deserialize(buffer, 0, buffer.length, { clock: clock });
+          }
+        });
+      }
+      var views = persist(registry(), { log: true });
+      views.increment('site1', '/a', 8);
+      clock.now = HOUR;
+      views.increment('site1', '/b', 4);
+      views.flush();
+      var file = crash(views);
+      clock.now = 2 * HOUR;
+      return {
+        views: open(file, { sketch: registry() }),
+        expected: views.sketch.get('site1').getTopK()
+      };
+    },
+
+    'are replayed at the logged times': function(topic) {
+      assert.deepEqual(topic.views.sketch.get('site1').getTopK(), topic.expected);
+      assert.deepEqual(topic.expected, [[2, '/a'], [2, '/b']]);
+      assert.equal(topic.views.recovery.records, 2);
+      topic.views.close();
+    },
+  },
+  'periodic checkpoints': {
+    topic: function() {
+      var callback = this.callback;
+      // The checkpoint timer does not keep the process running by itself
+      var guard = setTimeout(function() {}, 1000);
+      var uniques = streamcount.persist(streamcount.createUniquesCounter(), tmpFile(),
+        { checkpointInterval: 10 });
+      uniques.add('a');
+      uniques.once('checkpoint', function(buffer) {
+        clearTimeout(guard);
+        uniques.close();
+        callback(null, { buffer: buffer, uniques: uniques });
+      });
+    },
+
+    'are written': function(topic) {
+      assert.ok(Math.abs(streamcount.deserialize(topic.buffer).count() - 1) < 0.01);
+      assert.deepEqual(topic.uniques._timers, []);
+    },
+  },
+  'options': {
+    'require a sketch': function() {
+      assert.throws(function() { streamcount.persist({}, tmpFile()); }, /serialize/);
+    },
+    'require a path': function() {
+      assert.throws(function() { streamcount.persist(streamcount.createUniquesCounter()); }, /path/);
+    },
+  },
+}).export(module);
@@ -0,0 +1,85 @@
+var vows = require('vows');
+var assert = require('assert');
+
+var streamcount = require('../index');
+var serialization = require('../lib/serialization');
+
+vows.describe('Serialization').addBatch({
+  'varints': {
+    'round trip small and large values': function() {
+      var values = [0, 1, 127, 128, 300, 16384, 0xFFFFFFFF, Math.pow(2, 40) + 3];
+      var buffer = Buffer.alloc(16);
+      for (var i = 0; i < values.length; i++) {
+        var written = serialization.writeVarint(buffer, values[i], 1);
+        assert.equal(written, serialization.varintLength(values[i]));
+        assert.equal(serialization.readVarint(buffer, 1), values[i]);
+      }
+    },
+  },
+  'crc32': {
+    'matches the standard check value': function() {
+      var buffer = Buffer.from('123456789', 'ascii');
+      assert.equal(serialization.crc32(buffer, 0, buffer.length), 0xCBF43926);
+    },
+  },
+  'streamcount.deserialize': {
+    topic: function() {
+      var uniques = streamcount.createUniquesCounter(0.05);
+      uniques.add('user1');
+      uniques.add('user2');
+
+      var pageCounts = streamcount.createViewsCounter(3, 0.01, 0.01);
+      pageCounts.increment('/');
+      pageCounts.increment('/about');
+      pageCounts.increment('/');
+
+      return { uniques: uniques, pageCounts: pageCounts };
+    },
+
+    'detects a HyperLogLog': function(topic) {
+      var uniques = streamcount.deserialize(topic.uniques.serialize());
+      assert.equal(uniques.count(), topic.uniques.count());
+    },
+    'detects a CountMinSketch': function(topic) {
+      var pageCounts = streamcount.deserialize(topic.pageCounts.serialize());
+      assert.deepEqual(pageCounts.getTopK(), [[2, '/'], [1, '/about']]);
+    },
+    'supports an offset into a larger buffer': function(topic) {
+      var packed = topic.pageCounts.serialize();
+      var buffer = Buffer.alloc(packed.length + 10);
+      packed.copy(buffer, 10);
+
+      var pageCounts = streamcount.deserialize(buffer, 10, packed.length);
+      assert.deepEqual(pageCounts.getTopK(), [[2, '/'], [1, '/about']]);
+    },
+    'refuses legacy buffers': function(topic) {
+      assert.throws(function() {
+        streamcount.deserialize(Buffer.alloc(64));
+      }, /self-describing/);
+    },
+    'refuses unsupported versions': function(topic) {
+      var packed = topic.uniques.serialize();
+      packed[4] = serialization.VERSION + 1;
+      assert.throws(function() { streamcount.deserialize(packed); }, /version/);
+    },
+    'refuses truncated buffers': function(topic) {
+      var packed = topic.pageCounts.serialize();
+      assert.throws(function() {
+        streamcount.deserialize(packed.slice(0, packed.length - 3));
+      }, /checksum/);
+    },
+    'matches the reported object sizes': function(topic) {
+      var dense = streamcount.createUniquesCounter(0.05, { sparse: false });
+      assert.equal(dense.serialize().length, streamcount.getUniquesObjSize(0.05));
+      assert.ok(topic.uniques.serialize().length < 32);
+      var empty = streamcount.createViewsCounter(3, 0.01, 0.01);
+      assert.equal(empty.serialize().length, streamcount.getViewsObjSize(0.01, 0.01) + 2);
+    },
+    'reports in-memory sizes': function(topic) {
+      assert.equal(topic.uniques.M.byteLength, streamcount.getUniquesMemSize(0.05));
+      var counts = topic.pageCounts.counts;
+      assert.equal(counts.length * counts[0].byteLength + topic.pageCounts.hashFunctions.byteLength,
+        streamcount.getViewsMemSize(0.01, 0.01));
+    },
+  },
+}).export(module);
@@ -0,0 +1,274 @@
+var vows = require('vows');
+var assert = require('assert');
+var http = require('http');
+
+var streamcount = require('../index');
+
+var server = streamcount.createServer({ maxBodySize: 64 * 1024 });
+var baseUrl;
+
+function uniques(from, to) {
+  var hll = streamcount.createUniquesCounter(0.01);
+  for (var i = from; i < to; i++)
+    hll.add('user' + i);
+  return hll;
+}
+
+function views(counts) {
+  var cms = streamcount.createViewsCounter(5, 0.01, 0.01);
+  for (var key in counts)
+    cms.increment(key, counts[key]);
+  return cms;
+}
+
+// Run the given steps one after another, each a function(next) calling next
+// with an error or a result, and call back with the result of the last one
+function series(steps) {
+  return function() {
+    var callback = this.callback;
+    var i = 0;
+    function next(err, result) {
+      if (err || i === steps.length)
+        return callback(err, result);
+      steps[i++](next);
+    }
+    next();
+  };
+}
+
+// Send a raw request and call back with { statusCode, headers, body }
+function rawRequest(method, path, body, callback) {
+  var req = http.request(baseUrl + path, { method: method }, function(res) {
+    var chunks = [];
+    res.on('data', function(chunk) { chunks.push(chunk); });
+    res.on('end', function() {
+      callback(null, { statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+    });
+  });
+  req.on('error', callback);
+  req.end(body);
+}
+
+function errorOf(fn) {
+  return function() {
+    var callback = this.callback;
+    fn(function(err) { callback(null, err); });
+  };
+}
+
+vows.describe('SketchCollector').addBatch({
+  'a server': {
+    topic: function() {
+      var callback = this.callback;
+      server.listen(0, '127.0.0.1', function() {
+        baseUrl = 'http://127.0.0.1:' + server.address().port;
+        callback(null, server);
+      });
+    },
+
+    'is listening': function(server) {
+      assert.ok(server.address().port > 0);
+      assert.ok(server.collector);
+    },
+  },
+}).addBatch({
+  'uniques pushed from several sources': {
+    topic: series([
+      function(next) { streamcount.createClient(baseUrl, { source: 'web1' }).push('visitors', uniques(0, 100), next); },
+      function(next) { streamcount.createClient(baseUrl, { source: 'web2' }).push('visitors', uniques(50, 150), next); },
+      function(next) { streamcount.createClient(baseUrl).count('visitors', next); }
+    ]),
+
+    'are merged': function(count) {
+      assert.ok(Math.abs(count - 150) < 150 * 0.04, count);
+    },
+  },
+  'views pushed again by a source': {
+    topic: function() {
+      var web1 = streamcount.createClient(baseUrl, { source: 'web1' });
+      var web2 = streamcount.createClient(baseUrl, { source: 'web2' });
+      return series([
+        function(next) { web1.push('pages', views({ '/a': 3 }), next); },
+        function(next) { web2.push('pages', views({ '/a': 1, '/b': 2 }), next); },
+        // Complete state, replacing the first push of web1
+        function(next) { web1.push('pages', views({ '/a': 5, '/c': 1 }), next); },
+        function(next) { web1.top('pages', next); }
+      ]).call(this);
+    },
+
+    'replace what the source sent before': function(top) {
+      assert.deepEqual(top, [[6, '/a'], [2, '/b'], [1, '/c']]);
+    },
+  },
+  'views merged into the stored sketch': {
+    topic: function() {
+      var client = streamcount.createClient(baseUrl);
+      var fetched;
+      return series([
+        function(next) { client.merge('deltas', views({ '/a': 2 }), next); },
+        function(next) { client.merge('deltas', views({ '/a': 1, '/b': 1 }).serialize(), next); },
+        function(next) { client.top('deltas', 1, next); },
+        function(next) {
+          client.fetch('deltas', function(err, sketch) {
+            fetched = sketch;
+            next(err);
+          });
+        },
+        function(next) { client.top('deltas', function(err, top) { next(err, { top: top, fetched: fetched }); }); }
+      ]).call(this);
+    },
+
+    'are summed': function(topic) {
+      assert.deepEqual(topic.top, [[3, '/a'], [1, '/b']]);
+    },
+    'can be fetched as a sketch': function(topic) {
+      assert.equal(topic.fetched.estimate('/a'), 3);
+    },
+  },
+}).addBatch({
+  'listing the sketches': {
+    topic: function() {
+      streamcount.createClient(baseUrl).list(this.callback);
+    },
+
+    'returns their names, types and sources': function(list) {
+      list.sort(function(a, b) { return a.name < b.name ? -1 : 1; });
+      assert.deepEqual(list, [
+        { name: 'deltas', type: 'CountMinSketch', sources: [] },
+        { name: 'pages', type: 'CountMinSketch', sources: ['web1', 'web2'] },
+        { name: 'visitors', type: 'HyperLogLog', sources: ['web1', 'web2'] }
+      ]);
+    },
+  },
+  'a sketch of another type': {
+    topic: errorOf(function(callback) {
+      streamcount.createClient(baseUrl).push('visitors', views({ '/a': 1 }), callback);
+    }),
+
+    'is rejected': function(err) {
+      assert.equal(err.statusCode, 409);
+      assert.equal(err.message, 'cannot merge CountMinSketch into HyperLogLog visitors');
+    },
+  },
+  'a sketch of other dimensions': {
+    topic: errorOf(function(callback) {
+      streamcount.createClient(baseUrl).merge('pages', streamcount.createViewsCounter(5, 0.02, 0.01), callback);
+    }),
+
+    'is rejected': function(err) {
+      assert.equal(err.statusCode, 409);
+    },
+  },
+  'a corrupted sketch': {
+    topic: errorOf(function(callback) {
+      var buffer = uniques(0, 10).serialize();
+      buffer[10] ^= 0xff;
+      streamcount.createClient(baseUrl).push('visitors', buffer, callback);
+    }),
+
+    'is rejected': function(err) {
+      assert.equal(err.statusCode, 400);
+      assert.ok(/checksum/.test(err.message), err.message);
+    },
+  },
+  'a sketch over the size limit': {
+    topic: errorOf(function(callback) {
+      streamcount.createClient(baseUrl).push('big', streamcount.createViewsCounter(5), callback);
+    }),
+
+    'is rejected': function(err) {
+      assert.equal(err.statusCode, 413);
+    },
+  },
+  'an unknown name': {
+    topic: errorOf(function(callback) {
+      streamcount.createClient(baseUrl).count('nothing', callback);
+    }),
+
+    'is not found': function(err) {
+      assert.equal(err.statusCode, 404);
+      assert.equal(err.message, 'no sketch named nothing');
+    },
+  },
+  'counting a CountMinSketch': {
+    topic: errorOf(function(callback) {
+      streamcount.createClient(baseUrl).count('pages', callback);
+    }),
+
+    'is not supported': function(err) {
+      assert.equal(err.statusCode, 400);
+    },
+  },
+  'an unsupported method': {
+    topic: function() {
+      rawRequest('PATCH', '/sketches/pages', null, this.callback);
+    },
+
+    'is not allowed': function(res) {
+      assert.equal(res.statusCode, 405);
+      assert.equal(res.headers.allow, 'GET, PUT, POST, DELETE');
+      assert.deepEqual(JSON.parse(res.body), { error: 'method PATCH not allowed' });
+    },
+  },
+  'an unknown path': {
+    topic: function() {
+      rawRequest('GET', '/other', null, this.callback);
+    },
+
+    'is not found': function(res) {
+      assert.equal(res.statusCode, 404);
+    },
+  },
+}).addBatch({
+  'pushing on an interval': {
+    topic: function() {
+      var callback = this.callback;
+      var client = streamcount.createClient(baseUrl, { source: 'web3' });
+      var hll = uniques(0, 10);
+      var pusher = client.pushEvery('periodic', hll, 10, callback);
+      // The push timer does not keep the process running by itself
+      var guard = setTimeout(function() {
+        hll.add('late');
+        pusher.stop(function(err) {
+          clearTimeout(guard);
+          if (err)
+            return callback(err);
+          client.count('periodic', callback);
+        });
+      }, 50);
+    },
+
+    'sends the final state when stopped': function(count) {
+      assert.ok(Math.abs(count - 11) < 0.5, count);
+    },
+  },
+  'deleting a sketch': {
+    topic: function() {
+      var callback = this.callback;
+      server.collector.post('temporary', uniques(0, 1).serialize());
+      rawRequest('DELETE', '/sketches/temporary', null, function(err, res) {
+        callback(err, { res: res, exists: server.collector.get('temporary') !== undefined });
+      });
+    },
+
+    'forgets it': function(topic) {
+      assert.equal(topic.res.statusCode, 204);
+      assert.ok(!topic.exists);
+    },
+  },
+  'a client': {
+    'requires an http URL': function() {
+      assert.throws(function() { streamcount.createClient('ftp://example.com'); }, /http/);
+    },
+  },
+}).addBatch({
+  'closing the server': {
+    topic: function() {
+      server.close(this.callback);
+    },
+
+    'succeeds': function() {
+      assert.ok(!server.listening);
+    },
+  },
+}).export(module);
@@ -0,0 +1,307 @@
+var vows = require('vows');
+var assert = require('assert');
+
+var streamcount = require('../index');
+var SketchRegistry = require('../lib/sketchRegistry');
+var HyperLogLog = require('../lib/hyperLogLog');
+
+function uniquesRegistry(options) {
+  return new SketchRegistry(function() { return new HyperLogLog(0.01); }, options);
+}
+
+// Dense HyperLogLogs have a fixed memory size
+function denseRegistry(options) {
+  return new SketchRegistry(function() { return new HyperLogLog(0.01, { sparse: false }); }, options);
+}
+
+function fill(registry, name, count) {
+  for (var i = 0; i < count; i++)
+    registry.add(name, name + ':' + i);
+}
+
+vows.describe('SketchRegistry').addBatch({
+  'a registry without a budget': {
+    topic: function() {
+      var registry = uniquesRegistry();
+      fill(registry, 'a', 100);
+      fill(registry, 'b', 10);
+      return registry;
+    },
+
+    'creates sketches by name': function(registry) {
+      assert.deepEqual(registry.names().sort(), ['a', 'b']);
+      assert.ok(registry.has('a'));
+      assert.ok(!registry.has('c'));
+      assert.ok(Math.abs(registry.get('a').count() - 100) < 1);
+      assert.ok(Math.abs(registry.get('b').count() - 10) < 0.1);
+    },
+    'measures the live sketches': function(registry) {
+      var usage = registry.memoryUsage();
+      assert.equal(usage.live, registry.get('a').getMemorySize() + registry.get('b').getMemorySize());
+      assert.equal(usage.spilled, 0);
+      assert.equal(usage.liveSketches, 2);
+    },
+  },
+  'a registry from a template sketch': {
+    topic: function() {
+      var template = streamcount.createViewsCounter(5);
+      template.increment('/ignored');
+      var registry = new SketchRegistry(streamcount.createViewsCounter(5));
+      registry.increment('site1', '/a', 3);
+      registry.increment('site2', '/b');
+      return registry;
+    },
+
+    'copies the template for each name': function(registry) {
+      assert.deepEqual(registry.get('site1').getTopK(), [[3, '/a']]);
+      assert.deepEqual(registry.get('site2').getTopK(), [[1, '/b']]);
+    },
+  },
+  'a registry over its budget': {
+    topic: function() {
+      // Room for two live HyperLogLogs and two spilled ones
+      var budget = 3.6 * new HyperLogLog(0.01, { sparse: false }).getMemorySize();
+      var registry = denseRegistry({ memoryBudget: budget });
+      var names = ['a', 'b', 'c', 'd'];
+      for (var i = 0; i < names.length; i++)
+        fill(registry, names[i], 5000);
+      return { registry: registry, budget: budget };
+    },
+
+    'spills the least recently used sketches': function(topic) {
+      var usage = topic.registry.memoryUsage();
+      assert.ok(usage.total <= topic.budget, usage.total);
+      assert.equal(usage.liveSketches, 2);
+      assert.equal(usage.spilledSketches, 2);
+      assert.ok(topic.registry.has('a'));
+    },
+    'restores spilled sketches on access': function(topic) {
+      assert.ok(Math.abs(topic.registry.get('a').count() - 5000) < 5000 * 0.04);
+      assert.ok(topic.registry.memoryUsage().total <= topic.budget);
+    },
+  },
+  'a spilled sketch that fails to restore': {
+    topic: function() {
+      var budget = 3.6 * new HyperLogLog(0.01, { sparse: false }).getMemorySize();
+      var topic = { failing: false, budget: budget };
+      topic.registry = denseRegistry({
+        memoryBudget: budget,
+        deserialize: function(buffer) {
+          if (topic.failing)
+            throw new Error('incompatible buffer');
+          return streamcount.deserialize(buffer);
+        }
+      });
+      var names = ['a', 'b', 'c', 'd'];
+      for (var i = 0; i < names.length; i++)
+        fill(topic.registry, names[i], 5000);
+      topic.before = topic.registry.memoryUsage();
+      return topic;
+    },
+
+    'stays spilled': function(topic) {
+      topic.failing = true;
+      assert.throws(function() { topic.registry.get('a'); }, /incompatible/);
+      assert.throws(function() { topic.registry.get('a'); }, /incompatible/);
+      assert.deepEqual(topic.registry.memoryUsage(), topic.before);
+      topic.failing = false;
+      assert.ok(Math.abs(topic.registry.get('a').count() - 5000) < 5000 * 0.04);
+      assert.ok(Math.abs(topic.registry.get('b').count() - 5000) < 5000 * 0.04);
+      var usage = topic.registry.memoryUsage();
+      assert.equal(usage.liveSketches + usage.spilledSketches, 4);
+      assert.ok(usage.total <= topic.budget);
+    },
+  },
+  'a registry that cannot spill': {
+    topic: function() {
+      var evicted = [];
+      var budget = 1.5 * new HyperLogLog(0.01, { sparse: false }).getMemorySize();
+      var registry = denseRegistry({
+        memoryBudget: budget,
+        spill: false,
+        onEvict: function(name, buffer) { evicted.push([name, buffer]); }
+      });
+      fill(registry, 'a', 5000);
+      fill(registry, 'b', 5000);
+      registry.get('a');
+      fill(registry, 'c', 5000);
+      return { registry: registry, evicted: evicted };
+    },
+
+    'evicts the least recently used sketches': function(topic) {
+      // 'a' is evicted for 'b', recreated, and evicted again for 'c'
+      assert.deepEqual(topic.evicted.map(function(e) { return e[0]; }), ['a', 'b', 'a']);
+      assert.deepEqual(topic.registry.names(), ['c']);
+    },
+    'hands evicted sketches to onEvict': function(topic) {
+      var hll = streamcount.deserialize(topic.evicted[0][1]);
+      assert.ok(Math.abs(hll.count() - 5000) < 5000 * 0.04);
+    },
+  },
+  'a sketch changed through get()': {
+    topic: function() {
+      var registry = uniquesRegistry();
+      var hll = registry.get('a');
+      var before = registry.memoryUsage().live;
+      for (var i = 0; i < 5000; i++)
+        hll.add('member' + i);
+      return { before: before, after: registry.memoryUsage().live, size: hll.getMemorySize() };
+    },
+
+    'is measured again': function(topic) {
+      assert.ok(topic.after > topic.before);
+      assert.equal(topic.after, topic.size);
+    },
+  },
+  'a sketch read through peek()': {
+    topic: function() {
+      var registry = uniquesRegistry();
+      fill(registry, 'a', 10);
+      return { registry: registry, hll: registry.peek('a'), created: registry.peek('b') };
+    },
+
+    'is the live sketch': function(topic) {
+      assert.ok(Math.abs(topic.hll.count() - 10) < 0.1);
+      assert.deepEqual(topic.registry.names(), ['a', 'b']);
+      assert.equal(topic.created.count(), 0);
+    },
+    'is not measured again': function(topic) {
+      var before = topic.registry.memoryUsage().live;
+      for (var i = 0; i < 5000; i++)
+        topic.hll.add('member' + i);
+      assert.equal(topic.registry.memoryUsage().live, before);
+    },
+  },
+  'removing a sketch': {
+    topic: function() {
+      var registry = uniquesRegistry();
+      fill(registry, 'a', 10);
+      return { removed: registry.remove('a'), again: registry.remove('a'), registry: registry };
+    },
+
+    'frees its memory': function(topic) {
+      assert.ok(topic.removed);
+      assert.ok(!topic.again);
+      assert.equal(topic.registry.memoryUsage().total, 0);
+    },
+  },
+}).addBatch({
+  'a snapshot': {
+    topic: function() {
+      var budget = 3.6 * new HyperLogLog(0.01, { sparse: false }).getMemorySize();
+      var registry = denseRegistry({ memoryBudget: budget });
+      fill(registry, 'a', 5000);
+      fill(registry, 'b', 5000);
+      fill(registry, 'c', 5000);
+      fill(registry, 'café', 20);
+      var buffer = registry.snapshot();
+      var restored = uniquesRegistry();
+      restored.restore(buffer);
+      return { buffer: buffer, restored: restored };
+    },
+
+    'holds live and spilled sketches from least to most recently used': function(topic) {
+      assert.deepEqual(topic.restored.names(), ['a', 'b', 'c', 'café']);
+      assert.ok(Math.abs(topic.restored.get('b').count() - 5000) < 5000 * 0.04);
+      assert.ok(Math.abs(topic.restored.get('café').count() - 20) < 0.5);
+    },
+    'is restored in spilled form': function(topic) {
+      var registry = uniquesRegistry();
+      registry.restore(topic.buffer);
+      var usage = registry.memoryUsage();
+      assert.equal(usage.liveSketches, 0);
+      assert.equal(usage.spilledSketches, 4);
+    },
+    'is restored within the budget': function(topic) {
+      var evicted = [];
+      var registry = uniquesRegistry({
+        memoryBudget: 1000,
+        onEvict: function(name) { evicted.push(name); }
+      });
+      registry.restore(topic.buffer);
+      assert.ok(registry.memoryUsage().total <= 1000);
+      assert.deepEqual(evicted.slice(0, 3), ['a', 'b', 'c']);
+    },
+    'is read by streamcount.deserialize': function(topic) {
+      var registry = streamcount.deserialize(topic.buffer);
+      assert.deepEqual(registry.names(), ['a', 'b', 'c', 'café']);
+      assert.equal(registry.memoryUsage().spilledSketches, 4);
+      assert.ok(Math.abs(registry.get('café').count() - 20) < 0.5);
+      assert.throws(function() { registry.add('new', 'x'); }, /template/);
+      assert.isFalse(registry.has('new'));
+    },
+    'is deserialized with a template and options': function(topic) {
+      var padded = Buffer.concat([Buffer.alloc(3), topic.buffer, Buffer.alloc(2)]);
+      var registry = SketchRegistry.deserialize(padded, 3, topic.buffer.length, {
+        template: function() { return new HyperLogLog(0.01); },
+        memoryBudget: 1000
+      });
+      assert.equal(registry.memoryBudget, 1000);
+      assert.ok(registry.memoryUsage().total <= 1000);
+      registry.add('new', 'x');
+      assert.ok(Math.abs(registry.get('new').count() - 1) < 0.1);
+      assert.throws(function() { SketchRegistry.deserialize(new HyperLogLog(0.01).serialize()); },
+        /found HyperLogLog/);
+    },
+    'is rejected when corrupt': function(topic) {
+      var corrupt = Buffer.from(topic.buffer);
+      corrupt[20] ^= 0xff;
+      var registry = uniquesRegistry();
+      registry.add('kept', 'x');
+      assert.throws(function() { registry.restore(corrupt); }, /checksum/);
+      assert.throws(function() { registry.restore(new HyperLogLog(0.01).serialize()); },
+        /SketchRegistry/);
+      assert.deepEqual(registry.names(), ['kept']);
+    },
+  },
+  'options': {
+    'require a template': function() {
+      assert.throws(function() { new SketchRegistry(42); }, /template/);
+    },
+    'require a valid budget': function() {
+      assert.throws(function() { uniquesRegistry({ memoryBudget: -1 }); }, /memoryBudget/);
+    },
+  },
+}).addBatch({
+  'getMemorySize': {
+    'grows with a sparse HyperLogLog': function() {
+      var hll = new HyperLogLog(0.01);
+      var empty = hll.getMemorySize();
+      for (var i = 0; i < 100; i++)
+        hll.add('member' + i);
+      assert.ok(hll.getMemorySize() > empty);
+      assert.ok(hll.getMemorySize() < hll.m);
+    },
+    'is one byte per register for a dense HyperLogLog': function() {
+      var hll = new HyperLogLog(0.05);
+      for (var i = 0; i < 10000; i++)
+        hll.add('member' + i);
+      assert.equal(hll.getMemorySize(), hll.m);
+    },
+    'counts the counters of a CountMinSketch': function() {
+      var cms = streamcount.createViewsCounter(10);
+      var empty = cms.getMemorySize();
+      assert.ok(empty >= cms.counts.length * cms.counts[0].length * 4, empty);
+      cms.increment('/a');
+      assert.ok(cms.getMemorySize() > empty);
+    },
+    'grows with the keys of a SpaceSaving': function() {
+      var ss = streamcount.createHeavyHittersCounter(10);
+      assert.equal(ss.getMemorySize(), 0);
+      ss.increment('/a');
+      var one = ss.getMemorySize();
+      ss.increment('/longer/path');
+      assert.ok(ss.getMemorySize() - one > one);
+    },
+    'grows with a SlidingHyperLogLog': function() {
+      var clock = function() { return 100; };
+      var shll = new streamcount.SlidingHyperLogLog(0.05, { maxWindow: 1000, clock: clock });
+      var empty = shll.getMemorySize();
+      shll.add('a', 1);
+      shll.add('b', 2);
+      assert.ok(shll.getMemorySize() > empty);
+      var copy = streamcount.SlidingHyperLogLog.deserialize(shll.serialize(), 0, undefined, { clock: clock });
+      assert.equal(copy.getMemorySize(), shll.getMemorySize());
+    },
+  },
+}).export(module);
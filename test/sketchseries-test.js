@@ -0,0 +1,169 @@
+var vows = require('vows');
+var assert = require('assert');
+
+var streamcount = require('../index');
+var SketchSeries = require('../lib/sketchSeries');
+var HyperLogLog = require('../lib/hyperLogLog');
+var CountMinSketch = require('../lib/countMinSketch');
+
+var MINUTE = 60 * 1000;
+var HOUR = 60 * MINUTE;
+var DAY = 24 * HOUR;
+
+function fakeClock() {
+  var clock = function() { return clock.now; };
+  clock.now = 0;
+  return clock;
+}
+
+function uniques() {
+  return new HyperLogLog(0.01);
+}
+
+function views() {
+  return new CountMinSketch(3, 0.01, 0.01);
+}
+
+vows.describe('SketchSeries').addBatch({
+  'a day of visitors': {
+    topic: function() {
+      // 10 new visitors every minute for a day, and a regular who visits once
+      // an hour. Minutes are kept for two hours, hours for a day
+      var clock = fakeClock();
+      var series = new SketchSeries(uniques, {
+        levels: [
+          { granularity: MINUTE, retention: 2 * HOUR },
+          { granularity: HOUR, retention: DAY },
+          { granularity: DAY }
+        ],
+        clock: clock
+      });
+      for (var minute = 0; minute < 24 * 60; minute++) {
+        clock.now = minute * MINUTE;
+        for (var i = 0; i < 10; i++)
+          series.add('visitor' + minute + ':' + i);
+        if (minute % 60 === 0)
+          series.add('regular');
+      }
+      return { series: series, clock: clock };
+    },
+
+    'rolls old minutes into hours': function(topic) {
+      var buckets = topic.series.buckets();
+      var minutes = buckets.filter(function(b) { return b.level === 0; });
+      var hours = buckets.filter(function(b) { return b.level === 1; });
+      // Minutes ending within the last two hours, and the hours before them
+      assert.equal(minutes.length, 121);
+      assert.equal(minutes[0].start, 21 * HOUR + 59 * MINUTE);
+      assert.equal(hours.length, 22);
+      assert.equal(hours[0].start, 0);
+      assert.equal(hours[0].end, HOUR);
+    },
+    'counts a range of minutes': function(topic) {
+      var count = topic.series.count(23 * HOUR + 30 * MINUTE, 23 * HOUR + 45 * MINUTE);
+      assert.ok(Math.abs(count - 150) < 150 * 0.03, count);
+    },
+    'counts a range of rolled up hours': function(topic) {
+      var count = topic.series.count(HOUR, 3 * HOUR);
+      assert.ok(Math.abs(count - 1201) < 1201 * 0.03, count);
+    },
+    'widens ranges to bucket boundaries': function(topic) {
+      assert.equal(topic.series.count(HOUR + 5 * MINUTE, HOUR + 10 * MINUTE),
+        topic.series.count(HOUR, 2 * HOUR));
+    },
+    'counts the whole day': function(topic) {
+      var count = topic.series.count(0);
+      assert.ok(Math.abs(count - 14401) < 14401 * 0.03, count);
+    },
+    'returns a merged sketch': function(topic) {
+      var hll = topic.series.range(0, 2 * HOUR);
+      assert.equal(hll.count(), topic.series.count(0, 2 * HOUR));
+      assert.ok(HyperLogLog.deserialize(hll.serialize()));
+    },
+    'routes late events to the finest bucket that is left': function(topic) {
+      var before = topic.series.count(HOUR, 2 * HOUR);
+      topic.series.add('latecomer', HOUR + 5 * MINUTE);
+      assert.ok(topic.series.count(HOUR, 2 * HOUR) > before);
+      assert.equal(topic.series.buckets().filter(function(b) {
+        return b.level === 0 && b.start === HOUR + 5 * MINUTE;
+      }).length, 0);
+    },
+    'rolls hours into days': function(topic) {
+      topic.clock.now = 3 * DAY;
+      var buckets = topic.series.buckets();
+      assert.equal(buckets.length, 1);
+      assert.equal(buckets[0].level, 2);
+      var count = topic.series.count(0, DAY);
+      assert.ok(Math.abs(count - 14402) < 14402 * 0.03, count);
+    },
+  },
+}).addBatch({
+  'top pages': {
+    topic: function() {
+      var clock = fakeClock();
+      var series = new SketchSeries(views, {
+        granularity: HOUR,
+        retention: 3 * HOUR,
+        clock: clock
+      });
+      // /home is popular in the morning and /news in the afternoon
+      series.increment('/home', 50, 0);
+      series.increment('/news', 5, 0);
+      series.increment('/about', 1, 30 * MINUTE);
+      clock.now = HOUR;
+      series.increment('/news', 80);
+      series.increment('/home', 10);
+      return { series: series, clock: clock };
+    },
+
+    'answers top-K per range': function(topic) {
+      assert.deepEqual(topic.series.getTopK(0, HOUR), [[50, '/home'], [5, '/news'], [1, '/about']]);
+      assert.deepEqual(topic.series.getTopK(HOUR, 2 * HOUR), [[80, '/news'], [10, '/home']]);
+      assert.deepEqual(topic.series.getTopK(0), [[85, '/news'], [60, '/home'], [1, '/about']]);
+    },
+    'estimates keys per range': function(topic) {
+      assert.equal(topic.series.estimate('/home', 0, 2 * HOUR), 60);
+      assert.equal(topic.series.estimate('/news', HOUR), 80);
+    },
+    'drops buckets after the retention period': function(topic) {
+      topic.clock.now = 4 * HOUR;
+      assert.deepEqual(topic.series.getTopK(0), [[80, '/news'], [10, '/home']]);
+      topic.series.increment('/ancient', 1, 0);
+      assert.equal(topic.series.estimate('/ancient', 0), 0);
+      topic.clock.now = 5 * HOUR;
+      assert.deepEqual(topic.series.getTopK(0), []);
+      assert.equal(topic.series.buckets().length, 0);
+    },
+  },
+}).addBatch({
+  'options': {
+    'require a factory': function() {
+      assert.throws(function() { new SketchSeries(null, { granularity: MINUTE }); }, /factory/);
+    },
+    'require a granularity': function() {
+      assert.throws(function() { new SketchSeries(uniques); }, /granularity/);
+      assert.throws(function() { new SketchSeries(uniques, { granularity: -1 }); }, /granularity/);
+    },
+    'require nested granularities': function() {
+      assert.throws(function() {
+        new SketchSeries(uniques, { levels: [
+          { granularity: 7 * MINUTE, retention: HOUR },
+          { granularity: HOUR }
+        ] });
+      }, /multiple/);
+    },
+    'require a retention period below the last level': function() {
+      assert.throws(function() {
+        new SketchSeries(uniques, { levels: [{ granularity: MINUTE }, { granularity: HOUR }] });
+      }, /retention/);
+    },
+    'validate timestamps and ranges': function() {
+      var series = new SketchSeries(uniques, { granularity: MINUTE });
+      assert.throws(function() { series.add('a', 'yesterday'); }, /timestamp/);
+      assert.throws(function() { series.count(HOUR, 0); }, /from <= to/);
+    },
+    'is exported': function() {
+      assert.strictEqual(streamcount.SketchSeries, SketchSeries);
+    },
+  },
+}).export(module);
@@ -0,0 +1,341 @@
+var vows = require('vows');
+var assert = require('assert');
+var stream = require('stream');
+
+var streamcount = require('../index');
+var SketchStream = require('../lib/sketchStream');
+var HyperLogLog = require('../lib/hyperLogLog');
+
+function readableOf(chunks, objectMode) {
+  var i = 0;
+  return new stream.Readable({
+    objectMode: objectMode,
+    read: function() {
+      this.push(i < chunks.length ? chunks[i++] : null);
+    }
+  });
+}
+
+function asyncIterableOf(values) {
+  var iterable = {};
+  iterable[Symbol.asyncIterator] = function() {
+    var i = 0;
+    return {
+      next: function() {
+        return new Promise(function(resolve) {
+          setImmediate(function() {
+            resolve(i < values.length ? { value: values[i++], done: false } : { done: true });
+          });
+        });
+      }
+    };
+  };
+  return iterable;
+}
+
+vows.describe('SketchStream').addBatch({
+  'a uniques stream': {
+    topic: function() {
+      var callback = this.callback;
+      var keys = [];
+      for (var i = 0; i < 1000; i++)
+        keys.push('user' + (i % 250));
+      var uniques = streamcount.createUniquesStream({ highWaterMark: 4 });
+      stream.pipeline(readableOf(keys, true), uniques, function(err) {
+        callback(err, uniques);
+      });
+    },
+
+    'counts the records piped in': function(uniques) {
+      assert.ok(Math.abs(uniques.sketch.count() - 250) < 250 * 0.02, uniques.sketch.count());
+      assert.equal(uniques.records, 1000);
+    },
+  },
+  'a views stream with a key function': {
+    topic: function() {
+      var callback = this.callback;
+      var views = streamcount.createViewsStream({
+        topEntryCount: 2,
+        key: function(hit) { return hit.status === 200 ? hit.path : null; },
+        count: function(hit) { return hit.bytes; }
+      });
+      views.on('finish', function() { callback(null, views); });
+      views.on('error', callback);
+      views.write({ path: '/video.mp4', status: 200, bytes: 1500 });
+      views.write({ path: '/logo.png', status: 200, bytes: 30 });
+      views.write({ path: '/video.mp4', status: 404, bytes: 10 });
+      views.write({ path: '/index.html', status: 200, bytes: 100 });
+      views.end({ path: '/video.mp4', status: 200, bytes: 500 });
+    },
+
+    'increments by the extracted counts': function(views) {
+      assert.deepEqual(views.sketch.getTopK(), [[2000, '/video.mp4'], [100, '/index.html']]);
+      assert.equal(views.records, 5);
+    },
+  },
+  'a stream of lines': {
+    topic: function() {
+      var callback = this.callback;
+      // Chunk boundaries fall within lines and within a multi-byte character
+      var data = Buffer.from('/a\r\n/b\n\n/a\n/café\n/a', 'utf8');
+      var chunks = [data.slice(0, 3), data.slice(3, 14), data.slice(14)];
+      var views = streamcount.createViewsStream({ objectMode: false });
+      stream.pipeline(readableOf(chunks, false), views, function(err) {
+        callback(err, views);
+      });
+    },
+
+    'records one key per line': function(views) {
+      assert.deepEqual(views.sketch.getTopK(), [[3, '/a'], [1, '/b'], [1, '/café']]);
+      assert.equal(views.records, 5);
+    },
+  },
+  'a pass through stream': {
+    topic: function() {
+      var callback = this.callback;
+      var out = [];
+      var uniques = streamcount.createUniquesStream({ passThrough: true });
+      var sink = new stream.Writable({
+        objectMode: true,
+        write: function(chunk, encoding, cb) {
+          out.push(chunk);
+          cb();
+        }
+      });
+      stream.pipeline(readableOf(['a', 'b', 'a'], true), uniques, sink, function(err) {
+        callback(err, { uniques: uniques, out: out });
+      });
+    },
+
+    'passes records on': function(topic) {
+      assert.deepEqual(topic.out, ['a', 'b', 'a']);
+      assert.ok(Math.abs(topic.uniques.sketch.count() - 2) < 0.01);
+    },
+  },
+  'snapshots': {
+    topic: function() {
+      var callback = this.callback;
+      var snapshots = [];
+      var uniques = streamcount.createUniquesStream({ snapshotEvery: 2 });
+      uniques.on('snapshot', function(buffer) { snapshots.push(buffer); });
+      uniques.on('finish', function() { callback(null, snapshots); });
+      uniques.write('a');
+      uniques.write('b');
+      uniques.write('c');
+      uniques.end();
+    },
+
+    'carry the serialized sketch': function(snapshots) {
+      // One after two records and one when the stream finishes
+      assert.equal(snapshots.length, 2);
+      assert.ok(Math.abs(HyperLogLog.deserialize(snapshots[0]).count() - 2) < 0.01);
+      assert.ok(Math.abs(streamcount.deserialize(snapshots[1]).count() - 3) < 0.01);
+    },
+  },
+  'timed snapshots': {
+    topic: function() {
+      var callback = this.callback;
+      // The snapshot timer does not keep the process running by itself
+      var guard = setTimeout(function() {}, 1000);
+      var uniques = streamcount.createUniquesStream({ snapshotInterval: 10 });
+      uniques.write('a');
+      uniques.once('snapshot', function(buffer) {
+        uniques.on('finish', function() {
+          clearTimeout(guard);
+          callback(null, { buffer: buffer, uniques: uniques });
+        });
+        uniques.end();
+      });
+    },
+
+    'are emitted until the stream finishes': function(topic) {
+      assert.ok(Buffer.isBuffer(topic.buffer));
+      assert.strictEqual(topic.uniques._timer, null);
+    },
+  },
+}).addBatch({
+  'consuming an async iterable': {
+    topic: function() {
+      var callback = this.callback;
+      var values = [];
+      for (var i = 0; i < 100; i++)
+        values.push('user' + (i % 10));
+      var uniques = streamcount.createUniquesStream({ highWaterMark: 2 });
+      uniques.consume(asyncIterableOf(values)).then(function(sketch) {
+        callback(null, { uniques: uniques, sketch: sketch });
+      }, callback);
+    },
+
+    'resolves with the sketch': function(topic) {
+      assert.strictEqual(topic.sketch, topic.uniques.sketch);
+      assert.ok(Math.abs(topic.sketch.count() - 10) < 0.1);
+      assert.equal(topic.uniques.records, 100);
+    },
+  },
+  'consuming an array': {
+    topic: function() {
+      var callback = this.callback;
+      var stream = streamcount.createViewsStream();
+      stream.consume(['/a', '/b', '/a']).then(function(sketch) {
+        callback(null, sketch);
+      }, callback);
+    },
+
+    'resolves with the sketch': function(sketch) {
+      assert.deepEqual(sketch.getTopK(), [[2, '/a'], [1, '/b']]);
+    },
+  },
+  'consuming invalid records': {
+    topic: function() {
+      var callback = this.callback;
+      var uniques = streamcount.createUniquesStream();
+      uniques.consume(['a', { id: 1 }, 'b']).then(function() {
+        callback(null, null);
+      }, function(err) {
+        callback(null, err);
+      });
+    },
+
+    'rejects with the stream error': function(err) {
+      assert.ok(err instanceof Error);
+      assert.ok(/key function/.test(err.message), err.message);
+    },
+  },
+  'failing while consuming a generator': {
+    topic: function() {
+      var callback = this.callback;
+      var topic = { closed: false, uniques: streamcount.createUniquesStream({ highWaterMark: 1 }) };
+      function* records() {
+        try {
+          yield 'a';
+          yield { id: 1 };
+          for (var i = 0; ; i++)
+            yield 'user' + i;
+        } finally {
+          topic.closed = true;
+        }
+      }
+      topic.uniques.consume(records()).then(function() {
+        callback(null, topic);
+      }, function(err) {
+        topic.err = err;
+        callback(null, topic);
+      });
+    },
+
+    'rejects and closes the source': function(topic) {
+      assert.ok(/key function/.test(topic.err.message), topic.err.message);
+      assert.isTrue(topic.closed);
+      assert.equal(topic.uniques.listenerCount('drain'), 0);
+    },
+  },
+  'failing while consuming a Readable': {
+    topic: function() {
+      var callback = this.callback;
+      var source = readableOf(['a', 'b', { id: 1 }, 'c', 'd'], true);
+      var topic = { closed: false, source: source };
+      function finish() {
+        if (topic.closed && topic.err)
+          callback(null, topic);
+      }
+      source.on('close', function() {
+        topic.closed = true;
+        finish();
+      });
+      streamcount.createUniquesStream().consume(source).catch(function(err) {
+        topic.err = err;
+        finish();
+      });
+    },
+
+    'rejects and destroys the source': function(topic) {
+      assert.ok(/key function/.test(topic.err.message), topic.err.message);
+      assert.isTrue(topic.closed);
+      assert.isTrue(topic.source.destroyed);
+    },
+  },
+  'failing without a synchronous error event': {
+    topic: function() {
+      var callback = this.callback;
+      var uniques = streamcount.createUniquesStream();
+      var topic = { uniques: uniques, writes: 0 };
+      // Newer versions of Node report errors on a later tick, after the
+      // stream was destroyed
+      uniques.write = function(record) {
+        topic.writes++;
+        if (record === 'bad') {
+          uniques.destroy();
+          process.nextTick(function() { uniques.emit('error', new Error('bad record')); });
+          return true;
+        }
+        return SketchStream.prototype.write.apply(uniques, arguments);
+      };
+      uniques.consume(['a', 'bad', 'b', 'c']).then(function() {
+        callback(null, topic);
+      }, function(err) {
+        topic.err = err;
+        callback(null, topic);
+      });
+    },
+
+    'stops writing once the stream is destroyed': function(topic) {
+      assert.ok(topic.err instanceof Error);
+      assert.equal(topic.writes, 2);
+      assert.equal(topic.uniques.listenerCount('drain'), 0);
+    },
+  },
+  'destroying the stream while consuming': {
+    topic: function() {
+      var callback = this.callback;
+      var topic = { closed: false, uniques: streamcount.createUniquesStream({ highWaterMark: 1 }) };
+      function* records() {
+        try {
+          yield 'a';
+          topic.uniques.destroy();
+          for (var i = 0; ; i++)
+            yield 'user' + i;
+        } finally {
+          topic.closed = true;
+        }
+      }
+      topic.uniques.consume(records()).then(function() {
+        callback(null, topic);
+      }, function(err) {
+        topic.err = err;
+        callback(null, topic);
+      });
+    },
+
+    'rejects and closes the source': function(topic) {
+      assert.ok(/destroyed/.test(topic.err.message), topic.err && topic.err.message);
+      assert.isTrue(topic.closed);
+      assert.equal(topic.uniques.listenerCount('drain'), 0);
+    },
+  },
+  'consuming something else': {
+    topic: function() {
+      var callback = this.callback;
+      streamcount.createUniquesStream().consume(42).then(function() {
+        callback(null, null);
+      }, function(err) {
+        callback(null, err);
+      });
+    },
+
+    'rejects': function(err) {
+      assert.ok(/iterable/.test(err.message));
+    },
+  },
+  'options': {
+    'require a sketch': function() {
+      assert.throws(function() { new SketchStream({}); }, /add\(\) or increment\(\)/);
+    },
+    'accept an existing sketch': function() {
+      var hll = new HyperLogLog(0.05);
+      var uniques = streamcount.createUniquesStream({ sketch: hll });
+      uniques.write('a');
+      assert.strictEqual(uniques.sketch, hll);
+      assert.ok(Math.abs(hll.count() - 1) < 0.01);
+    },
+  },
+}).export(module);
@@ -0,0 +1,167 @@
+var vows = require('vows');
+var assert = require('assert');
+
+var streamcount = require('../index');
+var SlidingHyperLogLog = require('../lib/slidingHyperLogLog');
+var HyperLogLog = require('../lib/hyperLogLog');
+
+var MINUTE = 60 * 1000;
+
+function fakeClock() {
+  var clock = function() { return clock.now; };
+  clock.now = 0;
+  return clock;
+}
+
+vows.describe('SlidingHyperLogLog').addBatch({
+  'an hour of visitors': {
+    topic: function() {
+      // 100 new visitors every minute, and one visitor who returns every
+      // minute
+      var clock = fakeClock();
+      var shll = new SlidingHyperLogLog(0.01, { maxWindow: 60 * MINUTE, clock: clock });
+      for (var minute = 0; minute < 60; minute++) {
+        clock.now = minute * MINUTE;
+        for (var i = 0; i < 100; i++)
+          shll.add('visitor' + minute + ':' + i);
+        shll.add('regular');
+      }
+      clock.now = 60 * MINUTE - 1;
+      return { shll: shll, clock: clock };
+    },
+
+    'counts the last 15 minutes': function(topic) {
+      var count = topic.shll.count(15 * MINUTE);
+      assert.ok(Math.abs(count - 1501) < 1501 * 0.03, count);
+    },
+    'counts the whole window by default': function(topic) {
+      var count = topic.shll.count();
+      assert.ok(Math.abs(count - 6001) < 6001 * 0.03, count);
+      assert.equal(count, topic.shll.count(60 * MINUTE));
+    },
+    'counts an empty window': function(topic) {
+      assert.equal(topic.shll.count(0), 0);
+    },
+    'matches a HyperLogLog of the window': function(topic) {
+      var hll = new HyperLogLog(0.01, { sparse: false });
+      for (var minute = 50; minute < 60; minute++) {
+        for (var i = 0; i < 100; i++)
+          hll.add('visitor' + minute + ':' + i);
+      }
+      hll.add('regular');
+      assert.equal(topic.shll.count(10 * MINUTE), hll.count());
+      assert.deepEqual(topic.shll.toHyperLogLog(10 * MINUTE).M, hll.M);
+    },
+    'follows the clock': function(topic) {
+      var clock = fakeClock();
+      var shll = new SlidingHyperLogLog(0.01, { maxWindow: 10 * MINUTE, clock: clock });
+      shll.add('a');
+      shll.add('b');
+      clock.now = 5 * MINUTE;
+      shll.add('b');
+      assert.ok(Math.abs(shll.count(10 * MINUTE) - 2) < 0.01);
+      assert.ok(Math.abs(shll.count(MINUTE) - 1) < 0.01);
+      clock.now = 11 * MINUTE;
+      assert.ok(Math.abs(shll.count(10 * MINUTE) - 1) < 0.01);
+    },
+    'accepts explicit timestamps': function(topic) {
+      var clock = fakeClock();
+      clock.now = 20 * MINUTE;
+      var shll = new SlidingHyperLogLog(0.01, { maxWindow: 10 * MINUTE, clock: clock });
+      shll.add('late', 19 * MINUTE);
+      shll.add('expired', 5 * MINUTE);
+      assert.ok(Math.abs(shll.count(2 * MINUTE) - 1) < 0.01);
+      assert.equal(shll.count(30 * 1000), 0);
+    },
+    'refuses negative timestamps': function(topic) {
+      var shll = new SlidingHyperLogLog(0.01);
+      assert.throws(function() { shll.add('a', -1); }, /non-negative/);
+      assert.throws(function() { shll.add('a', NaN); }, /non-negative/);
+      assert.throws(function() { shll.add('a', Infinity); }, /non-negative/);
+      assert.throws(function() { shll.add('a', '1000'); }, /non-negative/);
+    },
+    'refuses windows longer than the maximum': function(topic) {
+      assert.throws(function() { topic.shll.count(61 * MINUTE); }, /maximum window/);
+      assert.throws(function() { topic.shll.count(-1); }, /non-negative/);
+    },
+  },
+}).addBatch({
+  'merging': {
+    topic: function() {
+      var clock = fakeClock();
+      var options = { maxWindow: 10 * MINUTE, clock: clock };
+      var a = new SlidingHyperLogLog(0.05, options);
+      var b = new SlidingHyperLogLog(0.05, options);
+      for (var i = 0; i < 500; i++) {
+        clock.now = i * 1000;
+        a.add('a' + i);
+        b.add('b' + i);
+        b.add('a' + i);
+      }
+      return { a: a, b: b, clock: clock };
+    },
+
+    'combines the windows': function(topic) {
+      var before = topic.a.count(MINUTE);
+      topic.a.merge(topic.b);
+      var count = topic.a.count(MINUTE);
+      assert.ok(Math.abs(count - 2 * before) < 2 * before * 0.1, count);
+      assert.equal(topic.a.count(MINUTE), topic.b.count(MINUTE));
+    },
+    'refuses structures of different size': function(topic) {
+      var other = new SlidingHyperLogLog(0.01, { clock: topic.clock });
+      assert.throws(function() { topic.a.merge(other); }, /different size/);
+    },
+    'refuses different hash functions': function(topic) {
+      var other = new SlidingHyperLogLog(0.05, { hash: 'fnv1a', clock: topic.clock });
+      assert.throws(function() { topic.a.merge(other); }, /different hash/);
+    },
+  },
+}).addBatch({
+  'serialization': {
+    topic: function() {
+      var clock = fakeClock();
+      var shll = new SlidingHyperLogLog(0.05, { maxWindow: 5 * MINUTE, clock: clock });
+      for (var i = 0; i < 600; i++) {
+        clock.now = i * 1000;
+        shll.add('visitor' + i);
+      }
+      return { shll: shll, clock: clock };
+    },
+
+    'round trips': function(topic) {
+      var shll = SlidingHyperLogLog.deserialize(topic.shll.serialize(), 0, 0,
+        { clock: topic.clock });
+      assert.equal(shll.maxWindow, 5 * MINUTE);
+      assert.equal(shll.p, topic.shll.p);
+      assert.equal(shll.count(MINUTE), topic.shll.count(MINUTE));
+      assert.equal(shll.count(), topic.shll.count());
+    },
+    'keeps fractional timestamps from clocks like performance.now': function() {
+      var clock = fakeClock();
+      clock.now = 5000.75;
+      var shll = new SlidingHyperLogLog(0.05, { maxWindow: MINUTE, clock: clock });
+      shll.add('a');
+      shll.add('b', 4000.5);
+      shll.add('c', 1000.25);
+      var shll2 = SlidingHyperLogLog.deserialize(shll.serialize(), 0, 0, { clock: clock });
+      assert.deepEqual(shll2.registers, shll.registers);
+      assert.ok(Math.abs(shll2.count(2000) - 2) < 0.01);
+      assert.ok(Math.abs(shll2.count() - 3) < 0.01);
+    },
+    'leaves out expired entries': function(topic) {
+      var packed = topic.shll.serialize();
+      topic.clock.now += 10 * MINUTE;
+      assert.ok(topic.shll.serialize().length < packed.length);
+      topic.clock.now -= 10 * MINUTE;
+    },
+    'is detected by streamcount.deserialize': function(topic) {
+      var shll = streamcount.deserialize(topic.shll.serialize());
+      assert.equal(shll.maxWindow, 5 * MINUTE);
+    },
+    'refuses another structure': function(topic) {
+      var packed = new HyperLogLog(0.05).serialize();
+      assert.throws(function() { SlidingHyperLogLog.deserialize(packed); }, /found HyperLogLog/);
+    },
+  },
+}).export(module);
@@ -0,0 +1,188 @@
+var vows = require('vows');
+var assert = require('assert');
+
+var streamcount = require('../index');
+var SpaceSaving = require('../lib/spaceSaving');
+var CountMinSketch = require('../lib/countMinSketch');
+
+vows.describe('SpaceSaving').addBatch({
+  'skewed stream': {
+    topic: function() {
+      // Key i is seen 1000 / (i + 1) times, interleaved with 2000 keys seen
+      // once each
+      var ss = new SpaceSaving(50);
+      var truth = {};
+      for (var round = 0; round < 1000; round++) {
+        for (var i = 0; i < 20; i++) {
+          if (round % (i + 1) === 0) {
+            ss.increment('/hot' + i);
+            truth['/hot' + i] = (truth['/hot' + i] || 0) + 1;
+          }
+        }
+        ss.increment('/cold' + round);
+        ss.increment('/cold' + (round + 1000));
+      }
+      return { ss: ss, truth: truth };
+    },
+
+    'counts every observation': function(topic) {
+      var expected = 2000;
+      for (var key in topic.truth)
+        expected += topic.truth[key];
+      assert.equal(topic.ss.getTotalCount(), expected);
+    },
+    'returns maxEntries sorted entries': function(topic) {
+      var top = topic.ss.getTopK();
+      assert.equal(top.length, 50);
+      for (var i = 1; i < top.length; i++)
+        assert.ok(top[i - 1][0] >= top[i][0]);
+    },
+    'finds the most frequent keys': function(topic) {
+      var top = topic.ss.getTopK();
+      assert.deepEqual(top.slice(0, 3).map(function(entry) { return entry[1]; }),
+        ['/hot0', '/hot1', '/hot2']);
+    },
+    'bounds each count': function(topic) {
+      var top = topic.ss.getTopK();
+      for (var i = 0; i < top.length; i++) {
+        var actual = topic.truth[top[i][1]] || 1;
+        assert.ok(top[i][0] >= actual, top[i][1]);
+        assert.ok(top[i][0] - top[i][2] <= actual, top[i][1]);
+      }
+    },
+    'guarantees keys above total / maxEntries': function(topic) {
+      var threshold = topic.ss.getTotalCount() / 50;
+      var keys = topic.ss.getTopK().map(function(entry) { return entry[1]; });
+      for (var key in topic.truth) {
+        if (topic.truth[key] > threshold)
+          assert.notEqual(keys.indexOf(key), -1, key);
+      }
+    },
+    'returns bounds on request': function(topic) {
+      var top = topic.ss.getTopK({ withBounds: true, threshold: 400 });
+      var tuples = topic.ss.getTopK();
+      assert.equal(top.length, tuples.length);
+      for (var i = 0; i < top.length; i++) {
+        assert.equal(top[i].key, tuples[i][1]);
+        assert.equal(top[i].upper, tuples[i][0]);
+        assert.equal(top[i].lower, tuples[i][0] - tuples[i][2]);
+        assert.equal(top[i].guaranteed, top[i].lower > 400);
+      }
+      assert.ok(top[0].guaranteed && top[1].guaranteed && !top[2].guaranteed);
+    },
+    'finds every heavy hitter': function(topic) {
+      var hitters = topic.ss.getHeavyHitters(0.05);
+      var threshold = topic.ss.getTotalCount() * 0.05;
+      var keys = hitters.map(function(entry) { return entry.key; });
+      for (var key in topic.truth) {
+        if (topic.truth[key] > threshold)
+          assert.notEqual(keys.indexOf(key), -1, key);
+      }
+      for (var i = 0; i < hitters.length; i++)
+        assert.ok(hitters[i].upper > threshold);
+      assert.throws(function() { topic.ss.getHeavyHitters(-0.1); }, /phi/);
+    },
+    'bounds keys that are not monitored': function(topic) {
+      var top = topic.ss.getTopK();
+      assert.equal(topic.ss.estimate('/cold5'), top[top.length - 1][0]);
+      assert.equal(topic.ss.estimate('/hot0'), top[0][0]);
+    },
+  },
+  'small stream': {
+    topic: function() {
+      var ss = new SpaceSaving(3);
+      ss.increment('/');
+      ss.increment('/', 4);
+      ss.increment('/about', 2);
+      return ss;
+    },
+
+    'is exact until full': function(ss) {
+      assert.equal(ss.isFull(), false);
+      assert.deepEqual(ss.getTopK(), [[5, '/', 0], [2, '/about', 0]]);
+      assert.equal(ss.estimate('/missing'), 0);
+    },
+    'rejects negative counts': function(ss) {
+      assert.throws(function() { ss.increment('/', -1); }, /non-negative/);
+    },
+    'requires a positive maxEntries': function(ss) {
+      assert.throws(function() { new SpaceSaving(0); }, /positive integer/);
+      assert.throws(function() { new SpaceSaving(2.5); }, /positive integer/);
+    },
+    'handles keys named like object properties': function(ss) {
+      var other = new SpaceSaving(2);
+      other.increment('constructor');
+      other.increment('__proto__');
+      assert.deepEqual(other.getTopK().map(function(entry) { return entry[1]; }).sort(),
+        ['__proto__', 'constructor']);
+    },
+  },
+}).addBatch({
+  'merging': {
+    topic: function() {
+      var a = new SpaceSaving(3);
+      var b = new SpaceSaving(3);
+      a.increment('/', 10);
+      a.increment('/about', 6);
+      a.increment('/contact', 2);
+      b.increment('/product1', 9);
+      b.increment('/', 5);
+      b.increment('/contact', 1);
+      b.increment('/careers', 1);
+      return { a: a, b: b };
+    },
+
+    'sums counts and bounds keys missing from one side': function(topic) {
+      // b is full with a minimum count of 2 ('/careers' took over '/contact')
+      topic.a.merge(topic.b);
+      assert.deepEqual(topic.a.getTopK(),
+        [[15, '/', 0], [11, '/product1', 2], [8, '/about', 2]]);
+      assert.equal(topic.a.getTotalCount(), 34);
+    },
+    'leaves the other structure untouched': function(topic) {
+      assert.deepEqual(topic.b.getTopK(),
+        [[9, '/product1', 0], [5, '/', 0], [2, '/careers', 1]]);
+    },
+  },
+}).addBatch({
+  'serialization': {
+    topic: function() {
+      var ss = streamcount.createHeavyHittersCounter(4);
+      ss.increment('/', 3);
+      ss.increment(new Array(301).join('y'), 2);
+      for (var i = 0; i < 5; i++)
+        ss.increment('/page' + i);
+      return ss;
+    },
+
+    'round trips': function(ss) {
+      var ss2 = SpaceSaving.deserialize(ss.serialize());
+      assert.deepEqual(ss2.getTopK(), ss.getTopK());
+      assert.equal(ss2.getTotalCount(), ss.getTotalCount());
+      assert.equal(ss2.maxEntries, 4);
+      ss2.increment('/', 1);
+      assert.equal(ss2.estimate('/'), 4);
+    },
+    'is detected by streamcount.deserialize': function(ss) {
+      var ss2 = streamcount.deserialize(ss.serialize());
+      assert.deepEqual(ss2.getTopK(), ss.getTopK());
+    },
+    'refuses another structure': function(ss) {
+      var packed = new CountMinSketch(3, 0.1, 0.1).serialize();
+      assert.throws(function() { SpaceSaving.deserialize(packed); }, /found CountMinSketch/);
+    },
+    'refuses corrupted buffers': function(ss) {
+      var packed = ss.serialize();
+      packed[12] ^= 0xFF;
+      assert.throws(function() { SpaceSaving.deserialize(packed); }, /checksum/);
+    },
+    'keeps Buffer keys as strings': function() {
+      var ss = new SpaceSaving(4);
+      ss.increment(Buffer.from('/café'), 3);
+      ss.increment('/café');
+      var ss2 = SpaceSaving.deserialize(ss.serialize());
+      assert.deepEqual(ss2.getTopK(), [[4, '/café', 0]]);
+      assert.equal(ss2.estimate(Buffer.from('/café')), 4);
+    },
+  },
+}).export(module);